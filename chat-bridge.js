@@ -50,13 +50,14 @@ async function sendToGame(sender, platform, text) {
 }
 
 function startSSEListener(onAgentMessage) {
-  const url = `${GAME_URL}/api/stream/events`;
+  const url = `${GAME_URL}/api/stream/events?events=chat_message`;
   let retryDelay = 1000;
+  let lastEventId = null; // replayed from here after a reconnect
 
   function connect() {
     console.log('[SSE] Connecting to event stream...');
 
-    fetch(url).then(res => {
+    fetch(url, { headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {} }).then(res => {
       if (!res.ok) throw new Error(`SSE: ${res.status}`);
       retryDelay = 1000;
       console.log('[SSE] Connected');
@@ -78,6 +79,7 @@ function startSSEListener(onAgentMessage) {
           buffer = lines.pop(); // keep incomplete line
 
           for (const line of lines) {
+            if (line.startsWith('id: ')) lastEventId = line.slice(4);
             if (!line.startsWith('data: ')) continue;
             try {
               const event = JSON.parse(line.slice(6));
@@ -4,9 +4,16 @@
  * Allows external AI agents to PLAY the Self-Building Game as a player.
  * Unlike game-world-skill.js (which controls the world as the Chaos Magician),
  * this skill lets agents join, move, chat, bribe, and compete.
+ *
+ * After joining over HTTP it stays connected to the agent_player room, so
+ * game state and events arrive as they happen and moves are sent over the
+ * socket (needs the colyseus.js package). If it isn't installed or the socket
+ * can't connect, every tool falls back to HTTP.
  */
 
 const GAME_SERVER_URL = process.env.GAME_SERVER_URL || 'http://localhost:3000';
+const MAX_EVENTS = 50;
+const DELTA_POSITION_SCALE = 100; // entities_delta units, as in src/shared/constants.js (skills are deployed standalone)
 
 async function gameRequest(endpoint, method = 'GET', body = null) {
   const url = `${GAME_SERVER_URL}${endpoint}`;
@@ -14,13 +21,14 @@ async function gameRequest(endpoint, method = 'GET', body = null) {
     method,
     headers: { 'Content-Type': 'application/json' },
   };
+  if (sessionToken) options.headers.Authorization = `Bearer ${sessionToken}`;
   if (body) options.body = JSON.stringify(body);
 
   try {
     const response = await fetch(url, options);
     const data = await response.json();
     if (!response.ok) {
-      return { success: false, error: data.error || `HTTP ${response.status}` };
+      return { success: false, error: data.error || `HTTP ${response.status}`, code: data.code, retryAfterMs: data.retryAfterMs };
     }
     return { success: true, ...data };
   } catch (error) {
@@ -28,8 +36,119 @@ async function gameRequest(endpoint, method = 'GET', body = null) {
   }
 }
 
-// Stored player ID for this session
+// Stored player ID and the session token that authorizes our actions
 let myPlayerId = null;
+let sessionToken = null;
+
+// Real-time connection and what it has told us so far
+let room = null;
+const live = {
+  me: null, players: [], entities: new Map(), entityIndex: new Map(),
+  gameState: null, activeEffects: [], recentChat: [], events: [],
+};
+
+function resetLive() {
+  live.me = null;
+  live.players = [];
+  live.entities.clear();
+  live.entityIndex.clear();
+  live.activeEffects = [];
+  live.recentChat = [];
+  live.gameState = null;
+  live.events.length = 0;
+}
+
+function pushEvent(type, data) {
+  live.events.push({ type, data, receivedAt: Date.now() });
+  if (live.events.length > MAX_EVENTS) live.events.shift();
+}
+
+function setEntity(entity) {
+  live.entities.set(entity.id, entity);
+  if (entity.index != null) live.entityIndex.set(entity.index, entity.id);
+}
+
+// entities_delta: [index, x, y, z, ...] quantized moves plus changed fields
+function applyEntityDelta({ moved = [], changed = [] }) {
+  const resolve = (ref) => live.entities.get(typeof ref === 'number' ? live.entityIndex.get(ref) : ref);
+  for (let i = 0; i + 3 < moved.length; i += 4) {
+    const entity = resolve(moved[i]);
+    if (entity) entity.position = moved.slice(i + 1, i + 4).map(v => v / DELTA_POSITION_SCALE);
+  }
+  for (const [ref, diff] of changed) {
+    const entity = resolve(ref);
+    if (!entity) continue;
+    if (diff.size) entity.size = diff.size;
+    if (diff.properties) entity.properties = { ...entity.properties, ...diff.properties };
+  }
+}
+
+function trackMessage(type, data) {
+  switch (type) {
+    case 'init':
+      live.me = data.me;
+      live.gameState = data.worldState.gameState;
+      live.activeEffects = data.worldState.activeEffects;
+      for (const e of data.worldState.entities) setEntity(e);
+      return;
+    case 'tick':
+      live.me = { ...live.me, ...data.me };
+      live.players = data.players;
+      return;
+    case 'entity_spawned':
+    case 'entity_modified':
+      setEntity(data);
+      break;
+    case 'entities_batch':
+      for (const e of data) setEntity(e);
+      break;
+    case 'entities_delta':
+      applyEntityDelta(data);
+      return;
+    case 'entity_destroyed':
+      live.entities.delete(data.id);
+      break;
+    case 'entities_destroyed_batch':
+      for (const id of data.ids) live.entities.delete(id);
+      break;
+    case 'world_cleared':
+      live.entities.clear();
+      break;
+    case 'game_state_changed':
+      live.gameState = data;
+      break;
+    case 'spell_cast':
+      live.activeEffects.push(data);
+      break;
+    case 'effects_cleared':
+      live.activeEffects = [];
+      break;
+    case 'chat_message':
+      live.recentChat = [...live.recentChat, data].slice(-10);
+      break;
+  }
+  // Clock syncs and hazard height updates would drown out the events that matter
+  if (type !== 'motion_sync' && type !== 'hazard_plane_update') pushEvent(type, data);
+}
+
+async function connectRealtime() {
+  let Client;
+  try {
+    ({ Client } = await import('colyseus.js'));
+  } catch {
+    return 'colyseus.js is not installed';
+  }
+  const client = new Client(GAME_SERVER_URL.replace(/^http/, 'ws'));
+  try {
+    room = await client.joinOrCreate('agent_player', { sessionToken });
+  } catch (error) {
+    room = null;
+    return error.message;
+  }
+  room.onMessage('*', trackMessage);
+  room.onLeave(() => { room = null; });
+  return null;
+}
 
 const NOT_IN_GAME_ERROR = { success: false, error: 'Not in game. Call join_game first.' };
 
@@ -44,38 +163,64 @@ function requireJoined() {
 /**
  * Tool: join_game
  * Join the game as an AI player. Must be called before any other tool.
- * Returns your player ID which is used for all subsequent actions.
+ * Returns your player ID. The session token that authorizes your actions
+ * stays inside the skill, so it never ends up in chat.
  */
 async function join_game({ name }) {
   if (!name) {
     return { success: false, error: 'Missing required parameter: name' };
   }
 
+  await room?.leave();
+  resetLive();
+  sessionToken = null;
   const result = await gameRequest('/api/agent-player/join', 'POST', { name });
   if (result.success && result.playerId) {
     myPlayerId = result.playerId;
+    sessionToken = result.sessionToken;
+    delete result.sessionToken;
+    const realtimeError = await connectRealtime();
+    result.realtime = !realtimeError;
+    if (realtimeError) result.realtimeError = realtimeError;
   }
   return result;
 }
 
 /**
  * Tool: move_to
- * Move toward a position in the world. Position is [x, y, z].
+ * Walk toward a position in the world. Position is [x, y, z].
  * The game world is roughly -50 to 50 on X and Z, with Y as height.
  * Ground is at Y=0. Platforms are above.
+ * You move under the same physics as everyone else: you walk there over the
+ * next ticks, fall off edges and die on hazards. Set jump to hop (gaps,
+ * higher platforms) and sprint to run. Instead of a position you can give a
+ * direction [x, z] to keep walking that way, or [0, 0] to stop.
  */
-async function move_to({ position }) {
+async function move_to({ position, direction, jump, sprint }) {
   const guard = requireJoined();
   if (guard) return guard;
 
-  if (!position || !Array.isArray(position) || position.length !== 3) {
+  if (position === undefined && direction === undefined && jump === undefined && sprint === undefined) {
+    return { success: false, error: 'Give a position [x, y, z] or a direction [x, z]' };
+  }
+  if (position !== undefined && (!Array.isArray(position) || position.length !== 3)) {
     return { success: false, error: 'Position must be [x, y, z]' };
   }
+  if (direction !== undefined && (!Array.isArray(direction) || direction.length !== 2)) {
+    return { success: false, error: 'Direction must be [x, z]' };
+  }
 
-  return gameRequest('/api/agent-player/move', 'POST', {
-    playerId: myPlayerId,
-    position
-  });
+  const intent = {};
+  if (position !== undefined) intent.waypoint = position;
+  if (direction !== undefined) intent.direction = direction;
+  if (jump !== undefined) intent.jump = Boolean(jump);
+  if (sprint !== undefined) intent.sprint = Boolean(sprint);
+
+  if (room) {
+    room.send('move', intent);
+    return { success: true, ...intent, queued: true };
+  }
+  return gameRequest('/api/agent-player/move', 'POST', intent);
 }
 
 /**
@@ -91,10 +236,11 @@ async function send_chat({ text }) {
     return { success: false, error: 'Missing required parameter: text' };
   }
 
-  return gameRequest('/api/agent-player/chat', 'POST', {
-    playerId: myPlayerId,
-    text
-  });
+  if (room) {
+    room.send('chat', { text });
+    return { success: true };
+  }
+  return gameRequest('/api/agent-player/chat', 'POST', { text });
 }
 
 /**
@@ -127,6 +273,22 @@ async function get_game_state() {
   const guard = requireJoined();
   if (guard) return guard;
 
+  // Connected: answer from the live view; only the leaderboard needs a request
+  if (room && live.me) {
+    const now = Date.now();
+    live.activeEffects = live.activeEffects.filter(e => now - e.startTime < e.duration);
+    const leaderboard = await gameRequest('/api/public/leaderboard');
+    return {
+      success: true,
+      me: live.me,
+      otherPlayers: live.players.filter(p => p.id !== myPlayerId),
+      gameState: live.gameState,
+      entities: [...live.entities.values()].map(e => ({ id: e.id, type: e.type, position: e.position, size: e.size })),
+      activeEffects: live.activeEffects,
+      recentChat: live.recentChat,
+      leaderboard: leaderboard.leaderboard || [],
+    };
+  }
   return gameRequest(`/api/agent-player/${myPlayerId}/state`);
 }
 
@@ -138,6 +300,10 @@ async function get_my_position() {
   const guard = requireJoined();
   if (guard) return guard;
 
+  if (room && live.me) {
+    return { success: true, position: live.me.position, state: live.me.state };
+  }
+
   const result = await gameRequest(`/api/agent-player/${myPlayerId}/state`);
   if (result.success && result.me) {
     return { success: true, position: result.me.position, state: result.me.state };
@@ -145,6 +311,20 @@ async function get_my_position() {
   return result;
 }
 
+/**
+ * Tool: get_events
+ * Game events pushed since you last asked (deaths, curse passes, checkpoints,
+ * spells, chat...), oldest first. Also returns every player's live position.
+ */
+async function get_events() {
+  const guard = requireJoined();
+  if (guard) return guard;
+  if (!room) return { success: false, error: 'Not connected in real time. Use get_game_state instead.' };
+
+  const events = live.events.splice(0);
+  return { success: true, events, me: live.me, players: live.players, gameState: live.gameState };
+}
+
 /**
  * Tool: get_leaderboard
  * See the current leaderboard standings.
@@ -174,6 +354,7 @@ export {
   submit_bribe,
   get_game_state,
   get_my_position,
+  get_events,
   get_leaderboard,
   ready_up
 };
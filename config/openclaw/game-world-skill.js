@@ -182,19 +182,23 @@ async function get_game_types() {
  *   template (optional): Arena template name. Available: spiral_tower, floating_islands, gauntlet, shrinking_arena, parkour_hell, hex_a_gone
  *   type (optional if template provided): Game type — reach, collect, survival. If omitted, uses the template's default gameType.
  *   timeLimit, goalPosition, collectibleCount (optional): Game config overrides.
+ *   teams (optional): Play in teams — 2-4 (or true for 2). Players are auto-balanced.
  *
  * Examples:
  *   start_game({ template: 'parkour_hell' })  — loads arena + starts with template's default type
  *   start_game({ template: 'gauntlet', type: 'survival', timeLimit: 45000 })
  *   start_game({ type: 'collect' })  — starts with existing world state (no template)
+ *   start_game({ type: 'king', teams: 2 })  — Red vs Blue hill control
  */
-async function start_game({ type, template, timeLimit, goalPosition, collectibleCount }) {
+async function start_game({ type, template, timeLimit, goalPosition, collectibleCount, teams }) {
   if (!type && !template) {
     return { success: false, error: 'Provide either type or template (or both). Available templates: spiral_tower, floating_islands, gauntlet, shrinking_arena, parkour_hell, hex_a_gone' };
   }
 
   if (type) {
-    const validTypes = ['reach', 'collect', 'survival', 'king', 'hot_potato', 'race'];
+    // Includes plugin-provided types registered on the server
+    const types = await gameRequest('/api/game/types');
+    const validTypes = types.success ? Object.keys(types.gameTypes) : ['reach', 'collect', 'survival', 'king', 'hot_potato', 'race'];
     if (!validTypes.includes(type)) {
       return { success: false, error: `Invalid type. Must be one of: ${validTypes.join(', ')}` };
     }
@@ -217,6 +221,7 @@ async function start_game({ type, template, timeLimit, goalPosition, collectible
   if (type) body.type = type;
   if (template) body.template = template;
   if (timeLimit) body.timeLimit = timeLimit;
+  if (teams) body.teams = teams;
   if (goalPosition) body.goalPosition = goalPosition;
   if (collectibleCount) body.collectibleCount = collectibleCount;
 
@@ -299,22 +304,34 @@ async function clear_spells() {
  * Tricks fire automatically during gameplay based on triggers.
  *
  * Trigger types:
- *   { type: 'time', at: 15000 }               — fire at 15s elapsed
- *   { type: 'interval', every: 10000 }         — fire every 10s
- *   { type: 'score', player: 'any', value: 3 } — when any player reaches 3
- *   { type: 'deaths', count: 2 }               — when 2 players eliminated
+ *   { type: 'time', at: 15000 }                       — fire at 15s elapsed
+ *   { type: 'interval', every: 10000 }                 — fire every 10s
+ *   { type: 'score', player: 'any', value: 3 }         — when any player reaches 3
+ *   { type: 'deaths', count: 2 }                       — when 2 players eliminated
+ *   { type: 'players_alive', max: 2 }                  — when 2 or fewer players are alive
+ *   { type: 'collectibles_remaining', max: 3 }         — when 3 or fewer collectibles are left
+ *   { type: 'time_remaining', at: 20000 }              — when 20s or less remain
+ *   { type: 'zone_enter', center: [0, 2, 0], radius: 5 } — when a player enters the zone
+ *   { all: [...] } / { any: [...] }                    — AND / OR composition
  *
- * Actions (built-in): flip_gravity, speed_burst, announce
+ * Pass a single `action` + `params`, or an ordered `actions` list with waits:
+ *   actions: [{ action: 'announce', params: { text: 'Uh oh' } }, { wait: 2000 }, { action: 'flip_gravity' }]
+ *
+ * Actions (built-in): flip_gravity, speed_burst, announce, spawn_prefab ({ name, position })
  * Actions (ReachGoal): move_goal, spawn_obstacles, spawn_shortcut
- * Actions (CollectGame): scatter, spawn_bonus, spawn_decoys
- * Actions (Survival): shrink_platform, hazard_wave, safe_zone, gravity_flip
- */
-async function add_trick({ trigger, action, params = {} }) {
-  if (!trigger || !action) {
-    return { success: false, error: 'Missing required parameters: trigger, action' };
+ * Actions (CollectGame): scatter, spawn_bonus, spawn_decoys, announce_remaining
+ * Actions (Survival): shrink_platform, hazard_wave, safe_zone
+ * Actions (KingOfHill): move_hill, add_hill, announce_scores
+ * Actions (HotPotato): shrink_arena, speed_curse
+ * Actions (Race): move_checkpoint, spawn_obstacles_near_leader
+ */
+async function add_trick({ trigger, action, params = {}, actions }) {
+  if (!trigger || (!action && !actions)) {
+    return { success: false, error: 'Missing required parameters: trigger, action or actions' };
   }
 
-  return gameRequest('/api/game/trick', 'POST', { trigger, action, params });
+  const body = actions ? { trigger, actions } : { trigger, action, params };
+  return gameRequest('/api/game/trick', 'POST', body);
 }
 
 /**
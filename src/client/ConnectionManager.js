@@ -4,7 +4,7 @@
 
 import { Client } from 'colyseus.js';
 import { SERVER_URL, selectedArenaId } from './config.js';
-import { state, auth } from './state.js';
+import { state, auth, network } from './state.js';
 import { storeReconnectionToken } from './network/NetworkManager.js';
 import { registerMessageHandlers } from './network/MessageHandlers.js';
 import { hideReconnectOverlay } from './ui/Announcements.js';
@@ -41,8 +41,10 @@ export async function connectToServer() {
     const joinOptions = { name: playerName, arenaId: selectedArenaId };
     if (auth.user?.token) joinOptions.token = auth.user.token;
     if (user?.type) joinOptions.type = user.type;
+    if (network.resumeToken) joinOptions.resumeToken = network.resumeToken;
 
     const room = await client.joinOrCreate('game', joinOptions);
+    network.resumeToken = null;
     onRoomJoined(room);
     return true;
   } catch (error) {
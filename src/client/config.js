@@ -1,5 +1,5 @@
 /**
- * Client configuration — constants, URL params, physics tuning.
+ * Client configuration — constants, URL params. Player physics tuning lives in shared/physics.js.
  * No Three.js or DOM dependencies (pure values + URL parsing).
  */
 
@@ -19,6 +19,7 @@ export const API_URL = isLocalhost
 export const urlParams = new URLSearchParams(window.location.search);
 export const isSpectator = urlParams.get('spectator') === 'true';
 export const isDebug = urlParams.get('debug') === 'true';
+export const replayId = urlParams.get('replay');
 
 // Arena selection — mutable, updated after lobby
 export let selectedArenaId = urlParams.get('arena') || 'chaos';
@@ -32,23 +33,6 @@ export function getApiBase() {
 // Mobile detection
 export const isMobile = 'ontouchstart' in window || navigator.maxTouchPoints > 0 || window.innerWidth < 768;
 
-// Physics constants — tuned for Fall Guys / Stumble Guys feel
-export const PHYSICS = {
-  GRAVITY:            -76.5,
-  FALL_MULTIPLIER:    2.2,
-  LOW_JUMP_MULTIPLIER: 4.0,
-  TERMINAL_VELOCITY:  -60,
-  JUMP_FORCE:         26.5,
-  COYOTE_TIME:        0.10,
-  JUMP_BUFFER_TIME:   0.10,
-  WALK_SPEED:         16,
-  SPRINT_SPEED:       26,
-  GROUND_ACCEL:       80,
-  GROUND_DECEL:       60,
-  AIR_ACCEL:          30,
-  AIR_DECEL:          10,
-};
-
 // Camera constants
 export const MIN_PITCH = -Math.PI / 6;   // -30 degrees
 export const MAX_PITCH = Math.PI / 3;     // 60 degrees
@@ -67,10 +51,6 @@ export const RECONNECT_MAX_DELAY = 30000;
 export const JOYSTICK_RADIUS = 50;
 
 // Death thresholds
-export const GROUND_Y = 1;           // Standing height on solid/safe floor
-export const ABYSS_DEATH_Y = -20;    // Fall-death threshold for 'none' floor
-export const LAVA_DEATH_Y = 0;       // Death threshold for lava floor
-export const VOID_DEATH_Y = -50;     // Absolute void death for any floor type
 export const DEATH_COOLDOWN = 2000;   // 2 seconds between deaths
 
 // Announcements
@@ -1,81 +1,61 @@
 /**
  * Entity Behavior Registry
  *
- * Centralized registry for all entity type-specific behaviors.
- * Adding a new behavior only requires editing this file.
+ * Client-side reactions to entities. The physics rules themselves (what a
+ * bounce pad or obstacle does to the player) live in shared/physics.js so the
+ * server simulates the same thing; this file only handles presentation and
+ * network messages for the events those rules produce.
  *
  * Example:
- *   COLLISION_BEHAVIORS['magnetic'] = (entity, ctx) => { ... };
+ *   PHYSICS_EFFECTS['magnetized'] = (event, ctx) => { ... };
  *   ANIMATION_BEHAVIORS['magnetic'] = (mesh, entity, { time }) => { ... };
  */
 
 import { ENTITY_TYPES } from '../../shared/constants.js';
 
-// Collision Behaviors
-// Called from checkCollisions() when player AABB overlaps entity.
-// Return 'skip' to bypass platform AABB resolution.
+// Physics Effects
+// Called for each event returned by the shared updateBody()/collideBody() step.
 
-export const COLLISION_BEHAVIORS = {
-  [ENTITY_TYPES.COLLECTIBLE]: (entity, ctx) => {
+export const PHYSICS_EFFECTS = {
+  jump: (_event, ctx) => {
+    ctx.playJumpSound();
+  },
+
+  die: ({ cause }, ctx) => {
+    if (cause === 'lava' || cause === 'hazard_plane') {
+      const color = cause === 'lava' || ctx.hazardPlaneState.type === 'lava' ? '#ff4500' : '#3498db';
+      ctx.spawnParticles(ctx.playerMesh.position, color, 20, 6);
+      if (cause === 'lava') ctx.spawnParticles(ctx.playerMesh.position, '#ffaa00', 10, 4);
+    }
+    ctx.playerDie(cause);
+  },
+
+  collect: ({ entity }, ctx) => {
     ctx.sendToServer('collect', { entityId: entity.id });
     ctx.spawnParticles(entity.position, '#f1c40f', 20, 4);
     ctx.spawnParticles(entity.position, '#ffffff', 8, 2);
     ctx.playCollectSound();
     ctx.removeEntity(entity.id);
-    return 'skip';
   },
 
-  [ENTITY_TYPES.OBSTACLE]: (entity, ctx) => {
-    if (ctx.gamePhase === 'playing' && Date.now() >= ctx.respawnInvulnUntil) {
-      ctx.playerDie();
-    }
-    return 'skip';
+  bounce: (_event, ctx) => {
+    ctx.spawnParticles(ctx.playerMesh.position, '#2ecc71', 15, 4);
+    ctx.playBounceSound();
   },
 
-  [ENTITY_TYPES.TRIGGER]: (entity, ctx) => {
-    const props = entity.properties;
-    if (props?.isBounce) {
-      ctx.playerVelocity.y = props.bounceForce || 18;
-      ctx.player.isGrounded = false;
-      ctx.player.isJumping = true;
-      ctx.spawnParticles(ctx.playerMesh.position, '#2ecc71', 15, 4);
-      ctx.playBounceSound();
-      return 'skip';
-    }
-    if (props?.isSpeedBoost) {
-      ctx.boost.speedBoostUntil = Date.now() + (props.boostDuration || 3000);
-      ctx.spawnParticles(ctx.playerMesh.position, '#e67e22', 8, 2);
-      return 'skip';
-    }
-    if (props?.isWind) {
-      const force = props.windForce || [0, 0, 0];
-      const dt = ctx.frameDelta;
-      ctx.playerVelocity.x += force[0] * dt;
-      ctx.playerVelocity.y += force[1] * dt;
-      ctx.playerVelocity.z += force[2] * dt;
-      return 'skip';
-    }
-    ctx.triggerEvent(entity);
-    return 'skip';
+  speed_boost: (_event, ctx) => {
+    ctx.spawnParticles(ctx.playerMesh.position, '#e67e22', 8, 2);
   },
-};
 
-// Surface Effects
-// Applied per-frame while standing on an entity. Keyed by property name.
+  trigger: ({ entity }, ctx) => {
+    ctx.triggerEvent(entity);
+  },
 
-export const SURFACE_EFFECTS = {
-  isConveyor: (entity, ctx) => {
-    const dir = entity.properties.conveyorDir || [1, 0, 0];
-    const speed = entity.properties.conveyorSpeed || 6;
-    ctx.playerVelocity.x += dir[0] * speed * ctx.frameDelta;
-    ctx.playerVelocity.z += dir[2] * speed * ctx.frameDelta;
+  platform_step: ({ entity }, ctx) => {
+    ctx.notifyPlatformStep(entity);
   },
 };
 
-// Ice constants (exported for updatePlayer)
-export const ICE_ACCEL_MULTIPLIER = 0.15;
-export const ICE_DECEL_MULTIPLIER = 0.08;
-
 // Animation Behaviors
 // Called each frame from animateEntities(). Keyed by entity type or 'trigger:isGoal'.
 
@@ -5,8 +5,10 @@
  */
 
 import * as THREE from 'three/webgpu';
-import { entityMeshes, groupParents, pendingGroups, entityToGroup, state } from '../state.js';
+import { entityMeshes, groupParents, pendingGroups, entityToGroup, entityIndex, state } from '../state.js';
 import { shortAngleDist } from '../math.js';
+import { evaluatePathMotion, pathFacing } from '../../shared/kinematics.js';
+import { serverNow } from '../network/ServerClock.js';
 import { createEntityMesh, getGeometry, clearGeometryCache } from './EntityFactory.js';
 import { ANIMATION_BEHAVIORS } from './EntityBehaviors.js';
 import { clearMaterialCache } from '../ToonMaterials.js';
@@ -19,6 +21,7 @@ import {
 
 let _scene = null;
 let _updateUI = null;
+const _pathPosition = [0, 0, 0];
 
 export function initEntityManager(sceneRef, updateUICallback) {
   _scene = sceneRef;
@@ -83,6 +86,7 @@ export function addEntity(entity) {
   if (entityMeshes.has(entity.id) || instancedEntityIds.has(entity.id)) {
     return;
   }
+  if (entity.index !== undefined) entityIndex.set(entity.index, entity.id);
 
   if (isInstanceable(entity)) {
     addInstancedEntity(entity);
@@ -181,6 +185,9 @@ export function updateEntity(entity) {
 }
 
 export function removeEntity(id) {
+  const index = state.entities.get(id)?.index;
+  if (index !== undefined) entityIndex.delete(index);
+
   if (instancedEntityIds.has(id)) {
     removeInstancedEntity(id);
     state.entities.delete(id);
@@ -235,6 +242,7 @@ export function clearAllEntities() {
   }
   entityMeshes.clear();
   state.entities.clear();
+  entityIndex.clear();
   for (const group of groupParents.values()) _scene.remove(group);
   groupParents.clear();
   entityToGroup.clear();
@@ -247,8 +255,14 @@ export function clearAllEntities() {
 }
 
 export function animateGroups(delta) {
+  const now = serverNow();
   for (const [, group] of groupParents) {
-    if (group.userData.targetPosition) {
+    // Paths follow the server clock; chasers lerp toward their last update
+    const direction = evaluatePathMotion(group.userData.entity, now, _pathPosition);
+    if (direction) {
+      trackLastPosition(group);
+      group.position.fromArray(_pathPosition);
+    } else if (group.userData.targetPosition) {
       trackLastPosition(group);
       group.position.lerp(group.userData.targetPosition, 0.2);
     }
@@ -256,13 +270,14 @@ export function animateGroups(delta) {
       group.rotation.y += (group.userData.speed || 1) * delta;
     } else {
       const props = group.userData.entity?.properties;
-      if (props?._facing !== undefined) {
-        group.rotation.y += shortAngleDist(group.rotation.y, props._facing) * 0.12;
+      const facing = direction ? pathFacing(props.path, direction) : props?._facing;
+      if (facing !== undefined) {
+        group.rotation.y += shortAngleDist(group.rotation.y, facing) * 0.12;
       }
       if (props?.isFloating) {
-        const baseY = group.userData.targetPosition
-          ? group.userData.targetPosition.y
-          : group.position.y;
+        let baseY = group.position.y;
+        if (direction) baseY = _pathPosition[1];
+        else if (group.userData.targetPosition) baseY = group.userData.targetPosition.y;
         group.position.y = baseY + Math.sin(Date.now() * 0.002) * 0.4;
       }
     }
@@ -271,6 +286,7 @@ export function animateGroups(delta) {
 
 export function animateEntities(delta, time) {
   const animationContext = { delta, time, isGrouped: false };
+  const now = serverNow();
 
   for (const [, mesh] of entityMeshes) {
     const isGrouped = mesh.parent && mesh.parent !== _scene;
@@ -278,10 +294,17 @@ export function animateEntities(delta, time) {
     const entityType = entity?.type;
     const entityProps = entity?.properties;
 
-    if (entityProps?.kinematic && !isGrouped) {
-      trackLastPosition(mesh);
-      if (mesh.userData.targetPosition) {
-        mesh.position.lerp(mesh.userData.targetPosition, 0.2);
+    if (entityProps?.kinematic) {
+      // Path motion is evaluated on the server clock; grouped meshes ride their group
+      const onPath = evaluatePathMotion(entity, now, _pathPosition) !== 0;
+      if (onPath) spatialHashUpdate(entity.id, _pathPosition[0], _pathPosition[2]);
+      if (!isGrouped) {
+        trackLastPosition(mesh);
+        if (onPath) {
+          mesh.position.fromArray(_pathPosition);
+        } else if (mesh.userData.targetPosition) {
+          mesh.position.lerp(mesh.userData.targetPosition, 0.2);
+        }
       }
     }
 
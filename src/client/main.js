@@ -17,9 +17,10 @@ import { initParticles, updateEnvironmentEffects, selectParticleType } from './E
 import { initNetworkManager, sendToServer } from './network/NetworkManager.js';
 import { initFloorManager, animateFloors } from './scene/FloorManager.js';
 import { fetchInitialState, pollForUpdates } from './network/HttpApi.js';
+import { startReplay, updateReplay } from './network/ReplayPlayer.js';
 import { debugAuth } from './auth.js';
 import {
-  urlParams, isSpectator, isDebug,
+  urlParams, isSpectator, isDebug, replayId,
   selectedArenaId, setSelectedArenaId, getApiBase, isMobile
 } from './config.js';
 import {
@@ -32,13 +33,16 @@ import { updateParticles } from './vfx/ScreenEffects.js';
 import { setupChat, displayChatMessage } from './ui/ChatSystem.js';
 import { updateUI, updateGameStateUI } from './ui/GameStatusHUD.js';
 import { fetchLeaderboard } from './ui/Leaderboard.js';
+import { fetchTournament } from './ui/TournamentStandings.js';
 import { showArenaLobby } from './ui/ArenaLobby.js';
+import { showAnnouncement } from './ui/Announcements.js';
 import { startAuthFlow } from './ui/AuthFlow.js';
 import { setupBribeUI } from './ui/BribePanel.js';
 import { setupProfileButton } from './ui/ProfilePanel.js';
 import { setupGameMenu } from './ui/GameMenu.js';
 import { setupSpectatorOverlay } from './ui/SpectatorOverlay.js';
 import { setupDebugPanel } from './ui/DebugPanel.js';
+import { setupReplayControls } from './ui/ReplayControls.js';
 import { CameraController } from './CameraController.js';
 import { keys, setupKeyboardInput, toggleHelpOverlay } from './input/InputManager.js';
 import { setupMobileControls } from './input/MobileControls.js';
@@ -68,6 +72,7 @@ function animate() {
     updateSquashStretch(player.mesh, playerVelocity.y, player.isGrounded);
   }
 
+  updateReplay(delta);
   interpolateRemotePlayers(delta);
   animateGroups(delta);
   animateEntities(delta, time);
@@ -128,41 +133,61 @@ async function init() {
   initNetworkManager({ connectToServerFn: connectToServer, reconnectToServerFn: reconnectToServer });
   initFloorManager({ scene, ground, gridHelper, ambientLight, directionalLight });
 
-  if (isSpectator) {
-    auth.user = { token: null, user: { name: 'Spectator', type: 'spectator' } };
+  // Replay mode: no auth, no room — the recorded timeline drives the world
+  let replay = null;
+  if (replayId) {
+    state.isSpectating = true;
+    try {
+      replay = await startReplay(replayId, { clearSpectating: () => {} });
+    } catch (error) {
+      console.error('[Replay] Failed to load:', error);
+      showAnnouncement({ id: 'replay-error', text: `Replay "${replayId}" not found`, type: 'system', duration: 10000, timestamp: Date.now() });
+    }
   } else {
-    auth.user = await startAuthFlow();
-  }
+    if (isSpectator) {
+      auth.user = { token: null, user: { name: 'Spectator', type: 'spectator' } };
+    } else {
+      auth.user = await startAuthFlow();
+    }
+
+    if (!urlParams.get('arena') && !isSpectator) {
+      setSelectedArenaId(await showArenaLobby());
+    }
+    console.log(`[Game] Selected arena: ${selectedArenaId}`);
 
-  if (!urlParams.get('arena') && !isSpectator) {
-    setSelectedArenaId(await showArenaLobby());
+    await fetchInitialState();
+    await connectToServer();
   }
-  console.log(`[Game] Selected arena: ${selectedArenaId}`);
 
-  await fetchInitialState();
-  await connectToServer();
-  if (!isSpectator) {
+  if (!isSpectator && !replayId) {
     createPlayer();
   } else {
     const badge = document.createElement('div');
     badge.id = 'spectator-badge';
-    badge.textContent = 'SPECTATING';
+    badge.textContent = replayId ? 'REPLAY' : 'SPECTATING';
     document.body.appendChild(badge);
   }
 
   setupChat();
   setupKeyboardInput({ isInSpectatorMode, fetchLeaderboard, camera });
   fetchLeaderboard();
-  if (isSpectator) setupSpectatorOverlay();
-  else setupBribeUI();
+  if (replayId) {
+    if (replay) setupReplayControls(replay);
+  } else {
+    fetchTournament();
+    if (isSpectator) setupSpectatorOverlay();
+    else setupBribeUI();
+  }
   if (isDebug) setupDebugPanel();
-  if (isMobile && !isSpectator) setupMobileControls({ keys, rendererDomElement: renderer.domElement, fetchLeaderboard });
-
-  try {
-    const chatRes = await fetch(`${getApiBase()}/chat/messages`);
-    const chatData = await chatRes.json();
-    chatData.messages.forEach(displayChatMessage);
-  } catch { /* server may be unavailable */ }
+  if (isMobile && !isSpectator && !replayId) setupMobileControls({ keys, rendererDomElement: renderer.domElement, fetchLeaderboard });
+
+  if (!replayId) {
+    try {
+      const chatRes = await fetch(`${getApiBase()}/chat/messages`);
+      const chatData = await chatRes.json();
+      chatData.messages.forEach(displayChatMessage);
+    } catch { /* server may be unavailable */ }
+  }
 
   const loginEl = document.getElementById('login-screen');
   loginEl.classList.add('screen-fade-out');
@@ -188,7 +213,7 @@ async function init() {
 
   renderer.setAnimationLoop(animate);
 
-  setInterval(() => { if (!state.connected) pollForUpdates(); }, 10000);
+  if (!replayId) setInterval(() => { if (!state.connected) pollForUpdates(); }, 10000);
   setInterval(fetchLeaderboard, 10000);
 
   console.log('[Game] Ready!');
@@ -9,8 +9,10 @@ import { updateRemotePlayer } from '../rendering/RemotePlayers.js';
 import { showAnnouncement } from '../ui/Announcements.js';
 import { updateUI } from '../ui/GameStatusHUD.js';
 import { setFloorType, applyEnvironment, updateHazardPlaneMaterial, getHazardPlaneMesh } from '../scene/FloorManager.js';
+import { syncServerClock } from './ServerClock.js';
 
 export function applyWorldState(worldData) {
+  syncServerClock(worldData.serverTime);
   if (worldData.physics) state.physics = worldData.physics;
   if (worldData.gameState) state.gameState = worldData.gameState;
   if (worldData.floorType) setFloorType(worldData.floorType);
@@ -56,6 +58,7 @@ export async function pollForUpdates() {
     const response = await fetch(`${getApiBase()}/world/state`);
     const data = await response.json();
 
+    syncServerClock(data.serverTime);
     state.physics = data.physics;
 
     // gameState intentionally omitted — WebSocket is authoritative for phase transitions
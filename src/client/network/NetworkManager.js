@@ -35,6 +35,11 @@ export function storeReconnectionToken() {
   }
 }
 
+/** Server is restarting: the next fresh join presents this token to get the session back. */
+export function storeResumeToken(token) {
+  network.resumeToken = token || null;
+}
+
 export function cancelReconnect() {
   clearTimeout(_reconnectTimer);
   _reconnectTimer = null;
@@ -73,13 +78,17 @@ export async function attemptReconnect() {
       }
     }
 
-    // Fall back to fresh joinOrCreate
+    // Fall back to fresh joinOrCreate. connectToServer reports failure by returning false
+    // (e.g. a restarting server not listening yet), so keep backing off until it joins.
     try {
-      await _connectToServerFn();
-      onReconnectSuccess('fresh join');
+      if (await _connectToServerFn()) {
+        onReconnectSuccess('fresh join');
+        return;
+      }
+      console.warn('[Network] Reconnect failed: join was not accepted');
     } catch (e) {
       console.warn('[Network] Reconnect failed:', e.message);
-      attemptReconnect();
     }
+    attemptReconnect();
   }, delay);
 }
@@ -0,0 +1,122 @@
+/**
+ * Replay player — plays a recorded match back through the normal message
+ * handlers. A stand-in room feeds timeline events to registerMessageHandlers,
+ * so entities and remote players render exactly as they did live.
+ */
+
+import { API_URL } from '../config.js';
+import { state, remotePlayers } from '../state.js';
+import { registerMessageHandlers } from './MessageHandlers.js';
+import { applyWorldState } from './HttpApi.js';
+import { clearAllEntities } from '../entities/EntityManager.js';
+import { removeRemotePlayer } from '../rendering/RemotePlayers.js';
+import { pinServerClock } from './ServerClock.js';
+
+// Not replayed while seeking — they'd all pop at once
+const SKIP_ON_SEEK = new Set(['announcement', 'chat_message', 'spell_cast', 'minigame_ended']);
+
+let _replay = null;
+let _handlers = new Map();
+let _cursor = 0;
+let _time = 0;
+let _speed = 1;
+let _playing = false;
+
+function createReplayRoom() {
+  return {
+    sessionId: null,
+    onMessage(type, fn) { _handlers.set(type, fn); },
+    onLeave() {},
+    onError() {},
+    send() {},
+    leave() {},
+  };
+}
+
+function dispatch(type, data) {
+  const handler = _handlers.get(type);
+  if (handler) handler(data);
+}
+
+function resetWorld() {
+  clearAllEntities();
+  for (const id of [...remotePlayers.keys()]) removeRemotePlayer(id);
+  state.players.clear();
+  state.gameState = { phase: 'lobby' };
+  state.teams = null;
+  state.cursedPlayerId = null;
+  applyWorldState(structuredClone(_replay.initial));
+  _cursor = 0;
+  _time = 0;
+  pinServerClock(_replay.startedAt);
+}
+
+function advanceTo(time, { seeking = false } = {}) {
+  const timeline = _replay.timeline;
+  while (_cursor < timeline.length && timeline[_cursor][0] <= time) {
+    const [, type, data] = timeline[_cursor++];
+    if (seeking && SKIP_ON_SEEK.has(type)) continue;
+    dispatch(type, structuredClone(data));
+  }
+  _time = time;
+  // Moving platforms evaluate against the recording's clock
+  pinServerClock(_replay.startedAt + time);
+}
+
+export async function startReplay(id, messageDeps) {
+  const response = await fetch(`${API_URL}/api/replays/${encodeURIComponent(id)}`);
+  if (!response.ok) throw new Error(`Replay ${id} not found`);
+  _replay = await response.json();
+
+  _handlers = new Map();
+  registerMessageHandlers(createReplayRoom(), messageDeps);
+  resetWorld();
+  _playing = true;
+  console.log(`[Replay] Loaded ${_replay.id} (${_replay.gameType}, ${_replay.timeline.length} events)`);
+  return _replay;
+}
+
+// Called every frame from the render loop
+export function updateReplay(delta) {
+  if (!_replay || !_playing) return;
+  advanceTo(_time + delta * 1000 * _speed);
+  if (_time >= _replay.duration) {
+    _time = _replay.duration;
+    _playing = false;
+  }
+}
+
+export function seekReplay(time) {
+  if (!_replay) return;
+  const target = Math.max(0, Math.min(time, _replay.duration));
+  if (target < _time) resetWorld();
+  advanceTo(target, { seeking: true });
+}
+
+export function restartReplay() {
+  if (!_replay) return;
+  resetWorld();
+  _playing = true;
+}
+
+export function toggleReplayPaused() {
+  if (!_replay) return;
+  if (!_playing && _time >= _replay.duration) {
+    restartReplay();
+    return;
+  }
+  _playing = !_playing;
+}
+
+export function setReplaySpeed(speed) {
+  _speed = speed;
+}
+
+export function getReplayProgress() {
+  return {
+    time: _time,
+    duration: _replay?.duration || 0,
+    playing: _playing,
+    speed: _speed,
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Server clock — estimates server time so moving platforms can be evaluated
+ * locally on the same timeline as the server (shared/kinematics.js).
+ *
+ * Every init, world state and motion_sync message carries serverTime. Samples
+ * arrive late by the network latency, so small errors are blended in and
+ * only large jumps (tab sleep, reconnect) snap. Replays pin the clock to
+ * the replay timeline instead.
+ */
+
+const SNAP_MS = 250;
+const BLEND = 0.2;
+
+let _offset = null;     // serverTime - Date.now()
+let _pinned = null;     // replay: fixed server time
+
+export function syncServerClock(serverTime) {
+  if (typeof serverTime !== 'number') return;
+  const sample = serverTime - Date.now();
+  if (_offset === null || Math.abs(sample - _offset) > SNAP_MS) {
+    _offset = sample;
+  } else {
+    _offset += (sample - _offset) * BLEND;
+  }
+}
+
+/** Current server time in ms. */
+export function serverNow() {
+  if (_pinned !== null) return _pinned;
+  return Date.now() + (_offset ?? 0);
+}
+
+/** Pin the clock to a replay's server time; null returns to live time. */
+export function pinServerClock(serverTime) {
+  _pinned = serverTime;
+}
@@ -10,7 +10,7 @@ import { setFloorType, applyEnvironment, updateHazardPlaneMaterial, getHazardPla
 import { showToast, showAnnouncement, showSpellEffect } from '../../ui/Announcements.js';
 import { showAfkWarning, hideAfkWarning, showAfkKickedScreen } from '../../ui/AfkOverlay.js';
 import { displayChatMessage } from '../../ui/ChatSystem.js';
-import { attemptReconnect, storeReconnectionToken } from '../NetworkManager.js';
+import { attemptReconnect, storeReconnectionToken, storeResumeToken } from '../NetworkManager.js';
 import { updateUI } from '../../ui/GameStatusHUD.js';
 
 const SPELL_VIGNETTE_COLORS = {
@@ -111,6 +111,12 @@ export function registerEffectHandlers(room) {
   // Suppress Colyseus warning — actual disconnect handled by onLeave
   room.onMessage('afk_kicked', () => {});
 
+  // Countdown arrives as an announcement; the room closing afterwards means reconnect, not a kick
+  room.onMessage('server_restarting', ({ resumeToken }) => {
+    state.serverRestarting = true;
+    storeResumeToken(resumeToken);
+  });
+
   // Lifecycle handlers
   room.onLeave((code) => {
     state.connected = false;
@@ -120,6 +126,11 @@ export function registerEffectHandlers(room) {
     }
     storeReconnectionToken();
     state.room = null;
+    if (state.serverRestarting) {
+      state.serverRestarting = false;
+      attemptReconnect();
+      return;
+    }
     if (code === CLOSE_AFK_KICKED) {
       showAfkKickedScreen();
       return;
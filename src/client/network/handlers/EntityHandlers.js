@@ -2,12 +2,44 @@
  * Entity-related WebSocket message handlers.
  */
 
-import { state, hazardPlaneState, entityMeshes } from '../../state.js';
+import { DELTA_POSITION_SCALE } from '../../../shared/constants.js';
+import { state, hazardPlaneState, entityMeshes, entityIndex } from '../../state.js';
 import { addEntity, updateEntity, removeEntity, clearAllEntities } from '../../entities/EntityManager.js';
 import { spawnParticles } from '../../vfx/ScreenEffects.js';
 import { playCrackSound, playBreakSound } from '../../audio/SoundManager.js';
 import { getHazardPlaneMesh } from '../../scene/FloorManager.js';
 import { updateUI } from '../../ui/GameStatusHUD.js';
+import { syncServerClock } from '../ServerClock.js';
+
+// Apply an entities_delta batch: quantized moves plus changed fields only
+function applyEntityDelta({ moved = [], changed = [] }) {
+  const updates = new Map();
+  const resolve = (ref) => {
+    const id = typeof ref === 'number' ? entityIndex.get(ref) : ref;
+    const entity = id && (updates.get(id) || state.entities.get(id));
+    if (!entity) return null;
+    if (!updates.has(id)) updates.set(id, { ...entity, properties: { ...entity.properties } });
+    return updates.get(id);
+  };
+
+  for (let i = 0; i + 3 < moved.length; i += 4) {
+    const entity = resolve(moved[i]);
+    if (!entity) continue;
+    entity.position = [
+      moved[i + 1] / DELTA_POSITION_SCALE,
+      moved[i + 2] / DELTA_POSITION_SCALE,
+      moved[i + 3] / DELTA_POSITION_SCALE,
+    ];
+  }
+  for (const [ref, diff] of changed) {
+    const entity = resolve(ref);
+    if (!entity) continue;
+    if (diff.size) entity.size = diff.size;
+    if (diff.properties) Object.assign(entity.properties, diff.properties);
+  }
+
+  for (const entity of updates.values()) updateEntity(entity);
+}
 
 export function registerEntityHandlers(room) {
   room.onMessage('entity_spawned', (entity) => {
@@ -30,6 +62,13 @@ export function registerEntityHandlers(room) {
     removeEntity(id);
   });
 
+  room.onMessage('entities_delta', applyEntityDelta);
+
+  // Moving platforms are evaluated locally; the server only corrects our clock
+  room.onMessage('motion_sync', ({ serverTime }) => {
+    syncServerClock(serverTime);
+  });
+
   room.onMessage('entities_batch', (entities) => {
     for (const entity of entities) addEntity(entity);
   });
@@ -4,8 +4,9 @@
 
 import { GAME_TYPES } from '../../../shared/constants.js';
 import { state, remotePlayers, player, countdown } from '../../state.js';
-import { updateGameStateUI, clearCountdownInterval, updateUI } from '../../ui/GameStatusHUD.js';
+import { updateGameStateUI, clearCountdownInterval, updateUI, renderTeamScores } from '../../ui/GameStatusHUD.js';
 import { fetchLeaderboard } from '../../ui/Leaderboard.js';
+import { updateStandingsUI } from '../../ui/TournamentStandings.js';
 import { showToast } from '../../ui/Announcements.js';
 import { triggerCameraShake, screenFlash, showVignette, spawnParticles } from '../../vfx/ScreenEffects.js';
 import { playCountdownBeep, playWinFanfare, playCollectSound } from '../../audio/SoundManager.js';
@@ -35,6 +36,7 @@ export function registerGameStateHandlers(room, { clearSpectating }) {
       if (curseTimer) { curseTimer.style.display = 'none'; curseTimer.className = ''; }
       if (checkpointDisplay) checkpointDisplay.style.display = 'none';
       state.cursedPlayerId = null;
+      state.teams = null;
       for (const [, mesh] of remotePlayers) {
         if (mesh.material) {
           mesh.material.emissive?.setHex(0x000000);
@@ -102,6 +104,7 @@ export function registerGameStateHandlers(room, { clearSpectating }) {
     applyWorldState(data.worldState);
     state.lobbyCountdownTarget = data.lobbyCountdown || null;
     updateUI();
+    if (data.resumed) showToast('Server is back — session restored', 'success');
 
     if (data.spectating) {
       state.isSpectating = true;
@@ -128,6 +131,18 @@ export function registerGameStateHandlers(room, { clearSpectating }) {
       }).join('');
   });
 
+  room.onMessage('teams_assigned', (data) => {
+    state.teams = data.teams;
+    renderTeamScores(data.teams);
+    const myTeam = data.teams.find(t => t.members.some(m => m.id === room.sessionId));
+    if (myTeam) showToast(`You're on the ${myTeam.name} team!`, 'success');
+  });
+
+  room.onMessage('team_scores', (data) => {
+    state.teams = data.teams;
+    renderTeamScores(data.teams);
+  });
+
   room.onMessage('curse_changed', (data) => {
     state.cursedPlayerId = data.cursedPlayerId;
     state.curseRound = data.round;
@@ -179,6 +194,31 @@ export function registerGameStateHandlers(room, { clearSpectating }) {
     }
   });
 
+  room.onMessage('tournament_started', (data) => {
+    updateStandingsUI(data.tournament);
+    showToast(`${data.tournament.name} begins — ${data.tournament.totalRounds} rounds!`, 'success');
+  });
+
+  room.onMessage('tournament_round_started', (data) => updateStandingsUI(data.tournament));
+
+  room.onMessage('tournament_round_ended', (data) => updateStandingsUI(data.tournament));
+
+  room.onMessage('tournament_finished', (data) => {
+    updateStandingsUI(data.tournament);
+    if (data.champion) {
+      showToast(`${data.champion.name} wins ${data.tournament.name}!`, 'success');
+      if (data.champion.playerId === room.sessionId) playWinFanfare();
+    }
+  });
+
+  room.onMessage('tournament_cancelled', (data) => updateStandingsUI(data.tournament));
+
+  room.onMessage('achievement_unlocked', (data) => {
+    if (data.playerId !== room.sessionId) return; // others see it in chat
+    showToast(`Achievement unlocked: ${data.achievement.name}`, 'success');
+    playWinFanfare();
+  });
+
   room.onMessage('challenge_completed', (data) => {
     showToast(data.message || 'Challenge complete!', 'success');
   });
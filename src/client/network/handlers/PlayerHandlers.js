@@ -8,6 +8,7 @@ import { showToast, showAnnouncement } from '../../ui/Announcements.js';
 import { addKillFeedEntry } from '../../ui/SpectatorOverlay.js';
 import { updateUI } from '../../ui/GameStatusHUD.js';
 import { spawnParticles } from '../../vfx/ScreenEffects.js';
+import { reconcilePosition } from '../../physics/PhysicsEngine.js';
 
 export function registerPlayerHandlers(room, { clearSpectating }) {
   room.onMessage('player_joined', (p) => {
@@ -52,6 +53,10 @@ export function registerPlayerHandlers(room, { clearSpectating }) {
     updateRemotePlayer(p);
   });
 
+  room.onMessage('position_corrected', ({ position }) => {
+    reconcilePosition(position);
+  });
+
   room.onMessage('player_respawned', (data) => {
     if (data.position) spawnParticles(data.position, '#00d4ff', 20, 4);
   });
@@ -1,19 +1,16 @@
 /**
  * Physics Engine
  *
- * Player physics, collision detection, death/respawn, and trigger events.
+ * Drives the shared player physics step (shared/physics.js) from keyboard,
+ * touch and camera input, and turns its events into effects, death/respawn
+ * and network messages.
  */
 
 import * as THREE from 'three/webgpu';
+import { DEATH_COOLDOWN, MOVE_INTERVAL, isMobile } from '../config.js';
+import { updateBody, collideBody, resetBody, MAX_STEP } from '../../shared/physics.js';
 import {
-  PHYSICS, GROUND_Y, ABYSS_DEATH_Y, LAVA_DEATH_Y, VOID_DEATH_Y,
-  DEATH_COOLDOWN, MOVE_INTERVAL, isMobile
-} from '../config.js';
-import {
-  ENTITY_TYPES, SPELL, FLOOR_TYPES, DEFAULT_SERVER_PHYSICS
-} from '../../shared/constants.js';
-import {
-  state, player, playerVelocity, collision, death, boost,
+  state, player, playerVelocity, death,
   activatedTriggers, entityMeshes, floor, hazardPlaneState, network
 } from '../state.js';
 import { createPlayerCharacter } from '../PlayerVisuals.js';
@@ -24,9 +21,7 @@ import { triggerCameraShake, screenFlash, spawnParticles } from '../vfx/ScreenEf
 import { removeEntity } from '../entities/EntityManager.js';
 import { shortAngleDist } from '../math.js';
 import { spatialHashQuery } from './SpatialHash.js';
-import {
-  COLLISION_BEHAVIORS, SURFACE_EFFECTS, ICE_ACCEL_MULTIPLIER, ICE_DECEL_MULTIPLIER
-} from '../entities/EntityBehaviors.js';
+import { PHYSICS_EFFECTS } from '../entities/EntityBehaviors.js';
 
 let _scene, _sendToServer, _getCameraDirections, _updateCamera;
 
@@ -37,24 +32,51 @@ export function initPhysics({ scene, sendToServer, getCameraDirections, updateCa
   _updateCamera = updateCamera;
 }
 
-const playerBox = new THREE.Box3();
-const entityBox = new THREE.Box3();
 const _moveDir = new THREE.Vector3();
-const _platformVelocity = new THREE.Vector3();
-const _tempEntityPosition = { x: 0, y: 0, z: 0 };
+const _input = { moveX: 0, moveZ: 0, jump: false, sprint: false };
+const _spells = new Set();
+const _env = {};
+const _contactPool = [];  // reused every frame to avoid per-frame allocation
+const _contacts = [];
+let _frameDelta = 0.016;
+
+function physicsEnv() {
+  const now = Date.now();
+  _spells.clear();
+  for (const effect of state.activeEffects || []) {
+    if (now - effect.startTime < effect.duration) _spells.add(effect.type);
+  }
+  _env.phase = state.gameState.phase;
+  _env.floorType = floor.currentType;
+  _env.hazardPlane = hazardPlaneState;
+  _env.gravity = state.physics.gravity;
+  _env.spells = _spells;
+  _env.now = now;
+  _env.invulnerable = now < death.respawnInvulnUntil;
+  return _env;
+}
 
-function moveToward(current, target, maxDelta) {
-  if (Math.abs(target - current) <= maxDelta) return target;
-  return current + Math.sign(target - current) * maxDelta;
+function notifyPlatformStep(entity) {
+  const mesh = entityMeshes.get(entity.id);
+  if (!mesh || mesh.userData._breakNotified) return;
+  mesh.userData._breakNotified = true;
+  _sendToServer('platform_step', { entityId: entity.id });
 }
 
-function hasEffect(effectType) {
-  if (!state.activeEffects) return false;
-  const now = Date.now();
-  return state.activeEffects.some(e => e.type === effectType && now - e.startTime < e.duration);
+function handlePhysicsEvents(events) {
+  if (events.length === 0) return;
+  const ctx = {
+    playerMesh: player.mesh, hazardPlaneState,
+    sendToServer: _sendToServer, removeEntity,
+    spawnParticles, playJumpSound, playCollectSound, playBounceSound,
+    playerDie, triggerEvent, notifyPlatformStep,
+  };
+  for (const event of events) {
+    PHYSICS_EFFECTS[event.type]?.(event, ctx);
+  }
 }
 
-function playerDie() {
+function playerDie(cause) {
   if (!player.mesh || state.localPlayer?.state === 'dead') return;
 
   const now = Date.now();
@@ -67,7 +89,7 @@ function playerDie() {
     state.localPlayer.state = 'dead';
   }
 
-  _sendToServer('died', { position: player.mesh.position.toArray() });
+  _sendToServer('died', { position: player.mesh.position.toArray(), cause });
 
   spawnParticles(player.mesh.position, '#e74c3c', 35, 8);
   spawnParticles(player.mesh.position, '#ff6600', 15, 5);
@@ -86,10 +108,7 @@ function respawnPlayer() {
 
   const rp = state.respawnPoint || [0, 2, 0];
   player.mesh.position.set(rp[0], rp[1], rp[2]);
-  playerVelocity.set(0, 0, 0);
-  player.isJumping = false;
-  player.coyoteTimer = 0;
-  player.jumpBufferTimer = 0;
+  resetBody(player);
   player.mesh.material.color.setHex(0x00ff88);
   player.mesh.material.emissive.setHex(0x00ff88);
 
@@ -113,8 +132,27 @@ function triggerEvent(entity) {
   _sendToServer('trigger_activated', { entityId: entity.id });
 }
 
+/**
+ * Snap the local player to the server's authoritative position after a rejected move.
+ * Small discrepancies are ignored to avoid visible jitter.
+ */
+export function reconcilePosition(position) {
+  if (!player.mesh || !Array.isArray(position)) return;
+  const pp = player.mesh.position;
+  const dx = pp.x - position[0];
+  const dy = pp.y - position[1];
+  const dz = pp.z - position[2];
+  if (dx * dx + dy * dy + dz * dz < 0.25) return;
+
+  pp.set(position[0], position[1], position[2]);
+  resetBody(player);
+  player.speedBoostUntil = 0;
+  console.log('[Player] Position corrected by server');
+}
+
 export function createPlayer() {
   player.mesh = createPlayerCharacter();
+  player.position = player.mesh.position;
   _scene.add(player.mesh);
 }
 
@@ -122,227 +160,83 @@ export function checkCollisions() {
   if (!player.mesh) return;
 
   const pp = player.mesh.position;
-  playerBox.min.set(pp.x - 0.5, pp.y - 1.0, pp.z - 0.5);
-  playerBox.max.set(pp.x + 0.5, pp.y + 1.0, pp.z + 0.5);
-
-  let standingOnPlatform = false;
-  let platformY = 0;
-  let hasPlatformVelocity = false;
-  collision.standingOnEntity = null;
-
   const nearbyIds = spatialHashQuery(pp.x, pp.z);
-
-  const collisionCtx = {
-    playerMesh: player.mesh, playerVelocity, player, boost,
-    gamePhase: state.gameState.phase,
-    respawnInvulnUntil: death.respawnInvulnUntil,
-    frameDelta: collision.frameDelta,
-    sendToServer: _sendToServer, removeEntity,
-    spawnParticles, playCollectSound, playBounceSound,
-    playerDie, triggerEvent,
-  };
+  _contacts.length = 0;
 
   for (let i = 0; i < nearbyIds.length; i++) {
     const entityId = nearbyIds[i];
     const mesh = entityMeshes.get(entityId);
-
-    let entity;
-    let entityPosition;
-    let isGrouped = false;
+    const contact = _contactPool[_contacts.length] ||
+      (_contactPool[_contacts.length] = { entity: null, position: [0, 0, 0], carry: null, _carry: [0, 0, 0] });
 
     if (mesh) {
-      entity = mesh.userData.entity;
+      const entity = mesh.userData.entity;
       if (!entity) continue;
-
-      isGrouped = mesh.parent && mesh.parent !== _scene;
+      contact.entity = entity;
+
+      // Grouped meshes are positioned relative to their group
+      const isGrouped = mesh.parent && mesh.parent !== _scene;
+      const at = contact.position;
+      at[0] = mesh.position.x;
+      at[1] = mesh.position.y;
+      at[2] = mesh.position.z;
       if (isGrouped) {
-        _tempEntityPosition.x = mesh.parent.position.x + mesh.position.x;
-        _tempEntityPosition.y = mesh.parent.position.y + mesh.position.y;
-        _tempEntityPosition.z = mesh.parent.position.z + mesh.position.z;
-        entityPosition = _tempEntityPosition;
-      } else {
-        entityPosition = mesh.position;
+        at[0] += mesh.parent.position.x;
+        at[1] += mesh.parent.position.y;
+        at[2] += mesh.parent.position.z;
       }
-    } else {
-      entity = state.entities.get(entityId);
-      if (!entity) continue;
-
-      _tempEntityPosition.x = entity.position[0];
-      _tempEntityPosition.y = entity.position[1];
-      _tempEntityPosition.z = entity.position[2];
-      entityPosition = _tempEntityPosition;
-    }
 
-    const halfSizeX = entity.size[0] * 0.5;
-    const halfSizeY = entity.size[1] * 0.5;
-    const halfSizeZ = entity.size[2] * 0.5;
-    entityBox.min.set(entityPosition.x - halfSizeX, entityPosition.y - halfSizeY, entityPosition.z - halfSizeZ);
-    entityBox.max.set(entityPosition.x + halfSizeX, entityPosition.y + halfSizeY, entityPosition.z + halfSizeZ);
-
-    if (!playerBox.intersectsBox(entityBox)) continue;
-
-    const behavior = COLLISION_BEHAVIORS[entity.type];
-    if (behavior) {
-      if (behavior(entity, collisionCtx) === 'skip') continue;
-    }
-
-    if (entity.type === ENTITY_TYPES.PLATFORM || entity.type === ENTITY_TYPES.RAMP) {
-      const overlapX = (0.5 + halfSizeX) - Math.abs(player.mesh.position.x - entityPosition.x);
-      const overlapY = (1 + halfSizeY) - Math.abs(player.mesh.position.y - entityPosition.y);
-      const overlapZ = (0.5 + halfSizeZ) - Math.abs(player.mesh.position.z - entityPosition.z);
-
-      if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) continue;
-
-      const playerBottom = player.mesh.position.y - 1;
-      const platformTop = entityPosition.y + halfSizeY;
-
-      if (playerBottom >= platformTop - 0.5 && playerVelocity.y <= 0) {
-        standingOnPlatform = true;
-        platformY = platformTop + 1;
-        collision.standingOnEntity = entity;
-
-        if (mesh && entity.properties?.breakable && !mesh.userData._breakNotified) {
-          mesh.userData._breakNotified = true;
-          _sendToServer('platform_step', { entityId: entity.id });
-        }
-
-        if (mesh && entity.properties?.kinematic) {
-          const moveSrc = isGrouped ? mesh.parent : mesh;
-          if (moveSrc.userData.lastPosition) {
-            _platformVelocity.set(
-              moveSrc.position.x - moveSrc.userData.lastPosition.x,
-              moveSrc.position.y - moveSrc.userData.lastPosition.y,
-              moveSrc.position.z - moveSrc.userData.lastPosition.z
-            );
-            hasPlatformVelocity = true;
-          }
-        }
+      // How far a kinematic platform moved last frame, to carry the player along
+      const moveSrc = isGrouped ? mesh.parent : mesh;
+      const last = entity.properties?.kinematic && moveSrc.userData.lastPosition;
+      if (last) {
+        contact._carry[0] = moveSrc.position.x - last.x;
+        contact._carry[1] = moveSrc.position.y - last.y;
+        contact._carry[2] = moveSrc.position.z - last.z;
+        contact.carry = contact._carry;
       } else {
-        if (overlapX < overlapZ) {
-          const pushDirection = player.mesh.position.x > entityPosition.x ? 1 : -1;
-          player.mesh.position.x += overlapX * pushDirection;
-          playerVelocity.x = 0;
-        } else {
-          const pushDirection = player.mesh.position.z > entityPosition.z ? 1 : -1;
-          player.mesh.position.z += overlapZ * pushDirection;
-          playerVelocity.z = 0;
-        }
+        contact.carry = null;
       }
+    } else {
+      const entity = state.entities.get(entityId);
+      if (!entity) continue;
+      contact.entity = entity;
+      contact.position[0] = entity.position[0];
+      contact.position[1] = entity.position[1];
+      contact.position[2] = entity.position[2];
+      contact.carry = null;
     }
+    _contacts.push(contact);
   }
 
-  if (standingOnPlatform) {
-    player.mesh.position.y = platformY;
-    playerVelocity.y = 0;
-    player.isGrounded = true;
-    player.isJumping = false;
-
-    if (hasPlatformVelocity) {
-      player.mesh.position.x += _platformVelocity.x;
-      player.mesh.position.z += _platformVelocity.z;
-    }
-
-    const standingEntity = collision.standingOnEntity;
-    if (standingEntity?.properties) {
-      const surfaceCtx = { playerVelocity, frameDelta: collision.frameDelta };
-      for (const propertyName in SURFACE_EFFECTS) {
-        if (standingEntity.properties[propertyName]) {
-          SURFACE_EFFECTS[propertyName](standingEntity, surfaceCtx);
-        }
-      }
-    }
-  }
+  const events = collideBody(player, _contacts, physicsEnv(), _frameDelta);
+  handlePhysicsEvents(events);
 }
 
 export function updatePlayer(delta) {
   if (!player.mesh) return;
 
-  delta = Math.min(delta, 0.05);
-  collision.frameDelta = delta;
-
-  let targetSpeed = keys.shift ? PHYSICS.SPRINT_SPEED : PHYSICS.WALK_SPEED;
-  let jumpForce = PHYSICS.JUMP_FORCE;
-  let spellGravityMult = 1;
-
-  if (hasEffect(SPELL.SPEED_BOOST)) targetSpeed = 30;
-  if (hasEffect(SPELL.SLOW_MOTION)) targetSpeed = 10;
-  if (Date.now() < boost.speedBoostUntil) targetSpeed *= 2;
-  if (hasEffect(SPELL.LOW_GRAVITY)) spellGravityMult = 0.3;
-  if (hasEffect(SPELL.HIGH_GRAVITY)) spellGravityMult = 2.5;
-  if (hasEffect(SPELL.BOUNCY)) jumpForce *= 1.5;
-  if (hasEffect(SPELL.GIANT)) { targetSpeed = 14; jumpForce *= 1.2; }
-  if (hasEffect(SPELL.TINY)) { targetSpeed = 25; jumpForce *= 0.6; }
+  delta = Math.min(delta, MAX_STEP);
+  _frameDelta = delta;
 
   const { forward, right } = _getCameraDirections();
   _moveDir.set(0, 0, 0);
-  const inputSign = hasEffect(SPELL.INVERT_CONTROLS) ? -1 : 1;
 
   if (isMobile && touchJoystick.active) {
-    _moveDir.addScaledVector(forward, -touchJoystick.dy * inputSign);
-    _moveDir.addScaledVector(right, touchJoystick.dx * inputSign);
-  } else {
-    if (keys.w) _moveDir.addScaledVector(forward, inputSign);
-    if (keys.s) _moveDir.addScaledVector(forward, -inputSign);
-    if (keys.d) _moveDir.addScaledVector(right, inputSign);
-    if (keys.a) _moveDir.addScaledVector(right, -inputSign);
-  }
-  if (_moveDir.length() > 1) _moveDir.normalize();
-
-  const targetVelX = _moveDir.x * targetSpeed;
-  const targetVelZ = _moveDir.z * targetSpeed;
-  const hasInput = _moveDir.lengthSq() > 0.01;
-
-  const onIce = collision.standingOnEntity?.properties?.isIce;
-
-  let accel;
-  if (!player.isGrounded) {
-    accel = hasInput ? PHYSICS.AIR_ACCEL : PHYSICS.AIR_DECEL;
-  } else if (onIce) {
-    accel = hasInput ? PHYSICS.GROUND_ACCEL * ICE_ACCEL_MULTIPLIER : PHYSICS.GROUND_DECEL * ICE_DECEL_MULTIPLIER;
+    _moveDir.addScaledVector(forward, -touchJoystick.dy);
+    _moveDir.addScaledVector(right, touchJoystick.dx);
   } else {
-    accel = hasInput ? PHYSICS.GROUND_ACCEL : PHYSICS.GROUND_DECEL;
+    if (keys.w) _moveDir.add(forward);
+    if (keys.s) _moveDir.sub(forward);
+    if (keys.d) _moveDir.add(right);
+    if (keys.a) _moveDir.sub(right);
   }
 
-  playerVelocity.x = moveToward(playerVelocity.x, targetVelX, accel * delta);
-  playerVelocity.z = moveToward(playerVelocity.z, targetVelZ, accel * delta);
-
-  const serverGravityScale = state.physics.gravity / DEFAULT_SERVER_PHYSICS.gravity;
-  const gravity = PHYSICS.GRAVITY * serverGravityScale * spellGravityMult;
-
-  if (playerVelocity.y < 0) {
-    playerVelocity.y += gravity * PHYSICS.FALL_MULTIPLIER * delta;
-  } else if (playerVelocity.y > 0 && !keys.space) {
-    playerVelocity.y += gravity * PHYSICS.LOW_JUMP_MULTIPLIER * delta;
-  } else {
-    playerVelocity.y += gravity * delta;
-  }
-  playerVelocity.y = Math.max(playerVelocity.y, PHYSICS.TERMINAL_VELOCITY);
-
-  if (player.isGrounded) {
-    player.coyoteTimer = PHYSICS.COYOTE_TIME;
-  } else {
-    player.coyoteTimer -= delta;
-  }
-
-  if (keys.space && !player.jumpHeld) {
-    player.jumpBufferTimer = PHYSICS.JUMP_BUFFER_TIME;
-  }
-  player.jumpBufferTimer -= delta;
-  player.jumpHeld = keys.space;
-
-  const canJump = player.isGrounded || player.coyoteTimer > 0;
-  if (canJump && player.jumpBufferTimer > 0 && !player.isJumping) {
-    playerVelocity.y = jumpForce;
-    player.isJumping = true;
-    player.isGrounded = false;
-    player.coyoteTimer = 0;
-    player.jumpBufferTimer = 0;
-    playJumpSound();
-  }
-
-  player.mesh.position.x += playerVelocity.x * delta;
-  player.mesh.position.y += playerVelocity.y * delta;
-  player.mesh.position.z += playerVelocity.z * delta;
+  _input.moveX = _moveDir.x;
+  _input.moveZ = _moveDir.z;
+  _input.jump = keys.space;
+  _input.sprint = keys.shift;
+  handlePhysicsEvents(updateBody(player, _input, physicsEnv(), delta));
 
   const hSpeed = Math.sqrt(playerVelocity.x ** 2 + playerVelocity.z ** 2);
   if (hSpeed > 0.5) {
@@ -350,42 +244,6 @@ export function updatePlayer(delta) {
     player.mesh.rotation.y += shortAngleDist(player.mesh.rotation.y, targetYaw) * Math.min(1, 15 * delta);
   }
 
-  player.isGrounded = false;
-
-  const phase = state.gameState.phase;
-  const inSafePhase = phase === 'lobby' || phase === 'building' || phase === 'countdown' || phase === 'ended';
-  const invulnerable = Date.now() < death.respawnInvulnUntil;
-  const hasFloor = floor.currentType === FLOOR_TYPES.SOLID || inSafePhase;
-
-  if (hasFloor && player.mesh.position.y < GROUND_Y) {
-    player.mesh.position.y = GROUND_Y;
-    playerVelocity.y = 0;
-    player.isGrounded = true;
-    player.isJumping = false;
-  }
-
-  if (!invulnerable) {
-    if (floor.currentType === FLOOR_TYPES.NONE && player.mesh.position.y < ABYSS_DEATH_Y) {
-      playerDie();
-    }
-
-    if (floor.currentType === FLOOR_TYPES.LAVA && player.mesh.position.y < LAVA_DEATH_Y) {
-      spawnParticles(player.mesh.position, '#ff4500', 20, 6);
-      spawnParticles(player.mesh.position, '#ffaa00', 10, 4);
-      playerDie();
-    }
-
-    if (hazardPlaneState.active && phase === 'playing' && player.mesh.position.y < hazardPlaneState.height) {
-      const particleColor = hazardPlaneState.type === 'lava' ? '#ff4500' : '#3498db';
-      spawnParticles(player.mesh.position, particleColor, 20, 6);
-      playerDie();
-    }
-
-    if (player.mesh.position.y < VOID_DEATH_Y) {
-      playerDie();
-    }
-  }
-
   _updateCamera();
 
   const now = performance.now();
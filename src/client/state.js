@@ -30,7 +30,9 @@ export const state = {
   lobbyReadyAt: null,
   cursedPlayerId: null,    // hot_potato: current curse holder
   curseRound: 0,           // hot_potato: current round number
+  teams: null,             // team mode: [{ id, name, color, score, members }]
   intentionalDisconnect: false,
+  serverRestarting: false, // server announced a restart; reconnect when it drops us
 };
 Object.seal(state);
 
@@ -44,24 +46,26 @@ export const network = {
   lastMoveTime: 0,
   reconnectAttempts: 0,
   reconnectionToken: null,
+  resumeToken: null,       // from server_restarting; restores the session on the next join
 };
 export const remotePlayers = new Map();
 
 // ── Player physics (Owner: PhysicsEngine) ────────────────────────────────────
 
+export const playerVelocity = new THREE.Vector3();
+
+// Body for the shared physics step (src/shared/physics.js); position is the mesh's, bound in createPlayer()
 export const player = {
   mesh: null,
+  position: null,
+  velocity: playerVelocity,
   isGrounded: true,
   coyoteTimer: 0,
   jumpBufferTimer: 0,
   isJumping: false,
   jumpHeld: false,
-};
-export const playerVelocity = new THREE.Vector3();
-
-export const collision = {
-  standingOnEntity: null,
-  frameDelta: 0.016,
+  standingOn: null,
+  speedBoostUntil: 0,
 };
 
 export const death = {
@@ -69,7 +73,6 @@ export const death = {
   respawnInvulnUntil: 0,
 };
 
-export const boost = { speedBoostUntil: 0 };
 export const activatedTriggers = new Map();
 
 // ── Camera & spectator (Owner: CameraController, InputManager) ──────────────
@@ -101,6 +104,7 @@ export const entityMeshes = new Map();
 export const groupParents = new Map();
 export const pendingGroups = new Map();
 export const entityToGroup = new Map();
+export const entityIndex = new Map();   // server entity index -> id, for entities_delta
 
 // ── Environment (Owner: FloorManager, EffectHandlers) ────────────────────────
 
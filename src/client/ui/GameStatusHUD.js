@@ -73,6 +73,23 @@ export function updateGameStateUI() {
   }
 }
 
+// Team mode scoreboard — shares the score overlay with King of the Hill
+export function renderTeamScores(teams) {
+  const overlay = document.getElementById('score-overlay');
+  if (!overlay) return;
+  if (!teams?.length) { overlay.style.display = 'none'; return; }
+  const localId = state.room?.sessionId;
+  const best = Math.max(1, ...teams.map(t => t.score));
+  overlay.style.display = 'block';
+  overlay.innerHTML = '<div class="score-title">TEAMS</div>' +
+    teams.map((t) => {
+      const mine = t.members.some(m => m.id === localId);
+      const pct = Math.min(100, (t.score / best) * 100);
+      return `<div class="score-row" style="color:${t.color}"><span>${t.name}${mine ? ' (you)' : ''}</span><span>${t.score}</span></div>` +
+        `<div class="score-bar"><div class="score-bar-fill" style="width:${pct}%;background:${t.color}"></div></div>`;
+    }).join('');
+}
+
 let _uiDirty = false;
 let _uiScheduled = false;
 
@@ -1,5 +1,5 @@
 /**
- * Leaderboard fetching and rendering.
+ * Leaderboard fetching and rendering — wins view and per-game-type rating view.
  *
  * Caches last-fetched JSON to skip redundant DOM rebuilds when scores haven't changed.
  */
@@ -7,21 +7,69 @@
 import { getApiBase } from '../config.js';
 
 let _lastLeaderboardJSON = '';
+const _view = { by: 'wins', type: 'all' };
+let _controlsReady = false;
+
+function setupLeaderboardControls() {
+  _controlsReady = true;
+  const buttons = document.querySelectorAll('#leaderboard-panel .lb-view');
+  const typeSelect = document.getElementById('lb-type');
+  if (!typeSelect) return;
+
+  addPoolOption(typeSelect, 'all', 'All games');
+  loadRatingPools(typeSelect);
+
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.toggle('active', b === btn));
+      _view.by = btn.dataset.by;
+      typeSelect.style.display = _view.by === 'rating' ? '' : 'none';
+      fetchLeaderboard();
+    });
+  });
+
+  typeSelect.addEventListener('change', () => {
+    _view.type = typeSelect.value;
+    fetchLeaderboard();
+  });
+}
+
+function addPoolOption(select, value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  select.appendChild(option);
+}
+
+// One pool per game type the server knows, plugin types included
+async function loadRatingPools(select) {
+  try {
+    const response = await fetch(`${getApiBase()}/game/types`);
+    const { gameTypes } = await response.json();
+    for (const [type, meta] of Object.entries(gameTypes)) {
+      addPoolOption(select, type, meta.name || type.replace('_', ' '));
+    }
+  } catch (e) {
+    // Overall pool only
+  }
+}
 
 export async function fetchLeaderboard() {
+  if (!_controlsReady) setupLeaderboardControls();
   try {
-    const response = await fetch(`${getApiBase()}/leaderboard`);
+    const query = _view.by === 'rating' ? `?by=rating&type=${_view.type}` : '';
+    const response = await fetch(`${getApiBase()}/leaderboard${query}`);
     const data = await response.json();
-    const json = JSON.stringify(data.leaderboard);
+    const json = JSON.stringify([_view, data.leaderboard]);
     if (json === _lastLeaderboardJSON) return; // skip DOM rebuild
     _lastLeaderboardJSON = json;
-    updateLeaderboardUI(data.leaderboard);
+    updateLeaderboardUI(data.leaderboard, _view.by);
   } catch (e) {
     // Silent fail
   }
 }
 
-export function updateLeaderboardUI(leaderboard) {
+export function updateLeaderboardUI(leaderboard, by = 'wins') {
   const entries = document.getElementById('leaderboard-entries');
   if (!entries) return;
 
@@ -44,15 +92,20 @@ export function updateLeaderboardUI(leaderboard) {
     name.className = 'lb-name';
     name.textContent = entry.name;
 
-    const wins = document.createElement('span');
-    wins.className = 'lb-wins';
-    wins.textContent = `${entry.wins}W`;
+    const stat = document.createElement('span');
+    if (by === 'rating') {
+      stat.className = 'lb-rating';
+      stat.textContent = `${entry.rating}`;
+    } else {
+      stat.className = 'lb-wins';
+      stat.textContent = `${entry.wins}W`;
+    }
 
     const games = document.createElement('span');
     games.className = 'lb-games';
     games.textContent = `${entry.gamesPlayed || 0}G`;
 
-    row.append(rank, name, wins, games);
+    row.append(rank, name, stat, games);
     entries.appendChild(row);
   }
 }
@@ -1,5 +1,5 @@
 /**
- * Profile button and wallet panel — overview, history, fund tabs.
+ * Profile button and wallet panel — stats, achievements, and overview/history/fund tabs.
  */
 
 import { state, auth } from '../state.js';
@@ -53,7 +53,9 @@ export function setupProfileButton() {
 
   profileBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    walletPanel.style.display = walletPanel.style.display === 'none' ? 'block' : 'none';
+    const opening = walletPanel.style.display === 'none';
+    walletPanel.style.display = opening ? 'block' : 'none';
+    if (opening) loadPlayerStats(user.id);
   });
 
   document.addEventListener('click', (e) => {
@@ -65,6 +67,67 @@ export function setupProfileButton() {
   populateWalletPanel(user);
 }
 
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const secs = ms / 1000;
+  if (secs < 60) return `${secs.toFixed(1)}s`;
+  return `${Math.floor(secs / 60)}m ${Math.floor(secs % 60)}s`;
+}
+
+function sumValues(obj) {
+  return Object.values(obj || {}).reduce((sum, n) => sum + n, 0);
+}
+
+function achievementProgress(a) {
+  if (a.unlocked) return 1;
+  if (a.lowerIsBetter || !a.progress) return 0;
+  return Math.min(a.progress / a.goal, 1);
+}
+
+async function loadPlayerStats(userId) {
+  const grid = document.getElementById('wp-stats-grid');
+  const list = document.getElementById('wp-achievements');
+  const count = document.getElementById('wp-ach-count');
+  if (!grid || !list || !userId) return;
+
+  try {
+    const res = await fetch(`${API_URL}/api/players/${encodeURIComponent(userId)}/stats`);
+    if (res.status === 404) {
+      grid.innerHTML = '<div class="wp-tx-empty">Play a game to start tracking stats</div>';
+      list.innerHTML = '';
+      count.textContent = '';
+      return;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { stats, achievements } = await res.json();
+
+    const tiles = [
+      ['Games', sumValues(stats.gamesPlayed)],
+      ['Deaths', sumValues(stats.deaths)],
+      ['Best race', formatDuration(stats.bestRaceTimeMs)],
+      ['Survived', formatDuration(stats.longestSurvivalMs || null)],
+      ['Curse passes', stats.cursePasses],
+      ['Hill time', formatDuration(stats.kingZoneMs || null)],
+    ];
+    grid.innerHTML = tiles.map(([label, value]) => `<div class="wp-stat">
+        <div class="wp-stat-value">${value}</div>
+        <div class="wp-stat-label">${label}</div>
+      </div>`).join('');
+
+    count.textContent = `(${achievements.filter(a => a.unlocked).length}/${achievements.length})`;
+    list.innerHTML = achievements.map(a => `<div class="wp-ach${a.unlocked ? ' unlocked' : ''}">
+        <div class="wp-ach-icon">${a.unlocked ? '&#x2605;' : '&#x2606;'}</div>
+        <div class="wp-ach-info">
+          <div class="wp-ach-name">${a.name}</div>
+          <div class="wp-ach-desc">${a.description}</div>
+          <div class="wp-ach-bar"><div class="wp-ach-bar-fill" style="width:${Math.round(achievementProgress(a) * 100)}%"></div></div>
+        </div>
+      </div>`).join('');
+  } catch {
+    grid.innerHTML = '<div class="wp-tx-empty">Could not load stats</div>';
+  }
+}
+
 function formatRelativeDate(date) {
   const diffMs = Date.now() - date.getTime();
   const mins = Math.floor(diffMs / 60000);
@@ -0,0 +1,63 @@
+/**
+ * Replay controls — play/pause, restart, speed, and a seek bar.
+ */
+
+import {
+  toggleReplayPaused, restartReplay, setReplaySpeed, seekReplay, getReplayProgress,
+} from '../network/ReplayPlayer.js';
+
+const SPEEDS = [1, 2, 4];
+
+function formatTime(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export function setupReplayControls(replay) {
+  const panel = document.getElementById('replay-controls');
+  if (!panel) return;
+
+  const title = document.createElement('div');
+  title.className = 'rc-title';
+  title.textContent = `Replay: ${replay.gameType}`;
+
+  const playBtn = document.createElement('button');
+  playBtn.addEventListener('click', () => toggleReplayPaused());
+
+  const restartBtn = document.createElement('button');
+  restartBtn.textContent = '⟲';
+  restartBtn.title = 'Restart';
+  restartBtn.addEventListener('click', () => restartReplay());
+
+  const speedBtn = document.createElement('button');
+  speedBtn.addEventListener('click', () => {
+    const { speed } = getReplayProgress();
+    setReplaySpeed(SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length]);
+  });
+
+  const seek = document.createElement('input');
+  seek.type = 'range';
+  seek.min = '0';
+  seek.max = String(replay.duration);
+  seek.value = '0';
+  let seeking = false;
+  seek.addEventListener('input', () => { seeking = true; });
+  seek.addEventListener('change', () => {
+    seekReplay(Number(seek.value));
+    seeking = false;
+  });
+
+  const clock = document.createElement('span');
+  clock.className = 'rc-time';
+
+  panel.append(title, playBtn, restartBtn, speedBtn, seek, clock);
+  panel.style.display = 'flex';
+
+  setInterval(() => {
+    const { time, duration, playing, speed } = getReplayProgress();
+    playBtn.textContent = playing ? '❚❚' : '▶';
+    speedBtn.textContent = `${speed}x`;
+    if (!seeking) seek.value = String(time);
+    clock.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+  }, 250);
+}
@@ -0,0 +1,66 @@
+/**
+ * Tournament standings overlay — round counter and running points table.
+ *
+ * Fed by tournament_* room messages; fetchTournament() catches up on join.
+ */
+
+import { getApiBase } from '../config.js';
+import { state } from '../state.js';
+
+const MAX_ROWS = 5;
+let _hideTimer = null;
+
+export async function fetchTournament() {
+  try {
+    const response = await fetch(`${getApiBase()}/tournament`);
+    const data = await response.json();
+    updateStandingsUI(data.tournament);
+  } catch (e) {
+    // Silent fail
+  }
+}
+
+export function updateStandingsUI(tournament) {
+  const panel = document.getElementById('tournament-standings');
+  if (!panel) return;
+  clearTimeout(_hideTimer);
+
+  if (!tournament || tournament.status === 'cancelled') {
+    panel.style.display = 'none';
+    return;
+  }
+
+  panel.innerHTML = '';
+  const title = document.createElement('div');
+  title.className = 'ts-title';
+  title.textContent = tournament.name;
+
+  const round = document.createElement('div');
+  round.className = 'ts-round';
+  round.textContent = tournament.status === 'finished'
+    ? `Champion: ${tournament.champion?.name || '—'}`
+    : `Round ${tournament.round}/${tournament.totalRounds}`;
+  panel.append(title, round);
+
+  const localId = state.room?.sessionId;
+  for (const entry of tournament.standings.slice(0, MAX_ROWS)) {
+    const row = document.createElement('div');
+    row.className = entry.playerId === localId ? 'ts-entry ts-self' : 'ts-entry';
+
+    const name = document.createElement('span');
+    name.textContent = `${entry.rank}. ${entry.name}`;
+    const points = document.createElement('span');
+    points.className = 'ts-points';
+    points.textContent = `${entry.points}`;
+
+    row.append(name, points);
+    panel.appendChild(row);
+  }
+
+  panel.style.display = 'block';
+
+  // Keep the final table up for a while, then get out of the way
+  if (tournament.status === 'finished') {
+    _hideTimer = setTimeout(() => { panel.style.display = 'none'; }, 30000);
+  }
+}
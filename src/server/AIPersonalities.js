@@ -0,0 +1,123 @@
+/**
+ * AIPersonalities - Arena-defined AI player personalities and rosters
+ *
+ * Custom personalities live in arena.config.aiPersonalities (persisted with
+ * saveArena). Each starts from a built-in base, so fields left out keep the
+ * base's values. The arena's roster lists which personalities spawn.
+ */
+
+import { PERSONALITIES } from './AIPlayer.js';
+
+export const MAX_AI_PERSONALITIES = 10;
+export const MAX_AI_ROSTER = 6;
+export const DEFAULT_AI_ROSTER = ['explorer', 'chaotic'];
+
+const ID_RE = /^[a-z0-9_-]{1,24}$/;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const NUMBER_RANGES = {
+  speed: [0.2, 2],
+  risk: [0, 1],
+  jumpFreq: [0, 0.2],
+  chatFreq: [0, 1],
+};
+const CHAT_EVENTS = ['death', 'win', 'gameStart', 'idle'];
+const TACTICS = ['contest', 'push', 'chase', 'flee', 'race', 'safety'];
+const MAX_CHAT_LINES = 10;
+const MAX_CHAT_LINE_LENGTH = 120;
+
+/**
+ * Validate a personality definition. Updates pass the stored personality as
+ * `existing`; creates start from `input.base` (default explorer).
+ * @returns {object} normalized personality
+ */
+export function validatePersonality(input, existing = null) {
+  if (!input || typeof input !== 'object') throw new Error('Personality must be an object');
+
+  let base = existing;
+  if (!base) {
+    const { id, base: baseKey = 'explorer' } = input;
+    if (typeof id !== 'string' || !ID_RE.test(id)) {
+      throw new Error('id must be 1-24 lowercase letters, digits, - or _');
+    }
+    if (PERSONALITIES[id]) throw new Error(`id is a built-in personality: ${id}`);
+    if (!PERSONALITIES[baseKey]) {
+      throw new Error(`Unknown base: ${baseKey}. Use one of: ${Object.keys(PERSONALITIES).join(', ')}`);
+    }
+    base = { id, ...PERSONALITIES[baseKey] };
+  }
+
+  const personality = structuredClone(base);
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 32) {
+      throw new Error('name must be a non-empty string of at most 32 characters');
+    }
+    personality.name = input.name.trim();
+  }
+
+  if (input.color !== undefined) {
+    if (typeof input.color !== 'string' || !COLOR_RE.test(input.color)) {
+      throw new Error('color must be a hex color like #ff8800');
+    }
+    personality.color = input.color;
+  }
+
+  for (const [field, [min, max]] of Object.entries(NUMBER_RANGES)) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'number' || input[field] < min || input[field] > max) {
+      throw new Error(`${field} must be a number ${min}-${max}`);
+    }
+    personality[field] = input[field];
+  }
+
+  if (input.chatLines !== undefined) {
+    if (!input.chatLines || typeof input.chatLines !== 'object') throw new Error('chatLines must be an object');
+    for (const [event, lines] of Object.entries(input.chatLines)) {
+      if (!CHAT_EVENTS.includes(event)) {
+        throw new Error(`Unknown chat event: ${event}. Use one of: ${CHAT_EVENTS.join(', ')}`);
+      }
+      const valid = Array.isArray(lines) && lines.length <= MAX_CHAT_LINES &&
+        lines.every(line => typeof line === 'string' && line.length > 0 && line.length <= MAX_CHAT_LINE_LENGTH);
+      if (!valid) {
+        throw new Error(`chatLines.${event} must be up to ${MAX_CHAT_LINES} strings of 1-${MAX_CHAT_LINE_LENGTH} characters`);
+      }
+      personality.chatLines[event] = [...lines];
+    }
+  }
+
+  if (input.tactics !== undefined) {
+    if (!input.tactics || typeof input.tactics !== 'object') throw new Error('tactics must be an object');
+    for (const [tactic, weight] of Object.entries(input.tactics)) {
+      if (!TACTICS.includes(tactic)) {
+        throw new Error(`Unknown tactic: ${tactic}. Use one of: ${TACTICS.join(', ')}`);
+      }
+      if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+        throw new Error(`tactics.${tactic} must be a number 0-1`);
+      }
+      personality.tactics[tactic] = weight;
+    }
+  }
+
+  return personality;
+}
+
+/** Custom personality by id, else a built-in one, else null. */
+export function resolvePersonality(id, custom = []) {
+  const found = custom.find(p => p.id === id);
+  if (found) return found;
+  return PERSONALITIES[id] ? { id, ...PERSONALITIES[id] } : null;
+}
+
+/**
+ * Validate a roster: 1-MAX_AI_ROSTER personality ids (repeats allowed).
+ * @returns {string[]}
+ */
+export function validateRoster(roster, custom = []) {
+  if (!Array.isArray(roster) || roster.length === 0 || roster.length > MAX_AI_ROSTER) {
+    throw new Error(`roster must be a list of 1-${MAX_AI_ROSTER} personality ids`);
+  }
+  for (const id of roster) {
+    if (!resolvePersonality(id, custom)) throw new Error(`Unknown personality: ${id}`);
+  }
+  return [...roster];
+}
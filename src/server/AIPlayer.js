@@ -1,10 +1,33 @@
 /**
  * AIPlayer - Virtual players with personality-driven behavior
  *
- * Simple goal-seeking AI (no pathfinding). Personalities affect
- * speed, risk-taking, and chat frequency.
+ * Goal-seeking AI that follows NavGraph waypoints during games and steers
+ * around obstacles and chasing hazards. Bots drive the shared player physics
+ * with the same move/jump input a browser sends, so they collide, collect,
+ * trigger and die by the same rules as humans. Each game type has its own tactics
+ * (contest hills, chase/flee the curse, run checkpoints, seek high ground).
+ * Personalities affect speed, risk-taking, chat frequency, and how much
+ * weight each tactic gets.
  */
 
+import { jumpReach, jumpAirtime, landingTime, JUMP_APEX } from './NavGraph.js';
+import { SimulatedPlayer } from './SimulatedPlayer.js';
+import { PLAYER_PHYSICS } from '../shared/physics.js';
+
+const GOAL_TIMEOUT_MS = 30000;  // re-pick goals that take too long
+const REPLAN_MS = 1000;
+const AVOID_RADIUS = 3;
+const SIDESTEP_ROOM = 1.5;     // platform left on a side before we swerve the other way
+const HOP_DISTANCE = 1.5;      // jump low obstacles in our way this close
+const AIR_CONTROL = PLAYER_PHYSICS.AIR_ACCEL / 4;  // half the distance air acceleration could add mid-jump
+const CHASE_RETARGET_MS = 1500; // goals that follow a player or flee one
+const SURVIVAL_RETARGET_MS = 3000;
+const FLEE_RADIUS = 10;
+const SAFE_HEIGHT = 3;          // stay this far above the hazard plane
+const CRUISE_SPEED = PLAYER_PHYSICS.WALK_SPEED * 0.75;  // at personality speed 1.0
+
+let nextBotId = 0; // keeps ids unique when a roster spawns in the same millisecond
+
 const PERSONALITIES = {
   explorer: {
     name: 'Explorer Bot',
@@ -13,6 +36,9 @@ const PERSONALITIES = {
     chatFreq: 0.1,
     color: '#3498db',
     jumpFreq: 0.02,
+    noise: 1,      // random steering wobble
+    // Odds of using each game-type tactic when picking a goal
+    tactics: { contest: 0.5, push: 0.2, chase: 0.6, flee: 0.9, race: 0.8, safety: 0.9 },
     chatLines: {
       death: ['Oops, miscalculated that jump...', 'Well that was educational', 'Note to self: don\'t go there'],
       win: ['I found it!', 'Exploration pays off!', 'Mapped the whole thing'],
@@ -27,6 +53,8 @@ const PERSONALITIES = {
     chatFreq: 0.3,
     color: '#e74c3c',
     jumpFreq: 0.08,
+    noise: 4,
+    tactics: { contest: 0.9, push: 0.9, chase: 1.0, flee: 0.4, race: 0.7, safety: 0.4 },
     chatLines: {
       death: ['YOLO!!!', 'Worth it!', 'I regret nothing!', 'AGAIN!'],
       win: ['EZ!', 'Get rekt!', 'Too fast too furious!'],
@@ -41,6 +69,8 @@ const PERSONALITIES = {
     chatFreq: 0.05,
     color: '#2ecc71',
     jumpFreq: 0.04,
+    noise: 1,
+    tactics: { contest: 1.0, push: 0.6, chase: 0.9, flee: 1.0, race: 1.0, safety: 0.8 },
     chatLines: {
       death: ['Lag.', 'That hitbox is broken', 'Doesn\'t count'],
       win: ['GG', 'As expected', 'Optimal route found'],
@@ -50,137 +80,252 @@ const PERSONALITIES = {
   }
 };
 
-export class AIPlayer {
-  constructor(worldState, broadcastFn, personalityKey = 'explorer') {
-    this.worldState = worldState;
-    this.broadcast = broadcastFn;
+export class AIPlayer extends SimulatedPlayer {
+  /**
+   * @param {object} worldState
+   * @param {function} broadcastFn
+   * @param {string|object} [personality] - built-in key, or a personality from AIPersonalities
+   */
+  constructor(worldState, broadcastFn, personality = 'explorer') {
+    if (typeof personality === 'string') {
+      personality = { id: personality, ...(PERSONALITIES[personality] || PERSONALITIES.explorer) };
+    }
 
-    const personality = PERSONALITIES[personalityKey] || PERSONALITIES.explorer;
+    // Registers with world state
+    super(worldState, broadcastFn, {
+      id: `ai-${personality.id}-${Date.now().toString(36)}${(nextBotId++).toString(36)}`,
+      name: personality.name,
+      type: 'ai'
+    });
     this.personality = personality;
-    this.personalityKey = personalityKey;
-
-    // Player identity
-    this.id = `ai-${personalityKey}-${Date.now().toString(36)}`;
-    this.name = personality.name;
+    this.personalityKey = personality.id;
 
     // Movement state
-    this.position = [0, 2, 0];
-    this.velocity = [0, 0, 0];
-    this.isGrounded = true;
-    this.state = 'alive';
+    this.runUp = null;           // 'back' to make room before a long jump, then 'go'
 
     // AI state
-    this.targetPosition = null;
+    this.goal = null;            // where we're ultimately heading
+    this.goalEntityId = null;    // entity the goal belongs to, if any
+    this.goalPlayerId = null;    // player the goal follows, if any
+    this.goalSetAt = 0;
+    this.goalTimeout = GOAL_TIMEOUT_MS;
+    this.path = null;            // NavGraph waypoints toward goal
+    this.lastPlanAt = 0;
+    this.planVersion = -1;
+    this.targetPosition = null;  // current waypoint
     this.wanderAngle = Math.random() * Math.PI * 2;
     this.lastChatTime = 0;
-    this.deathCount = 0;
     this.score = 0;
-
-    // Register with world state
-    this.worldState.addPlayer(this.id, this.name, 'ai');
   }
 
-  update(delta) {
+  /**
+   * @param {number} delta
+   * @param {object|null} [game] - the arena's current mini-game
+   */
+  update(delta, game = null) {
     if (this.state === 'dead') return;
+    this.game = game?.isActive ? game : null;
 
     const gamePhase = this.worldState.gameState.phase;
-    const speed = this.personality.speed * 8 * delta;
 
-    // Choose target based on game state
+    // Choose target based on game state, then steer and step the shared physics
     this.chooseTarget(gamePhase);
+    if (!this.step(this.steer(delta), delta)) return;
 
-    // Move toward target
-    if (this.targetPosition) {
-      const dx = this.targetPosition[0] - this.position[0];
-      const dz = this.targetPosition[2] - this.position[2];
-      const dist = Math.sqrt(dx * dx + dz * dz);
+    // Random chat (longer cooldown in lobby/building to avoid spam)
+    const chatCooldown = (gamePhase === 'lobby' || gamePhase === 'building') ? 60000 : 20000;
+    if (Math.random() < this.personality.chatFreq * delta * 0.1 && Date.now() - this.lastChatTime > chatCooldown) {
+      this.chat('idle');
+    }
+  }
 
-      if (dist > 1) {
-        // Add personality noise
-        const noise = (this.personalityKey === 'chaotic')
-          ? (Math.random() - 0.5) * 4
-          : (Math.random() - 0.5) * 1;
+  /** Move/jump input toward the current waypoint, like a browser's keys and camera would give. */
+  steer(delta) {
+    const input = { moveX: 0, moveZ: 0, jump: false, sprint: false };
+    const body = this.body;
+    const { position, velocity } = body;
+    const cruise = this.personality.speed * CRUISE_SPEED;
+
+    // Hold jump for a full-height arc once we're rising
+    if (body.isJumping && velocity.y > 0) input.jump = true;
+    if (!body.isGrounded) this.runUp = null;
+
+    const waypoint = this.path?.[0];
+    let pace = 0;
+    let dirX = 0;
+    let dirZ = 0;
+    if (!this.targetPosition) {
+      // Wander
+      this.wanderAngle += (Math.random() - 0.5) * 0.3;
+      dirX = Math.cos(this.wanderAngle);
+      dirZ = Math.sin(this.wanderAngle);
+      pace = cruise * 0.5;
+    } else if (this.mustWaitToJump(waypoint)) {
+      // Stand still; riding the platform keeps us on it
+    } else {
+      const dx = this.targetPosition[0] - position.x;
+      const dy = this.targetPosition[1] - position.y;
+      const dz = this.targetPosition[2] - position.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
 
-        this.velocity[0] = (dx / dist) * speed + noise * delta;
-        this.velocity[2] = (dz / dist) * speed + noise * delta;
+      if (dist <= 1 && Math.abs(dy) < 2 && body.isGrounded) {
+        // Reached waypoint, move on to the next one
+        this.advanceWaypoint();
       } else {
-        // Reached target, pick new one
-        this.targetPosition = null;
+        // Add personality noise (a wobble of `noise` units/s at cruising speed)
+        const noise = (Math.random() - 0.5) * (this.personality.noise ?? 1) * delta / cruise;
+
+        // Swerve around hazards on foot; once airborne, commit to the landing spot
+        const [ax, az, hop] = body.isGrounded ? this.avoidHazards(dx / (dist || 1), dz / (dist || 1), dist) : [0, 0, false];
+        if (hop) input.jump = true;
+        dirX = dx / (dist || 1) + ax + noise;
+        dirZ = dz / (dist || 1) + az + noise;
+        const len = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+        dirX /= len;
+        dirZ /= len;
+
+        if (!body.isGrounded) {
+          // Cover what's left of the gap by the time we drop to the waypoint's height
+          const timeLeft = landingTime(velocity.y, -dy);
+          pace = timeLeft ? dist / Math.max(timeLeft, delta) : cruise;
+        } else if (waypoint?.jump || dy > 1) {
+          // Run up to the take-off speed that, with some air control, covers the gap in one
+          // full jump, backing away from the edge first if there isn't room to reach it
+          const airtime = jumpAirtime(dy);
+          pace = airtime ? Math.max(0, dist - AIR_CONTROL * airtime * airtime) / airtime : 0;
+          pace = Math.min(pace, PLAYER_PHYSICS.SPRINT_SPEED);
+          const toward = (velocity.x * dx + velocity.z * dz) / (dist || 1);
+          const runway = pace * pace / (2 * PLAYER_PHYSICS.GROUND_ACCEL) + 0.5;
+          if (this.runUp === 'back') {
+            if (this.groundRoom(dirX, dirZ) >= runway || this.groundRoom(-dirX, -dirZ) < 0.5) this.runUp = 'go';
+            else [dirX, dirZ, pace] = [-dirX, -dirZ, cruise * 0.5];
+          } else if (!this.runUp && toward < pace * 0.9 && this.groundRoom(dirX, dirZ) < runway) {
+            this.runUp = 'back';
+          } else if (!airtime || toward >= pace * 0.9 || this.groundRoom(dirX, dirZ) < 0.5) {
+            input.jump = true;
+          }
+        } else {
+          // Slow into the waypoint so turning onto the next leg doesn't carry us off an edge
+          pace = Math.min(cruise, 2 + dist * 4);
+        }
       }
-    } else {
-      // Wander
-      this.wanderAngle += (Math.random() - 0.5) * 0.3;
-      this.velocity[0] = Math.cos(this.wanderAngle) * speed * 0.5;
-      this.velocity[2] = Math.sin(this.wanderAngle) * speed * 0.5;
-    }
 
-    // Gravity
-    this.velocity[1] += -9.8 * delta;
+      // Walked off the edge during the run-up: coyote time still allows the jump
+      if (waypoint?.jump && !body.isGrounded && !body.isJumping && body.coyoteTimer > 0) {
+        input.jump = true;
+      }
+    }
 
     // Random jumps
-    if (this.isGrounded && Math.random() < this.personality.jumpFreq) {
-      this.velocity[1] = 10;
-      this.isGrounded = false;
+    if (body.isGrounded && Math.random() < this.personality.jumpFreq) input.jump = true;
+
+    pace = Math.min(pace, PLAYER_PHYSICS.SPRINT_SPEED);
+    input.sprint = pace > PLAYER_PHYSICS.WALK_SPEED;
+    const topSpeed = input.sprint ? PLAYER_PHYSICS.SPRINT_SPEED : PLAYER_PHYSICS.WALK_SPEED;
+    input.moveX = dirX * pace / topSpeed;
+    input.moveZ = dirZ * pace / topSpeed;
+    return input;
+  }
+
+  chooseTarget(gamePhase) {
+    const now = Date.now();
+    if (this.goalPlayerId) this.followGoalPlayer();
+    const goalGone = this.goalEntityId && !this.worldState.entities.has(this.goalEntityId);
+    if (this.goal && (goalGone || this.standingOnBreaking() || now - this.goalSetAt > this.goalTimeout)) {
+      this.goal = null;
+      this.planVersion = -1; // replan once we're on solid ground
+    }
+    if (!this.goal) {
+      this.goalEntityId = null;
+      this.goalPlayerId = null;
+      this.goal = this.pickGoal(gamePhase);
+      this.goalSetAt = now;
+      if (gamePhase !== 'playing') this.path = null;
     }
 
-    // Jump when approaching obstacles (simple heuristic: jump if target is higher)
-    if (this.isGrounded && this.targetPosition && this.targetPosition[1] > this.position[1] + 1) {
-      this.velocity[1] = 12;
-      this.isGrounded = false;
+    // The lobby floor is walkable everywhere, so only games need the graph
+    if (gamePhase !== 'playing') {
+      this.path ??= [{ position: this.goal, jump: false }];
+    } else {
+      // Replan from solid ground when the layout changed or we may have strayed
+      const nav = this.worldState.getNavGraph();
+      const stale = nav.version !== this.planVersion || now - this.lastPlanAt > REPLAN_MS;
+      if (!this.path || (this.isGrounded && stale && !this.groundMoving())) this.planPath(nav, now);
+
+      // Landing anywhere on the target platform counts, wherever a moving one has carried the spot
+      const landing = this.path[0];
+      if (landing?.jump && this.isGrounded && landing.landsOn === this.groundEntityId) {
+        this.advanceWaypoint();
+      }
     }
+    this.targetPosition = this.path?.[0] ? this.waypointPosition(this.path[0]) : null;
+  }
 
-    // Apply velocity
-    this.position[0] += this.velocity[0] * delta;
-    this.position[1] += this.velocity[1] * delta;
-    this.position[2] += this.velocity[2] * delta;
-
-    // Ground collision (check ground FIRST to prevent tunneling through floor)
-    const groundActive = gamePhase === 'lobby' || gamePhase === 'building';
-    if (groundActive && this.position[1] < 1) {
-      this.position[1] = 1;
-      this.velocity[1] = 0;
-      this.isGrounded = true;
-    } else if (this.position[1] < -20) {
-      this.die();
+  /** Track a followed player; the path's last leg heads for where they are now. */
+  followGoalPlayer() {
+    const target = this.worldState.players.get(this.goalPlayerId);
+    if (!this.goal || target?.state !== 'alive' || !target.position) {
+      this.goal = null;
       return;
     }
+    this.goal = [...target.position];
+    const last = this.path?.at(-1);
+    if (last && !last.entityId) last.position = this.goal;
+  }
 
-    // Simple platform collision (check entities above/below)
-    this.checkPlatformCollision();
+  standingOnBreaking() {
+    return !!this.groundEntityId && this.worldState.breakingPlatforms.has(this.groundEntityId);
+  }
 
-    // Update world state
-    this.worldState.updatePlayer(this.id, {
-      position: [...this.position],
-      velocity: [...this.velocity],
-      state: this.state
-    });
+  /** Waypoints on moving platforms follow the platform's live position. */
+  waypointPosition(waypoint) {
+    const entity = waypoint.entityId && this.worldState.entities.get(waypoint.entityId);
+    if (!entity) return waypoint.position;
+    const [ox, oz] = waypoint.offset || [0, 0];
+    return [entity.position[0] + ox, entity.position[1] + entity.size[1] / 2 + 1, entity.position[2] + oz];
+  }
 
-    // Broadcast position
-    this.broadcast('player_moved', {
-      id: this.id,
-      position: [...this.position],
-      velocity: [...this.velocity]
-    });
+  groundMoving() {
+    return !!this.body.standingOn?.properties?.kinematic;
+  }
 
-    // Random chat (longer cooldown in lobby/building to avoid spam)
-    const chatCooldown = (gamePhase === 'lobby' || gamePhase === 'building') ? 60000 : 20000;
-    if (Math.random() < this.personality.chatFreq * delta * 0.1 && Date.now() - this.lastChatTime > chatCooldown) {
-      this.chat('idle');
-    }
+  /** Jumps to or from a moving platform wait until the gap is within reach. */
+  mustWaitToJump(waypoint) {
+    if (!waypoint?.jump || !this.isGrounded || !this.targetPosition) return false;
+    if (!waypoint.entityId && !this.groundMoving()) return false;
+    const dist = Math.hypot(this.targetPosition[0] - this.position[0], this.targetPosition[2] - this.position[2]);
+    return dist > jumpReach(this.targetPosition[1] - this.position[1]);
   }
 
-  chooseTarget(gamePhase) {
-    if (this.targetPosition) return; // Already have a target
+  planPath(nav, now) {
+    this.path = nav.findPath(this.position, this.goal) || [{ position: this.goal, jump: false }];
+    this.planVersion = nav.version;
+    this.lastPlanAt = now;
+  }
+
+  advanceWaypoint() {
+    this.runUp = null;
+    this.path?.shift();
+    if (!this.path?.length) {
+      this.goal = null;
+      this.path = null;
+    }
+    this.targetPosition = null;
+  }
 
+  pickGoal(gamePhase) {
     const gameType = this.worldState.gameState.gameType;
+    this.goalTimeout = GOAL_TIMEOUT_MS;
 
     if (gamePhase === 'playing') {
+      const tacticGoal = this.pickTacticGoal(gameType);
+      if (tacticGoal) return tacticGoal;
+
       if (gameType === 'reach') {
         // Move toward goal trigger
         for (const entity of this.worldState.entities.values()) {
           if (entity.type === 'trigger' && entity.properties?.isGoal) {
-            this.targetPosition = [...entity.position];
-            return;
+            return [...entity.position];
           }
         }
       } else if (gameType === 'collect') {
@@ -199,106 +344,238 @@ export class AIPlayer {
           }
         }
         if (nearest) {
-          this.targetPosition = [...nearest.position];
-          return;
+          this.goalEntityId = nearest.id;
+          return [...nearest.position];
         }
-      } else if (gameType === 'survival') {
-        // Stay near center, dodge obstacles
-        this.targetPosition = [
-          (Math.random() - 0.5) * 10,
-          this.position[1],
-          (Math.random() - 0.5) * 10
-        ];
-        return;
       }
+
+      // Wander between platforms rather than off the edge
+      const node = this.worldState.getNavGraph().randomNode();
+      if (node) return [...node.center];
     }
 
     // Default: wander randomly
-    this.targetPosition = [
+    return [
       (Math.random() - 0.5) * 30,
       this.position[1],
       (Math.random() - 0.5) * 30
     ];
   }
 
-  checkPlatformCollision() {
-    for (const entity of this.worldState.entities.values()) {
-      if (entity.type !== 'platform' && entity.type !== 'ramp') continue;
+  /** Goal from the game type's tactic, or null to fall back to the default goals. */
+  pickTacticGoal(gameType) {
+    switch (gameType) {
+      case 'king': return this.contestHill();
+      case 'hot_potato': return this.playHotPotato();
+      case 'race': return this.runCheckpoints();
+      case 'survival': return this.seekHighGround();
+      default: return null;
+    }
+  }
 
-      const halfSize = entity.size.map(s => s / 2);
-      const dx = Math.abs(this.position[0] - entity.position[0]);
-      const dy = Math.abs(this.position[1] - entity.position[1]);
-      const dz = Math.abs(this.position[2] - entity.position[2]);
+  /** King: hold or contest the best hill, or chase a rival who holds one alone. */
+  contestHill() {
+    const { contest, push } = this.personality.tactics;
+    if (Math.random() >= contest) return null;
 
-      const overlapX = (0.5 + halfSize[0]) - dx;
-      const overlapY = (1 + halfSize[1]) - dy;
-      const overlapZ = (0.5 + halfSize[2]) - dz;
+    let best = null;
+    let bestScore = Infinity;
+    for (const entity of this.worldState.entities.values()) {
+      if (!entity.properties?.isHill) continue;
+      const occupants = this.playersInside(entity);
+      const rivals = occupants.filter(id => this.isRival(id));
+      if (occupants.includes(this.id) && rivals.length === 0) {
+        return [...entity.position]; // ours alone, stay on it
+      }
+      if (rivals.length === 1 && occupants.length === 1 && Math.random() < push) {
+        this.goalPlayerId = rivals[0];
+        this.goalTimeout = CHASE_RETARGET_MS;
+        return [...this.worldState.players.get(rivals[0]).position];
+      }
+      // Cautious bots prefer hills nobody else is on
+      const score = this.distanceTo(entity.position) + rivals.length * 15 * (1 - contest);
+      if (score < bestScore) {
+        bestScore = score;
+        best = entity;
+      }
+    }
+    if (!best) return null;
+    this.goalEntityId = best.id;
+    return [...best.position];
+  }
 
-      if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) continue;
+  /** Hot potato: the cursed bot chases the nearest rival, everyone else keeps away from it. */
+  playHotPotato() {
+    const { chase, flee } = this.personality.tactics;
+    const cursedId = this.game?.cursedPlayerId;
+    if (!cursedId) return null;
+
+    if (cursedId === this.id) {
+      if (Math.random() >= chase) return null;
+      let nearest = null;
+      let nearestDist = Infinity;
+      for (const [id, data] of this.game.players) {
+        const player = this.worldState.players.get(id);
+        if (!data.alive || !this.isRival(id) || !player?.position) continue;
+        const dist = this.distanceTo(player.position);
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearest = player;
+        }
+      }
+      if (!nearest) return null;
+      this.goalPlayerId = nearest.id;
+      this.goalTimeout = CHASE_RETARGET_MS;
+      return [...nearest.position];
+    }
 
-      // Standing on top check
-      const platformTop = entity.position[1] + halfSize[1];
-      if (this.position[1] - 1 >= platformTop - 0.5 && this.velocity[1] <= 0) {
-        this.position[1] = platformTop + 1;
-        this.velocity[1] = 0;
-        this.isGrounded = true;
+    // Teammates can't pass us the curse
+    const cursed = this.worldState.players.get(cursedId);
+    if (!cursed?.position || !this.isRival(cursedId)) return null;
+    if (this.distanceTo(cursed.position) > FLEE_RADIUS || Math.random() >= flee) return null;
+
+    // Platform that puts the most distance between us and the curse without a long trek
+    let best = null;
+    let bestScore = -Infinity;
+    for (const node of this.worldState.getNavGraph().nodes) {
+      if (node.moving) continue;
+      const score = distance(node.center, cursed.position) - 0.3 * this.distanceTo(node.center);
+      if (score > bestScore) {
+        bestScore = score;
+        best = node;
       }
     }
+    if (!best) return null;
+    this.goalTimeout = CHASE_RETARGET_MS;
+    return [...best.center];
+  }
 
-    // Obstacle collision → death
-    for (const entity of this.worldState.entities.values()) {
-      if (entity.type !== 'obstacle') continue;
-      const halfSize = entity.size.map(s => s / 2);
-      const dx = Math.abs(this.position[0] - entity.position[0]);
-      const dy = Math.abs(this.position[1] - entity.position[1]);
-      const dz = Math.abs(this.position[2] - entity.position[2]);
-
-      if (dx < 0.5 + halfSize[0] && dy < 1 + halfSize[1] && dz < 0.5 + halfSize[2]) {
-        if (Math.random() < this.personality.risk) {
-          // Risky personality might ignore collision sometimes
-          continue;
+  /** Race: head for the next checkpoint in our Race.playerProgress order. */
+  runCheckpoints() {
+    const { race } = this.personality.tactics;
+    const checkpoints = this.game?.checkpoints;
+    if (!checkpoints || Math.random() >= race) return null;
+
+    const next = checkpoints[this.game.playerProgress.get(this.id) || 0];
+    const entity = next && this.worldState.entities.get(next.entityId);
+    if (!entity) return null;
+    this.goalEntityId = entity.id;
+    return [...entity.position];
+  }
+
+  /** Survival: move to a platform above the hazard plane that isn't breaking, climbing as it rises. */
+  seekHighGround() {
+    const { safety } = this.personality.tactics;
+    const hazard = this.worldState.hazardPlane;
+    const floor = hazard.active ? hazard.height + SAFE_HEIGHT : -Infinity;
+    const breaking = this.worldState.breakingPlatforms;
+    const nodes = this.worldState.getNavGraph().nodes
+      .filter(n => !n.moving && n.top > floor && !breaking.has(n.entityId));
+    if (nodes.length === 0) return null;
+
+    let best = nodes[Math.floor(Math.random() * nodes.length)];
+    if (Math.random() < safety) {
+      let bestScore = Infinity;
+      for (const node of nodes) {
+        const score = this.distanceTo(node.center) - (hazard.active ? node.top * 2 : 0);
+        if (score < bestScore) {
+          bestScore = score;
+          best = node;
         }
-        this.die();
-        return;
       }
     }
+    this.goalEntityId = best.entityId;
+    this.goalTimeout = SURVIVAL_RETARGET_MS;
+    return [...best.center];
   }
 
-  die() {
-    if (this.state === 'dead') return;
+  /** Ids of living players inside the zone. */
+  playersInside(zone) {
+    const ids = [];
+    for (const [id, player] of this.worldState.players) {
+      if (player.state === 'alive' && player.position && insideZone(player.position, zone)) ids.push(id);
+    }
+    return ids;
+  }
 
-    this.state = 'dead';
-    this.deathCount++;
+  /** Anyone other than us, and not on our team. */
+  isRival(playerId) {
+    if (playerId === this.id) return false;
+    const teams = this.game?.isTeamMode && this.game.playerTeams;
+    return !teams || teams.get(playerId) !== teams.get(this.id);
+  }
 
-    this.broadcast('player_died', {
-      id: this.id,
-      position: [...this.position]
-    });
+  distanceTo(position) {
+    return distance(this.position, position);
+  }
 
-    const msg = this.worldState.addMessage('System', 'system', `${this.name} died`);
-    this.broadcast('chat_message', msg);
-    this.worldState.addEvent('player_death', { playerId: this.id, name: this.name });
+  /**
+   * Steer around obstacles and chasing hazards ahead of us; cautious bots swerve harder.
+   * @returns {[number, number, boolean]} steering offset, and whether to hop a low obstacle in our way
+   */
+  avoidHazards(dirX, dirZ, targetDist) {
+    const weight = 2 * (1 - this.personality.risk / 2);
+    const position = this.position;
+    let ax = 0;
+    let az = 0;
+    let hop = false;
+    for (const entity of this.worldState.entities.values()) {
+      if (entity.type !== 'obstacle' && !entity.properties?.chase) continue;
+      const half = entity.size.map(s => s / 2);
+      if (Math.abs(position[1] - entity.position[1]) > 1 + half[1] + 0.5) continue;
+
+      // Distance from our footprint to the hazard's AABB
+      const dx = position[0] - entity.position[0];
+      const dz = position[2] - entity.position[2];
+      const gapX = Math.max(0, Math.abs(dx) - half[0] - 0.5);
+      const gapZ = Math.max(0, Math.abs(dz) - half[2] - 0.5);
+      const gap = Math.sqrt(gapX * gapX + gapZ * gapZ);
+      if (gap >= AVOID_RADIUS || gap > targetDist) continue;
+
+      const len = Math.sqrt(dx * dx + dz * dz) || 1;
+      if ((dx * dirX + dz * dirZ) / len > 0) continue; // already behind us
+
+      const feet = position[1] - 1;
+      const lateral = Math.abs(dirX * dz - dirZ * dx);
+      if (entity.type === 'obstacle' && gap < HOP_DISTANCE && lateral < Math.max(half[0], half[2]) + 0.5 &&
+          entity.position[1] + half[1] - feet < JUMP_APEX - 1) {
+        hop = true;
+      }
 
-    this.chat('death');
+      // Sidestep on whichever side we're already on, so a hazard dead ahead can't cancel our
+      // heading, unless that side runs out of platform first
+      let side = dirX * dz - dirZ * dx >= 0 ? 1 : -1;
+      if (this.groundRoom(-dirZ * side, dirX * side) < SIDESTEP_ROOM) side = -side;
+      const strength = weight * (1 - gap / AVOID_RADIUS);
+      ax += -dirZ * side * strength;
+      az += dirX * side * strength;
+    }
+    return [ax, az, hop];
+  }
 
-    // Respawn after delay
-    setTimeout(() => this.respawn(), 2000);
+  /** How far we can move along (x, z) before walking off the platform under us. */
+  groundRoom(x, z) {
+    const ground = this.body.standingOn;
+    if (!ground) return Infinity;
+    const { position } = this.body;
+    let room = Infinity;
+    for (const [axis, dir] of [[0, x], [2, z]]) {
+      if (Math.abs(dir) < 1e-6) continue;
+      const edge = ground.position[axis] + Math.sign(dir) * ground.size[axis] / 2;
+      room = Math.min(room, (edge - (axis === 0 ? position.x : position.z)) / dir);
+    }
+    return room;
+  }
+
+  onDeath() {
+    this.chat('death');
   }
 
   respawn() {
-    const rp = this.worldState.respawnPoint || [0, 2, 0];
-    this.position = [...rp];
-    this.velocity = [0, 0, 0];
-    this.state = 'alive';
+    this.goal = null;
+    this.path = null;
     this.targetPosition = null;
-    this.isGrounded = true;
-
-    this.worldState.updatePlayer(this.id, {
-      state: 'alive',
-      position: [...this.position]
-    });
-
-    this.broadcast('player_respawned', { id: this.id });
+    super.respawn();
   }
 
   chat(event) {
@@ -312,6 +589,8 @@ export class AIPlayer {
   }
 
   onGameStart() {
+    this.goal = null;
+    this.path = null;
     this.chat('gameStart');
   }
 
@@ -321,11 +600,16 @@ export class AIPlayer {
       this.score++;
     }
   }
+}
 
-  remove() {
-    this.worldState.removePlayer(this.id);
-    this.broadcast('player_left', { id: this.id, name: this.name });
-  }
+/** Player hitbox overlaps the zone (same padding as KingOfHill). */
+function insideZone(position, zone) {
+  const [dx, dy, dz] = position.map((p, i) => Math.abs(p - zone.position[i]));
+  return dx < zone.size[0] / 2 + 1 && dy < zone.size[1] / 2 + 2 && dz < zone.size[2] / 2 + 1;
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
 }
 
 export { PERSONALITIES };
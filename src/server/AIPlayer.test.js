@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the bots' game-type tactics: which target they pick
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorldState } from './WorldState.js';
+import { AIPlayer } from './AIPlayer.js';
+import { createGameSync } from './games/index.js';
+
+const noop = () => {};
+
+/** A world with the given entities, a bot and named humans, and a started mini-game. */
+function setup(gameType, { entities = [], humans = [], personality = 'tryhard' } = {}) {
+  const ws = new WorldState();
+  for (const [type, position, size, properties] of entities) ws.spawnEntity(type, position, size, properties);
+  const bot = new AIPlayer(ws, noop, personality);
+  for (const id of humans) ws.addPlayer(id, id, 'human');
+  const game = createGameSync(gameType, ws, noop).start();
+  bot.game = game;
+  return { ws, bot, game };
+}
+
+/** Put a player (bot or human) somewhere, in the world and in the bot's own body. */
+function place(ws, player, position) {
+  if (player instanceof AIPlayer) player.position = position;
+  ws.updatePlayer(player.id ?? player, { position });
+}
+
+const hill = (position) => ['trigger', position, [6, 3, 6], { isHill: true }];
+const platform = (position) => ['platform', position, [6, 1, 6]];
+
+test('king: a bot alone on a hill stays on it', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { ws, bot } = setup('king', { entities: [hill([6, 1.5, 0]), hill([-10, 1.5, 0])] });
+  const [near] = [...ws.entities.values()].filter(e => e.properties.isHill);
+  place(ws, bot, [6, 2, 0]);
+
+  assert.deepEqual(bot.pickGoal('playing'), near.position);
+});
+
+test('king: a pushy bot chases a rival holding a hill alone', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { ws, bot } = setup('king', { entities: [hill([6, 1.5, 0])], humans: ['holder'] });
+  place(ws, bot, [0, 2, 0]);
+  place(ws, 'holder', [6, 2, 1]);
+
+  assert.deepEqual(bot.pickGoal('playing'), [6, 2, 1]);
+  assert.equal(bot.goalPlayerId, 'holder');
+});
+
+test('king: a cautious bot heads for a free hill over a nearer held one', (t) => {
+  t.mock.method(Math, 'random', () => 0.3); // contests (0.3 < 0.5), doesn't push (0.3 >= 0.2)
+  const { ws, bot } = setup('king', {
+    entities: [hill([6, 1.5, 0]), hill([-10, 1.5, 0])], humans: ['holder'], personality: 'explorer',
+  });
+  place(ws, bot, [0, 2, 0]);
+  place(ws, 'holder', [6, 2, 0]);
+
+  assert.deepEqual(bot.pickGoal('playing'), [-10, 1.5, 0]);
+  assert.equal(bot.goalPlayerId, null);
+});
+
+test('hot potato: the cursed bot chases the nearest rival still in the game', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { ws, bot, game } = setup('hot_potato', { humans: ['near', 'far', 'out'] });
+  game.cursedPlayerId = bot.id;
+  game.players.get('out').alive = false;
+  place(ws, bot, [0, 2, 0]);
+  place(ws, 'near', [5, 2, 0]);
+  place(ws, 'far', [15, 2, 0]);
+  place(ws, 'out', [1, 2, 0]);
+
+  assert.deepEqual(bot.pickGoal('playing'), [5, 2, 0]);
+  assert.equal(bot.goalPlayerId, 'near');
+});
+
+test('hot potato: bots flee a nearby curse to the platform farthest from it', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { ws, bot, game } = setup('hot_potato', {
+    entities: [platform([-20, 0, 0]), platform([0, 0, 0]), platform([20, 0, 0])], humans: ['cursed'],
+  });
+  game.cursedPlayerId = 'cursed';
+  place(ws, bot, [2, 2, 0]);
+  place(ws, 'cursed', [8, 2, 0]);
+
+  const [x, , z] = bot.pickGoal('playing');
+  assert.deepEqual([x, z], [-20, 0]);
+
+  // Out of FLEE_RADIUS the curse is no reason to move
+  place(ws, 'cursed', [20, 2, 0]);
+  assert.equal(bot.pickTacticGoal('hot_potato'), null);
+});
+
+test('race: bots head for their next checkpoint and stop once the course is done', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const checkpoint = (index, position) => ['trigger', position, [3, 3, 3], { isCheckpoint: true, checkpointIndex: index }];
+  const { bot, game } = setup('race', {
+    entities: [checkpoint(2, [0, 3, -20]), checkpoint(0, [0, 3, 0]), checkpoint(1, [5, 3, -10])],
+  });
+
+  assert.deepEqual(bot.pickGoal('playing'), [0, 3, 0]);
+  game.playerProgress.set(bot.id, 1);
+  assert.deepEqual(bot.pickGoal('playing'), [5, 3, -10]);
+  assert.equal(bot.goalEntityId, game.checkpoints[1].entityId);
+
+  game.playerProgress.set(bot.id, game.totalCheckpoints);
+  assert.equal(bot.pickTacticGoal('race'), null);
+});
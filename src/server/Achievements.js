@@ -0,0 +1,48 @@
+/**
+ * Achievements - Declarative unlocks over persistent player stats
+ *
+ * Each achievement reads one number from a player's stats and unlocks when it
+ * reaches `goal` (or drops to it, for `lowerIsBetter` stats like race time).
+ * Evaluated by StatsManager whenever a player's stats are saved.
+ */
+
+const totalGames = (s) => Object.values(s.gamesPlayed).reduce((sum, n) => sum + n, 0);
+
+export const ACHIEVEMENTS = [
+  { id: 'first_game', name: 'Fresh Meat', description: 'Play your first game', goal: 1, value: totalGames },
+  { id: 'veteran', name: 'Veteran', description: 'Play 50 games', goal: 50, value: totalGames },
+  { id: 'all_rounder', name: 'All-Rounder', description: 'Play 6 different game types', goal: 6, value: (s) => Object.keys(s.gamesPlayed).length },
+  { id: 'rising_tide', name: 'Rising Tide', description: 'Survive 5 hazard-plane rises', goal: 5, value: (s) => s.hazardRisesSurvived },
+  { id: 'speedrunner', name: 'Speedrunner', description: 'Finish a race in under 30 seconds', goal: 30000, lowerIsBetter: true, value: (s) => s.bestRaceTimeMs },
+  { id: 'iron_will', name: 'Iron Will', description: 'Stay alive for 2 minutes in Survival', goal: 120000, value: (s) => s.longestSurvivalMs },
+  { id: 'hot_hands', name: 'Hot Hands', description: 'Pass the curse 25 times', goal: 25, value: (s) => s.cursePasses },
+  { id: 'hill_dweller', name: 'Hill Dweller', description: 'Spend 5 minutes in king zones', goal: 300000, value: (s) => s.kingZoneMs },
+  { id: 'crash_test', name: 'Crash Test Dummy', description: 'Die to obstacles 50 times', goal: 50, value: (s) => s.deaths.obstacle || 0 },
+  { id: 'lava_bath', name: 'Lava Bath', description: 'Fall into lava 10 times', goal: 10, value: (s) => s.deaths.lava || 0 },
+];
+
+export function isUnlocked(achievement, stats) {
+  const value = achievement.value(stats);
+  if (value === null || value === undefined) return false;
+  return achievement.lowerIsBetter ? value <= achievement.goal : value >= achievement.goal;
+}
+
+/** Ids of achievements the stats now satisfy that aren't in `unlockedIds` yet. */
+export function findNewAchievements(stats, unlockedIds) {
+  return ACHIEVEMENTS.filter(a => !unlockedIds.has(a.id) && isUnlocked(a, stats));
+}
+
+/** Public view of every achievement for one player: progress plus unlock time. */
+export function describeAchievements(stats, unlocked) {
+  const unlockedAt = new Map(unlocked.map(u => [u.id, u.unlockedAt]));
+  return ACHIEVEMENTS.map(({ id, name, description, goal, lowerIsBetter, value }) => ({
+    id,
+    name,
+    description,
+    goal,
+    progress: value(stats) ?? null,
+    ...(lowerIsBetter && { lowerIsBetter }),
+    unlocked: unlockedAt.has(id),
+    unlockedAt: unlockedAt.get(id) || null,
+  }));
+}
@@ -0,0 +1,110 @@
+/**
+ * AgentPlayer - An external agent's avatar, moved by the server's physics
+ *
+ * Agents don't send positions; they send movement intents (a direction to
+ * walk in or a waypoint to walk to, sprint, jump) and the arena tick steps
+ * the body with them like any other player, so agent players fall, collide
+ * and die on obstacles and the hazard plane by the same rules as humans.
+ */
+
+import { SimulatedPlayer } from './SimulatedPlayer.js';
+
+const WAYPOINT_REACHED = 1;  // horizontal distance that counts as arrived
+
+export class AgentPlayer extends SimulatedPlayer {
+  /**
+   * @param {object} worldState
+   * @param {function} broadcastFn
+   * @param {{ id: string, name: string, token: string }} identity
+   */
+  constructor(worldState, broadcastFn, { id, name, token }) {
+    super(worldState, broadcastFn, { id, name, type: 'agent' });
+    this.token = token;          // session token from join; authorizes every action
+    this.joinedAt = Date.now();
+    this.lastAction = Date.now();
+    this.sessionId = null;       // agent_player room connection, if any
+
+    // Held until replaced; a jump is queued for the next grounded moment
+    this.direction = null;       // [x, z], length <= 1
+    this.waypoint = null;        // [x, y, z]
+    this.sprint = false;
+    this.jumpQueued = false;
+  }
+
+  /**
+   * Apply a validated intent. A direction replaces the waypoint and vice versa;
+   * omitted fields keep their current value.
+   * @param {{ direction?: number[]|null, waypoint?: number[]|null, jump?: boolean, sprint?: boolean }} intent
+   */
+  setIntent({ direction, waypoint, jump, sprint }) {
+    if (direction !== undefined) {
+      this.direction = direction;
+      this.waypoint = null;
+    }
+    if (waypoint !== undefined) {
+      this.waypoint = waypoint;
+      this.direction = null;
+    }
+    if (sprint !== undefined) this.sprint = sprint;
+    if (jump) this.jumpQueued = true;
+    this.lastAction = Date.now();
+  }
+
+  /** Current intent, as reported back to the agent. */
+  get intent() {
+    return { direction: this.direction, waypoint: this.waypoint, sprint: this.sprint };
+  }
+
+  /**
+   * @param {number} delta
+   * @param {object|null} [game] - the arena's current mini-game
+   */
+  update(delta, game = null) {
+    if (this.state === 'dead') return;
+    this.game = game?.isActive ? game : null;
+    this.step(this.steer(), delta);
+  }
+
+  /** Turn the intent into the move/jump input a browser would send. */
+  steer() {
+    const input = { moveX: 0, moveZ: 0, jump: false, sprint: this.sprint };
+    const body = this.body;
+
+    // Hold jump for a full-height arc once we're rising
+    if (body.isJumping && body.velocity.y > 0) input.jump = true;
+    if (this.jumpQueued && (body.isGrounded || body.coyoteTimer > 0)) {
+      input.jump = true;
+      this.jumpQueued = false;
+    }
+
+    if (this.waypoint) {
+      const dx = this.waypoint[0] - body.position.x;
+      const dz = this.waypoint[2] - body.position.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist <= WAYPOINT_REACHED) {
+        this.waypoint = null;
+      } else {
+        // Ease off over the last couple of units so we stop on the spot instead of overshooting
+        const scale = Math.min(1, dist / 2) / dist;
+        input.moveX = dx * scale;
+        input.moveZ = dz * scale;
+      }
+    } else if (this.direction) {
+      [input.moveX, input.moveZ] = this.direction;
+    }
+    return input;
+  }
+
+  onDeath(cause, announced) {
+    // Same as a human death report; the tick loop already recorded the ones it announced
+    if (!announced && cause) this.worldState.recordDeath(this.id, cause);
+  }
+
+  respawn() {
+    // Don't walk straight back into whatever killed us
+    this.direction = null;
+    this.waypoint = null;
+    this.jumpQueued = false;
+    super.respawn();
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * AgentPlayerRoom - Colyseus room for external AI players (agent_player)
+ *
+ * Real-time alternative to polling /api/agent-player/:id/state. An agent
+ * joins over HTTP (POST /api/agent-player/join), then joins this room with
+ * { arenaId, sessionToken }. It gets:
+ *   init          full world state on join
+ *   tick          every AGENT_PLAYER_TICK_MS: its own state plus every player's position
+ *   <event>       every arena broadcast except player_moved (entity spawns/deltas,
+ *                 curse_changed, checkpoint_reached, spell_cast, chat_message, ...),
+ *                 narrowed with a `subscribe` message
+ * and sends:
+ *   move          { direction | waypoint, jump, sprint } — a movement intent the
+ *                 arena tick simulates (see AgentPlayer)
+ *   chat          { text }
+ *   subscribe     { events: string[] | null }
+ *   get_state     → state (the same payload as the HTTP endpoint)
+ * Move and chat share the HTTP rate limits; rejections come back as
+ * error { action, code, error }.
+ */
+
+import Colyseus from 'colyseus';
+const { Room, ServerError, ErrorCode } = Colyseus;
+import {
+  moveAgentPlayer, sendAgentPlayerChat, getAgentPlayerState, authenticateAgentPlayer,
+} from './services/agentPlayerService.js';
+import { clientIp } from './clientAddress.js';
+import { AGENT_PLAYER_TICK_MS } from './constants.js';
+
+// Covered by the tick snapshot
+const NOT_RELAYED = new Set(['player_moved']);
+
+export class AgentPlayerRoom extends Room {
+  // ArenaManager injected by server at startup
+  static arenaManager = null;
+
+  arena = null;
+
+  async onCreate(options) {
+    const arenaId = options?.arenaId || 'chaos';
+    const manager = AgentPlayerRoom.arenaManager;
+    if (manager) {
+      this.arena = await manager.resolveArena(arenaId);
+      if (!this.arena) throw new Error(`Arena not found: ${arenaId}`);
+      this.arena.agentRoom = this;
+    }
+
+    console.log(`[AgentPlayerRoom] Room created for arena: ${arenaId}`);
+
+    this.onMessage('move', (client, data) => {
+      const { token, ip } = client.userData;
+      this._reportError(client, 'move', moveAgentPlayer(this.arena, token, data, ip));
+    });
+
+    this.onMessage('chat', (client, data) => {
+      const { token, ip } = client.userData;
+      this._reportError(client, 'chat', sendAgentPlayerChat(this.arena, token, data?.text, ip));
+    });
+
+    this.onMessage('subscribe', (client, data) => {
+      const events = Array.isArray(data?.events) ? data.events.filter(e => typeof e === 'string') : null;
+      client.userData.events = events ? new Set(events) : null;
+      client.send('subscribed', { events });
+    });
+
+    this.onMessage('get_state', (client) => {
+      const { success, status: _status, code, error, ...state } = getAgentPlayerState(this.arena, client.userData.token);
+      client.send(success ? 'state' : 'error', success ? state : { action: 'get_state', code, error });
+    });
+
+    this.clock.setInterval(() => this._tick(), AGENT_PLAYER_TICK_MS);
+  }
+
+  // Only agent players that joined over HTTP can connect, with the session token they got
+  onAuth(client, options, request) {
+    const result = this.arena ? authenticateAgentPlayer(this.arena, options?.sessionToken) : { success: false };
+    if (!result.success) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, 'Invalid session token. Join first.');
+    }
+    return { playerId: result.agent.id, token: options.sessionToken, ip: clientIp(request) };
+  }
+
+  onJoin(client, options, { playerId, token, ip }) {
+    // One connection per agent player: a reconnect replaces the old socket
+    this.disconnectPlayer(playerId);
+
+    client.userData = { playerId, token, ip, events: null };
+    this.arena.agentPlayers.get(playerId).sessionId = client.sessionId;
+
+    client.send('init', {
+      playerId,
+      tickMs: AGENT_PLAYER_TICK_MS,
+      me: this.arena.worldState.players.get(playerId) || null,
+      worldState: this.arena.worldState.getState(),
+    });
+    console.log(`[AgentPlayerRoom] ${playerId} connected`);
+  }
+
+  onLeave(client) {
+    const entry = this.arena?.agentPlayers.get(client.userData?.playerId);
+    if (entry?.sessionId === client.sessionId) entry.sessionId = null;
+  }
+
+  onDispose() {
+    if (this.arena?.agentRoom === this) this.arena.agentRoom = null;
+  }
+
+  /** Close the connection of an agent player (it left, or connected again elsewhere). */
+  disconnectPlayer(playerId) {
+    for (const client of this.clients) {
+      if (client.userData?.playerId === playerId) client.leave(4000);
+    }
+  }
+
+  /** Called by ArenaInstance for every room broadcast. */
+  relay(type, data) {
+    if (NOT_RELAYED.has(type)) return;
+    for (const client of this.clients) {
+      if (!client.userData) continue;
+      if (client.userData.events && !client.userData.events.has(type)) continue;
+      client.send(type, data);
+    }
+  }
+
+  _tick() {
+    if (!this.arena || this.clients.length === 0) return;
+    const ws = this.arena.worldState;
+
+    const players = ws.getPlayers().map(p => ({
+      id: p.id, name: p.name, type: p.type, state: p.state, position: p.position,
+    }));
+    const serverTime = Date.now();
+    for (const client of this.clients) {
+      if (!client.userData) continue;
+      const me = ws.players.get(client.userData.playerId);
+      const agent = this.arena.agentPlayers.get(client.userData.playerId);
+      client.send('tick', {
+        serverTime,
+        me: me ? { position: me.position, velocity: me.velocity, state: me.state, intent: agent?.intent ?? null } : null,
+        players,
+      });
+    }
+  }
+
+  // Successes show up in the next tick or broadcast; only failures need an answer
+  _reportError(client, action, result) {
+    if (!result.success) {
+      const { code, error, retryAfterMs } = result;
+      client.send('error', { action, code, error, ...(retryAfterMs && { retryAfterMs }) });
+    }
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * AntiCheat - Server-side sanity checks for client-reported game events
+ *
+ * Clients report pickups and trigger hits themselves, so the server checks
+ * each report against the sender's last known position before honoring it.
+ * Movement updates are checked against the previous accepted position and
+ * elapsed time; impossible moves are rejected and the caller snaps the player back.
+ * Rejections raise a per-player suspicion score that decays over time;
+ * players above the threshold are reported as flagged.
+ */
+
+import {
+  ANTICHEAT_PROXIMITY_TOLERANCE, ANTICHEAT_LATENCY_SLACK_S,
+  ANTICHEAT_SUSPICION_DECAY, ANTICHEAT_FLAG_THRESHOLD, MOVE_LIMITS,
+} from './constants.js';
+import { SPELL } from '../shared/constants.js';
+import { PLAYER_HALF_EXTENTS } from '../shared/physics.js';
+
+// How long a bounce pad / wind zone / moving surface stays credited after contact
+const SOURCE_LINGER_MS = 1500;
+
+function samePosition(a, b) {
+  return Math.abs(a[0] - b[0]) < 0.01 && Math.abs(a[1] - b[1]) < 0.01 && Math.abs(a[2] - b[2]) < 0.01;
+}
+
+// Credit a speed source until `until`, keeping the larger value while an earlier credit is live
+function credit(slot, value, until, now) {
+  slot.value = now < slot.until ? Math.max(slot.value, value) : value;
+  slot.until = Math.max(slot.until, until);
+}
+
+export class AntiCheat {
+  constructor(worldState) {
+    this.worldState = worldState;
+    this.suspicion = new Map(); // playerId -> { name, score, rejections, lastReason, lastRejectAt, updatedAt }
+    this.movement = new Map();  // playerId -> { position, at, graceUntil, boost, bounce, wind, carry }
+  }
+
+  /**
+   * True if the player's last known position is within reach of the entity's AABB.
+   * Tolerance grows with the player's speed to absorb move-message latency.
+   */
+  isNearEntity(player, entity) {
+    const pos = player.position;
+    const vel = player.velocity || [0, 0, 0];
+    const speed = Math.sqrt(vel[0] ** 2 + vel[1] ** 2 + vel[2] ** 2);
+    const tolerance = ANTICHEAT_PROXIMITY_TOLERANCE + speed * ANTICHEAT_LATENCY_SLACK_S;
+    const size = entity.size || [1, 1, 1];
+
+    for (let i = 0; i < 3; i++) {
+      const gap = Math.abs(pos[i] - entity.position[i]) - size[i] / 2 - PLAYER_HALF_EXTENTS[i];
+      if (gap > tolerance) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate a collect/trigger report. Returns true if the event should be honored.
+   * @param {string} playerId
+   * @param {object} entity - server-side entity the client claims to have touched
+   * @param {string} eventType - 'collect' | 'trigger_activated'
+   */
+  checkProximity(playerId, entity, eventType) {
+    const player = this.worldState.players.get(playerId);
+    if (!player) return false;
+    if (this.isNearEntity(player, entity)) return true;
+
+    const [px, py, pz] = player.position;
+    const [ex, ey, ez] = entity.position;
+    const distance = Math.round(Math.sqrt((px - ex) ** 2 + (py - ey) ** 2 + (pz - ez) ** 2) * 10) / 10;
+    this.reject(playerId, eventType, { entityId: entity.id, distance });
+    return false;
+  }
+
+  /**
+   * Check a `move` update against the last accepted position and elapsed time.
+   * Returns null if the move is plausible, otherwise the authoritative position
+   * the player should be snapped back to.
+   */
+  validateMove(playerId, position) {
+    const player = this.worldState.players.get(playerId);
+    if (!player) return null;
+    const now = Date.now();
+
+    // First update after joining is checked against the server spawn position
+    let track = this.movement.get(playerId);
+    if (!track) {
+      track = {
+        position: [...player.position], at: now, graceUntil: now + MOVE_LIMITS.graceMs,
+        boost: { value: 0, until: 0 }, bounce: { value: 0, until: 0 },
+        wind: { value: 0, until: 0 }, carry: { value: 0, until: 0 },
+      };
+      this.movement.set(playerId, track);
+    }
+
+    // Server moved the player (respawn, game-start teleport) — rebase and let in-flight updates settle.
+    // This is the only re-anchor: dead players are held to the same limits until the server respawns them.
+    if (!samePosition(track.position, player.position)) {
+      track.position = [...player.position];
+      track.at = now;
+      track.graceUntil = now + MOVE_LIMITS.graceMs;
+    }
+
+    this._creditMovementSources(track, now);
+    const limits = this._movementLimits(track, now);
+    const elapsed = Math.min((now - track.at) / 1000, MOVE_LIMITS.maxElapsedS) + ANTICHEAT_LATENCY_SLACK_S;
+
+    const dx = position[0] - track.position[0];
+    const dy = position[1] - track.position[1];
+    const dz = position[2] - track.position[2];
+    const horizontal = Math.sqrt(dx * dx + dz * dz);
+    const allowedHorizontal = limits.horizontal * elapsed + MOVE_LIMITS.margin;
+    const allowedUp = limits.up * elapsed + MOVE_LIMITS.margin;
+    const allowedDown = MOVE_LIMITS.terminalVelocity * elapsed + MOVE_LIMITS.margin;
+
+    if (horizontal <= allowedHorizontal && dy <= allowedUp && -dy <= allowedDown) {
+      track.position = [...position];
+      track.at = now;
+      return null;
+    }
+
+    // One suspicion hit per grace window so a single desync doesn't count once per in-flight update
+    if (now >= track.graceUntil) {
+      track.graceUntil = now + MOVE_LIMITS.graceMs;
+      this.reject(playerId, 'move', {
+        distance: Math.round(Math.sqrt(horizontal * horizontal + dy * dy) * 10) / 10,
+        allowed: Math.round(allowedHorizontal * 10) / 10,
+      });
+    }
+    return [...track.position];
+  }
+
+  // Credit speed sources (boost pads, bounce pads, wind, conveyors, moving platforms) near the player
+  _creditMovementSources(track, now) {
+    const probe = { position: track.position };
+    for (const entity of this.worldState.entities.values()) {
+      const props = entity.properties;
+      if (!props) continue;
+      const isMovingSurface = props.isConveyor || (props.kinematic && props.path?.length >= 2);
+      if (!props.isSpeedBoost && !props.isBounce && !props.isWind && !isMovingSurface) continue;
+      if (!this.isNearEntity(probe, entity)) continue;
+
+      const lingerUntil = now + SOURCE_LINGER_MS;
+      if (props.isSpeedBoost) {
+        credit(track.boost, MOVE_LIMITS.boostPadMultiplier, now + (props.boostDuration || 3000) + MOVE_LIMITS.effectLingerMs, now);
+      }
+      if (props.isBounce) {
+        credit(track.bounce, props.bounceForce || 18, lingerUntil, now);
+      }
+      if (props.isWind) {
+        const [fx, fy, fz] = props.windForce || [0, 0, 0];
+        credit(track.wind, Math.sqrt(fx * fx + fy * fy + fz * fz), lingerUntil, now);
+      }
+      if (props.isConveyor) {
+        credit(track.carry, props.conveyorSpeed || 6, lingerUntil, now);
+      }
+      if (props.kinematic && props.path?.length >= 2) {
+        const start = props.path[0];
+        const end = props.path.at(-1);
+        const length = Math.sqrt((end[0] - start[0]) ** 2 + (end[1] - start[1]) ** 2 + (end[2] - start[2]) ** 2);
+        credit(track.carry, (props.speed || 2) * length, lingerUntil, now);
+      }
+    }
+  }
+
+  // Max horizontal and upward speed (units/sec) given active spells and credited sources
+  _movementLimits(track, now) {
+    const effects = this.worldState.activeEffects;
+    const hasEffect = (type) => effects.some(e =>
+      e.type === type && now - e.startTime < e.duration + MOVE_LIMITS.effectLingerMs
+    );
+
+    let horizontal = hasEffect(SPELL.SPEED_BOOST) ? MOVE_LIMITS.speedBoostSpell : MOVE_LIMITS.sprintSpeed;
+    if (now < track.boost.until) horizontal *= track.boost.value;
+
+    let up = MOVE_LIMITS.jumpForce;
+    if (hasEffect(SPELL.BOUNCY)) up *= 1.5;
+    if (hasEffect(SPELL.GIANT)) up *= 1.2;
+    if (now < track.bounce.until) up = Math.max(up, track.bounce.value);
+
+    if (now < track.wind.until) {
+      horizontal += track.wind.value;
+      up += track.wind.value;
+    }
+    if (now < track.carry.until) {
+      horizontal += track.carry.value;
+      up += track.carry.value;
+    }
+    return { horizontal, up };
+  }
+
+  reject(playerId, eventType, details = {}) {
+    const now = Date.now();
+    const player = this.worldState.players.get(playerId);
+    const name = player?.name || playerId.slice(0, 8);
+
+    let entry = this.suspicion.get(playerId);
+    if (!entry) {
+      entry = { name, score: 0, rejections: 0, lastReason: null, lastRejectAt: 0, updatedAt: now };
+      this.suspicion.set(playerId, entry);
+    }
+    this._decay(entry, now);
+    entry.name = name;
+    entry.score += 1;
+    entry.rejections++;
+    entry.lastReason = eventType;
+    entry.lastRejectAt = now;
+
+    this.worldState.addEvent('anticheat_reject', {
+      playerId, name, eventType, ...details, suspicion: Math.round(entry.score * 10) / 10
+    });
+    console.warn(`[AntiCheat] Rejected ${eventType} from ${name} (suspicion ${entry.score.toFixed(1)})`);
+    return entry;
+  }
+
+  _decay(entry, now) {
+    const elapsed = (now - entry.updatedAt) / 1000;
+    entry.score = Math.max(0, entry.score - elapsed * ANTICHEAT_SUSPICION_DECAY);
+    entry.updatedAt = now;
+  }
+
+  getSuspicion(playerId) {
+    const entry = this.suspicion.get(playerId);
+    if (!entry) return 0;
+    this._decay(entry, Date.now());
+    return entry.score;
+  }
+
+  getFlaggedPlayers() {
+    const now = Date.now();
+    const flagged = [];
+    for (const [playerId, entry] of this.suspicion) {
+      this._decay(entry, now);
+      if (entry.score < ANTICHEAT_FLAG_THRESHOLD) continue;
+      flagged.push({
+        playerId,
+        name: entry.name,
+        suspicion: Math.round(entry.score * 10) / 10,
+        rejections: entry.rejections,
+        lastReason: entry.lastReason,
+        lastRejectAt: entry.lastRejectAt,
+        connected: this.worldState.players.has(playerId),
+      });
+    }
+    return flagged.sort((a, b) => b.suspicion - a.suspicion);
+  }
+
+  removePlayer(playerId) {
+    this.movement.delete(playerId);
+    // Keep flagged players on record so leaving doesn't clear their status
+    const entry = this.suspicion.get(playerId);
+    if (entry && this.getSuspicion(playerId) < ANTICHEAT_FLAG_THRESHOLD) {
+      this.suspicion.delete(playerId);
+    }
+  }
+}
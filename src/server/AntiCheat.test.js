@@ -0,0 +1,98 @@
+/**
+ * Unit tests for movement validation
+ *
+ * Run: npm run test:server
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AntiCheat } from './AntiCheat.js';
+import { WorldState } from './WorldState.js';
+import { MOVE_LIMITS } from './constants.js';
+import { PLAYER_PHYSICS } from '../shared/physics.js';
+
+let ws;
+let antiCheat;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  ws = new WorldState();
+  antiCheat = new AntiCheat(ws);
+  ws.addPlayer('p1', 'Runner');
+  ws.players.get('p1').position = [0, 1, 0];
+});
+
+afterEach(() => mock.timers.reset());
+
+// What GameRoom does with a move: validate, then store it if accepted
+function move(position) {
+  const corrected = antiCheat.validateMove('p1', position);
+  if (!corrected) ws.updatePlayer('p1', { position });
+  return corrected;
+}
+
+test('limits come from the shared player physics', () => {
+  assert.equal(MOVE_LIMITS.sprintSpeed, PLAYER_PHYSICS.SPRINT_SPEED);
+  assert.equal(MOVE_LIMITS.jumpForce, PLAYER_PHYSICS.JUMP_FORCE);
+  assert.equal(MOVE_LIMITS.terminalVelocity, -PLAYER_PHYSICS.TERMINAL_VELOCITY);
+});
+
+test('a sprint at full speed is accepted', () => {
+  assert.equal(move([0, 1, 0]), null);
+  for (let i = 1; i <= 10; i++) {
+    mock.timers.tick(100);
+    assert.equal(move([i * PLAYER_PHYSICS.SPRINT_SPEED / 10, 1, 0]), null);
+  }
+  // A full jump's rise in one update
+  mock.timers.tick(1000);
+  assert.equal(move([PLAYER_PHYSICS.SPRINT_SPEED, 1 + PLAYER_PHYSICS.JUMP_FORCE, 0]), null);
+  assert.equal(antiCheat.getSuspicion('p1'), 0);
+});
+
+test('a teleport is rejected and snapped back', () => {
+  move([0, 1, 0]);
+  mock.timers.tick(MOVE_LIMITS.graceMs + 100);
+  assert.equal(move([1, 1, 0]), null);
+
+  mock.timers.tick(100);
+  assert.deepEqual(move([80, 1, 0]), [1, 1, 0]);
+  assert.deepEqual(ws.players.get('p1').position, [1, 1, 0]);
+  assert.equal(antiCheat.getSuspicion('p1'), 1);
+  assert.equal(ws.events.at(-1).type, 'anticheat_reject');
+});
+
+test('moves in flight during the grace window are corrected without suspicion', () => {
+  move([0, 1, 0]);
+  mock.timers.tick(MOVE_LIMITS.graceMs + 100);
+
+  // Server teleport (respawn, game start): the client's next few moves still come from the old spot
+  ws.players.get('p1').position = [40, 5, 40];
+  assert.deepEqual(move([0.5, 1, 0]), [40, 5, 40]);
+  mock.timers.tick(100);
+  assert.deepEqual(move([1, 1, 0]), [40, 5, 40]);
+  assert.equal(antiCheat.getSuspicion('p1'), 0);
+  assert.equal(move([40.5, 5, 40]), null);
+
+  // Once it runs out, the next impossible move counts, once per window
+  mock.timers.tick(MOVE_LIMITS.graceMs);
+  move([0, 1, 0]);
+  move([0, 1, 0]);
+  assert.equal(antiCheat.getSuspicion('p1'), 1);
+});
+
+test('dead players can\'t move anywhere until the server respawns them', () => {
+  move([0, 1, 0]);
+  mock.timers.tick(MOVE_LIMITS.graceMs + 100);
+  ws.updatePlayer('p1', { state: 'dead' });
+
+  assert.deepEqual(move([60, 1, 0]), [0, 1, 0]);
+  assert.equal(antiCheat.getSuspicion('p1'), 1);
+  mock.timers.tick(100);
+  assert.equal(move([0, -1, 0]), null); // the body still falls while dead
+
+  // GameRoom's respawn handler puts the player back at the respawn point
+  ws.updatePlayer('p1', { state: 'alive', position: [30, 2, 30] });
+  mock.timers.tick(100);
+  assert.equal(move([30, 2, 30.5]), null);
+  assert.equal(antiCheat.suspicion.get('p1').rejections, 1);
+});
@@ -0,0 +1,80 @@
+/**
+ * ArenaHibernation - Saved arena state for hibernation and restarts
+ *
+ * Stores ArenaInstance.serialize() output in the arena_states table when
+ * Postgres is available, otherwise as JSON under data/arenas/<id>.json.
+ * ArenaManager hibernates idle arenas through here and wakes them on access.
+ */
+
+import { mkdir, writeFile, readFile, readdir, rename, unlink } from 'fs/promises';
+import path from 'path';
+import { isDBAvailable, saveArenaState, loadArenaState, loadArenaStates, deleteArenaState, quarantineArenaState } from './db.js';
+
+export const ARENA_STATE_DIR = path.resolve(process.env.ARENA_STATE_DIR || 'data/arenas');
+const ARENA_ID_RE = /^[a-z0-9-]{1,64}$/;
+
+function stateFile(id) {
+  if (!ARENA_ID_RE.test(id)) throw new Error(`Invalid arena id: ${id}`);
+  return path.join(ARENA_STATE_DIR, `${id}.json`);
+}
+
+/** Persist a serialized arena. Throws if it could not be saved. */
+export async function storeArena(saved) {
+  if (isDBAvailable()) return saveArenaState(saved.id, saved);
+
+  const file = stateFile(saved.id);
+  await mkdir(ARENA_STATE_DIR, { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated world
+  await writeFile(`${file}.tmp`, JSON.stringify(saved));
+  await rename(`${file}.tmp`, file);
+}
+
+/** Saved arena by id, or null if none. */
+export async function fetchArena(id) {
+  if (isDBAvailable()) return loadArenaState(id);
+  try {
+    return JSON.parse(await readFile(stateFile(id), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export async function discardArena(id) {
+  if (isDBAvailable()) return deleteArenaState(id);
+  try {
+    await unlink(stateFile(id));
+  } catch {
+    // Never saved
+  }
+}
+
+/**
+ * Set aside a saved arena that failed to restore so it isn't loaded again,
+ * without losing it: files are renamed to <id>.json.<time>.corrupt, rows move
+ * to the quarantined_arena_states table.
+ */
+export async function quarantineArena(id) {
+  if (isDBAvailable()) return quarantineArenaState(id);
+  const file = stateFile(id);
+  try {
+    await rename(file, `${file}.${Date.now()}.corrupt`);
+  } catch {
+    // Already gone
+  }
+}
+
+/** Every saved arena, oldest first. */
+export async function listStoredArenas() {
+  if (isDBAvailable()) return loadArenaStates();
+
+  let files;
+  try {
+    files = await readdir(ARENA_STATE_DIR);
+  } catch {
+    return [];
+  }
+  const saved = await Promise.all(files
+    .filter(f => f.endsWith('.json'))
+    .map(f => fetchArena(f.slice(0, -'.json'.length))));
+  return saved.filter(Boolean).sort((a, b) => a.savedAt - b.savedAt);
+}
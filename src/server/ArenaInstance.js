@@ -2,17 +2,19 @@
  * ArenaInstance - Bundles all per-arena state
  *
  * Each arena gets its own WorldState, MiniGame lifecycle, SSE clients,
- * webhooks, auto-start timer, rate limits, AI players, and agent players.
+ * webhooks, anti-cheat, replay recorder, tournament, auto-start timer, rate limits, AI players, and agent players.
  */
 
 import { WorldState } from './WorldState.js';
-
-const SSE_EVENTS = new Set([
-  'announcement', 'player_died', 'spell_cast', 'game_state_changed',
-  'player_joined', 'player_left', 'chat_message', 'floor_changed',
-  'entity_spawned', 'entity_destroyed',
-  'entities_batch', 'entities_destroyed_batch', 'world_cleared',
-]);
+import { AntiCheat } from './AntiCheat.js';
+import { EntityDeltaEncoder } from './EntityDelta.js';
+import { BandwidthMeter } from './BandwidthMeter.js';
+import { InterestManager } from './InterestManager.js';
+import { WebhookDispatcher } from './WebhookDispatcher.js';
+import { EventStream, SSE_EVENTS } from './EventStream.js';
+import { DEFAULT_AI_ROSTER } from './AIPersonalities.js';
+import { SESSION_RESUME_MS, AGENT_PLAYER_LIMITS } from './constants.js';
+import { VALID_GAME_TYPES } from '../shared/constants.js';
 
 export class ArenaInstance {
   constructor(id, config = {}) {
@@ -29,29 +31,44 @@ export class ArenaInstance {
 
     this.config = {
       maxPlayers: config.maxPlayers || 8,
+      maxAgentPlayers: config.maxAgentPlayers ?? AGENT_PLAYER_LIMITS.maxPerArena, // external agent players (agentPlayerService)
+      agentIdleTimeoutMs: config.agentIdleTimeoutMs || AGENT_PLAYER_LIMITS.idleTimeoutMs,
       entryFee: config.entryFee || 0,
       rewards: config.rewards || '',
-      allowedGameTypes: config.allowedGameTypes || ['reach', 'collect', 'survival', 'king', 'hot_potato', 'race'],
+      allowedGameTypes: config.allowedGameTypes || [...VALID_GAME_TYPES],
       defaultTemplate: config.defaultTemplate || null,
       environment: config.environment || {},
       rules: config.rules || '',
       autoStartDelay: config.autoStartDelay || 45000,
+      aiPersonalities: config.aiPersonalities || [], // custom AI personalities (AIPersonalities.js)
+      aiRoster: config.aiRoster || [...DEFAULT_AI_ROSTER],
+      spectatorUpdateMs: config.spectatorUpdateMs || 500, // player_moved rate for spectators
     };
 
     // Core game state
-    this.worldState = new WorldState();
+    this.worldState = new WorldState(id);
+    this.antiCheat = new AntiCheat(this.worldState);
     this.currentMiniGame = null;
+    this.replay = null; // ReplayRecorder for the running MiniGame
+    this.entityDelta = new EntityDeltaEncoder();
+    this.bandwidth = new BandwidthMeter();
+    this.interest = new InterestManager(this);
+    this.tournament = null;
     this.gameRoom = null;
+    this.agentRoom = null; // AgentPlayerRoom, while agent players are connected over WebSocket
     this.agentLoop = null;
 
     // SSE and webhooks
-    this.sseClients = new Set();
-    this.webhooks = new Map();
-    this.webhookIdCounter = 0;
+    this.events = new EventStream();
+    this.webhooks = new WebhookDispatcher(id);
 
     // Auto-start timer
     this.autoStartTimer = null;
 
+    // Graceful shutdown: set while the server drains, no new games start
+    this.restartAt = null;
+    this.sessions = new Map(); // resume token -> player parked by the last shutdown
+
     // Rate limits
     this.lastAnnouncementTime = 0;
     this.lastAgentChatTime = 0;
@@ -66,12 +83,15 @@ export class ArenaInstance {
     // Tick timestamps
     this.lastStateBroadcast = 0;
     this.lastHazardBroadcast = 0;
+    this.lastMotionSync = 0;
     this._lastAfkCheck = 0;
   }
 
   broadcastToRoom(event, data) {
     if (this.gameRoom) {
       this.gameRoom.broadcast(event, data);
+    } else {
+      this.agentRoom?.relay(event, data);
     }
     if (SSE_EVENTS.has(event)) {
       this.broadcastSSE(event, data);
@@ -79,32 +99,53 @@ export class ArenaInstance {
   }
 
   broadcastSSE(eventType, data) {
-    const payload = JSON.stringify({ type: eventType, ...data, timestamp: Date.now() });
-    for (const client of this.sseClients) {
-      client.res.write(`data: ${payload}\n\n`);
-    }
+    const { bytes, recipients } = this.events.publish(eventType, data);
+    this.bandwidth.record('sse', eventType, bytes, recipients);
     this.fireWebhooks(eventType, data);
   }
 
-  fireWebhooks(eventType, data) {
-    const payload = JSON.stringify({
-      type: eventType,
-      data,
-      arenaId: this.id,
-      timestamp: Date.now()
-    });
-
-    for (const webhook of this.webhooks.values()) {
-      if (webhook.events && !webhook.events.includes(eventType)) continue;
-      fetch(webhook.url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: payload,
-        signal: AbortSignal.timeout(5000)
-      }).catch(() => {});
+  /** Called by GameRoom for every room broadcast, before it is sent. */
+  onRoomBroadcast(type, data, recipients) {
+    this.replay?.capture(type, data);
+    this._trackEntities(type, data);
+    if (type === 'player_left') this.interest.removePlayer(data.id);
+    this.agentRoom?.relay(type, data);
+    this.bandwidth.recordMessage(type, data, recipients);
+  }
+
+  // Keep the delta encoder's view in line with full entity broadcasts
+  _trackEntities(type, data) {
+    switch (type) {
+      case 'entity_spawned':
+      case 'entity_modified':
+        if (data?.position) this.entityDelta.track(data);
+        break;
+      case 'entities_batch':
+        for (const entity of data) this.entityDelta.track(entity);
+        break;
+      case 'entity_destroyed':
+        this.entityDelta.forget(data.id);
+        break;
+      case 'entities_destroyed_batch':
+        for (const id of data.ids) this.entityDelta.forget(id);
+        break;
+      case 'world_cleared':
+        this.entityDelta.clear();
+        break;
     }
   }
 
+  /** Send entities changed by the tick loop as one entities_delta message. */
+  broadcastEntityDeltas(entities) {
+    if (entities.length === 0) return;
+    const batch = this.entityDelta.encode(entities);
+    if (batch) this.broadcastToRoom('entities_delta', batch);
+  }
+
+  fireWebhooks(eventType, data) {
+    this.webhooks.dispatch(eventType, data);
+  }
+
   touch() {
     this.lastActive = Date.now();
   }
@@ -132,17 +173,94 @@ export class ArenaInstance {
     };
   }
 
+  /** Players holding one of the maxPlayers slots: humans and agents in play, not bots or spectators. */
+  playingCount() {
+    return this.worldState.getPlayers()
+      .filter(p => p.type !== 'ai' && p.type !== 'spectator' && p.state !== 'spectating').length;
+  }
+
+  /** No players, spectators, feeds, game or webhook retries running — safe to hibernate. */
+  isIdle() {
+    return this.worldState.players.size === 0
+      && this.events.size === 0
+      && !this.currentMiniGame?.isActive
+      && !this.tournament?.isActive
+      && !this.webhooks.hasPending();
+  }
+
+  /** Everything needed to rebuild this arena after hibernation or a restart (ArenaHibernation.js). */
+  serialize() {
+    return {
+      id: this.id,
+      meta: {
+        name: this.name,
+        description: this.description,
+        gameMasterName: this.gameMasterName,
+        apiKey: this.apiKey,
+        creatorId: this.creatorId,
+        isDefault: this.isDefault,
+        upvotes: this.upvotes,
+        createdAt: this.createdAt,
+        lastActive: this.lastActive,
+      },
+      config: this.config,
+      webhooks: this.webhooks.serialize(),
+      webhookIdCounter: this.webhooks.idCounter,
+      lastEventId: this.events.lastId,
+      sessions: [...this.sessions],
+      world: this.worldState.serialize(),
+      savedAt: Date.now(),
+    };
+  }
+
+  restore(saved) {
+    this.upvotes = saved.meta?.upvotes ?? this.upvotes;
+    this.webhooks.restore(saved.webhooks || [], saved.webhookIdCounter || 0);
+    this.events.lastId = saved.lastEventId || 0;
+    const now = Date.now();
+    this.sessions = new Map((saved.sessions || []).filter(([, s]) => s.expiresAt > now));
+    if (saved.world) this.worldState.restore(saved.world);
+  }
+
+  /** Server is going down at restartAt: stop new games and warn players, feeds and webhooks. */
+  beginDrain(restartAt) {
+    this.restartAt = restartAt;
+    clearTimeout(this.autoStartTimer);
+    this.worldState.autoStartTargetTime = null;
+    this.announceRestart();
+    this.gameRoom?.offerResume();
+    this.broadcastSSE('server_restarting', { restartAt });
+    this.worldState.addEvent('server_restarting', { restartAt });
+  }
+
+  announceRestart() {
+    const seconds = Math.max(1, Math.ceil((this.restartAt - Date.now()) / 1000));
+    const announcement = this.worldState.announce(
+      `Server restarting in ${seconds}s — you'll reconnect automatically`, 'system', 6000
+    );
+    this.broadcastToRoom('announcement', announcement);
+  }
+
+  /** Remember a connected player under their resume token until SESSION_RESUME_MS passes. */
+  parkSession(token, player) {
+    const { name, userId, position } = player;
+    this.sessions.set(token, { name, userId, position, expiresAt: Date.now() + SESSION_RESUME_MS });
+  }
+
+  /** Parked session for a rejoining player (single use), or null. */
+  takeSession(token) {
+    const session = this.sessions.get(token);
+    this.sessions.delete(token);
+    return session && session.expiresAt > Date.now() ? session : null;
+  }
+
   dispose() {
     clearTimeout(this.autoStartTimer);
     if (this.agentLoop) {
       this.agentLoop.stop();
     }
-    // Close SSE connections
-    for (const client of this.sseClients) {
-      client.res.end();
-    }
-    this.sseClients.clear();
-    this.webhooks.clear();
+    this.events.close();
+    this.webhooks.stop();
     // Despawn AI players
     for (const ai of this.aiPlayers) {
       this.worldState.removePlayer(ai.id);
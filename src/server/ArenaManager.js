@@ -3,18 +3,29 @@
  *
  * Manages creation, retrieval, listing, and destruction of arenas.
  * Creates a default "chaos" arena on initialization.
+ * Idle arenas hibernate: their state is saved (ArenaHibernation.js) and the
+ * instance evicted, leaving a stub that wakes on the next access.
  */
 
 import { randomUUID } from 'crypto';
 import { ArenaInstance } from './ArenaInstance.js';
+import { storeArena, fetchArena, discardArena, quarantineArena, listStoredArenas } from './ArenaHibernation.js';
+import { deleteWebhooks } from './db.js';
+import { HIBERNATE_IDLE_MS, ARENA_EXPIRE_MS, SHUTDOWN_GAME_WAIT_MS, SHUTDOWN_NOTICE_MS } from './constants.js';
 
-const MAX_ARENAS = 20;
-const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ARENAS = 20; // live and hibernated; saved worlds cost storage even when evicted
+const DRAIN_POLL_MS = 250;
+const GAME_END_GRACE_MS = 2000; // games end on the first tick past their limit
+const RESTART_REMINDERS_S = [60, 30, 10]; // countdown re-announced at these seconds left
 
 export class ArenaManager {
   constructor() {
     this.arenas = new Map();
+    this.hibernated = new Map(); // id -> { info, apiKey } for arenas evicted to storage
+    this._waking = new Map();    // id -> Promise<ArenaInstance|null>
     this.defaultArenaId = 'chaos';
+    this.onArenaWake = null;     // (arena) => void, wires callbacks like a new arena
+    this.restartAt = null;       // set by drain() once a shutdown is under way
   }
 
   createDefaultArena(config = {}) {
@@ -31,7 +42,7 @@ export class ArenaManager {
   }
 
   createArena(config) {
-    if (this.arenas.size >= MAX_ARENAS) {
+    if (this.arenas.size + this.hibernated.size >= MAX_ARENAS) {
       throw new Error(`Maximum arena limit reached (${MAX_ARENAS})`);
     }
 
@@ -46,6 +57,7 @@ export class ArenaManager {
     });
 
     this.arenas.set(id, arena);
+    if (this.restartAt) arena.beginDrain(this.restartAt);
     console.log(`[ArenaManager] Arena created: ${id} ("${arena.name}")`);
 
     return { arena, apiKey };
@@ -59,12 +71,27 @@ export class ArenaManager {
     return this.arenas.get(this.defaultArenaId);
   }
 
+  /** Live arena, waking it from hibernation if needed; null if unknown. */
+  async resolveArena(id) {
+    return this.arenas.get(id) || this.wakeArena(id);
+  }
+
   getAllArenas() {
     return Array.from(this.arenas.values());
   }
 
   listArenas() {
-    return this.getAllArenas().map(a => a.getPublicInfo());
+    const hibernated = [...this.hibernated.values()].map(h => h.info);
+    return [...this.getAllArenas().map(a => a.getPublicInfo()), ...hibernated];
+  }
+
+  /** Public info without waking a hibernated arena. */
+  getArenaInfo(id) {
+    return this.arenas.get(id)?.getPublicInfo() || this.hibernated.get(id)?.info || null;
+  }
+
+  isHibernating(id) {
+    return this.hibernated.has(id);
   }
 
   deleteArena(id) {
@@ -72,15 +99,201 @@ export class ArenaManager {
       throw new Error('Cannot delete the default arena');
     }
     const arena = this.arenas.get(id);
-    if (!arena) {
+    if (!arena && !this.hibernated.has(id)) {
       throw new Error(`Arena not found: ${id}`);
     }
-    arena.dispose();
+    arena?.dispose();
     this.arenas.delete(id);
+    this.hibernated.delete(id);
+    discardArena(id);
+    deleteWebhooks(id);
     console.log(`[ArenaManager] Arena deleted: ${id}`);
     return true;
   }
 
+  /**
+   * Save an idle arena and evict it from memory.
+   * @returns {Promise<boolean>} false if it became busy while saving
+   */
+  async hibernateArena(id) {
+    const arena = this.arenas.get(id);
+    if (!arena) throw new Error(`Arena not found: ${id}`);
+    if (arena.isDefault) throw new Error('Cannot hibernate the default arena');
+
+    const saved = arena.serialize();
+    await storeArena(saved);
+
+    // Requests served during the save may have changed it; try again next sweep
+    if (this.arenas.get(id) !== arena || !arena.isIdle() || arena.lastActive > saved.meta.lastActive) {
+      return false;
+    }
+
+    arena.dispose();
+    this.arenas.delete(id);
+    this.hibernated.set(id, this._stub(saved));
+    console.log(`[ArenaManager] Arena hibernated: ${id} (${saved.world.entities.length} entities)`);
+    return true;
+  }
+
+  /** Rebuild a hibernated arena from storage. Concurrent callers share one wake-up. */
+  wakeArena(id) {
+    if (this.arenas.has(id)) return Promise.resolve(this.arenas.get(id));
+    if (!this.hibernated.has(id)) return Promise.resolve(null);
+    if (!this._waking.has(id)) {
+      this._waking.set(id, this._wake(id).finally(() => this._waking.delete(id)));
+    }
+    return this._waking.get(id);
+  }
+
+  async _wake(id) {
+    const saved = await fetchArena(id);
+    if (!saved) {
+      console.error(`[ArenaManager] No saved state for hibernated arena ${id}`);
+      this.hibernated.delete(id);
+      return null;
+    }
+
+    let arena;
+    try {
+      arena = this._restoreArena(saved);
+    } catch (e) {
+      // A world that can't be rebuilt would fail every wake; set it aside and wake the arena empty
+      console.error(`[ArenaManager] Saved state for ${id} could not be restored, quarantined:`, e.message);
+      await quarantineArena(id);
+      try {
+        arena = new ArenaInstance(id, { ...saved.meta, ...saved.config });
+      } catch {
+        this.hibernated.delete(id);
+        return null;
+      }
+    }
+    await arena.webhooks.load();
+    this.hibernated.delete(id);
+    this.arenas.set(id, arena);
+    this.onArenaWake?.(arena);
+    if (this.restartAt) arena.beginDrain(this.restartAt);
+    console.log(`[ArenaManager] Arena woke: ${id} (${arena.worldState.entities.size} entities)`);
+    return arena;
+  }
+
+  /**
+   * Bring back saved arenas after a restart: the default arena is restored in
+   * place, the rest come back hibernated and wake on first access.
+   * @param {function(string): boolean} [owns] - arena ids this process hosts
+   */
+  async loadHibernated(owns = () => true) {
+    let count = 0;
+    for (const saved of await listStoredArenas()) {
+      if (!owns(saved.id)) continue;
+      if (saved.id === this.defaultArenaId) {
+        try {
+          this.getDefaultArena()?.restore(saved);
+        } catch (e) {
+          console.error('[ArenaManager] Saved state for the default arena could not be restored, quarantined:', e.message);
+          await quarantineArena(saved.id);
+        }
+        continue;
+      }
+      if (this.arenas.has(saved.id)) continue;
+      this.hibernated.set(saved.id, this._stub(saved));
+      count++;
+    }
+    if (count > 0) console.log(`[ArenaManager] ${count} saved arenas hibernating`);
+  }
+
+  /**
+   * Save every live arena (graceful shutdown).
+   * @param {{ includeDefault?: boolean }} [options]
+   */
+  async checkpointAll({ includeDefault = true } = {}) {
+    const arenas = this.getAllArenas().filter(a => includeDefault || !a.isDefault);
+    const results = await Promise.allSettled(arenas.map(a => storeArena(a.serialize())));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`[ArenaManager] Checkpoint failed for ${arenas[i].id}:`, result.reason?.message);
+      }
+    });
+    const saved = results.filter(r => r.status === 'fulfilled').length;
+    console.log(`[ArenaManager] Checkpointed ${saved}/${arenas.length} arenas`);
+    return saved;
+  }
+
+  /**
+   * Wind down for a restart (graceful shutdown). New games stop, every arena
+   * gets a countdown, and running games have until the longest one's time
+   * limit (capped at maxWaitMs) to finish before they are ended. Connected
+   * players are then parked so they can resume once the server is back.
+   * @param {{ maxWaitMs?: number, noticeMs?: number }} [options]
+   */
+  async drain({ maxWaitMs = SHUTDOWN_GAME_WAIT_MS, noticeMs = SHUTDOWN_NOTICE_MS } = {}) {
+    const start = Date.now();
+    const running = () => this.getAllArenas().filter(a => a.currentMiniGame?.isActive);
+    const longest = Math.max(0, ...running().map(a => a.currentMiniGame.timeLeft(start) + GAME_END_GRACE_MS));
+    this.restartAt = start + Math.min(maxWaitMs, Math.max(noticeMs, longest));
+    for (const arena of this.getAllArenas()) arena.beginDrain(this.restartAt);
+    console.log(`[ArenaManager] Draining: ${running().length} games running, restart in ${Math.round((this.restartAt - start) / 1000)}s`);
+
+    const reminders = RESTART_REMINDERS_S.filter(s => s * 1000 < this.restartAt - start);
+    while (Date.now() < this.restartAt) {
+      if (Date.now() - start >= noticeMs && running().length === 0) break;
+      const left = (this.restartAt - Date.now()) / 1000;
+      if (reminders.length > 0 && left <= reminders[0]) {
+        reminders.shift();
+        for (const arena of this.getAllArenas()) arena.announceRestart();
+      }
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+
+    for (const arena of running()) {
+      console.log(`[ArenaManager] Ending ${arena.currentMiniGame.type} in ${arena.id} for restart`);
+      arena.currentMiniGame.end('timeout');
+    }
+
+    let parked = 0;
+    for (const arena of this.getAllArenas()) parked += arena.gameRoom?.parkSessions() || 0;
+    console.log(`[ArenaManager] Drained in ${Math.round((Date.now() - start) / 1000)}s, ${parked} sessions parked`);
+  }
+
+  /** New instance from saved state; throws if the state is unusable. */
+  _restoreArena(saved) {
+    const arena = new ArenaInstance(saved.id, { ...saved.meta, ...saved.config });
+    try {
+      arena.restore(saved);
+    } catch (e) {
+      arena.dispose();
+      throw e;
+    }
+    return arena;
+  }
+
+  _stub(saved) {
+    const { meta, config, world } = saved;
+    return {
+      apiKey: meta.apiKey,
+      info: {
+        id: saved.id,
+        name: meta.name,
+        description: meta.description,
+        gameMasterName: meta.gameMasterName,
+        playerCount: 0,
+        phase: 'lobby',
+        gameType: null,
+        isDefault: false,
+        upvotes: meta.upvotes || 0,
+        config: {
+          maxPlayers: config.maxPlayers,
+          entryFee: config.entryFee,
+          rewards: config.rewards,
+          rules: config.rules,
+        },
+        createdAt: meta.createdAt,
+        lastActive: meta.lastActive,
+        hibernating: true,
+        entityCount: world?.entities?.length || 0,
+      },
+    };
+  }
+
   findByApiKey(apiKey) {
     for (const arena of this.arenas.values()) {
       if (arena.apiKey === apiKey) return arena;
@@ -88,17 +301,27 @@ export class ArenaManager {
     return null;
   }
 
-  findStaleArenas(maxInactiveMs = ONE_DAY_MS) {
+  /** Live non-default arenas idle for longer than maxInactiveMs. */
+  findIdleArenas(maxInactiveMs = HIBERNATE_IDLE_MS) {
     const now = Date.now();
-    const stale = [];
+    const idle = [];
     for (const arena of this.arenas.values()) {
-      if (arena.isDefault) continue;
-      if (arena.worldState.players.size > 0) continue;
+      if (arena.isDefault || !arena.isIdle()) continue;
       if (now - arena.lastActive > maxInactiveMs) {
-        stale.push(arena.id);
+        idle.push(arena.id);
       }
     }
-    return stale;
+    return idle;
+  }
+
+  /** Hibernated arenas nobody has accessed for longer than maxInactiveMs. */
+  findExpiredArenas(maxInactiveMs = ARENA_EXPIRE_MS) {
+    const now = Date.now();
+    const expired = [];
+    for (const [id, { info }] of this.hibernated) {
+      if (now - (info.lastActive || 0) > maxInactiveMs) expired.push(id);
+    }
+    return expired;
   }
 
   loadFromDB(rows) {
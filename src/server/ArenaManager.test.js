@@ -0,0 +1,110 @@
+/**
+ * Unit tests for arena hibernation: save, evict and wake
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Saved worlds go to ARENA_STATE_DIR, fixed when ArenaHibernation loads
+const stateDir = await mkdtemp(path.join(tmpdir(), 'arena-hibernation-'));
+process.env.ARENA_STATE_DIR = stateDir;
+const { ArenaManager } = await import('./ArenaManager.js');
+
+after(() => rm(stateDir, { recursive: true, force: true }));
+
+function setup() {
+  const manager = new ArenaManager();
+  manager.createDefaultArena();
+  const { arena } = manager.createArena({ name: 'Sleepy', maxPlayers: 6 });
+  return { manager, arena };
+}
+
+test('a hibernated arena wakes with its world, challenges, chat and webhooks', async () => {
+  const { manager, arena } = setup();
+  const ws = arena.worldState;
+  const platform = ws.spawnEntity('platform', [3, 1, -2], [4, 1, 4], { color: '#ff0000' });
+  ws.setEnvironment({ skyColor: '#112233' });
+  ws.setPhysics({ gravity: -12 });
+  const challenge = ws.createChallenge('reach', [3, 2, -2], 'Get up there');
+  ws.addMessage('Host', 'agent', 'see you after the nap');
+  arena.webhooks.restore([{ id: 'webhook-1', url: 'https://example.com/hook', events: null, secret: 'whsec_test', createdAt: 1 }], 1);
+
+  assert.equal(await manager.hibernateArena(arena.id), true);
+  assert.equal(manager.getArena(arena.id), null);
+  assert.equal(manager.isHibernating(arena.id), true);
+  assert.equal(manager.getArenaInfo(arena.id).entityCount, 1);
+
+  const woke = await manager.resolveArena(arena.id);
+  assert.notEqual(woke, arena);
+  assert.equal(manager.isHibernating(arena.id), false);
+  assert.equal(woke.name, 'Sleepy');
+  assert.equal(woke.apiKey, arena.apiKey);
+  assert.equal(woke.config.maxPlayers, 6);
+
+  const wws = woke.worldState;
+  assert.deepEqual(wws.entities.get(platform.id).position, [3, 1, -2]);
+  assert.equal(wws.environment.skyColor, '#112233');
+  assert.equal(wws.physics.gravity, -12);
+  assert.equal(wws.challenges.get(challenge.id).description, 'Get up there');
+  assert.equal(wws.messages.at(-1).text, 'see you after the nap');
+  assert.deepEqual(woke.webhooks.list().map(h => h.url), ['https://example.com/hook']);
+  assert.equal(woke.webhooks.hooks.get('webhook-1').secret, 'whsec_test');
+
+  // New ids continue past the saved ones
+  assert.notEqual(wws.spawnEntity('platform', [0, 0, 0]).id, platform.id);
+  woke.dispose();
+});
+
+test('saved webhooks without a signing secret are dropped on restore', () => {
+  const { arena } = setup();
+  arena.webhooks.restore([
+    { id: 'webhook-1', url: 'https://example.com/signed', events: null, secret: 'whsec_test', createdAt: 1 },
+    { id: 'webhook-2', url: 'https://example.com/unsigned', events: null, createdAt: 2 },
+  ], 2);
+  assert.deepEqual(arena.webhooks.list().map(h => h.id), ['webhook-1']);
+  assert.equal(arena.webhooks.idCounter, 2);
+  arena.dispose();
+});
+
+test('concurrent wakes share one instance', async () => {
+  const { manager, arena } = setup();
+  await manager.hibernateArena(arena.id);
+  const [a, b] = await Promise.all([manager.resolveArena(arena.id), manager.resolveArena(arena.id)]);
+  assert.equal(a, b);
+  a.dispose();
+});
+
+test('hibernateArena gives up if the arena got busy during the save', async () => {
+  const { manager, arena } = setup();
+  const pending = manager.hibernateArena(arena.id);
+  arena.worldState.addPlayer('player-1', 'Late Joiner');
+
+  assert.equal(await pending, false);
+  assert.equal(manager.getArena(arena.id), arena);
+  assert.equal(manager.isHibernating(arena.id), false);
+  arena.dispose();
+});
+
+test('a saved world that fails to restore is quarantined and the arena wakes empty', async () => {
+  const { manager, arena } = setup();
+  arena.worldState.spawnEntity('platform', [0, 0, 0]);
+  await manager.hibernateArena(arena.id);
+
+  const file = path.join(stateDir, `${arena.id}.json`);
+  const saved = JSON.parse(await readFile(file, 'utf8'));
+  saved.world.entities = 42;
+  await writeFile(file, JSON.stringify(saved));
+
+  const woke = await manager.resolveArena(arena.id);
+  assert.equal(woke.name, 'Sleepy');
+  assert.equal(woke.worldState.entities.size, 0);
+  const files = await readdir(stateDir);
+  assert.ok(files.some(f => f.startsWith(`${arena.id}.json.`) && f.endsWith('.corrupt')));
+  assert.ok(!files.includes(`${arena.id}.json`));
+  woke.dispose();
+});
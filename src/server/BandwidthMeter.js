@@ -0,0 +1,99 @@
+/**
+ * BandwidthMeter - Outgoing broadcast bytes per arena
+ *
+ * Counts the size of every room broadcast (times the number of recipients)
+ * and every SSE write, in one-second buckets over a sliding window. Room sizes
+ * are JSON lengths, an upper bound on the msgpack frames Colyseus actually
+ * sends. Serializing every broadcast again just to measure it would double the
+ * cost of the hottest path (player_moved), so most types are sized from one
+ * message in SAMPLE_EVERY; entity batches vary too much and are always sized.
+ */
+
+const WINDOW_SEC = 60;
+const TOP_EVENTS = 5;
+const SAMPLE_EVERY = 20;
+const ALWAYS_SIZED = new Set(['entities_batch', 'entities_delta']);
+
+const jsonBytes = (data) => Buffer.byteLength(JSON.stringify(data) ?? '');
+
+export class BandwidthMeter {
+  constructor() {
+    this.buckets = [];      // [{ second, ws, sse, messages, byType: Map<type, bytes> }]
+    this.totalBytes = 0;
+    this.since = Date.now();
+    this.samples = new Map(); // room message type -> { bytes, count }
+  }
+
+  /** Record a room broadcast, estimating its size from a sample of its type. */
+  recordMessage(type, data, recipients, now = Date.now()) {
+    if (recipients <= 0) return;
+    this.record('ws', type, this._estimateBytes(type, data), recipients, now);
+  }
+
+  _estimateBytes(type, data) {
+    if (ALWAYS_SIZED.has(type)) return jsonBytes(data);
+    let sample = this.samples.get(type);
+    if (!sample) {
+      sample = { bytes: 0, count: 0 };
+      this.samples.set(type, sample);
+    }
+    if (sample.count++ % SAMPLE_EVERY === 0) sample.bytes = jsonBytes(data);
+    return sample.bytes;
+  }
+
+  /**
+   * @param {'ws'|'sse'} channel
+   * @param {string} type - message type
+   * @param {number} bytes - payload size
+   * @param {number} recipients
+   */
+  record(channel, type, bytes, recipients, now = Date.now()) {
+    if (recipients <= 0) return;
+    const total = bytes * recipients;
+    const bucket = this._bucket(now);
+    bucket[channel] += total;
+    bucket.messages += recipients;
+    bucket.byType.set(type, (bucket.byType.get(type) || 0) + total);
+    this.totalBytes += total;
+  }
+
+  _bucket(now) {
+    const second = Math.floor(now / 1000);
+    let bucket = this.buckets.at(-1);
+    if (bucket?.second !== second) {
+      bucket = { second, ws: 0, sse: 0, messages: 0, byType: new Map() };
+      this.buckets.push(bucket);
+    }
+    while (this.buckets[0].second <= second - WINDOW_SEC) this.buckets.shift();
+    return bucket;
+  }
+
+  /** Averages over the window (or since startup if shorter). */
+  getStats(now = Date.now()) {
+    const second = Math.floor(now / 1000);
+    const recent = this.buckets.filter(b => b.second > second - WINDOW_SEC);
+    const span = Math.max(1, Math.min(WINDOW_SEC, Math.ceil((now - this.since) / 1000)));
+
+    let ws = 0, sse = 0, messages = 0;
+    const byType = new Map();
+    for (const bucket of recent) {
+      ws += bucket.ws;
+      sse += bucket.sse;
+      messages += bucket.messages;
+      for (const [type, bytes] of bucket.byType) byType.set(type, (byType.get(type) || 0) + bytes);
+    }
+
+    return {
+      windowSec: span,
+      bytesPerSec: Math.round((ws + sse) / span),
+      wsBytesPerSec: Math.round(ws / span),
+      sseBytesPerSec: Math.round(sse / span),
+      messagesPerSec: Math.round(messages / span * 10) / 10,
+      totalBytes: this.totalBytes,
+      topEvents: [...byType]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_EVENTS)
+        .map(([type, bytes]) => ({ type, bytesPerSec: Math.round(bytes / span) })),
+    };
+  }
+}
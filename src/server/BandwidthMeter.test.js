@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the per-arena bandwidth meter
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BandwidthMeter } from './BandwidthMeter.js';
+
+const T0 = 1_000_000;
+
+function meter() {
+  const m = new BandwidthMeter();
+  m.since = T0;
+  return m;
+}
+
+test('rates are averaged over the time since startup until the window fills', () => {
+  const m = meter();
+  m.record('ws', 'player_moved', 100, 2, T0 + 500);
+  m.record('sse', 'chat_message', 50, 1, T0 + 1500);
+  m.record('ws', 'entity_spawned', 10, 0, T0 + 1500); // no recipients: not counted
+
+  const stats = m.getStats(T0 + 2000);
+  assert.equal(stats.windowSec, 2);
+  assert.equal(stats.bytesPerSec, 125);
+  assert.equal(stats.wsBytesPerSec, 100);
+  assert.equal(stats.sseBytesPerSec, 25);
+  assert.equal(stats.messagesPerSec, 1.5);
+  assert.equal(stats.totalBytes, 250);
+  assert.deepEqual(stats.topEvents, [
+    { type: 'player_moved', bytesPerSec: 100 },
+    { type: 'chat_message', bytesPerSec: 25 },
+  ]);
+});
+
+test('buckets older than the window drop out of the rates but not the total', () => {
+  const m = meter();
+  m.record('ws', 'player_moved', 600, 1, T0);
+  m.record('ws', 'player_moved', 120, 1, T0 + 61_000);
+
+  const stats = m.getStats(T0 + 61_000);
+  assert.equal(stats.windowSec, 60);
+  assert.equal(stats.bytesPerSec, 2);
+  assert.equal(stats.totalBytes, 720);
+  assert.equal(m.buckets.length, 1);
+});
+
+test('room messages are sized from a sample of their type', () => {
+  const m = meter();
+  const small = { id: 'p1', position: [1, 2, 3] };
+  const large = { id: 'p1', position: [1.123456, 2.123456, 3.123456], velocity: [0, 0, 0] };
+  const bytes = (data) => Buffer.byteLength(JSON.stringify(data));
+
+  for (let i = 0; i < 20; i++) m.recordMessage('player_moved', i === 0 ? small : large, 1, T0);
+  assert.equal(m.totalBytes, 20 * bytes(small), 'messages after the sample reuse its size');
+
+  m.recordMessage('player_moved', large, 1, T0);
+  assert.equal(m.totalBytes, 20 * bytes(small) + bytes(large), 'every 20th message is measured again');
+});
+
+test('entity batches are always sized', () => {
+  const m = meter();
+  const one = { moved: [1, 0, 0, 0], changed: [] };
+  const two = { moved: [1, 0, 0, 0, 2, 100, 0, 0], changed: [] };
+  m.recordMessage('entities_delta', one, 3, T0);
+  m.recordMessage('entities_delta', two, 3, T0);
+  assert.equal(m.totalBytes, 3 * (Buffer.byteLength(JSON.stringify(one)) + Buffer.byteLength(JSON.stringify(two))));
+});
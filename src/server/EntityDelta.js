@@ -0,0 +1,92 @@
+/**
+ * EntityDelta - Per-tick batched entity updates
+ *
+ * Entities the tick loop moves (chasers today) go out as one
+ * `entities_delta` message per tick instead of a full `entity_modified`
+ * each. The encoder remembers what clients last received for every entity
+ * (full spawn/modify broadcasts included) and sends only what changed since:
+ *
+ *   {
+ *     moved:   [index, x, y, z, index, x, y, z, ...],   // x/y/z in 1/DELTA_POSITION_SCALE units
+ *     changed: [[index, { size?, properties? }], ...]    // properties: changed keys only
+ *   }
+ *
+ * `index` is the entity's small numeric id from spawn; entities without one
+ * fall back to their string id.
+ */
+
+import { DELTA_POSITION_SCALE } from '../shared/constants.js';
+
+const quantize = (v) => Math.round(v * DELTA_POSITION_SCALE);
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export class EntityDeltaEncoder {
+  constructor() {
+    this.sent = new Map();  // entity id -> { position: number[] (quantized), size, properties }
+  }
+
+  /** Record a full entity as what clients now hold (entity_spawned, entity_modified, ...). */
+  track(entity) {
+    this.sent.set(entity.id, {
+      position: entity.position.map(quantize),
+      size: [...entity.size],
+      properties: { ...entity.properties },
+    });
+  }
+
+  forget(id) {
+    this.sent.delete(id);
+  }
+
+  clear() {
+    this.sent.clear();
+  }
+
+  /**
+   * Diff entities against what clients hold and record the result as sent.
+   * @param {Iterable<object>} entities
+   * @returns {{ moved: number[], changed: Array<[number|string, object]> }|null} null if nothing changed
+   */
+  encode(entities) {
+    const moved = [];
+    const changed = [];
+
+    for (const entity of entities) {
+      const ref = entity.index ?? entity.id;
+      const last = this.sent.get(entity.id);
+      if (!last) {
+        // Never seen in full (e.g. joined mid-tick): send everything once
+        this.track(entity);
+        const { position } = this.sent.get(entity.id);
+        moved.push(ref, ...position);
+        changed.push([ref, { size: [...entity.size], properties: { ...entity.properties } }]);
+        continue;
+      }
+
+      const position = entity.position.map(quantize);
+      if (position.some((q, i) => q !== last.position[i])) {
+        moved.push(ref, ...position);
+        last.position = position;
+      }
+
+      const diff = {};
+      if (!sameValue(entity.size, last.size)) {
+        diff.size = [...entity.size];
+        last.size = [...entity.size];
+      }
+      for (const key in entity.properties) {
+        if (sameValue(entity.properties[key], last.properties[key])) continue;
+        (diff.properties ??= {})[key] = entity.properties[key];
+        last.properties[key] = entity.properties[key];
+      }
+      if (diff.size || diff.properties) changed.push([ref, diff]);
+    }
+
+    return moved.length || changed.length ? { moved, changed } : null;
+  }
+}
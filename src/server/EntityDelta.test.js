@@ -0,0 +1,64 @@
+/**
+ * Unit tests for batched entity deltas
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityDeltaEncoder } from './EntityDelta.js';
+import { DELTA_POSITION_SCALE } from '../shared/constants.js';
+
+const chaser = (position = [1, 2, 3]) => ({
+  id: 'obstacle-abc', index: 7, type: 'obstacle',
+  position, size: [1, 1, 1], properties: { color: '#ff0000', chase: true },
+});
+
+test('an entity never sent in full goes out whole once', () => {
+  const encoder = new EntityDeltaEncoder();
+  const entity = chaser([1, 2.5, -3]);
+
+  assert.deepEqual(encoder.encode([entity]), {
+    moved: [7, 100, 250, -300],
+    changed: [[7, { size: [1, 1, 1], properties: { color: '#ff0000', chase: true } }]],
+  });
+  assert.equal(encoder.encode([entity]), null);
+});
+
+test('positions are quantized, so moves below the resolution are not sent', () => {
+  const encoder = new EntityDeltaEncoder();
+  const entity = chaser([0, 0, 0]);
+  encoder.track(entity);
+
+  entity.position = [0.4 / DELTA_POSITION_SCALE, 0, 0];
+  assert.equal(encoder.encode([entity]), null);
+
+  entity.position = [0.016, 0, 0.004];
+  assert.deepEqual(encoder.encode([entity]), { moved: [7, 2, 0, 0], changed: [] });
+});
+
+test('only changed size and property keys are sent', () => {
+  const encoder = new EntityDeltaEncoder();
+  const entity = chaser();
+  encoder.track(entity);
+
+  entity.properties = { ...entity.properties, color: '#00ff00' };
+  entity.size = [2, 1, 1];
+  assert.deepEqual(encoder.encode([entity]), {
+    moved: [],
+    changed: [[7, { size: [2, 1, 1], properties: { color: '#00ff00' } }]],
+  });
+  assert.equal(encoder.encode([entity]), null);
+});
+
+test('full broadcasts count as sent; forgotten entities start over', () => {
+  const encoder = new EntityDeltaEncoder();
+  const entity = { ...chaser(), index: undefined };
+  encoder.track(entity);
+  assert.equal(encoder.encode([entity]), null);
+
+  encoder.forget(entity.id);
+  const delta = encoder.encode([entity]);
+  assert.deepEqual(delta.moved, ['obstacle-abc', 100, 200, 300], 'falls back to the string id');
+  assert.equal(delta.changed.length, 1);
+});
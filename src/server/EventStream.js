@@ -0,0 +1,123 @@
+/**
+ * EventStream - Resumable SSE feed for one arena (/api/stream/events)
+ *
+ * Every event gets a monotonically increasing id and is kept in a bounded
+ * ring buffer. A client reconnecting with Last-Event-ID is replayed everything
+ * after that id; if the buffer has already dropped some of it, the client is
+ * told with a `stream_gap` event so it can resync from the REST API. Clients
+ * can subscribe to a subset of event types, and idle connections get a
+ * comment line every SSE_STREAM.keepaliveMs so proxies keep them open.
+ */
+
+import { SSE_STREAM } from './constants.js';
+
+// Event types published on the feed (everything else stays on the WebSocket)
+export const SSE_EVENTS = new Set([
+  'announcement', 'player_died', 'spell_cast', 'game_state_changed',
+  'player_joined', 'player_left', 'chat_message', 'floor_changed',
+  'entity_spawned', 'entity_destroyed',
+  'entities_batch', 'entities_destroyed_batch', 'world_cleared',
+  'tournament_started', 'tournament_round_started', 'tournament_round_ended',
+  'tournament_finished', 'tournament_cancelled', 'achievement_unlocked',
+  'server_restarting',
+]);
+
+function frame(event) {
+  return `id: ${event.id}\ndata: ${event.payload}\n\n`;
+}
+
+export class EventStream {
+  constructor() {
+    this.clients = new Set();   // { res, events: Set|null }
+    this.buffer = [];           // { id, type, payload }, oldest first
+    this.lastId = 0;
+    this.keepaliveTimer = null;
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Record an event and send it to subscribed clients.
+   * @returns {{ bytes: number, recipients: number }}
+   */
+  publish(type, data) {
+    const event = { id: ++this.lastId, type, payload: JSON.stringify({ type, ...data, timestamp: Date.now() }) };
+    this.buffer.push(event);
+    if (this.buffer.length > SSE_STREAM.bufferSize) this.buffer.shift();
+
+    const text = frame(event);
+    let recipients = 0;
+    for (const client of this.clients) {
+      if (client.events && !client.events.has(type)) continue;
+      client.res.write(text);
+      recipients++;
+    }
+    return { bytes: Buffer.byteLength(text), recipients };
+  }
+
+  /**
+   * Attach an open response. Replays buffered events after lastEventId, then
+   * sends the init snapshot (no id, so it never moves the client's cursor).
+   * @param {import('http').ServerResponse} res
+   * @param {{ events?: string[]|null, lastEventId?: number|null, init: object }} options
+   */
+  connect(res, { events = null, lastEventId = null, init }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${SSE_STREAM.retryMs}\n\n`);
+
+    const client = { res, events: events ? new Set(events) : null };
+    if (lastEventId != null) this._replay(client, lastEventId);
+    res.write(`data: ${JSON.stringify(init)}\n\n`);
+
+    this.clients.add(client);
+    this._startKeepalive();
+    return client;
+  }
+
+  disconnect(client) {
+    this.clients.delete(client);
+    if (this.clients.size === 0) this._stopKeepalive();
+  }
+
+  /** End every connection (arena disposed). */
+  close() {
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+    this._stopKeepalive();
+  }
+
+  _replay(client, lastEventId) {
+    const oldest = this.buffer[0]?.id ?? this.lastId + 1;
+    // An id from before a restart that lost the buffer, or one the buffer has since dropped
+    if (lastEventId > this.lastId || lastEventId < oldest - 1) {
+      client.res.write(`data: ${JSON.stringify({
+        type: 'stream_gap', lastEventId, oldestAvailable: this.buffer.length > 0 ? oldest : null, timestamp: Date.now(),
+      })}\n\n`);
+    }
+    const after = lastEventId > this.lastId ? 0 : lastEventId;
+    for (const event of this.buffer) {
+      if (event.id <= after) continue;
+      if (client.events && !client.events.has(event.type)) continue;
+      client.res.write(frame(event));
+    }
+  }
+
+  _startKeepalive() {
+    if (this.keepaliveTimer) return;
+    this.keepaliveTimer = setInterval(() => {
+      for (const client of this.clients) client.res.write(': keepalive\n\n');
+    }, SSE_STREAM.keepaliveMs);
+  }
+
+  _stopKeepalive() {
+    clearInterval(this.keepaliveTimer);
+    this.keepaliveTimer = null;
+  }
+}
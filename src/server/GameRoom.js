@@ -5,13 +5,16 @@
  */
 
 import Colyseus from 'colyseus';
-const { Room } = Colyseus;
+import { randomUUID } from 'crypto';
+const { Room, ServerError, ErrorCode } = Colyseus;
 import { upsertUser } from './db.js';
 import { verifyToken } from './auth.js';
 import {
   isValidPosition, isValidVelocity, isValidEntityId,
   clampPosition, clampVelocity,
 } from './validation.js';
+import { DEATH_CAUSES } from './constants.js';
+import { verifyDeathCause } from './PlayerPhysics.js';
 
 function detectRequest(text) {
   const lower = text.toLowerCase();
@@ -38,9 +41,39 @@ export class GameRoom extends Room {
   _chatRateLimit = new Map();
   _deathTimestamps = new Map();
 
+  // Graceful shutdown: sessionId -> token the client presents to resume after the restart
+  _resumeTokens = new Map();
+
   // Convenience accessors
   get worldState() { return this.arena?.worldState || null; }
   get currentMiniGame() { return this.arena?.currentMiniGame || null; }
+  get antiCheat() { return this.arena?.antiCheat || null; }
+
+  // Every room broadcast (arena.broadcastToRoom included) passes through here — tap it for
+  // replays, entity deltas and bandwidth stats
+  broadcast(type, message, options) {
+    if (type === 'player_moved' && this.arena) return this._broadcastMovement(message, options);
+    if (typeof type === 'string' && this.arena) {
+      const excluded = options?.except ? [options.except].flat().length : 0;
+      this.arena.onRoomBroadcast(type, message, this.clients.length - excluded);
+    }
+    return super.broadcast(type, message, options);
+  }
+
+  // Movement only goes to clients close enough to care (InterestManager)
+  _broadcastMovement(message, options) {
+    const recipients = this.arena.interest.recipients(message, this.clients, options?.except);
+    this.arena.onRoomBroadcast('player_moved', message, recipients.length);
+    for (const client of recipients) client.send('player_moved', message);
+  }
+
+  /** Send the last position of movers that went quiet while a client was rate-limited. */
+  flushMovement(now) {
+    for (const { client, message } of this.arena.interest.flush(now)) {
+      this.arena.bandwidth.recordMessage('player_moved', message, 1);
+      client.send('player_moved', message);
+    }
+  }
 
   _systemMessage(text) {
     if (!this.worldState) return;
@@ -53,15 +86,15 @@ export class GameRoom extends Room {
     return player?.type === 'spectator';
   }
 
-  onCreate(options) {
-    // Resolve arena from metadata (set by filterBy)
-    const arenaId = this.metadata?.arenaId || 'chaos';
+  async onCreate(options) {
+    // Resolve arena from the join options (filterBy keeps one room per arenaId),
+    // waking it if it hibernated
+    const arenaId = options?.arenaId || 'chaos';
     const manager = GameRoom.arenaManager;
     if (manager) {
-      this.arena = manager.getArena(arenaId);
-      if (this.arena) {
-        this.arena.gameRoom = this;
-      }
+      this.arena = await manager.resolveArena(arenaId);
+      if (!this.arena) throw new Error(`Arena not found: ${arenaId}`);
+      this.arena.gameRoom = this;
     }
 
     console.log(`[GameRoom] Room created for arena: ${arenaId}`);
@@ -75,6 +108,13 @@ export class GameRoom extends Room {
       const position = clampPosition(data.position);
       const velocity = clampVelocity(data.velocity);
 
+      // Impossible moves are dropped and the sender is snapped back to the last accepted position
+      const corrected = this.antiCheat?.validateMove(client.sessionId, position);
+      if (corrected) {
+        client.send('position_corrected', { position: corrected });
+        return;
+      }
+
       // updatePlayer already marks the player active via displacement check
       this.worldState.updatePlayer(client.sessionId, { position, velocity });
 
@@ -96,11 +136,19 @@ export class GameRoom extends Room {
 
       if (data.position && !isValidPosition(data.position)) return;
       if (data.challengeId && !isValidEntityId(data.challengeId)) return;
+      // Only keep causes the world backs up at the reported position
+      const reported = DEATH_CAUSES.includes(data.cause) ? data.cause : null;
+      const cause = reported && verifyDeathCause(this.worldState, data.position, reported) ? reported : null;
+      if (reported && !cause) {
+        console.log(`[GameRoom] Unverified death cause '${reported}' from ${client.sessionId}`);
+      }
 
       this.worldState.recordPlayerActivity(client.sessionId);
 
       const player = this.worldState.players.get(client.sessionId);
       const name = player?.name || client.sessionId.slice(0, 8);
+      // Server-side kills (hazard plane) already marked the player dead and counted the death
+      if (cause && player?.state !== 'dead') this.worldState.recordDeath(client.sessionId, cause);
       this.worldState.updatePlayer(client.sessionId, { state: 'dead' });
 
       if (data.challengeId) {
@@ -110,7 +158,8 @@ export class GameRoom extends Room {
       this.broadcast('player_died', {
         id: client.sessionId,
         position: data.position,
-        challengeId: data.challengeId
+        challengeId: data.challengeId,
+        cause
       });
 
       this._systemMessage(`${name} died`);
@@ -171,6 +220,12 @@ export class GameRoom extends Room {
       const entity = this.worldState.entities.get(data.entityId);
       if (!entity || entity.type !== 'collectible') return;
 
+      // Reject pickups from players nowhere near the collectible; respawn it for the sender
+      if (this.antiCheat && !this.antiCheat.checkProximity(client.sessionId, entity, 'collect')) {
+        client.send('entity_spawned', entity);
+        return;
+      }
+
       // Remove from server state
       try {
         this.worldState.destroyEntity(data.entityId);
@@ -196,6 +251,11 @@ export class GameRoom extends Room {
       if (this._isSpectator(client)) return;
       if (!isValidEntityId(data.entityId)) return;
       this.worldState.recordPlayerActivity(client.sessionId);
+
+      const entity = this.worldState.entities.get(data.entityId);
+      if (!entity) return;
+      if (this.antiCheat && !this.antiCheat.checkProximity(client.sessionId, entity, 'trigger_activated')) return;
+
       console.log(`[GameRoom] Trigger activated: ${data.entityId} by ${client.sessionId}`);
 
       this.broadcast('trigger_activated', {
@@ -274,10 +334,47 @@ export class GameRoom extends Room {
     return null;
   }
 
+  /** Server restart pending: hand every client a token to resume its session with. */
+  offerResume() {
+    for (const client of this.clients) this._offerResume(client);
+  }
+
+  _offerResume(client) {
+    const token = this._resumeTokens.get(client.sessionId) || randomUUID();
+    this._resumeTokens.set(client.sessionId, token);
+    client.send('server_restarting', { restartAt: this.arena.restartAt, resumeToken: token });
+  }
+
+  /** Last step before the room closes for a restart: park players for resumeToken joins. */
+  parkSessions() {
+    if (!this.worldState) return 0;
+    let parked = 0;
+    for (const [sessionId, token] of this._resumeTokens) {
+      const player = this.worldState.players.get(sessionId);
+      if (!player || player.type === 'spectator') continue;
+      this.arena.parkSession(token, player);
+      parked++;
+    }
+    return parked;
+  }
+
+  // Players and agent players share the arena's maxPlayers slots; spectators always get in
+  onAuth(client, options) {
+    if (options?.type === 'spectator' || !this.arena) return true;
+    if (this.arena.playingCount() >= this.arena.config.maxPlayers) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, `Arena is full (${this.arena.config.maxPlayers} players)`);
+    }
+    return true;
+  }
+
   onJoin(client, options) {
-    const name = options.name || `Player-${client.sessionId.slice(0, 4)}`;
     const payload = options.token ? verifyToken(options.token) : null;
-    const userId = payload?.userId ?? client.sessionId;
+    // Rejoining after a restart: guests keep their identity, everyone keeps their spot
+    let resumed = options.resumeToken ? this.arena?.takeSession(String(options.resumeToken)) : null;
+    if (resumed && payload && resumed.userId !== payload.userId) resumed = null;
+
+    const name = options.name || resumed?.name || `Player-${client.sessionId.slice(0, 4)}`;
+    const userId = payload?.userId ?? resumed?.userId ?? client.sessionId;
     const type = options.type || (payload ? 'authenticated' : 'human');
     const isUrlSpectator = type === 'spectator';
 
@@ -300,14 +397,20 @@ export class GameRoom extends Room {
     }
 
     const player = this.worldState.addPlayer(client.sessionId, name, type, initialState, userId);
+    if (resumed && initialState === 'alive' && isValidPosition(resumed.position)) {
+      player.position = [...resumed.position];
+      player.activityAnchor = [...resumed.position];
+    }
 
     const initState = this.worldState.getState();
     client.send('init', {
       playerId: client.sessionId,
       worldState: initState,
       spectating: initialState === 'spectating',
+      resumed: !!resumed,
       lobbyCountdown: this.worldState.autoStartTargetTime || null
     });
+    if (this.arena.restartAt) this._offerResume(client);
 
     this.broadcast('player_joined', player, { except: client });
 
@@ -380,6 +483,8 @@ export class GameRoom extends Room {
   _finalizeLeave(sessionId) {
     this._chatRateLimit.delete(sessionId);
     this._deathTimestamps.delete(sessionId);
+    this._resumeTokens.delete(sessionId);
+    this.antiCheat?.removePlayer(sessionId);
 
     if (!this.worldState) return;
 
@@ -387,6 +492,7 @@ export class GameRoom extends Room {
     const name = player?.name || sessionId.slice(0, 8);
 
     this.worldState.removePlayer(sessionId);
+    this.worldState.flushStats();
     this.broadcast('player_left', { id: sessionId, name });
     this._systemMessage(`${name} has left`);
     this.worldState.addEvent('player_leave', { playerId: sessionId, name });
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for GameRoom admission: humans and agent players share maxPlayers
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArenaInstance } from './ArenaInstance.js';
+import { GameRoom } from './GameRoom.js';
+import { joinAgentPlayer } from './services/agentPlayerService.js';
+
+const arenas = [];
+after(() => arenas.forEach(arena => arena.dispose()));
+
+// A GameRoom outside a Colyseus server: no patch loop or auto-dispose timer
+function setup(maxPlayers) {
+  const arena = new ArenaInstance(`cap-${arenas.length}`, { name: 'Cap Test', maxPlayers });
+  arenas.push(arena);
+  const room = new GameRoom();
+  room.setPatchRate(null);
+  room.autoDispose = false;
+  room.arena = arena;
+  arena.gameRoom = room;
+  return { arena, room };
+}
+
+function join(room, sessionId, options = {}) {
+  const client = { sessionId, send() {}, enqueueRaw() {}, leave() {} };
+  room.onAuth(client, options);
+  room.clients.push(client);
+  room.onJoin(client, options);
+}
+
+test('agent players count toward the cap humans join under', async () => {
+  const { arena, room } = setup(2);
+  assert.equal((await joinAgentPlayer(arena, 'Agent Smith')).success, true);
+  join(room, 'human-1', { name: 'Alice' });
+
+  assert.throws(() => join(room, 'human-2', { name: 'Bob' }), /Arena is full \(2 players\)/);
+  assert.equal(arena.worldState.players.has('human-2'), false);
+
+  const agent = await joinAgentPlayer(arena, 'Agent Jones');
+  assert.equal(agent.code, 'ARENA_FULL');
+});
+
+test('spectators are admitted and do not take a slot', async () => {
+  const { arena, room } = setup(1);
+  join(room, 'watcher', { name: 'Watcher', type: 'spectator' });
+  arena.worldState.addPlayer('late', 'Late', 'human', 'spectating');
+  assert.equal(arena.playingCount(), 0);
+
+  join(room, 'human-1', { name: 'Alice' });
+  assert.equal(arena.playingCount(), 1);
+  assert.doesNotThrow(() => join(room, 'watcher-2', { name: 'Watcher Two', type: 'spectator' }));
+  assert.equal((await joinAgentPlayer(arena, 'Agent Smith')).code, 'ARENA_FULL');
+});
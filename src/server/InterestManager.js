@@ -0,0 +1,148 @@
+/**
+ * InterestManager - Per-client relevance filtering for player_moved
+ *
+ * Movement goes to each client at a rate that depends on how far the mover
+ * is from that client's player: every update nearby, a reduced rate out to
+ * the fog distance (environment.fogFar), nothing beyond it. Spectators get
+ * an overview of everyone at the arena's spectatorUpdateMs rate.
+ * Player positions live in a SpatialHash so each update only measures
+ * distance to receivers in the surrounding cells. An update skipped by the
+ * rate limit is held, and flush() delivers it once the interval has passed,
+ * so a mover that stops is last seen where it stopped.
+ */
+
+import { SpatialHash } from './SpatialHash.js';
+import { INTEREST } from './constants.js';
+
+const MIN_SPECTATOR_INTERVAL_MS = 100;
+const MAX_SPECTATOR_INTERVAL_MS = 5000;
+
+export class InterestManager {
+  constructor(arena) {
+    this.arena = arena;
+    this.hash = new SpatialHash(INTEREST.nearDistance);
+    this.lastSent = new Map();    // receiver id -> Map<mover id, ms>
+    this.held = new Map();        // receiver id -> Map<mover id, { client, message, interval }> skipped by the rate
+    this.players = new Map();     // session id -> client, for players in the world
+    this.spectators = [];         // clients watching rather than playing
+    this.refreshedAt = 0;
+    this.refreshedCount = -1;
+  }
+
+  get fogDistance() {
+    return this.arena.worldState.environment.fogFar || INTEREST.fogDistance;
+  }
+
+  get spectatorInterval() {
+    const ms = Number(this.arena.config.spectatorUpdateMs) || INTEREST.spectatorIntervalMs;
+    return Math.min(MAX_SPECTATOR_INTERVAL_MS, Math.max(MIN_SPECTATOR_INTERVAL_MS, ms));
+  }
+
+  /**
+   * Clients that should receive this player_moved message now.
+   * @param {{ id: string, position: number[] }} message
+   * @param {object[]} clients - room clients
+   * @param {object|object[]} [except] - clients to skip (e.g. the sender)
+   * @returns {object[]}
+   */
+  recipients(message, clients, except, now = Date.now()) {
+    const { id: moverId, position } = message;
+    if (!Array.isArray(position)) return [];
+    this._refresh(clients, now);
+    this.hash.update(moverId, position);
+
+    const skip = new Set(except ? [except].flat() : []);
+    const fog = this.fogDistance;
+    const result = [];
+
+    for (const id of this.hash.query(position[0], position[2], fog)) {
+      const client = this.players.get(id);
+      if (!client || id === moverId || skip.has(client)) continue;
+
+      const [x, y, z] = this.hash.positionOf(id);
+      const distance = Math.hypot(x - position[0], y - position[1], z - position[2]);
+      if (distance > fog) continue;
+      const interval = distance <= INTEREST.nearDistance ? 0 : INTEREST.farIntervalMs;
+      if (this._due(client, message, interval, now)) result.push(client);
+    }
+
+    const overview = this.spectatorInterval;
+    for (const client of this.spectators) {
+      if (skip.has(client)) continue;
+      if (this._due(client, message, overview, now)) result.push(client);
+    }
+    return result;
+  }
+
+  /**
+   * Held updates whose interval has passed without a newer one going out,
+   * i.e. the mover went quiet. Called every tick.
+   * @returns {Array<{ client: object, message: object }>}
+   */
+  flush(now = Date.now()) {
+    const due = [];
+    for (const [receiverId, held] of this.held) {
+      const sent = this.lastSent.get(receiverId);
+      for (const [moverId, { client, message, interval }] of held) {
+        if (now - (sent?.get(moverId) ?? -Infinity) < interval) continue;
+        held.delete(moverId);
+        sent?.set(moverId, now);
+        due.push({ client, message });
+      }
+      if (held.size === 0) this.held.delete(receiverId);
+    }
+    return due;
+  }
+
+  /** Forget a player who left, as a mover and as a receiver. */
+  removePlayer(id) {
+    this.hash.remove(id);
+    this.lastSent.delete(id);
+    this.held.delete(id);
+    for (const sent of this.lastSent.values()) sent.delete(id);
+    for (const held of this.held.values()) held.delete(id);
+  }
+
+  _due(client, message, interval, now) {
+    const receiverId = client.sessionId;
+    const moverId = message.id;
+    let sent = this.lastSent.get(receiverId);
+    if (!sent) {
+      sent = new Map();
+      this.lastSent.set(receiverId, sent);
+    }
+    if (interval > 0 && now - (sent.get(moverId) ?? -Infinity) < interval) {
+      let held = this.held.get(receiverId);
+      if (!held) {
+        held = new Map();
+        this.held.set(receiverId, held);
+      }
+      held.set(moverId, { client, message, interval });
+      return false;
+    }
+    sent.set(moverId, now);
+    this.held.get(receiverId)?.delete(moverId);
+    return true;
+  }
+
+  // Sort clients into players and spectators, and catch up on positions
+  // that changed without a move (respawns, teleports, idle players)
+  _refresh(clients, now) {
+    if (now - this.refreshedAt < INTEREST.refreshMs && clients.length === this.refreshedCount) return;
+    this.refreshedAt = now;
+    this.refreshedCount = clients.length;
+
+    const worldPlayers = this.arena.worldState.players;
+    this.players.clear();
+    this.spectators = [];
+    for (const client of clients) {
+      const player = worldPlayers.get(client.sessionId);
+      if (!player || player.type === 'spectator' || player.state === 'spectating') {
+        this.spectators.push(client);
+        continue;
+      }
+      this.players.set(client.sessionId, client);
+      this.hash.update(client.sessionId, player.position);
+    }
+  }
+}
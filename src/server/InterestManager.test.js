@@ -0,0 +1,80 @@
+/**
+ * Unit tests for per-client player_moved filtering
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InterestManager } from './InterestManager.js';
+import { INTEREST } from './constants.js';
+
+const FOG = 150;
+
+// Clients at fixed spots: near (within nearDistance), far (inside fog), beyond fog, and a spectator
+function setup() {
+  const players = new Map([
+    ['mover', { position: [0, 1, 0], state: 'alive', type: 'human' }],
+    ['near', { position: [10, 1, 0], state: 'alive', type: 'human' }],
+    ['far', { position: [100, 1, 0], state: 'alive', type: 'human' }],
+    ['beyond', { position: [0, 1, 400], state: 'alive', type: 'human' }],
+    ['watcher', { position: [0, 1, 0], state: 'spectating', type: 'human' }],
+  ]);
+  const arena = { worldState: { players, environment: { fogFar: FOG } }, config: { spectatorUpdateMs: 1000 } };
+  const clients = [...players.keys()].map(sessionId => ({ sessionId }));
+  const byId = (id) => clients.find(c => c.sessionId === id);
+  return { interest: new InterestManager(arena), clients, byId };
+}
+
+const ids = (clients) => clients.map(c => c.sessionId).sort();
+const moved = (position) => ({ id: 'mover', position, velocity: [0, 0, 0] });
+
+test('distance picks the rate: every update near, throttled out to the fog, none beyond', () => {
+  const { interest, clients, byId } = setup();
+  const t = 10_000;
+
+  assert.deepEqual(ids(interest.recipients(moved([0, 1, 0]), clients, byId('mover'), t)), ['far', 'near', 'watcher']);
+  assert.deepEqual(ids(interest.recipients(moved([1, 1, 0]), clients, byId('mover'), t + 100)), ['near']);
+  assert.deepEqual(ids(interest.recipients(moved([2, 1, 0]), clients, byId('mover'), t + INTEREST.farIntervalMs)), ['far', 'near']);
+  assert.deepEqual(ids(interest.recipients(moved([3, 1, 0]), clients, byId('mover'), t + 1000)), ['far', 'near', 'watcher']);
+});
+
+test('the sender and excluded clients are skipped', () => {
+  const { interest, clients, byId } = setup();
+  const result = interest.recipients(moved([0, 1, 0]), clients, [byId('mover'), byId('near')], 0);
+  assert.deepEqual(ids(result), ['far', 'watcher']);
+});
+
+test('a far mover that stops is flushed at its last position', () => {
+  const { interest, clients, byId } = setup();
+  const t = 10_000;
+  interest.recipients(moved([0, 1, 0]), clients, byId('mover'), t);
+  interest.recipients(moved([1, 1, 0]), clients, byId('mover'), t + 50);
+  interest.recipients(moved([2, 1, 0]), clients, byId('mover'), t + 100);
+
+  // Nothing new is due before the interval
+  assert.deepEqual(interest.flush(t + 200), []);
+
+  const flushed = interest.flush(t + INTEREST.farIntervalMs);
+  assert.deepEqual(flushed.map(f => f.client.sessionId), ['far']);
+  assert.deepEqual(flushed[0].message.position, [2, 1, 0]);
+  assert.deepEqual(interest.flush(t + 1000).map(f => f.client.sessionId), ['watcher']);
+  assert.deepEqual(interest.flush(t + 5000), []);
+});
+
+test('an update that goes out replaces the held one', () => {
+  const { interest, clients, byId } = setup();
+  interest.recipients(moved([0, 1, 0]), clients, byId('mover'), 0);
+  interest.recipients(moved([1, 1, 0]), clients, byId('mover'), 100);
+  interest.recipients(moved([2, 1, 0]), clients, byId('mover'), INTEREST.farIntervalMs);
+  assert.deepEqual(interest.flush(INTEREST.farIntervalMs + 10).map(f => f.client.sessionId), []);
+});
+
+test('players who leave are forgotten as movers and receivers', () => {
+  const { interest, clients, byId } = setup();
+  interest.recipients(moved([0, 1, 0]), clients, byId('mover'), 0);
+  interest.recipients(moved([1, 1, 0]), clients, byId('mover'), 100);
+  interest.removePlayer('mover');
+  assert.equal(interest.hash.positionOf('mover'), null);
+  assert.deepEqual(interest.flush(10_000), []);
+});
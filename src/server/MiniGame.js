@@ -8,10 +8,15 @@
  * - king: Control hill zones to earn points
  * - hot_potato: Pass the curse before it eliminates you
  * - race: Hit checkpoints in order
+ *
+ * Additional types are added through games/registry.js (registerGameType).
  */
 
 import { randomUUID } from 'crypto';
 import { saveGameHistory } from './db.js';
+import { validateTrick, isRepeatingTrigger } from './TrickScript.js';
+import { spawnPrefab } from './Prefabs.js';
+import { parseTeamCount, balanceTeams } from './Teams.js';
 
 // Random obstacle patterns used by _spawnRandomObstacles
 const OBSTACLE_PATTERNS = ['sweeper', 'moving_wall', 'pendulum', 'falling_block'];
@@ -22,7 +27,7 @@ const ARENA_SPREAD = 30;
 // Minimum distance from respawn point when placing random obstacles
 const SPAWN_EXCLUSION_RADIUS = 5;
 
-// Game type registry - agents can query this
+// Game type metadata - agents can query this (extended by registerGameType)
 export const GAME_TYPES = {
   reach: {
     name: 'Reach the Goal',
@@ -68,6 +73,19 @@ export const GAME_TYPES = {
   }
 };
 
+// Trick actions every game supports (subclasses add theirs via static TRICK_ACTIONS)
+const BUILTIN_TRICK_ACTIONS = ['announce', 'flip_gravity', 'speed_burst', 'spawn_prefab'];
+
+// Randomized time limit range [min, max] ms per game type (extended by registerGameType)
+export const TIME_LIMIT_RANGES = {
+  reach: [40000, 75000],
+  collect: [30000, 60000],
+  survival: [60000, 120000],
+  king: [60000, 120000],
+  hot_potato: [90000, 150000],
+  race: [90000, 150000]
+};
+
 export class MiniGame {
   constructor(worldState, broadcastFn, config = {}) {
     this.id = `minigame-${randomUUID().slice(0, 8)}`;
@@ -85,15 +103,25 @@ export class MiniGame {
     this.winners = [];
     this.losers = [];
 
+    // Team mode — players are balanced into teams on start, scores aggregate per team
+    this.teamCount = parseTeamCount(config.teams);
+    this.teams = new Map();       // teamId -> { id, name, color, members, score }
+    this.playerTeams = new Map(); // playerId -> teamId
+    this.winningTeam = null;
+
     // Entities created for this game (for cleanup)
     this.gameEntities = [];
 
     // Callback for when game ends (set by server to notify AgentLoop)
     this.onEnd = null;
 
+    // Callback for when a trick fires (set by server for replay recording)
+    this.onTrickFired = null;
+
     // Trick system — timed/conditional events the agent configures
     this.tricks = [];
     this._trickIdCounter = 0;
+    this._trickTimers = new Set(); // pending `wait` steps, cleared on end
 
     // Tracks whether the first real update tick (post-countdown) has fired
     this._gameStarted = false;
@@ -123,6 +151,8 @@ export class MiniGame {
     }
     this.broadcast('players_teleported', { position: this.worldState.respawnPoint });
 
+    if (this.isTeamMode) this._assignTeams();
+
     // Announce BEFORE phase change so clients see these first
     this.announce('GET READY!', 'system');
     this.announce(`${GAME_TYPES[this.type]?.name || this.type} starting!`, 'system');
@@ -143,6 +173,13 @@ export class MiniGame {
   // Override in subclasses to add default tricks
   setupDefaultTricks() {}
 
+  /** Ms until the time limit ends this game, counting any countdown still to run. */
+  timeLeft(now = Date.now()) {
+    if (!this.isActive) return 0;
+    const countdown = this._gameStarted ? 0 : (this.config.countdownTime || 5000);
+    return Math.max(0, this.timeLimit + countdown - (now - this.startTime));
+  }
+
   // Called every tick
   update(delta) {
     if (!this.isActive) return;
@@ -186,13 +223,14 @@ export class MiniGame {
     // Check win condition (to be overridden)
     const result = this.checkWinCondition();
     if (result) {
+      if (result.teamId) this.winningTeam = result.teamId;
       this.end(result.type, result.winnerId);
     }
   }
 
   // Override in subclasses
   checkWinCondition() {
-    return null; // { type: 'win', winnerId: '...' }
+    return null; // { type: 'win', winnerId: '...' } or, in team mode, { type: 'win', teamId: '...' }
   }
 
   // Record player score
@@ -201,7 +239,83 @@ export class MiniGame {
     if (player) {
       player.score += points;
       this.scores.set(playerId, (this.scores.get(playerId) || 0) + points);
+      const teamId = this.playerTeams.get(playerId);
+      if (teamId) {
+        this.addTeamScore(teamId, points);
+        this.broadcastTeamScores();
+      }
+    }
+  }
+
+  // --- Teams ---
+
+  get isTeamMode() {
+    return this.teamCount > 0;
+  }
+
+  _assignTeams() {
+    this.teams = balanceTeams([...this.players.keys()], this.teamCount);
+    for (const team of this.teams.values()) {
+      for (const playerId of team.members) this.playerTeams.set(playerId, team.id);
+    }
+
+    this.broadcast('teams_assigned', { teams: this.getTeamSummary() });
+    const lineup = [...this.teams.values()].map(t => `${t.name} (${t.members.length})`).join(' vs ');
+    this.announce(`TEAMS: ${lineup}`, 'system');
+    console.log(`[MiniGame] Teams assigned: ${lineup}`);
+  }
+
+  getTeam(playerId) {
+    return this.teams.get(this.playerTeams.get(playerId)) || null;
+  }
+
+  addTeamScore(teamId, points) {
+    const team = this.teams.get(teamId);
+    if (team) team.score += points;
+  }
+
+  broadcastTeamScores() {
+    this.broadcast('team_scores', { gameType: this.type, teams: this.getTeamSummary() });
+  }
+
+  getTeamSummary() {
+    return [...this.teams.values()].map(t => ({
+      id: t.id,
+      name: t.name,
+      color: t.color,
+      score: Math.floor(t.score),
+      members: t.members.map(pid => ({ id: pid, name: this.worldState.players.get(pid)?.name || pid.slice(0, 8) })),
+    }));
+  }
+
+  // Team ids that still have at least one living member
+  _aliveTeamIds() {
+    const alive = new Set();
+    for (const [playerId, p] of this.players) {
+      if (p.alive && this.playerTeams.has(playerId)) alive.add(this.playerTeams.get(playerId));
     }
+    return [...alive];
+  }
+
+  // Team with the strictly highest score, or null on a tie / all zero
+  _leadingTeamId() {
+    let best = null;
+    let tied = false;
+    for (const team of this.teams.values()) {
+      if (!best || team.score > best.score) {
+        best = team;
+        tied = false;
+      } else if (team.score === best.score) {
+        tied = true;
+      }
+    }
+    return best && best.score > 0 && !tied ? best.id : null;
+  }
+
+  // End the game with a whole team as the winner
+  endTeam(teamId) {
+    this.winningTeam = teamId;
+    return this.end('win');
   }
 
   // Mark player as eliminated
@@ -209,8 +323,16 @@ export class MiniGame {
     const player = this.players.get(playerId);
     if (!player || !player.alive) return; // Already eliminated or unknown
     player.alive = false;
+    player.eliminatedAt = Date.now();
     this.losers.push(playerId);
 
+    // Team mode: last team with anyone standing wins
+    if (this.isTeamMode) {
+      const aliveTeams = this._aliveTeamIds();
+      if (aliveTeams.length === 1) this.endTeam(aliveTeams[0]);
+      return;
+    }
+
     // Check if only one player left
     const alivePlayers = Array.from(this.players.values()).filter(p => p.alive);
     if (alivePlayers.length <= 1 && this.players.size > 1) {
@@ -229,29 +351,48 @@ export class MiniGame {
     }
 
     this.isActive = false;
-    console.log(`[MiniGame] Ended: ${result}${winnerId ? ` (winner: ${winnerId})` : ''}`);
+    this._cancelTrickTimers();
+
+    if (this.isTeamMode) {
+      // A player win counts for their team; on timeout the top team score wins
+      if (result === 'win' && !this.winningTeam) this.winningTeam = this.playerTeams.get(winnerId) || null;
+      if (result === 'timeout') this.winningTeam = this._leadingTeamId();
+      if (this.winningTeam) result = 'win';
+    }
+    const winningTeam = this.teams.get(this.winningTeam);
+    console.log(`[MiniGame] Ended: ${result}${winningTeam ? ` (team: ${winningTeam.id})` : winnerId ? ` (winner: ${winnerId})` : ''}`);
 
-    if (winnerId) {
+    if (winningTeam) {
+      this.winners.push(...winningTeam.members);
+    } else if (winnerId) {
       this.winners.push(winnerId);
     }
 
     // Announce result
-    const resultMsg = this.getResultMessage(result, winnerId);
+    const resultMsg = winningTeam
+      ? `${winningTeam.name.toUpperCase()} TEAM WINS!${winningTeam.score > 0 ? ` (${Math.floor(winningTeam.score)} pts)` : ''}`
+      : this.getResultMessage(result, winnerId);
     this.announce(resultMsg, 'challenge');
 
+    // Per-player stats (before endGame, which lowers the hazard plane)
+    this._recordStats();
+
     // End in world state
-    this.worldState.endGame(result, winnerId);
+    this.worldState.endGame(result, winningTeam ? winningTeam.members : winnerId);
 
-    // Record results to leaderboard
-    if (winnerId) {
-      this.worldState.recordGameResult(winnerId, true, this.scores.get(winnerId) || 0);
+    // Record results to leaderboard (every member of a winning team is credited)
+    for (const playerId of this.winners) {
+      this.worldState.recordGameResult(playerId, true, this.scores.get(playerId) || 0);
     }
     for (const [playerId] of this.players) {
-      if (playerId !== winnerId) {
+      if (!this.winners.includes(playerId)) {
         this.worldState.recordGameResult(playerId, false, this.scores.get(playerId) || 0);
       }
     }
 
+    // Skill rating from every participant's final placement
+    this.worldState.recordRatings(this.type, this.getPlacements());
+
     // Fire-and-forget DB write
     saveGameHistory({
       id: this.id,
@@ -270,7 +411,8 @@ export class MiniGame {
       result,
       winners: this.winners,
       losers: this.losers,
-      scores: Object.fromEntries(this.scores)
+      scores: Object.fromEntries(this.scores),
+      ...(this.isTeamMode && { teams: this.getTeamSummary(), winningTeam: this.winningTeam }),
     });
 
     // Cleanup game entities after delay
@@ -290,6 +432,51 @@ export class MiniGame {
     return { result, winners: this.winners, scores: Object.fromEntries(this.scores) };
   }
 
+  _recordStats() {
+    const hazardRose = this.worldState.hazardPlane.active;
+    for (const [playerId, data] of this.players) {
+      this.worldState.recordGamePlayed(playerId, this.type);
+      if (hazardRose && data.alive && this.worldState.players.get(playerId)?.state === 'alive') {
+        this.worldState.addStat(playerId, 'hazardRisesSurvived');
+      }
+    }
+    this.worldState.flushStats();
+  }
+
+  /**
+   * Final placements. Winners share 1st; everyone else is ordered by score,
+   * then survival (alive, then eliminated later). Equal players share a
+   * placement ("1, 1, 3" style).
+   * @returns {Array<{ playerId: string, placement: number }>}
+   */
+  getPlacements() {
+    const winners = new Set(this.winners);
+    const eliminatedAt = new Map(this.losers.map((id, i) => [id, i]));
+    const key = (id) => [
+      this.scores.get(id) || 0,
+      eliminatedAt.has(id) ? eliminatedAt.get(id) : Infinity,
+    ];
+    const compare = (a, b) => {
+      const ka = key(a);
+      const kb = key(b);
+      for (let i = 0; i < ka.length; i++) {
+        if (ka[i] !== kb[i]) return kb[i] > ka[i] ? 1 : -1;
+      }
+      return 0;
+    };
+
+    const ids = [...this.players.keys()];
+    const top = ids.filter(id => winners.has(id));
+    const rest = ids.filter(id => !winners.has(id)).sort(compare);
+    return [
+      ...top.map(playerId => ({ playerId, placement: 1 })),
+      ...rest.map(playerId => ({
+        playerId,
+        placement: top.length + rest.findIndex(other => compare(other, playerId) === 0) + 1,
+      })),
+    ];
+  }
+
   getResultMessage(result, winnerId) {
     switch (result) {
       case 'win': {
@@ -346,33 +533,107 @@ export class MiniGame {
   // Trick System
   // ============================================
 
+  // Legacy single-action trick (used by setupDefaultTricks); normalized like scripted tricks
   addTrick(trigger, action, params = {}) {
+    return this.addScriptedTrick({ trigger, action, params });
+  }
+
+  /**
+   * Add a declarative trick ({ trigger, actions } or legacy { trigger, action, params }).
+   * Throws on invalid input.
+   */
+  addScriptedTrick(def) {
+    const { trigger, steps } = validateTrick(def, this.getTrickActions());
+    return this._pushTrick(trigger, steps);
+  }
+
+  getTrickActions() {
+    return [...BUILTIN_TRICK_ACTIONS, ...(this.constructor.TRICK_ACTIONS || [])];
+  }
+
+  _pushTrick(trigger, steps) {
     const id = ++this._trickIdCounter;
-    this.tricks.push({ id, trigger, action, params, fired: false, lastFired: 0 });
+    this.tricks.push({
+      id, trigger, steps,
+      repeat: isRepeatingTrigger(trigger),
+      state: 'armed',       // armed | running | done
+      currentStep: null,
+      fireCount: 0,
+      lastFired: 0,         // ms elapsed at last fire (interval triggers)
+      lastFiredAt: null,
+      lastError: null,
+    });
     return id;
   }
 
   processTricks(elapsed) {
     for (const trick of this.tricks) {
-      if (trick.fired && trick.trigger.type !== 'interval') continue;
+      if (trick.state !== 'armed') continue;
       if (this.shouldFireTrick(trick, elapsed)) {
-        this.executeTrick(trick, elapsed);
-        trick.fired = true;
+        trick.fireCount++;
         trick.lastFired = elapsed;
+        trick.lastFiredAt = Date.now();
+        this.onTrickFired?.(trick);
+        this._runTrickSteps(trick, 0);
+      }
+    }
+  }
+
+  // Run steps in order from `index`; a `wait` step schedules the remainder
+  _runTrickSteps(trick, index) {
+    trick.state = 'running';
+    for (let i = index; i < trick.steps.length; i++) {
+      const step = trick.steps[i];
+      trick.currentStep = i;
+      if (step.wait !== undefined) {
+        const timer = setTimeout(() => {
+          this._trickTimers.delete(timer);
+          if (this.isActive) this._runTrickSteps(trick, i + 1);
+        }, step.wait);
+        this._trickTimers.add(timer);
+        return;
+      }
+      try {
+        this.executeTrick(step);
+      } catch (err) {
+        trick.lastError = err.message;
+        console.error(`[MiniGame] Trick ${trick.id} step ${i} failed:`, err.message);
       }
     }
+    trick.currentStep = null;
+    trick.state = trick.repeat ? 'armed' : 'done';
+  }
+
+  _cancelTrickTimers() {
+    for (const timer of this._trickTimers) clearTimeout(timer);
+    this._trickTimers.clear();
   }
 
   shouldFireTrick(trick, elapsed) {
-    switch (trick.trigger.type) {
+    return this.evaluateTrigger(trick.trigger, trick, elapsed);
+  }
+
+  evaluateTrigger(trigger, trick, elapsed) {
+    if (trigger.all) return trigger.all.every(t => this.evaluateTrigger(t, trick, elapsed));
+    if (trigger.any) return trigger.any.some(t => this.evaluateTrigger(t, trick, elapsed));
+
+    switch (trigger.type) {
       case 'time':
-        return elapsed >= trick.trigger.at;
+        return elapsed >= trigger.at;
       case 'score':
-        return this.checkScoreTrigger(trick.trigger);
+        return this.checkScoreTrigger(trigger);
       case 'deaths':
-        return this.losers.length >= trick.trigger.count;
+        return this.losers.length >= trigger.count;
       case 'interval':
-        return elapsed - trick.lastFired >= trick.trigger.every;
+        return elapsed - trick.lastFired >= trigger.every;
+      case 'players_alive':
+        return this._countAlivePlayers() <= trigger.max;
+      case 'collectibles_remaining':
+        return this._countCollectibles() <= trigger.max;
+      case 'time_remaining':
+        return this.timeLimit - elapsed <= trigger.at;
+      case 'zone_enter':
+        return this._isPlayerInZone(trigger);
       default:
         return false;
     }
@@ -389,7 +650,34 @@ export class MiniGame {
     return false;
   }
 
-  executeTrick(trick, elapsed) {
+  _countAlivePlayers() {
+    let count = 0;
+    for (const [, p] of this.players) if (p.alive) count++;
+    return count;
+  }
+
+  _countCollectibles() {
+    let count = 0;
+    for (const entity of this.worldState.entities.values()) {
+      if (entity.type === 'collectible') count++;
+    }
+    return count;
+  }
+
+  _isPlayerInZone({ center, radius, player }) {
+    const r2 = radius * radius;
+    for (const [id, p] of this.players) {
+      if (!p.alive || (player !== 'any' && player !== id)) continue;
+      const pos = this.worldState.players.get(id)?.position;
+      if (!pos) continue;
+      const dx = pos[0] - center[0], dy = pos[1] - center[1], dz = pos[2] - center[2];
+      if (dx * dx + dy * dy + dz * dz <= r2) return true;
+    }
+    return false;
+  }
+
+  // Execute one trick action ({ action, params })
+  executeTrick(trick) {
     console.log(`[MiniGame] Trick fired: ${trick.action}`);
 
     // Built-in actions
@@ -419,6 +707,15 @@ export class MiniGame {
         this.announce('SPEED SURGE!', 'system');
         return;
       }
+      case 'spawn_prefab': {
+        const position = trick.params.position || this.worldState.respawnPoint || [0, 2, 0];
+        const { entityIds } = spawnPrefab(
+          trick.params.name, position, { ...trick.params.properties, gameId: this.id },
+          this.worldState, this.broadcast
+        );
+        this.gameEntities.push(...entityIds);
+        return;
+      }
       default:
         // Delegate to game-specific handler
         this.executeTrickAction(trick);
@@ -431,15 +728,7 @@ export class MiniGame {
   }
 
   _randomizeTimeLimit(type) {
-    const ranges = {
-      reach: [40000, 75000],
-      collect: [30000, 60000],
-      survival: [60000, 120000],
-      king: [60000, 120000],
-      hot_potato: [90000, 150000],
-      race: [90000, 150000]
-    };
-    const [min, max] = ranges[type] || [45000, 75000];
+    const [min, max] = TIME_LIMIT_RANGES[type] || [45000, 75000];
     return min + Math.floor(Math.random() * (max - min));
   }
 
@@ -501,8 +790,21 @@ export class MiniGame {
       players: Object.fromEntries(this.players),
       scores: Object.fromEntries(this.scores),
       winners: this.winners,
+      teams: this.isTeamMode ? this.getTeamSummary() : null,
+      winningTeam: this.winningTeam,
       trickCount: this.tricks.length,
-      tricksFired: this.tricks.filter(t => t.fired).length
+      tricksFired: this.tricks.filter(t => t.fireCount > 0).length,
+      tricks: this.tricks.map(t => ({
+        id: t.id,
+        trigger: t.trigger,
+        actions: t.steps,
+        state: t.state,
+        currentStep: t.currentStep,
+        repeat: t.repeat,
+        fireCount: t.fireCount,
+        lastFiredAt: t.lastFiredAt,
+        lastError: t.lastError,
+      }))
     };
   }
 }
@@ -0,0 +1,345 @@
+/**
+ * NavGraph - Waypoint graph over walkable surfaces for AI players
+ *
+ * Every platform/ramp top is a node. Nodes are linked when a bot can walk
+ * across (touching, same height) or jump between them; jump reach comes from
+ * the shared player physics (jump force, rise/fall gravity, take-off speed).
+ * Moving platforms become nodes covering their whole path, and their
+ * waypoints carry the entity id so bots can track them live.
+ * Links whose straight line passes through a static obstacle cost extra, so
+ * A* prefers clear routes but can still take a guarded one.
+ *
+ * Built from EntityManager's entities; WorldState.getNavGraph() rebuilds it
+ * whenever the entity layout changes.
+ */
+
+import { PLAYER_PHYSICS, PLAYER_HALF_EXTENTS as PLAYER_HALF } from '../shared/physics.js';
+
+// Full-height jump under the shared player physics
+const RISE_GRAVITY = -PLAYER_PHYSICS.GRAVITY;
+const FALL_GRAVITY = RISE_GRAVITY * PLAYER_PHYSICS.FALL_MULTIPLIER;
+export const JUMP_APEX = PLAYER_PHYSICS.JUMP_FORCE ** 2 / (2 * RISE_GRAVITY);   // ~4.6
+export const NAV_JUMP_SPEED = PLAYER_PHYSICS.SPRINT_SPEED;  // bots take a run-up for long jumps
+
+const REACH_MARGIN = 0.6;       // fraction of the ballistic range we trust
+const MAX_JUMP_GAP = 8;
+const MAX_CLIMB = 4.2;          // just under the ~4.6 apex of a full jump
+const MAX_DROP = 25;
+const STEP_HEIGHT = 0.5;
+const EDGE_INSET = 0.75;        // stay this far from platform edges
+const JUMP_COST = 4;
+const MOVING_COST = 6;          // waiting for a moving platform takes time
+const HAZARD_COST = 40;
+const HAZARD_CLEARANCE = 1;     // extra room kept around obstacles at stand points
+
+const WALKABLE_TYPES = new Set(['platform', 'ramp']);
+
+/**
+ * Seconds until a held jump, now moving up at `vy`, comes down to the level
+ * `height` below us; 0 if it never gets there.
+ */
+export function landingTime(vy, height) {
+  let t = 0;
+  if (vy > 0) {
+    t = vy / RISE_GRAVITY;
+    height += vy * vy / (2 * RISE_GRAVITY);
+    vy = 0;
+  }
+  if (height < 0) return 0;
+  return t + (vy + Math.sqrt(vy * vy + 2 * FALL_GRAVITY * height)) / FALL_GRAVITY;
+}
+
+/** Seconds in the air for a full jump landing `dy` above the take-off height. */
+export function jumpAirtime(dy) {
+  return landingTime(PLAYER_PHYSICS.JUMP_FORCE, -dy);
+}
+
+/** Horizontal distance a bot can safely cover with a jump landing `dy` higher. */
+export function jumpReach(dy) {
+  return Math.min(MAX_JUMP_GAP, NAV_JUMP_SPEED * jumpAirtime(dy) * REACH_MARGIN);
+}
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+/** Horizontal distance between two nodes' top rectangles (0 when overlapping). */
+function rectGap(a, b) {
+  const gx = Math.max(0, b.min[0] - a.max[0], a.min[0] - b.max[0]);
+  const gz = Math.max(0, b.min[1] - a.max[1], a.min[1] - b.max[1]);
+  return Math.hypot(gx, gz);
+}
+
+/** Closest point on a node's inset top to (x, z), at standing height. */
+function closestStandPoint(node, x, z) {
+  return [
+    clamp(x, node.inner.min[0], node.inner.max[0]),
+    node.top + PLAYER_HALF[1],
+    clamp(z, node.inner.min[1], node.inner.max[1]),
+  ];
+}
+
+function dist3(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/** Slab test: does segment p→q pass through the box (center, half-size)? */
+export function segmentHitsBox(p, q, center, half) {
+  let tMin = 0;
+  let tMax = 1;
+  for (let i = 0; i < 3; i++) {
+    const d = q[i] - p[i];
+    const lo = center[i] - half[i];
+    const hi = center[i] + half[i];
+    if (Math.abs(d) < 1e-9) {
+      if (p[i] < lo || p[i] > hi) return false;
+      continue;
+    }
+    let t1 = (lo - p[i]) / d;
+    let t2 = (hi - p[i]) / d;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return false;
+  }
+  return true;
+}
+
+function isMoving(entity) {
+  const props = entity.properties || {};
+  return !!(props.chase || (props.kinematic && props.path?.length >= 2));
+}
+
+/** Node for a platform; moving platforms span the bounds of their whole path. */
+function makeNode(id, entity) {
+  const half = entity.size.map(s => s / 2);
+  const moving = isMoving(entity);
+  const stops = moving ? [entity.properties.path[0], entity.properties.path.at(-1)] : [entity.position];
+
+  const min = [Math.min(...stops.map(p => p[0])) - half[0], Math.min(...stops.map(p => p[2])) - half[2]];
+  const max = [Math.max(...stops.map(p => p[0])) + half[0], Math.max(...stops.map(p => p[2])) + half[2]];
+  const top = stops.reduce((sum, p) => sum + p[1], 0) / stops.length + half[1];
+  const insetX = Math.min(EDGE_INSET, (max[0] - min[0]) / 2);
+  const insetZ = Math.min(EDGE_INSET, (max[1] - min[1]) / 2);
+
+  return {
+    id,
+    entityId: entity.id,
+    moving,
+    min,
+    max,
+    inner: { min: [min[0] + insetX, min[1] + insetZ], max: [max[0] - insetX, max[1] - insetZ] },
+    top,
+    center: [(min[0] + max[0]) / 2, top + PLAYER_HALF[1], (min[1] + max[1]) / 2],
+    half: [half[0], half[2]],
+    links: [],
+  };
+}
+
+export class NavGraph {
+  constructor(version = 0) {
+    this.version = version; // EntityManager.layoutVersion this graph was built from
+    this.nodes = [];
+    this.hazards = [];      // static obstacle boxes, expanded by the player's half-size
+  }
+
+  /**
+   * @param {Iterable<object>} entities
+   * @param {number} [version]
+   */
+  static build(entities, version = 0) {
+    const graph = new NavGraph(version);
+
+    for (const entity of entities) {
+      if (entity.type === 'obstacle' && !isMoving(entity)) {
+        graph.hazards.push({
+          center: entity.position,
+          half: entity.size.map((s, i) => s / 2 + PLAYER_HALF[i]),
+        });
+      } else if (WALKABLE_TYPES.has(entity.type) && !entity.properties?.chase) {
+        graph.nodes.push(makeNode(graph.nodes.length, entity));
+      }
+    }
+
+    for (const a of graph.nodes) {
+      for (const b of graph.nodes) {
+        if (a === b) continue;
+        const link = graph._linkBetween(a, b);
+        if (link) a.links.push(link);
+      }
+    }
+    return graph;
+  }
+
+  _linkBetween(a, b) {
+    const dy = b.top - a.top;
+    if (dy > MAX_CLIMB || dy < -MAX_DROP) return null;
+
+    const gap = rectGap(a, b);
+    const walk = gap < 0.05 && Math.abs(dy) <= STEP_HEIGHT && !a.moving && !b.moving;
+    // Jumps go between stand points, which sit inside the edges
+    if (!walk && rectGap(a.inner, b.inner) > jumpReach(dy)) return null;
+    // Stacked platforms: dropping straight down through the upper one isn't possible
+    if (gap < 0.05 && dy < -STEP_HEIGHT && !a.moving && this._covers(a, b)) return null;
+
+    const jump = !walk && (dy > STEP_HEIGHT || gap >= 0.05 || b.moving);
+    let cost = dist3(a.center, b.center) + (jump ? JUMP_COST : 0) + (b.moving ? MOVING_COST : 0);
+    for (const hazard of this.hazards) {
+      if (segmentHitsBox(a.center, b.center, hazard.center, hazard.half)) cost += HAZARD_COST;
+    }
+    return { to: b.id, cost, jump };
+  }
+
+  // True when `upper` fully covers `lower`, so there's no edge to walk off
+  _covers(upper, lower) {
+    return upper.min[0] <= lower.min[0] && upper.min[1] <= lower.min[1]
+      && upper.max[0] >= lower.max[0] && upper.max[1] >= lower.max[1];
+  }
+
+  /** Stand point near (x, z) that keeps clear of obstacles, trading distance for clearance. */
+  _safeStandPoint(node, x, z) {
+    const { min, max } = node.inner;
+    const cx = (min[0] + max[0]) / 2;
+    const cz = (min[1] + max[1]) / 2;
+    const candidates = [
+      closestStandPoint(node, x, z),
+      ...[min[0], cx, max[0]].flatMap(px => [min[1], cz, max[1]].map(pz => closestStandPoint(node, px, pz))),
+    ];
+    let best = candidates[0];
+    let bestScore = Infinity;
+    for (const point of candidates) {
+      const clearance = this._hazardClearance(point);
+      if (clearance <= 0) continue; // standing here kills
+      const score = Math.hypot(point[0] - x, point[2] - z)
+        + Math.max(0, HAZARD_CLEARANCE - clearance) * 10;
+      if (score < bestScore) {
+        bestScore = score;
+        best = point;
+      }
+    }
+    return best;
+  }
+
+  /** Horizontal distance from a stand point to the nearest obstacle box at that height. */
+  _hazardClearance(point) {
+    let clearance = Infinity;
+    for (const { center, half } of this.hazards) {
+      if (Math.abs(point[1] - center[1]) >= half[1]) continue;
+      const outside = Math.max(Math.abs(point[0] - center[0]) - half[0], Math.abs(point[2] - center[2]) - half[2]);
+      clearance = Math.min(clearance, outside);
+    }
+    return clearance;
+  }
+
+  /** Static node the position is standing on, else the nearest node. */
+  locate(position) {
+    const [x, y, z] = position;
+    let standing = null;
+    for (const node of this.nodes) {
+      if (node.moving) continue;
+      if (x < node.min[0] || x > node.max[0] || z < node.min[1] || z > node.max[1]) continue;
+      const feet = y - PLAYER_HALF[1];
+      if (feet < node.top - STEP_HEIGHT) continue;
+      if (!standing || node.top > standing.top) standing = node;
+    }
+    return standing || this.nearest(position);
+  }
+
+  /** Node with a standing spot closest to the position. */
+  nearest(position) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const node of this.nodes) {
+      const d = dist3(position, closestStandPoint(node, position[0], position[2]));
+      if (d < bestDist) {
+        bestDist = d;
+        best = node;
+      }
+    }
+    return best;
+  }
+
+  randomNode() {
+    const fixed = this.nodes.filter(n => !n.moving);
+    return fixed[Math.floor(Math.random() * fixed.length)] || null;
+  }
+
+  /**
+   * A* from one position to another. When `to` can't be reached the path
+   * ends at the reachable spot closest to it instead.
+   * @returns {Array<{ position: number[], jump: boolean, entityId?: string, offset?: number[] }>|null}
+   *   waypoints, or null when the graph is empty
+   */
+  findPath(from, to) {
+    const start = this.locate(from);
+    const goal = this.nearest(to);
+    if (!start || !goal) return null;
+
+    const h = (node) => dist3(node.center, goal.center);
+    const g = new Map([[start.id, 0]]);
+    const f = new Map([[start.id, h(start)]]);
+    const cameFrom = new Map();
+    const open = new Set([start.id]);
+    let closest = start;
+
+    while (open.size > 0) {
+      let current = null;
+      for (const id of open) {
+        if (current === null || f.get(id) < f.get(current)) current = id;
+      }
+      const node = this.nodes[current];
+      if (node === goal) {
+        return this._waypoints(this._reconstruct(cameFrom, current), to);
+      }
+      if (h(node) < h(closest)) closest = node;
+      open.delete(current);
+
+      for (const link of node.links) {
+        const score = g.get(current) + link.cost;
+        if (score >= (g.get(link.to) ?? Infinity)) continue;
+        cameFrom.set(link.to, { from: current, link });
+        g.set(link.to, score);
+        f.set(link.to, score + h(this.nodes[link.to]));
+        open.add(link.to);
+      }
+    }
+
+    return this._waypoints(this._reconstruct(cameFrom, closest.id), this._safeStandPoint(closest, to[0], to[2]));
+  }
+
+  _reconstruct(cameFrom, id) {
+    const steps = [];
+    while (cameFrom.has(id)) {
+      const step = cameFrom.get(id);
+      steps.unshift(step);
+      id = step.from;
+    }
+    return steps;
+  }
+
+  // Spot on a moving platform nearest `toward`, relative to the platform's live center
+  _standOffset(node, toward) {
+    return [0, 1].map(i => {
+      const room = Math.max(0, node.half[i] - EDGE_INSET);
+      return clamp(toward[i * 2] - node.center[i * 2], -room, room);
+    });
+  }
+
+  // Each jump becomes a take-off point on the near edge plus a landing point.
+  // Landings name the platform they're on; points on moving platforms also carry
+  // the entity id and an offset from its center.
+  _waypoints(steps, to) {
+    const waypoints = [];
+    const track = (node, toward) => (node.moving ? { entityId: node.entityId, offset: this._standOffset(node, toward) } : {});
+    for (const { from, link } of steps) {
+      const a = this.nodes[from];
+      const b = this.nodes[link.to];
+      const takeoff = this._safeStandPoint(a, b.center[0], b.center[2]);
+      const landing = this._safeStandPoint(b, takeoff[0], takeoff[2]);
+      if (link.jump) waypoints.push({ position: takeoff, jump: false, ...track(a, b.center) });
+      waypoints.push({ position: landing, jump: link.jump, landsOn: b.entityId, ...track(b, takeoff) });
+    }
+    waypoints.push({ position: [...to], jump: false });
+    return waypoints;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the AI navigation graph on simple platform layouts
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NavGraph, jumpReach } from './NavGraph.js';
+import { WorldState } from './WorldState.js';
+
+// 10x1x10 platforms in a row along x; `x` is the center
+const platform = (id, x, y = 0, z = 0) => ({ id, type: 'platform', position: [x, y, z], size: [10, 1, 10] });
+
+const start = platform('start', 0);
+const near = platform('near', 14);            // 4-unit gap: a run-up jump
+const high = platform('high', 27, 3);         // 3-unit gap and 3 higher
+const island = platform('island', 60);        // far past any jump
+const side = platform('side', 0, 0, 10);      // touching start, same height
+
+const nodeOf = (graph, id) => graph.nodes.find(n => n.entityId === id);
+const linked = (graph, a, b) => nodeOf(graph, a).links.find(l => l.to === nodeOf(graph, b).id);
+
+test('a gap within jump reach is linked as a jump; one beyond it is not', () => {
+  const graph = NavGraph.build([start, near, high, island]);
+
+  assert.ok(jumpReach(0) > 5.5, 'test layout assumes the near gap is jumpable');
+  assert.equal(linked(graph, 'start', 'near').jump, true);
+  assert.equal(linked(graph, 'near', 'start').jump, true);
+  assert.equal(linked(graph, 'near', 'high').jump, true);
+  assert.equal(linked(graph, 'high', 'island'), undefined);
+  assert.equal(linked(graph, 'start', 'island'), undefined);
+  assert.equal(nodeOf(graph, 'island').links.length, 0);
+});
+
+test('touching platforms at the same height are walked, and too-high ledges are skipped', () => {
+  const graph = NavGraph.build([start, side, platform('wall', 0, 5, -10)]);
+  assert.equal(linked(graph, 'start', 'side').jump, false);
+  assert.equal(linked(graph, 'start', 'wall'), undefined);
+  assert.ok(linked(graph, 'wall', 'start'), 'dropping down is fine');
+});
+
+test('paths visit platforms in order, with a take-off point before each jump', () => {
+  const graph = NavGraph.build([start, near, high, island]);
+  const to = [27, 4.5, 0];
+  const path = graph.findPath([0, 1.5, 0], to);
+
+  assert.deepEqual(path.filter(w => w.landsOn).map(w => w.landsOn), ['near', 'high']);
+  assert.deepEqual(path.map(w => w.jump), [false, true, false, true, false]);
+  const xs = path.map(w => w.position[0]);
+  assert.deepEqual(xs, [...xs].sort((a, b) => a - b), 'moves steadily toward the goal');
+  assert.deepEqual(path.at(-1).position, to);
+});
+
+test('an unreachable goal ends the path at the closest reachable spot', () => {
+  const graph = NavGraph.build([start, near, high, island]);
+  const path = graph.findPath([0, 1.5, 0], [60, 1.5, 0]);
+
+  assert.ok(!path.some(w => w.landsOn === 'island'));
+  const end = path.at(-1).position;
+  assert.ok(end[0] >= 22 && end[0] <= 32, `ends on the high platform, got x=${end[0]}`);
+  assert.equal(end[1], nodeOf(graph, 'high').center[1]);
+});
+
+test('an empty layout has no path', () => {
+  assert.equal(NavGraph.build([]).findPath([0, 0, 0], [1, 0, 1]), null);
+});
+
+test('the graph is rebuilt for layout changes but kept for color changes', () => {
+  const ws = new WorldState();
+  const a = ws.spawnEntity('platform', [0, 0, 0], [10, 1, 10]);
+  ws.spawnEntity('platform', [14, 0, 0], [10, 1, 10]);
+  const graph = ws.getNavGraph();
+
+  ws.modifyEntity(a.id, { properties: { ...a.properties, color: '#ff0000' } });
+  assert.equal(ws.getNavGraph(), graph);
+
+  ws.modifyEntity(a.id, { size: [12, 1, 10] });
+  const resized = ws.getNavGraph();
+  assert.notEqual(resized, graph);
+
+  ws.modifyEntity(a.id, { properties: { kinematic: true, path: [[0, 0, 0], [0, 0, 20]] } });
+  assert.notEqual(ws.getNavGraph(), resized);
+  assert.equal(ws.getNavGraph().nodes.find(n => n.entityId === a.id).moving, true);
+});
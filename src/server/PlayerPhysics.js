@@ -0,0 +1,99 @@
+/**
+ * PlayerPhysics - Server-side player simulation on the shared physics step
+ *
+ * Runs shared/physics.js against a WorldState so AI and agent players move,
+ * land, ride platforms and die by the same rules as browser players, and
+ * checks the causes clients report when they die.
+ */
+
+import {
+  createBody, updateBody, collideBody, overlapsEntity, isFallDeath
+} from '../shared/physics.js';
+
+const SUBSTEP = 1 / 60;       // a typical browser frame; longer steps can skip landings
+const CONTACT_RANGE = 4;      // broad phase: entities whose footprint is this close
+const DEATH_TOLERANCE = 2;    // slack for throttled position updates and moving obstacles
+
+/** Body at an [x, y, z] spawn point, plus the ground anchor used to ride platforms. */
+export function createServerBody([x, y, z] = [0, 2, 0]) {
+  const body = createBody({ x, y, z });
+  body.groundAnchor = null;  // { id, position } of the entity we stood on last step
+  return body;
+}
+
+/** Physics environment for the world right now. */
+export function physicsEnv(worldState, { now = Date.now(), invulnerable = false } = {}) {
+  return {
+    phase: worldState.gameState.phase,
+    floorType: worldState.floorType,
+    hazardPlane: worldState.hazardPlane,
+    gravity: worldState.physics.gravity,
+    spells: new Set(worldState.getActiveEffects().map(e => e.type)),
+    now,
+    invulnerable,
+  };
+}
+
+/** Entities near the body, with how far the platform it stands on has moved. */
+function nearbyContacts(worldState, body) {
+  const { x, z } = body.position;
+  const anchor = body.groundAnchor;
+  const contacts = [];
+  for (const entity of worldState.entities.values()) {
+    if (Math.abs(entity.position[0] - x) > CONTACT_RANGE + entity.size[0] / 2) continue;
+    if (Math.abs(entity.position[2] - z) > CONTACT_RANGE + entity.size[2] / 2) continue;
+    const carry = anchor?.id === entity.id
+      ? entity.position.map((c, i) => c - anchor.position[i])
+      : null;
+    contacts.push({ entity, position: entity.position, carry });
+  }
+  return contacts;
+}
+
+/**
+ * Advance a body by one server tick, in frame-sized substeps so it matches a
+ * browser running the same input at 60fps. Stops at the first death.
+ * @param {object} body - from createServerBody()
+ * @param {{ moveX: number, moveZ: number, jump: boolean, sprint?: boolean }} input
+ * @param {object} worldState
+ * @param {number} delta - seconds
+ * @param {{ invulnerable?: boolean }} [options]
+ * @returns {Array<object>} physics events from every substep
+ */
+export function simulateBody(body, input, worldState, delta, { invulnerable = false } = {}) {
+  const env = physicsEnv(worldState, { invulnerable });
+  const steps = Math.max(1, Math.ceil(delta / SUBSTEP - 1e-9));
+  const dt = delta / steps;
+  const events = [];
+
+  for (let i = 0; i < steps; i++) {
+    events.push(...updateBody(body, input, env, dt));
+    events.push(...collideBody(body, nearbyContacts(worldState, body), env, dt));
+
+    const ground = body.standingOn;
+    body.groundAnchor = ground ? { id: ground.id, position: [...ground.position] } : null;
+    if (events.some(e => e.type === 'die')) break;
+  }
+  return events;
+}
+
+/**
+ * Whether the world backs up a reported death cause at `position`.
+ * Unknown causes and positions are never verified.
+ */
+export function verifyDeathCause(worldState, position, cause) {
+  if (!Array.isArray(position) || position.length !== 3) return false;
+  const [x, y, z] = position;
+
+  if (cause === 'obstacle') {
+    const padded = { x, y, z };
+    for (const entity of worldState.entities.values()) {
+      if (entity.type !== 'obstacle') continue;
+      const size = entity.size.map(s => s + DEATH_TOLERANCE * 2);
+      if (overlapsEntity(padded, { size }, entity.position)) return true;
+    }
+    return false;
+  }
+
+  return isFallDeath(cause, y - DEATH_TOLERANCE, physicsEnv(worldState));
+}
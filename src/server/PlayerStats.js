@@ -0,0 +1,37 @@
+/**
+ * PlayerStats - Shape of persistent per-account stats and how deltas combine
+ *
+ * StatsManager buffers a delta per player during play; db.js adds it to the
+ * stored stats (in SQL when Postgres is available, with mergeStats otherwise).
+ */
+
+// Stats where only the personal best is kept
+export const BEST_STATS = { bestRaceTimeMs: 'min', longestSurvivalMs: 'max' };
+export const COUNTER_STATS = ['cursePasses', 'kingZoneMs', 'hazardRisesSurvived'];
+
+export function emptyStats() {
+  return {
+    deaths: {},        // cause -> count
+    gamesPlayed: {},   // game type -> count
+    bestRaceTimeMs: null,
+    longestSurvivalMs: 0,
+    cursePasses: 0,
+    kingZoneMs: 0,
+    hazardRisesSurvived: 0,
+  };
+}
+
+export function mergeStats(base, delta) {
+  const merged = { ...emptyStats(), ...base };
+  for (const key of ['deaths', 'gamesPlayed']) {
+    merged[key] = { ...merged[key] };
+    for (const [k, n] of Object.entries(delta[key])) merged[key][k] = (merged[key][k] || 0) + n;
+  }
+  for (const key of COUNTER_STATS) merged[key] = Math.round(merged[key] + delta[key]);
+  for (const [key, mode] of Object.entries(BEST_STATS)) {
+    if (delta[key] === null || delta[key] === undefined) continue;
+    if (merged[key] === null || merged[key] === undefined) merged[key] = delta[key];
+    else merged[key] = Math[mode](merged[key], delta[key]);
+  }
+  return merged;
+}
@@ -0,0 +1,37 @@
+/**
+ * RateLimiter - Fixed-window request counter per key (token, IP, ...)
+ *
+ * take(key) counts one request and returns 0 if it is allowed, or how many
+ * ms until the key's window resets. Expired windows are swept as new keys
+ * arrive, so the map only holds keys seen in the last window.
+ */
+
+export class RateLimiter {
+  /**
+   * @param {{ limit: number, windowMs: number }} options
+   */
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { start, count }
+  }
+
+  /** @returns {number} 0 if allowed, else ms to wait */
+  take(key, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || now - window.start >= this.windowMs) {
+      if (!window) this._sweep(now);
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+    if (window.count >= this.limit) return window.start + this.windowMs - now;
+    window.count++;
+    return 0;
+  }
+
+  _sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (now - window.start >= this.windowMs) this.windows.delete(key);
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Rating - Multiplayer Elo over final placements
+ *
+ * Every game is treated as a round-robin of head-to-head results: a player
+ * "beats" everyone placed below them and draws with anyone sharing their
+ * placement. The K-factor is split across opponents so a 10-player game moves
+ * ratings about as much as a 1v1. Ratings are kept per game type plus an
+ * overall pool.
+ */
+
+export const RATING_DEFAULT = 1200;
+export const RATING_K = 32;
+export const OVERALL_RATING = 'all';
+
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * @param {Array<{ id: string, placement: number, rating: number }>} entries
+ * @returns {Map<string, number>} id -> rating change
+ */
+export function computeRatingChanges(entries) {
+  const changes = new Map();
+  if (entries.length < 2) return changes;
+
+  const k = RATING_K / (entries.length - 1);
+  for (const player of entries) {
+    let delta = 0;
+    for (const opponent of entries) {
+      if (opponent === player) continue;
+      const actual = player.placement < opponent.placement ? 1 : player.placement === opponent.placement ? 0.5 : 0;
+      delta += k * (actual - expectedScore(player.rating, opponent.rating));
+    }
+    changes.set(player.id, delta);
+  }
+  return changes;
+}
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for multiplayer Elo over placements
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRatingChanges, expectedScore, RATING_K } from './Rating.js';
+
+const sum = (changes) => [...changes.values()].reduce((a, b) => a + b, 0);
+
+test('a 1v1 win between equals moves both by half of K', () => {
+  const changes = computeRatingChanges([
+    { id: 'a', placement: 1, rating: 1200 },
+    { id: 'b', placement: 2, rating: 1200 },
+  ]);
+  assert.equal(changes.get('a'), RATING_K / 2);
+  assert.equal(changes.get('b'), -RATING_K / 2);
+});
+
+test('an upset is worth more than an expected win', () => {
+  const upset = computeRatingChanges([
+    { id: 'underdog', placement: 1, rating: 1000 },
+    { id: 'favorite', placement: 2, rating: 1400 },
+  ]);
+  const expected = computeRatingChanges([
+    { id: 'favorite', placement: 1, rating: 1400 },
+    { id: 'underdog', placement: 2, rating: 1000 },
+  ]);
+  assert.ok(upset.get('underdog') > RATING_K / 2);
+  assert.ok(expected.get('favorite') < RATING_K / 2);
+  assert.ok(Math.abs(upset.get('underdog') + expected.get('favorite') - RATING_K) < 1e-9);
+});
+
+test('a draw leaves equals unchanged and lifts the lower-rated player', () => {
+  const even = computeRatingChanges([
+    { id: 'a', placement: 1, rating: 1200 },
+    { id: 'b', placement: 1, rating: 1200 },
+  ]);
+  assert.equal(even.get('a'), 0);
+  assert.equal(even.get('b'), 0);
+
+  const uneven = computeRatingChanges([
+    { id: 'low', placement: 1, rating: 1200 },
+    { id: 'high', placement: 1, rating: 1400 },
+  ]);
+  const gain = RATING_K * (0.5 - expectedScore(1200, 1400));
+  assert.ok(Math.abs(uneven.get('low') - gain) < 1e-9);
+  assert.ok(Math.abs(sum(uneven)) < 1e-9);
+});
+
+test('K is split across opponents in a multiplayer game', () => {
+  const changes = computeRatingChanges([
+    { id: 'first', placement: 1, rating: 1200 },
+    { id: 'second', placement: 2, rating: 1200 },
+    { id: 'third', placement: 3, rating: 1200 },
+  ]);
+  assert.equal(changes.get('first'), RATING_K / 2);
+  assert.equal(changes.get('second'), 0);
+  assert.equal(changes.get('third'), -RATING_K / 2);
+
+  // Ten players: the winner moves as much as in a 1v1, not nine times as much
+  const ten = computeRatingChanges(Array.from({ length: 10 }, (_, i) => ({ id: `p${i}`, placement: i + 1, rating: 1200 })));
+  assert.ok(Math.abs(ten.get('p0') - RATING_K / 2) < 1e-9);
+  assert.ok(Math.abs(sum(ten)) < 1e-9);
+});
+
+test('a single player is not rated', () => {
+  assert.equal(computeRatingChanges([{ id: 'solo', placement: 1, rating: 1200 }]).size, 0);
+});
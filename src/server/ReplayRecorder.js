@@ -0,0 +1,165 @@
+/**
+ * ReplayRecorder - Compact per-MiniGame match timeline
+ *
+ * Captures the world snapshot at game start, then every room broadcast the
+ * client needs to reproduce the match (entity changes, player movement,
+ * spells, tricks, announcements, game state). High-rate messages
+ * (player_moved, entity_modified, hazard_plane_update) are sampled: only the
+ * latest message per player/entity is kept and flushed every
+ * REPLAY_SAMPLE_MS from the server tick.
+ *
+ * Finished replays are gzipped JSON under data/replays/<minigameId>.json.gz.
+ */
+
+import { mkdir, writeFile, readFile, readdir, stat, unlink } from 'fs/promises';
+import { promisify } from 'util';
+import { gzip } from 'zlib';
+import path from 'path';
+
+const gzipAsync = promisify(gzip);
+
+export const REPLAY_DIR = path.resolve(process.env.REPLAY_DIR || 'data/replays');
+export const REPLAY_ID_RE = /^minigame-[0-9a-f]{8}$/;
+export const REPLAY_VERSION = 1;
+
+const REPLAY_SAMPLE_MS = 200;
+const MAX_TIMELINE_EVENTS = 60000;
+const MAX_REPLAY_FILES = 200;
+
+// Recorded as-is
+const REPLAY_EVENTS = new Set([
+  'entity_spawned', 'entity_destroyed', 'entities_batch', 'entities_destroyed_batch', 'entities_delta', 'world_cleared',
+  'player_joined', 'player_left', 'player_died', 'player_respawned', 'players_teleported',
+  'spell_cast', 'effects_cleared', 'physics_changed', 'environment_changed', 'floor_changed',
+  'hazard_plane_changed', 'respawn_point_changed', 'announcement', 'chat_message',
+  'game_state_changed', 'collectible_picked', 'checkpoint_reached', 'trigger_activated',
+  'score_update', 'team_scores', 'teams_assigned', 'relay_handoff',
+  'curse_changed', 'curse_eliminated', 'platform_cracking', 'minigame_ended', 'trick_fired',
+]);
+
+// Sampled: latest message per key wins, flushed on the sample interval
+const SAMPLED_EVENTS = {
+  player_moved: (data) => data.id,
+  entity_modified: (data) => data.id,
+  hazard_plane_update: () => 'plane',
+  curse_timer_update: () => 'curse',
+};
+
+const round2 = (n) => (typeof n === 'number' ? Math.round(n * 100) / 100 : n);
+
+function compact(type, data) {
+  if (type === 'player_moved') {
+    return { id: data.id, position: data.position.map(round2) };
+  }
+  if (type === 'entity_modified' && Array.isArray(data.position)) {
+    return { ...data, position: data.position.map(round2) };
+  }
+  return data;
+}
+
+export class ReplayRecorder {
+  constructor(game, worldState, arenaId) {
+    this.id = game.id;
+    this.startedAt = Date.now();
+    this.meta = { id: game.id, version: REPLAY_VERSION, arenaId, gameType: game.type, startedAt: this.startedAt };
+    this.initial = {
+      entities: [...worldState.entities.values()].map(e => structuredClone(e)),
+      players: worldState.getPlayers().map(p => ({ id: p.id, name: p.name, type: p.type, state: p.state, position: [...p.position] })),
+      physics: { ...worldState.physics },
+      environment: { ...worldState.environment },
+      floorType: worldState.floorType,
+      hazardPlane: { ...worldState.hazardPlane },
+      respawnPoint: [...worldState.respawnPoint],
+    };
+    this.timeline = [];   // [tMs, type, data]
+    this.pending = new Map();
+    this.lastSampleAt = 0;
+    this.truncated = false;
+  }
+
+  capture(type, data) {
+    const keyOf = SAMPLED_EVENTS[type];
+    if (keyOf) {
+      this.pending.set(`${type}:${keyOf(data)}`, [type, data]);
+      return;
+    }
+    if (REPLAY_EVENTS.has(type)) this._push(type, data);
+  }
+
+  // Called from the server tick
+  sample(now = Date.now()) {
+    if (now - this.lastSampleAt < REPLAY_SAMPLE_MS) return;
+    this.lastSampleAt = now;
+    this._flushPending();
+  }
+
+  _flushPending() {
+    for (const [type, data] of this.pending.values()) this._push(type, data);
+    this.pending.clear();
+  }
+
+  _push(type, data) {
+    if (this.timeline.length >= MAX_TIMELINE_EVENTS) {
+      this.truncated = true;
+      return;
+    }
+    // Clone so later mutation of shared objects (entities, players) doesn't rewrite history
+    this.timeline.push([Date.now() - this.startedAt, type, structuredClone(compact(type, data))]);
+  }
+
+  async save(result) {
+    this._flushPending();
+    const replay = {
+      ...this.meta,
+      endedAt: Date.now(),
+      duration: Date.now() - this.startedAt,
+      result,
+      truncated: this.truncated,
+      initial: this.initial,
+      timeline: this.timeline,
+    };
+    try {
+      await mkdir(REPLAY_DIR, { recursive: true });
+      const body = await gzipAsync(JSON.stringify(replay));
+      await writeFile(path.join(REPLAY_DIR, `${this.id}.json.gz`), body);
+      console.log(`[Replay] Saved ${this.id} (${this.timeline.length} events, ${Math.round(body.length / 1024)} KB)`);
+      await pruneReplays();
+    } catch (err) {
+      console.error(`[Replay] Failed to save ${this.id}:`, err.message);
+    }
+  }
+}
+
+/** Newest-first list of stored replays. */
+export async function listReplays(limit = 50) {
+  let files;
+  try {
+    files = await readdir(REPLAY_DIR);
+  } catch {
+    return [];
+  }
+  const entries = await Promise.all(files
+    .filter(f => f.endsWith('.json.gz'))
+    .map(async (f) => {
+      const info = await stat(path.join(REPLAY_DIR, f));
+      return { id: f.replace('.json.gz', ''), size: info.size, createdAt: info.mtimeMs };
+    }));
+  return entries.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+}
+
+/** Gzipped replay bytes, or null if unknown. */
+export async function readReplayFile(id) {
+  if (!REPLAY_ID_RE.test(id)) return null;
+  try {
+    return await readFile(path.join(REPLAY_DIR, `${id}.json.gz`));
+  } catch {
+    return null;
+  }
+}
+
+async function pruneReplays() {
+  const all = await listReplays(Infinity);
+  for (const old of all.slice(MAX_REPLAY_FILES)) {
+    await unlink(path.join(REPLAY_DIR, `${old.id}.json.gz`)).catch(() => {});
+  }
+}
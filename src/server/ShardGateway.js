@@ -0,0 +1,267 @@
+/**
+ * ShardGateway - Front door for arenas sharded across worker processes
+ *
+ * Listens on the public port and forwards to the worker that owns the arena:
+ *   GET  /api/arenas               → every worker, lists merged
+ *   POST /api/arenas               → least-loaded worker, then registered
+ *   /api/arenas/:arenaId/*         → owner of arenaId
+ *   POST /matchmake/:method/:room  → owner of options.arenaId (reconnect/joinById: owner of the room)
+ *   WebSocket /:processId/:roomId  → worker that reserved the seat
+ *   anything else                  → worker hosting the default arena
+ *
+ * Colyseus seat reservations are read on the way back so WebSocket upgrades
+ * for that room can be piped to the same worker.
+ */
+
+import http from 'http';
+import net from 'net';
+import { clientIp } from './clientAddress.js';
+
+const ARENA_PATH = /^\/api\/arenas\/([^/]+)(\/.*)?$/;
+const MATCHMAKE_PATH = /^\/matchmake\/([^/]+)\/([^/]+)$/;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Colyseus matchmaking error codes, so colyseus.js reports them as usual
+const MATCHMAKE_INVALID_CRITERIA = 4211;
+const MATCHMAKE_INVALID_ROOM_ID = 4212;
+
+function gatewayError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(gatewayError('Request body too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Workers only see the gateway's socket; pass on who the client is
+function forwardedHeaders(req) {
+  return { ...req.headers, 'x-real-ip': clientIp(req) };
+}
+
+function parseJSON(buffer) {
+  try {
+    return JSON.parse(buffer.toString() || '{}');
+  } catch {
+    return null;
+  }
+}
+
+export class ShardGateway {
+  /**
+   * @param {import('./ShardRegistry.js').ShardRegistry} registry
+   * @param {Array<{ id: string, port: number }>} workers
+   */
+  constructor(registry, workers) {
+    this.registry = registry;
+    this.workers = new Map(workers.map(w => [w.id, w]));
+    this.rooms = new Map();       // Colyseus roomId -> workerId
+    this.arenaRooms = new Map();  // `${arenaId}/${roomName}` -> current roomId
+
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => {
+        console.error('[Shard] Gateway error:', err.message);
+        if (!res.headersSent) sendJSON(res, err.status || 500, { error: err.message });
+        else res.end();
+      });
+    });
+    this.server.on('upgrade', (req, socket, head) => this._upgrade(req, socket, head));
+  }
+
+  listen(port, callback) {
+    this.server.listen(port, callback);
+  }
+
+  close() {
+    this.server.close();
+  }
+
+  /** A worker restarted: its Colyseus rooms are gone. */
+  forgetWorkerRooms(workerId) {
+    for (const [roomId, owner] of this.rooms) {
+      if (owner === workerId) this.rooms.delete(roomId);
+    }
+    for (const [key, roomId] of this.arenaRooms) {
+      if (!this.rooms.has(roomId)) this.arenaRooms.delete(key);
+    }
+  }
+
+  async _handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://gateway');
+
+    if (pathname === '/api/arenas') {
+      if (req.method === 'GET') return this._listArenas(req, res);
+      if (req.method === 'POST') return this._createArena(req, res);
+    }
+    if (pathname === '/api/shards' && req.method === 'GET') {
+      return sendJSON(res, 200, this.registry.getStats());
+    }
+
+    const arenaMatch = pathname.match(ARENA_PATH);
+    if (arenaMatch) {
+      const arenaId = decodeURIComponent(arenaMatch[1]);
+      const workerId = this.registry.lookup(arenaId);
+      if (!workerId) return sendJSON(res, 404, { error: `Arena not found: ${arenaId}` });
+      if (req.method === 'DELETE' && !arenaMatch[2]) return this._deleteArena(req, res, arenaId, workerId);
+      return this._forward(req, res, workerId);
+    }
+
+    const matchmake = pathname.match(MATCHMAKE_PATH);
+    if (matchmake && req.method === 'POST') return this._matchmake(req, res, matchmake[1], matchmake[2]);
+
+    return this._forward(req, res, this.registry.defaultWorkerId);
+  }
+
+  async _listArenas(req, res) {
+    const lists = await Promise.all([...this.workers.keys()].map(async (workerId) => {
+      try {
+        const { status, body } = await this._request(workerId, req);
+        const arenas = status === 200 ? parseJSON(body)?.arenas || [] : [];
+        // Every worker has a default arena; only the registered owner's is real
+        return arenas.filter(a => (this.registry.lookup(a.id) ?? workerId) === workerId);
+      } catch {
+        return [];
+      }
+    }));
+    sendJSON(res, 200, { arenas: lists.flat() });
+  }
+
+  async _createArena(req, res) {
+    const body = await readBody(req);
+    const workerId = this.registry.pickWorker();
+    const upstream = await this._request(workerId, req, body);
+    const arenaId = upstream.status === 200 ? parseJSON(upstream.body)?.arenaId : null;
+    if (arenaId) {
+      this.registry.assign(arenaId, workerId);
+      console.log(`[Shard] Arena ${arenaId} placed on ${workerId}`);
+    }
+    this._reply(res, upstream);
+  }
+
+  async _deleteArena(req, res, arenaId, workerId) {
+    const upstream = await this._request(workerId, req, await readBody(req));
+    if (upstream.status === 200) {
+      this.registry.remove(arenaId);
+      for (const [key, roomId] of this.arenaRooms) {
+        if (!key.startsWith(`${arenaId}/`)) continue;
+        this.arenaRooms.delete(key);
+        this.rooms.delete(roomId);
+      }
+    }
+    this._reply(res, upstream);
+  }
+
+  async _matchmake(req, res, method, target) {
+    const body = await readBody(req);
+    let workerId;
+    let arenaId = null;
+
+    if (method === 'reconnect' || method === 'joinById') {
+      workerId = this.rooms.get(target);
+      if (!workerId) {
+        return sendJSON(res, 400, { code: MATCHMAKE_INVALID_ROOM_ID, error: `room "${target}" not found` });
+      }
+    } else {
+      arenaId = parseJSON(body)?.arenaId || this.registry.defaultArenaId;
+      workerId = this.registry.lookup(arenaId);
+      if (!workerId) {
+        return sendJSON(res, 400, { code: MATCHMAKE_INVALID_CRITERIA, error: `Arena not found: ${arenaId}` });
+      }
+    }
+
+    const upstream = await this._request(workerId, req, body);
+    const roomId = upstream.status === 200 ? parseJSON(upstream.body)?.room?.roomId : null;
+    if (roomId) this._trackRoom(roomId, workerId, arenaId && `${arenaId}/${target}`);
+    this._reply(res, upstream);
+  }
+
+  // One live room per arena and room type (game, agent_player); a new one replaces the old
+  _trackRoom(roomId, workerId, arenaRoomKey) {
+    this.rooms.set(roomId, workerId);
+    if (!arenaRoomKey) return;
+    const previous = this.arenaRooms.get(arenaRoomKey);
+    if (previous && previous !== roomId) this.rooms.delete(previous);
+    this.arenaRooms.set(arenaRoomKey, roomId);
+  }
+
+  // Colyseus connects to /:processId/:roomId after a seat reservation
+  _upgrade(req, socket, head) {
+    const roomId = new URL(req.url, 'http://gateway').pathname.split('/')[2];
+    const worker = this.workers.get(this.rooms.get(roomId));
+    if (!worker) {
+      socket.destroy();
+      return;
+    }
+
+    const upstream = net.connect(worker.port, '127.0.0.1', () => {
+      let raw = `${req.method} ${req.url} HTTP/${req.httpVersion}\r\n`;
+      for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        if (req.rawHeaders[i].toLowerCase() === 'x-real-ip') continue;
+        raw += `${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}\r\n`;
+      }
+      upstream.write(`${raw}X-Real-IP: ${clientIp(req)}\r\n\r\n`);
+      if (head?.length) upstream.write(head);
+      socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+  }
+
+  // Streamed pass-through (SSE feeds included)
+  _forward(req, res, workerId) {
+    const worker = this.workers.get(workerId);
+    const upstream = http.request({
+      host: '127.0.0.1', port: worker.port, method: req.method, path: req.url, headers: forwardedHeaders(req),
+    }, (up) => {
+      res.writeHead(up.statusCode, up.headers);
+      up.pipe(res);
+    });
+    upstream.on('error', () => {
+      if (!res.headersSent) sendJSON(res, 502, { error: `Arena worker unavailable: ${workerId}` });
+      else res.end();
+    });
+    res.on('close', () => upstream.destroy());
+    req.pipe(upstream);
+  }
+
+  // Buffered round trip, for responses the gateway needs to read
+  _request(workerId, req, body) {
+    const worker = this.workers.get(workerId);
+    return new Promise((resolve, reject) => {
+      const upstream = http.request({
+        host: '127.0.0.1', port: worker.port, method: req.method, path: req.url, headers: forwardedHeaders(req),
+      }, (up) => {
+        const chunks = [];
+        up.on('data', chunk => chunks.push(chunk));
+        up.on('end', () => resolve({ status: up.statusCode, headers: up.headers, body: Buffer.concat(chunks) }));
+        up.on('error', reject);
+      });
+      upstream.on('error', () => reject(gatewayError(`Arena worker unavailable: ${workerId}`, 502)));
+      upstream.end(body);
+    });
+  }
+
+  _reply(res, { status, headers, body }) {
+    const { 'transfer-encoding': _chunked, ...rest } = headers;
+    res.writeHead(status, { ...rest, 'content-length': body.length });
+    res.end(body);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for gateway routing to shard workers
+ *
+ * Run: npm run test:server
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ShardRegistry } from './ShardRegistry.js';
+import { ShardGateway } from './ShardGateway.js';
+
+const servers = [];
+let gateway;
+let baseUrl;
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Stand-in worker: echoes who served the request, and hands out rooms on matchmake
+function fakeWorker(id) {
+  let rooms = 0;
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      const reply = req.url.startsWith('/matchmake/')
+        ? { room: { roomId: `${id}-room-${++rooms}` } }
+        : { worker: id, method: req.method, path: req.url, body, realIp: req.headers['x-real-ip'] };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+}
+
+before(async () => {
+  const workers = [];
+  for (const id of ['w1', 'w2']) {
+    const server = fakeWorker(id);
+    servers.push(server);
+    workers.push({ id, port: await listen(server) });
+  }
+  const registry = new ShardRegistry(workers.map(w => w.id));
+  registry.assign('far-arena', 'w2');
+  gateway = new ShardGateway(registry, workers);
+  baseUrl = `http://127.0.0.1:${await listen(gateway.server)}`;
+});
+
+after(() => {
+  for (const server of [...servers, gateway.server]) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('arena paths go to the worker that owns the arena', async () => {
+  const res = await fetch(`${baseUrl}/api/arenas/far-arena/game/state?x=1`);
+  assert.equal(res.status, 200);
+  const data = await res.json();
+  assert.equal(data.worker, 'w2');
+  assert.equal(data.path, '/api/arenas/far-arena/game/state?x=1');
+  assert.equal(data.realIp, '127.0.0.1');
+
+  const post = await fetch(`${baseUrl}/api/arenas/far-arena/chat/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'hi' }),
+  });
+  const echoed = await post.json();
+  assert.equal(echoed.worker, 'w2');
+  assert.equal(echoed.method, 'POST');
+  assert.deepEqual(JSON.parse(echoed.body), { text: 'hi' });
+});
+
+test('unknown arenas are rejected at the gateway; other paths go to the default worker', async () => {
+  const missing = await fetch(`${baseUrl}/api/arenas/nowhere/game/state`);
+  assert.equal(missing.status, 404);
+  assert.match((await missing.json()).error, /nowhere/);
+
+  const fallback = await (await fetch(`${baseUrl}/api/health`)).json();
+  assert.equal(fallback.worker, 'w1');
+});
+
+test('a new room for an arena replaces the tracked one', async () => {
+  const join = () => fetch(`${baseUrl}/matchmake/joinOrCreate/game`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ arenaId: 'far-arena' }),
+  }).then(r => r.json());
+
+  const first = (await join()).room.roomId;
+  assert.equal(gateway.rooms.get(first), 'w2');
+  const second = (await join()).room.roomId;
+  assert.notEqual(second, first);
+  assert.equal(gateway.rooms.has(first), false);
+  assert.equal(gateway.rooms.get(second), 'w2');
+  assert.equal(gateway.arenaRooms.get('far-arena/game'), second);
+
+  // Room types are tracked separately; rooms without an arena key are only recorded
+  gateway._trackRoom('agents-1', 'w2', 'far-arena/agent_player');
+  gateway._trackRoom('by-id', 'w1', null);
+  assert.equal(gateway.rooms.get(second), 'w2');
+  assert.equal(gateway.rooms.get('agents-1'), 'w2');
+  assert.equal(gateway.rooms.get('by-id'), 'w1');
+
+  gateway.forgetWorkerRooms('w2');
+  assert.equal(gateway.arenaRooms.size, 0);
+  assert.deepEqual([...gateway.rooms.keys()], ['by-id']);
+});
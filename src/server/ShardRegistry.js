@@ -0,0 +1,96 @@
+/**
+ * ShardRegistry - Which worker process owns each arena
+ *
+ * Held by the shard gateway (cluster.js), which tells each worker its arenas
+ * when forking it. Assignments live in memory and, when Postgres is
+ * available, in the arena_shards table so a restarted cluster keeps the same
+ * placement. The default arena always lives on the first worker.
+ */
+
+import { loadArenas, loadArenaShards, saveArenaShard, deleteArenaShard, isDBAvailable } from './db.js';
+import { listStoredArenas } from './ArenaHibernation.js';
+
+export class ShardRegistry {
+  /**
+   * @param {string[]} workerIds
+   * @param {string} [defaultArenaId]
+   */
+  constructor(workerIds, defaultArenaId = 'chaos') {
+    this.workerIds = workerIds;
+    this.defaultWorkerId = workerIds[0];
+    this.defaultArenaId = defaultArenaId;
+    this.assignments = new Map(); // arenaId -> workerId
+    this.assignments.set(defaultArenaId, this.defaultWorkerId);
+  }
+
+  get persistent() {
+    return isDBAvailable();
+  }
+
+  /** Load saved placement and persisted arenas (DB rows or saved worlds), then place them. */
+  async load() {
+    const arenaIds = [...(await loadArenas()).map(row => row.id), ...(await listStoredArenas()).map(s => s.id)];
+    this.place(await loadArenaShards(), arenaIds);
+  }
+
+  /**
+   * Restore saved placement, and place arenas that have none or sit on a
+   * worker that no longer exists.
+   * @param {Array<{ arenaId: string, workerId: string }>} saved
+   * @param {string[]} arenaIds - every persisted arena
+   */
+  place(saved, arenaIds) {
+    const workers = new Set(this.workerIds);
+    for (const { arenaId, workerId } of saved) {
+      if (arenaId !== this.defaultArenaId && workers.has(workerId)) this.assignments.set(arenaId, workerId);
+    }
+
+    let placed = 0;
+    for (const id of new Set(arenaIds)) {
+      if (this.assignments.has(id)) continue;
+      this.assign(id, this.pickWorker());
+      placed++;
+    }
+    if (placed > 0) console.log(`[Shard] Placed ${placed} unassigned arenas`);
+  }
+
+  lookup(arenaId) {
+    return this.assignments.get(arenaId) || null;
+  }
+
+  /** Worker with the fewest arenas (ties go to the earliest). */
+  pickWorker() {
+    const counts = new Map(this.workerIds.map(id => [id, 0]));
+    for (const workerId of this.assignments.values()) {
+      if (counts.has(workerId)) counts.set(workerId, counts.get(workerId) + 1);
+    }
+    let best = this.workerIds[0];
+    for (const [id, count] of counts) {
+      if (count < counts.get(best)) best = id;
+    }
+    return best;
+  }
+
+  assign(arenaId, workerId) {
+    this.assignments.set(arenaId, workerId);
+    saveArenaShard(arenaId, workerId);
+  }
+
+  remove(arenaId) {
+    if (arenaId === this.defaultArenaId) return;
+    this.assignments.delete(arenaId);
+    deleteArenaShard(arenaId);
+  }
+
+  arenasOn(workerId) {
+    return [...this.assignments].filter(([, owner]) => owner === workerId).map(([arenaId]) => arenaId);
+  }
+
+  getStats() {
+    const arenas = Object.fromEntries(this.workerIds.map(id => [id, 0]));
+    for (const workerId of this.assignments.values()) {
+      if (workerId in arenas) arenas[workerId]++;
+    }
+    return { workers: this.workerIds.length, persistent: this.persistent, arenas };
+  }
+}
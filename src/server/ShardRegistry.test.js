@@ -0,0 +1,78 @@
+/**
+ * Unit tests for arena placement across shard workers
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Saved worlds are read from ARENA_STATE_DIR, fixed when ArenaHibernation loads
+const stateDir = await mkdtemp(path.join(tmpdir(), 'shard-registry-'));
+process.env.ARENA_STATE_DIR = stateDir;
+const { ShardRegistry } = await import('./ShardRegistry.js');
+
+test.after(() => rm(stateDir, { recursive: true, force: true }));
+
+test('the default arena lives on the first worker', () => {
+  const registry = new ShardRegistry(['w1', 'w2']);
+  assert.equal(registry.lookup('chaos'), 'w1');
+  assert.equal(registry.defaultWorkerId, 'w1');
+  assert.equal(registry.lookup('missing'), null);
+});
+
+test('pickWorker balances arena counts, ties going to the earliest worker', () => {
+  const registry = new ShardRegistry(['w1', 'w2', 'w3']);
+  assert.equal(registry.pickWorker(), 'w2');
+  registry.assign('a', 'w2');
+  assert.equal(registry.pickWorker(), 'w3');
+  registry.assign('b', 'w3');
+  assert.equal(registry.pickWorker(), 'w1');
+  registry.assign('c', 'w1');
+  registry.assign('d', 'w1');
+  assert.equal(registry.pickWorker(), 'w2');
+});
+
+test('assign, remove and arenasOn', () => {
+  const registry = new ShardRegistry(['w1', 'w2']);
+  registry.assign('a', 'w2');
+  registry.assign('b', 'w2');
+  registry.assign('c', 'w1');
+  assert.deepEqual(registry.arenasOn('w2'), ['a', 'b']);
+  assert.deepEqual(registry.arenasOn('w1'), ['chaos', 'c']);
+
+  registry.remove('a');
+  assert.equal(registry.lookup('a'), null);
+  assert.deepEqual(registry.arenasOn('w2'), ['b']);
+
+  registry.remove('chaos');
+  assert.equal(registry.lookup('chaos'), 'w1');
+  assert.deepEqual(registry.getStats().arenas, { w1: 2, w2: 1 });
+});
+
+test('place keeps saved placement and re-places arenas whose worker is gone', () => {
+  const registry = new ShardRegistry(['w1', 'w2']);
+  registry.place([
+    { arenaId: 'kept', workerId: 'w2' },
+    { arenaId: 'orphan', workerId: 'w9' },
+    { arenaId: 'chaos', workerId: 'w2' },
+  ], ['kept', 'orphan', 'new']);
+
+  assert.equal(registry.lookup('kept'), 'w2');
+  assert.equal(registry.lookup('chaos'), 'w1');
+  assert.equal(registry.lookup('orphan'), 'w1');
+  assert.equal(registry.lookup('new'), 'w2');
+});
+
+test('load places saved worlds that have no worker yet', async () => {
+  for (const id of ['saved-a', 'saved-b']) {
+    await writeFile(path.join(stateDir, `${id}.json`), JSON.stringify({ id, meta: {}, config: {}, savedAt: Date.now() }));
+  }
+  const registry = new ShardRegistry(['w1', 'w2']);
+  await registry.load();
+  assert.equal(registry.lookup('saved-a'), 'w2');
+  assert.equal(registry.lookup('saved-b'), 'w1');
+});
@@ -0,0 +1,204 @@
+/**
+ * SimulatedPlayer - A player the server moves on the shared player physics
+ *
+ * Owns a body from PlayerPhysics.js and acts on its physics events the way
+ * GameRoom acts on the matching client messages: pickups, triggers, breaking
+ * platforms, deaths and respawns. AIPlayer steers one toward its own goals;
+ * AgentPlayer follows an external agent's movement intents.
+ */
+
+import { createServerBody, simulateBody } from './PlayerPhysics.js';
+import { resetBody } from '../shared/physics.js';
+
+const TRIGGER_COOLDOWN_MS = 2000;  // same per-trigger cooldown as the client
+const RESPAWN_DELAY_MS = 2000;
+const RESPAWN_INVULN_MS = 2000;
+
+export class SimulatedPlayer {
+  /**
+   * @param {object} worldState
+   * @param {function} broadcastFn
+   * @param {{ id: string, name: string, type: string }} identity
+   */
+  constructor(worldState, broadcastFn, { id, name, type }) {
+    this.worldState = worldState;
+    this.broadcast = broadcastFn;
+    this.id = id;
+    this.name = name;
+
+    // Register with world state, starting at the respawn point
+    const player = this.worldState.addPlayer(id, name, type);
+    this.body = createServerBody(player.position);
+    this.syncedPosition = player.position;  // the world's array as we last wrote it
+    this.invulnerableUntil = 0;
+    this.triggerCooldowns = new Map();  // entityId -> last activation
+    this.state = 'alive';
+    this.game = null;                   // active mini-game, for its hooks
+    this.deathCount = 0;
+  }
+
+  get position() {
+    const { x, y, z } = this.body.position;
+    return [x, y, z];
+  }
+
+  set position([x, y, z]) {
+    Object.assign(this.body.position, { x, y, z });
+  }
+
+  get velocity() {
+    const { x, y, z } = this.body.velocity;
+    return [x, y, z];
+  }
+
+  get isGrounded() {
+    return this.body.isGrounded;
+  }
+
+  get groundEntityId() {
+    return this.body.standingOn?.id ?? null;
+  }
+
+  /**
+   * Advance the body with this tick's input and publish where it ended up.
+   * @returns {boolean} false if the player is (now) dead
+   */
+  step(input, delta) {
+    this.syncFromWorld();
+    if (this.state === 'dead') return false;
+
+    const events = simulateBody(this.body, input, this.worldState, delta, {
+      invulnerable: Date.now() < this.invulnerableUntil
+    });
+    this.handlePhysicsEvents(events);
+    if (this.state === 'dead') return false;
+
+    const position = this.position;
+    const velocity = this.velocity;
+    const player = this.worldState.updatePlayer(this.id, { position, velocity, state: this.state });
+    this.syncedPosition = player?.position;
+
+    this.broadcast('player_moved', {
+      id: this.id,
+      position: [...position],
+      velocity: [...velocity]
+    });
+    return true;
+  }
+
+  // The world moved or killed us outside the physics: game-start teleports, hazard plane kills
+  syncFromWorld() {
+    const player = this.worldState.players.get(this.id);
+    if (!player) return;
+    if (player.position !== this.syncedPosition) {
+      this.position = player.position;
+      resetBody(this.body);
+      this.syncedPosition = player.position;
+    }
+    if (player.state === 'dead' && this.state !== 'dead') this.die(null, { announced: true });
+  }
+
+  handlePhysicsEvents(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'die':
+          this.die(event.cause);
+          return;
+        case 'collect':
+          this.collect(event.entity);
+          break;
+        case 'trigger':
+          this.activateTrigger(event.entity);
+          break;
+        case 'platform_step':
+          this.stepOnBreakable(event.entity);
+          break;
+      }
+    }
+  }
+
+  collect(entity) {
+    if (!this.worldState.entities.has(entity.id)) return;
+    this.worldState.destroyEntity(entity.id);
+    this.broadcast('entity_destroyed', { id: entity.id });
+    this.broadcast('collectible_picked', { entityId: entity.id, playerId: this.id });
+    if (typeof this.game?.onCollect === 'function') this.game.onCollect(this.id, entity.id);
+  }
+
+  activateTrigger(entity) {
+    const now = Date.now();
+    if (now - (this.triggerCooldowns.get(entity.id) || 0) < TRIGGER_COOLDOWN_MS) return;
+    this.triggerCooldowns.set(entity.id, now);
+
+    this.broadcast('trigger_activated', { entityId: entity.id, playerId: this.id });
+    if (typeof this.game?.onTriggerActivated === 'function') {
+      this.game.onTriggerActivated(this.id, entity.id);
+    } else if (typeof this.game?.onPlayerReachedGoal === 'function') {
+      this.game.onPlayerReachedGoal(this.id);
+    }
+  }
+
+  stepOnBreakable(entity) {
+    if (!this.worldState.startBreaking(entity.id)) return;
+    const info = this.worldState.breakingPlatforms.get(entity.id);
+    this.broadcast('platform_cracking', { id: entity.id, breakAt: info.breakAt });
+  }
+
+  /**
+   * @param {string|null} [cause]
+   * @param {{ announced?: boolean }} [options] - announced: the server already broadcast this death
+   */
+  die(cause = null, { announced = false } = {}) {
+    if (this.state === 'dead') return;
+
+    this.state = 'dead';
+    this.deathCount++;
+
+    if (!announced) {
+      this.worldState.updatePlayer(this.id, { state: 'dead' });
+      this.broadcast('player_died', {
+        id: this.id,
+        position: this.position,
+        cause
+      });
+
+      const msg = this.worldState.addMessage('System', 'system', `${this.name} died`);
+      this.broadcast('chat_message', msg);
+      this.worldState.addEvent('player_death', { playerId: this.id, name: this.name });
+    }
+
+    this.onDeath(cause, announced);
+
+    // Same as a human death: survival, hot potato etc. count it
+    if (typeof this.game?.onPlayerDeath === 'function') this.game.onPlayerDeath(this.id);
+
+    setTimeout(() => this.respawn(), RESPAWN_DELAY_MS);
+  }
+
+  /** Subclass hook, called once per death before the mini-game hears of it. */
+  onDeath(_cause, _announced) {}
+
+  respawn() {
+    if (!this.worldState.players.has(this.id)) return; // left while dead
+    const rp = this.worldState.respawnPoint || [0, 2, 0];
+    this.position = rp;
+    resetBody(this.body);
+    this.body.standingOn = null;
+    this.body.groundAnchor = null;
+    this.invulnerableUntil = Date.now() + RESPAWN_INVULN_MS;
+    this.state = 'alive';
+
+    const player = this.worldState.updatePlayer(this.id, {
+      state: 'alive',
+      position: [...this.position]
+    });
+    this.syncedPosition = player?.position;
+
+    this.broadcast('player_respawned', { id: this.id });
+  }
+
+  remove() {
+    this.worldState.removePlayer(this.id);
+    this.broadcast('player_left', { id: this.id, name: this.name });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Snapshots - Save the live world as a reusable arena template
+ *
+ * A snapshot captures entities, environment, floor, hazard plane, physics and
+ * respawn point in the same shape as ArenaTemplates, so it can be loaded back
+ * through applyTemplate. Stored per arena as JSON under
+ * data/snapshots/<arenaId>/<name>.json, so arenas can't read or replace each
+ * other's saved worlds.
+ */
+
+import { mkdir, writeFile, readFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+
+export const SNAPSHOT_DIR = path.resolve(process.env.SNAPSHOT_DIR || 'data/snapshots');
+export const SNAPSHOT_NAME_RE = /^[a-z0-9_-]{1,40}$/;
+const ARENA_ID_RE = /^[a-z0-9-]{1,64}$/;
+
+function arenaDir(arenaId) {
+  if (!ARENA_ID_RE.test(arenaId)) throw new Error(`Invalid arena id: ${arenaId}`);
+  return path.join(SNAPSHOT_DIR, arenaId);
+}
+
+/** Template-shaped copy of the current world. */
+export function captureSnapshot(worldState, name, arenaId) {
+  const entities = [...worldState.entities.values()].map(e => ({
+    type: e.type,
+    position: [...e.position],
+    size: [...e.size],
+    properties: structuredClone(e.properties),
+  }));
+  const goal = entities.find(e => e.properties?.isGoal);
+  const { active, type, startHeight, riseSpeed, maxHeight } = worldState.hazardPlane;
+
+  return {
+    name,
+    gameType: worldState.gameState.gameType || worldState.lastGameType || null,
+    floorType: worldState.floorType,
+    environment: { ...worldState.environment },
+    physics: { ...worldState.physics },
+    respawnPoint: [...worldState.respawnPoint],
+    goalPosition: goal ? [...goal.position] : null,
+    ...(active && { hazardPlane: { active, type, startHeight, riseSpeed, maxHeight } }),
+    entities,
+    arenaId,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Store a snapshot under its arena. Unless `overwrite` is set, an existing
+ * snapshot of the same name is left alone and the error has code 'EEXIST'.
+ */
+export async function saveSnapshot(snapshot, { overwrite = false } = {}) {
+  const dir = arenaDir(snapshot.arenaId);
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, `${snapshot.name}.json`), JSON.stringify(snapshot), { flag: overwrite ? 'w' : 'wx' });
+  console.log(`[Snapshots] Saved ${snapshot.arenaId}/${snapshot.name} (${snapshot.entities.length} entities)`);
+}
+
+/** An arena's saved snapshot by name, or null if unknown. */
+export async function loadSnapshot(arenaId, name) {
+  if (!SNAPSHOT_NAME_RE.test(name)) return null;
+  try {
+    return JSON.parse(await readFile(path.join(arenaDir(arenaId), `${name}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/** Newest-first list of an arena's saved snapshots. */
+export async function listSnapshots(arenaId) {
+  let files;
+  try {
+    files = await readdir(arenaDir(arenaId));
+  } catch {
+    return [];
+  }
+  const entries = await Promise.all(files
+    .filter(f => f.endsWith('.json'))
+    .map(async (f) => {
+      const name = f.replace('.json', '');
+      const snapshot = await loadSnapshot(arenaId, name);
+      if (!snapshot) return null;
+      const info = await stat(path.join(arenaDir(arenaId), f));
+      return {
+        id: name,
+        name: snapshot.name,
+        gameType: snapshot.gameType,
+        entityCount: snapshot.entities.length,
+        arenaId: snapshot.arenaId,
+        createdAt: snapshot.createdAt || info.mtimeMs,
+      };
+    }));
+  return entries.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+}
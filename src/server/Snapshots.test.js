@@ -0,0 +1,45 @@
+/**
+ * Unit tests for per-arena snapshot storage
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// SNAPSHOT_DIR is read when Snapshots.js is imported
+const dir = await mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+process.env.SNAPSHOT_DIR = dir;
+const { saveSnapshot, loadSnapshot, listSnapshots } = await import('./Snapshots.js');
+after(() => rm(dir, { recursive: true, force: true }));
+
+const snapshot = (arenaId, name, entities = []) => ({ name, arenaId, entities, createdAt: Date.now() });
+
+test('snapshots with the same name in two arenas are kept apart', async () => {
+  await saveSnapshot(snapshot('alpha', 'maze', [{ type: 'platform' }]));
+  await saveSnapshot(snapshot('beta', 'maze'));
+
+  assert.equal((await loadSnapshot('alpha', 'maze')).entities.length, 1);
+  assert.equal((await loadSnapshot('beta', 'maze')).entities.length, 0);
+  assert.equal(await loadSnapshot('gamma', 'maze'), null);
+  assert.deepEqual((await listSnapshots('alpha')).map(s => s.id), ['maze']);
+  assert.deepEqual(await listSnapshots('gamma'), []);
+});
+
+test('an existing name is only replaced with overwrite', async () => {
+  await saveSnapshot(snapshot('alpha', 'tower', [{ type: 'platform' }]));
+  await assert.rejects(saveSnapshot(snapshot('alpha', 'tower')), { code: 'EEXIST' });
+  assert.equal((await loadSnapshot('alpha', 'tower')).entities.length, 1);
+
+  await saveSnapshot(snapshot('alpha', 'tower'), { overwrite: true });
+  assert.equal((await loadSnapshot('alpha', 'tower')).entities.length, 0);
+});
+
+test('arena ids and names that could leave the snapshot directory are refused', async () => {
+  await assert.rejects(saveSnapshot(snapshot('../escape', 'maze')), /Invalid arena id/);
+  assert.equal(await loadSnapshot('alpha', '../maze'), null);
+  assert.equal(await loadSnapshot('..', 'maze'), null);
+});
@@ -0,0 +1,90 @@
+/**
+ * SpatialHash - 2D grid (XZ plane) of points for radius queries
+ *
+ * Server counterpart of client/physics/SpatialHash.js, keyed by id and
+ * holding each point's last position. Radius queries return candidates from
+ * the covered cells; callers check exact distance.
+ */
+
+export class SpatialHash {
+  constructor(cellSize = 32) {
+    this.cellSize = cellSize;
+    this.cells = new Map();    // cellKey -> Set<id>
+    this.points = new Map();   // id -> { key, position: [x, y, z] }
+  }
+
+  _key(cx, cz) {
+    return (cx << 16) ^ cz;
+  }
+
+  _cellOf(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  update(id, position) {
+    const key = this._key(this._cellOf(position[0]), this._cellOf(position[2]));
+    const point = this.points.get(id);
+    if (point) {
+      point.position = position;
+      if (point.key === key) return;
+      this._removeFromCell(id, point.key);
+      point.key = key;
+    } else {
+      this.points.set(id, { key, position });
+    }
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(id);
+  }
+
+  remove(id) {
+    const point = this.points.get(id);
+    if (!point) return;
+    this._removeFromCell(id, point.key);
+    this.points.delete(id);
+  }
+
+  _removeFromCell(id, key) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  positionOf(id) {
+    return this.points.get(id)?.position ?? null;
+  }
+
+  /** Ids in cells within `radius` of (x, z). */
+  query(x, z, radius) {
+    const minX = this._cellOf(x - radius), maxX = this._cellOf(x + radius);
+    const minZ = this._cellOf(z - radius), maxZ = this._cellOf(z + radius);
+    const result = [];
+
+    // Sparse worlds: checking every point beats visiting every covered cell
+    if ((maxX - minX + 1) * (maxZ - minZ + 1) > this.points.size) {
+      for (const [id, { position: [px, , pz] }] of this.points) {
+        const cx = this._cellOf(px), cz = this._cellOf(pz);
+        if (cx >= minX && cx <= maxX && cz >= minZ && cz <= maxZ) result.push(id);
+      }
+      return result;
+    }
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this._key(cx, cz));
+        if (cell) result.push(...cell);
+      }
+    }
+    return result;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.points.clear();
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for the server spatial hash
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash } from './SpatialHash.js';
+
+const sorted = (ids) => [...ids].sort();
+
+test('query returns points in the covered cells', () => {
+  const hash = new SpatialHash(10);
+  hash.update('a', [1, 0, 1]);
+  hash.update('b', [15, 0, 1]);
+  hash.update('c', [-25, 0, 1]);
+  hash.update('d', [1, 0, 55]);
+  for (let i = 0; i < 20; i++) hash.update(`far-${i}`, [500 + i * 10, 0, 500]);
+
+  assert.deepEqual(sorted(hash.query(0, 0, 5)), ['a']);
+  assert.deepEqual(sorted(hash.query(5, 0, 12)), ['a', 'b']);
+  assert.deepEqual(sorted(hash.query(0, 0, 30)), ['a', 'b', 'c']);
+  assert.ok(!hash.query(0, 0, 30).includes('d'));
+});
+
+test('sparse worlds scan points instead of cells, with the same answer', () => {
+  const hash = new SpatialHash(10);
+  hash.update('a', [1, 0, 1]);
+  hash.update('b', [-45, 0, 38]);
+  hash.update('c', [300, 0, 0]);
+  assert.deepEqual(sorted(hash.query(0, 0, 60)), ['a', 'b']);
+});
+
+test('moving a point changes its cell; removing it drops it', () => {
+  const hash = new SpatialHash(10);
+  hash.update('a', [1, 2, 1]);
+  hash.update('a', [101, 2, 101]);
+  assert.deepEqual(hash.positionOf('a'), [101, 2, 101]);
+  assert.deepEqual(hash.query(0, 0, 5), []);
+  assert.deepEqual(hash.query(100, 100, 5), ['a']);
+  assert.equal(hash.cells.size, 1);
+
+  hash.remove('a');
+  assert.equal(hash.positionOf('a'), null);
+  assert.deepEqual(hash.query(100, 100, 5), []);
+  assert.equal(hash.cells.size, 0);
+});
+
+test('negative coordinates land in their own cells', () => {
+  const hash = new SpatialHash(10);
+  hash.update('neg', [-1, 0, -1]);
+  hash.update('pos', [1, 0, 1]);
+  assert.notEqual(hash.points.get('neg').key, hash.points.get('pos').key);
+  assert.deepEqual(sorted(hash.query(0, 0, 2)), ['neg', 'pos']);
+});
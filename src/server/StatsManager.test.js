@@ -0,0 +1,58 @@
+/**
+ * Unit tests for buffered player stats (in-memory store; no DATABASE_URL)
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatsManager } from './managers/StatsManager.js';
+import { loadPlayerStats, loadAchievements } from './db.js';
+import { mergeStats, emptyStats } from './PlayerStats.js';
+
+function manager(userId) {
+  const player = { name: 'Runner', userId, type: 'human' };
+  return new StatsManager(() => player);
+}
+
+test('mergeStats adds counts and keeps personal bests', () => {
+  const base = { ...emptyStats(), deaths: { lava: 2 }, bestRaceTimeMs: 40000, longestSurvivalMs: 9000, cursePasses: 3 };
+  const delta = { ...emptyStats(), deaths: { lava: 1, obstacle: 1 }, bestRaceTimeMs: 45000, longestSurvivalMs: 12000, cursePasses: 2 };
+  const merged = mergeStats(base, delta);
+  assert.deepEqual(merged.deaths, { lava: 3, obstacle: 1 });
+  assert.equal(merged.bestRaceTimeMs, 40000);
+  assert.equal(merged.longestSurvivalMs, 12000);
+  assert.equal(merged.cursePasses, 5);
+  assert.deepEqual(base.deaths, { lava: 2 }, 'base is not mutated');
+});
+
+test('saves from two managers for the same account add up', async () => {
+  const a = manager('stats-user-1');
+  const b = manager('stats-user-1');
+  a.recordGamePlayed('p1', 'race');
+  a.recordDeath('p1', 'lava');
+  a.recordBest('p1', 'bestRaceTimeMs', 50000);
+  b.recordGamePlayed('p2', 'race');
+  b.recordGamePlayed('p2', 'king');
+  b.addStat('p2', 'kingZoneMs', 1500);
+  b.recordBest('p2', 'bestRaceTimeMs', 42000);
+
+  await Promise.all([a.flush(), b.flush()]);
+
+  const { stats } = await loadPlayerStats('stats-user-1');
+  assert.deepEqual(stats.gamesPlayed, { race: 2, king: 1 });
+  assert.deepEqual(stats.deaths, { lava: 1 });
+  assert.equal(stats.kingZoneMs, 1500);
+  assert.equal(stats.bestRaceTimeMs, 42000);
+});
+
+test('achievements unlock from the saved totals', async () => {
+  const stats = manager('stats-user-2');
+  const unlocked = [];
+  stats.onAchievementUnlocked = (player, achievement) => unlocked.push(achievement.id);
+  stats.recordGamePlayed('p1', 'reach');
+  await stats.flush();
+
+  assert.deepEqual(unlocked, ['first_game']);
+  assert.deepEqual((await loadAchievements('stats-user-2')).map(a => a.id), ['first_game']);
+});
@@ -0,0 +1,50 @@
+/**
+ * Teams - Team definitions and auto-balancing for team-mode mini-games
+ *
+ * MiniGame owns the team state; this module only parses the `teams` start
+ * option and splits players into evenly sized teams.
+ */
+
+export const TEAM_DEFS = [
+  { id: 'red', name: 'Red', color: '#e74c3c' },
+  { id: 'blue', name: 'Blue', color: '#3498db' },
+  { id: 'green', name: 'Green', color: '#2ecc71' },
+  { id: 'yellow', name: 'Yellow', color: '#f1c40f' },
+];
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = TEAM_DEFS.length;
+
+/**
+ * Parse the `teams` start option. `true` means two teams.
+ * @returns {number} team count (0 = free-for-all)
+ */
+export function parseTeamCount(value) {
+  if (value === undefined || value === null || value === false || value === 0) return 0;
+  if (value === true) return MIN_TEAMS;
+  if (!Number.isInteger(value) || value < MIN_TEAMS || value > MAX_TEAMS) {
+    throw new Error(`teams must be true or an integer ${MIN_TEAMS}-${MAX_TEAMS}`);
+  }
+  return value;
+}
+
+/**
+ * Split players into `count` teams of sizes differing by at most one.
+ * Player order is shuffled so teams differ from game to game.
+ * @returns {Map<string, {id, name, color, members: string[], score: number}>}
+ */
+export function balanceTeams(playerIds, count) {
+  const shuffled = [...playerIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const teams = new Map();
+  for (const def of TEAM_DEFS.slice(0, count)) {
+    teams.set(def.id, { ...def, members: [], score: 0 });
+  }
+  const ordered = [...teams.values()];
+  shuffled.forEach((playerId, i) => ordered[i % count].members.push(playerId));
+  return teams;
+}
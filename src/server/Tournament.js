@@ -0,0 +1,201 @@
+/**
+ * Tournament - Chains mini-games into a scored series
+ *
+ * A tournament is a playlist of rounds. Each round either names its game
+ * (type and/or template, optional teams) or is left open for the agent to
+ * pick. When a round's game ends, players are ranked and awarded placement
+ * points; standings carry over, and the leader after the last round is
+ * crowned champion. One tournament runs per arena at a time.
+ */
+
+import { randomUUID } from 'crypto';
+import { GAME_TYPES } from './MiniGame.js';
+import { TEMPLATES } from './ArenaTemplates.js';
+import { parseTeamCount } from './Teams.js';
+import { getTemplateGameType } from './constants.js';
+
+// Points for 1st, 2nd, 3rd... — placements past the end of the table score 0
+export const DEFAULT_PLACEMENT_POINTS = [10, 6, 4, 2, 1];
+export const MAX_TOURNAMENT_ROUNDS = 10;
+
+function validateRound(round, i) {
+  if (round === null || round === undefined) return null; // agent's choice
+  if (typeof round !== 'object' || Array.isArray(round)) {
+    throw new Error(`Round ${i + 1}: must be an object or null`);
+  }
+  const { type, template, teams } = round;
+  if (type !== undefined && !GAME_TYPES[type]) {
+    throw new Error(`Round ${i + 1}: unknown game type "${type}". Valid: ${Object.keys(GAME_TYPES).join(', ')}`);
+  }
+  if (template !== undefined && !TEMPLATES[template]) {
+    throw new Error(`Round ${i + 1}: unknown template "${template}"`);
+  }
+  const teamCount = parseTeamCount(teams);
+  if (!type && !template) return teamCount ? { teams: teamCount } : null;
+  return {
+    ...(type && { type }),
+    ...(template && { template }),
+    ...(teamCount && { teams: teamCount }),
+  };
+}
+
+function validatePoints(points) {
+  if (points === undefined) return [...DEFAULT_PLACEMENT_POINTS];
+  if (!Array.isArray(points) || points.length === 0 || points.length > 16 ||
+      !points.every(p => Number.isInteger(p) && p >= 0 && p <= 1000)) {
+    throw new Error('points must be a list of 1-16 integers (0-1000), one per placement');
+  }
+  return points;
+}
+
+export class Tournament {
+  /**
+   * @param {object} config - { name?, rounds: number | Array<{type?, template?, teams?} | null>, points? }
+   * @param {Function} broadcastFn - arena broadcast (room + SSE)
+   * @param {Function} getPlayerName - playerId -> display name
+   */
+  constructor(config, broadcastFn, getPlayerName) {
+    const { name, rounds, points } = config || {};
+
+    let plan;
+    if (Number.isInteger(rounds)) {
+      plan = new Array(rounds).fill(null);
+    } else if (Array.isArray(rounds)) {
+      plan = rounds.map(validateRound);
+    } else {
+      throw new Error('rounds must be a round count or a list of rounds');
+    }
+    if (plan.length === 0 || plan.length > MAX_TOURNAMENT_ROUNDS) {
+      throw new Error(`Tournaments need 1-${MAX_TOURNAMENT_ROUNDS} rounds`);
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 60)) {
+      throw new Error('name must be a string (max 60 chars)');
+    }
+
+    this.id = `tournament-${randomUUID().slice(0, 8)}`;
+    this.name = name || 'Chaos Cup';
+    this.rounds = plan;
+    this.points = validatePoints(points);
+    this.broadcast = broadcastFn;
+    this.getPlayerName = getPlayerName;
+
+    this.status = 'active';      // 'active' | 'finished' | 'cancelled'
+    this.currentRound = 0;       // index of the round being (or about to be) played
+    this.activeGameId = null;    // game counted for the current round
+    this.standings = new Map();  // playerId -> { playerId, name, points, wins, roundsPlayed }
+    this.results = [];           // per-round placements
+    this.champion = null;
+    this.startedAt = Date.now();
+    this.endedAt = null;
+  }
+
+  get isActive() {
+    return this.status === 'active';
+  }
+
+  // Planned game for the upcoming round, or null if the agent chooses
+  getPlannedRound() {
+    if (!this.isActive || this.activeGameId) return null;
+    return this.rounds[this.currentRound] || null;
+  }
+
+  // True if starting `type`/`template` is allowed for the upcoming round
+  matchesPlan(type, template) {
+    const plan = this.getPlannedRound();
+    if (!plan) return true;
+    if (plan.template && template !== plan.template) return false;
+    const resolved = type || (template && (TEMPLATES[template]?.gameType || getTemplateGameType(template)));
+    return !plan.type || resolved === plan.type;
+  }
+
+  describePlan(plan) {
+    return [plan.type, plan.template && `template ${plan.template}`, plan.teams && `${plan.teams} teams`]
+      .filter(Boolean).join(', ');
+  }
+
+  onRoundStarted(game) {
+    if (!this.isActive || this.activeGameId) return;
+    this.activeGameId = game.id;
+    this.broadcast('tournament_round_started', {
+      round: this.currentRound + 1,
+      totalRounds: this.rounds.length,
+      gameType: game.type,
+      tournament: this.getStatus(),
+    });
+    console.log(`[Tournament] ${this.name}: round ${this.currentRound + 1}/${this.rounds.length} started (${game.type})`);
+  }
+
+  onGameEnded(game) {
+    if (!this.isActive || game.id !== this.activeGameId) return;
+
+    const placements = game.getPlacements().map(({ playerId, placement }) => {
+      const points = this.points[placement - 1] || 0;
+      const entry = this.standings.get(playerId) ||
+        { playerId, name: this.getPlayerName(playerId), points: 0, wins: 0, roundsPlayed: 0 };
+      entry.name = this.getPlayerName(playerId) || entry.name;
+      entry.points += points;
+      entry.roundsPlayed++;
+      if (game.winners.includes(playerId)) entry.wins++;
+      this.standings.set(playerId, entry);
+      return { playerId, name: entry.name, placement, points };
+    });
+
+    const round = this.currentRound + 1;
+    this.results.push({ round, gameId: game.id, gameType: game.type, placements });
+    this.currentRound++;
+    this.activeGameId = null;
+
+    this.broadcast('tournament_round_ended', {
+      round,
+      totalRounds: this.rounds.length,
+      placements,
+      tournament: this.getStatus(),
+    });
+    console.log(`[Tournament] ${this.name}: round ${round}/${this.rounds.length} ended`);
+
+    if (this.currentRound >= this.rounds.length) this._finish();
+  }
+
+  _finish() {
+    this.status = 'finished';
+    this.endedAt = Date.now();
+    this.champion = this.getStandings()[0] || null;
+    this.broadcast('tournament_finished', { champion: this.champion, tournament: this.getStatus() });
+    console.log(`[Tournament] ${this.name} finished — champion: ${this.champion?.name || 'none'}`);
+  }
+
+  cancel() {
+    if (!this.isActive) return;
+    this.status = 'cancelled';
+    this.endedAt = Date.now();
+    this.activeGameId = null;
+    this.broadcast('tournament_cancelled', { tournament: this.getStatus() });
+    console.log(`[Tournament] ${this.name} cancelled`);
+  }
+
+  // Sorted by points, then wins
+  getStandings() {
+    return [...this.standings.values()]
+      .sort((a, b) => b.points - a.points || b.wins - a.wins)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      status: this.status,
+      round: Math.min(this.currentRound + 1, this.rounds.length),
+      totalRounds: this.rounds.length,
+      roundInProgress: !!this.activeGameId,
+      nextRound: this.getPlannedRound(),
+      rounds: this.rounds,
+      points: this.points,
+      standings: this.getStandings(),
+      results: this.results,
+      champion: this.champion,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+    };
+  }
+}
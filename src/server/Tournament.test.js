@@ -0,0 +1,155 @@
+/**
+ * Unit tests for tournament scoring, standings and planned-round chaining
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Each auto-started round records a replay to REPLAY_DIR, fixed when ReplayRecorder loads
+const replayDir = await mkdtemp(path.join(tmpdir(), 'tournament-replays-'));
+process.env.REPLAY_DIR = replayDir;
+const { Tournament } = await import('./Tournament.js');
+const { ArenaInstance } = await import('./ArenaInstance.js');
+const gameService = await import('./services/gameService.js');
+const { setupArenaCallbacks } = await import('./services/arenaService.js');
+
+after(() => rm(replayDir, { recursive: true, force: true }));
+
+const NAMES = { a: 'Ada', b: 'Bo', c: 'Cy', d: 'Di' };
+
+function cup(config) {
+  const events = [];
+  const tournament = new Tournament(config, (type, data) => events.push({ type, data }), id => NAMES[id]);
+  return { tournament, events };
+}
+
+let nextGame = 0;
+
+/** Play one round with a finished game: [[playerId, placement], ...], winners taking 1st. */
+function playRound(tournament, placements, winners = []) {
+  const game = {
+    id: `game-${++nextGame}`,
+    type: 'reach',
+    winners,
+    getPlacements: () => placements.map(([playerId, placement]) => ({ playerId, placement })),
+  };
+  tournament.onRoundStarted(game);
+  tournament.onGameEnded(game);
+  return game;
+}
+
+const table = (tournament) => tournament.getStandings()
+  .map(({ rank, playerId, points, wins, roundsPlayed }) => [rank, playerId, points, wins, roundsPlayed]);
+
+test('placement points add up over the series and crown the leader', () => {
+  const { tournament, events } = cup({ rounds: 3 });
+
+  playRound(tournament, [['a', 1], ['b', 2], ['c', 3]], ['a']);
+  assert.deepEqual(table(tournament), [[1, 'a', 10, 1, 1], [2, 'b', 6, 0, 1], [3, 'c', 4, 0, 1]]);
+  assert.equal(tournament.getStatus().round, 2);
+
+  playRound(tournament, [['b', 1], ['c', 2], ['a', 3]], ['b']);
+  // d joins late and shares 2nd with b
+  playRound(tournament, [['c', 1], ['b', 2], ['d', 2], ['a', 4]], ['c']);
+
+  assert.deepEqual(table(tournament), [
+    [1, 'b', 22, 1, 3],
+    [2, 'c', 20, 1, 3],
+    [3, 'a', 16, 1, 3],
+    [4, 'd', 6, 0, 1],
+  ]);
+  assert.equal(tournament.status, 'finished');
+  assert.equal(tournament.champion.playerId, 'b');
+  assert.equal(tournament.champion.name, 'Bo');
+  assert.deepEqual(tournament.results.map(r => r.placements.map(p => p.points)), [[10, 6, 4], [10, 6, 4], [10, 6, 6, 2]]);
+  assert.deepEqual(events.map(e => e.type), [
+    'tournament_round_started', 'tournament_round_ended',
+    'tournament_round_started', 'tournament_round_ended',
+    'tournament_round_started', 'tournament_round_ended',
+    'tournament_finished',
+  ]);
+});
+
+test('custom points and placements past the table', () => {
+  const { tournament } = cup({ rounds: 1, points: [3, 1] });
+  playRound(tournament, [['a', 1], ['b', 2], ['c', 3], ['d', 3]], ['a']);
+  assert.deepEqual(table(tournament).map(([, id, points]) => [id, points]), [['a', 3], ['b', 1], ['c', 0], ['d', 0]]);
+});
+
+test('equal points are broken by wins', () => {
+  const { tournament } = cup({ rounds: 2, points: [5, 5, 2] });
+  playRound(tournament, [['a', 2], ['b', 2], ['c', 3]]);       // nobody won outright (draw)
+  playRound(tournament, [['b', 1], ['a', 2], ['c', 3]], ['b']);
+
+  assert.deepEqual(table(tournament), [[1, 'b', 10, 1, 2], [2, 'a', 10, 0, 2], [3, 'c', 4, 0, 2]]);
+  assert.equal(tournament.champion.playerId, 'b');
+});
+
+test('only the game started for the round counts, and nothing after a cancel', () => {
+  const { tournament } = cup({ rounds: 2 });
+  const counted = { id: 'game-counted', type: 'reach', winners: ['a'], getPlacements: () => [{ playerId: 'a', placement: 1 }] };
+  const stray = { ...counted, id: 'game-stray', winners: ['b'], getPlacements: () => [{ playerId: 'b', placement: 1 }] };
+
+  tournament.onRoundStarted(counted);
+  tournament.onRoundStarted(stray); // round already has its game
+  tournament.onGameEnded(stray);
+  assert.equal(tournament.results.length, 0);
+  tournament.onGameEnded(counted);
+  assert.deepEqual(table(tournament), [[1, 'a', 10, 1, 1]]);
+
+  tournament.cancel();
+  playRound(tournament, [['b', 1]], ['b']);
+  assert.equal(tournament.status, 'cancelled');
+  assert.equal(tournament.results.length, 1);
+  assert.equal(tournament.champion, null);
+});
+
+test('planned rounds start one after another from the lobby auto-start', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  const arena = new ArenaInstance('cup-test', { name: 'Cup', autoStartDelay: 1000 });
+  const ws = arena.worldState;
+  arena.tournament = new Tournament(
+    { rounds: [{ type: 'reach' }, { template: 'king_plateau' }, { type: 'collect', teams: 2 }] },
+    arena.broadcastToRoom.bind(arena),
+    (playerId) => ws.players.get(playerId)?.name
+  );
+  setupArenaCallbacks(arena, gameService);
+  ws.addPlayer('a', 'Ada'); // first human in the lobby schedules the auto-start
+  ws.addPlayer('b', 'Bo');
+
+  try {
+    const played = [];
+    for (let round = 0; round < 3; round++) {
+      mock.timers.tick(1000); // auto-start delay
+      await settle();
+      const game = arena.currentMiniGame;
+      assert.ok(game, `round ${round + 1} started`);
+      assert.equal(arena.tournament.activeGameId, game.id);
+      played.push({ type: game.type, teams: game.isTeamMode });
+
+      game.end('win', 'a');
+      await settle();
+      mock.timers.tick(5000); // back to the lobby, which schedules the next round
+    }
+
+    assert.deepEqual(played, [
+      { type: 'reach', teams: false },
+      { type: 'king', teams: false },
+      { type: 'collect', teams: true },
+    ]);
+    assert.equal(ws.gameHistory[1].template, 'king_plateau');
+    assert.equal(arena.tournament.status, 'finished');
+    assert.equal(arena.tournament.champion.playerId, 'a');
+    assert.deepEqual(arena.tournament.results.map(r => r.round), [1, 2, 3]);
+  } finally {
+    arena.dispose();
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * TrickScript - Validation for declarative mini-game tricks
+ *
+ * A trick is a trigger plus an ordered list of steps:
+ *
+ *   {
+ *     trigger: { all: [ { type: 'time_remaining', at: 20000 }, { type: 'players_alive', max: 2 } ] },
+ *     actions: [
+ *       { action: 'announce', params: { text: 'Final showdown!' } },
+ *       { wait: 2000 },
+ *       { action: 'flip_gravity' },
+ *       { action: 'spawn_prefab', params: { name: 'spider', position: [0, 1, 0] } }
+ *     ]
+ *   }
+ *
+ * Triggers compose with `all` (AND) and `any` (OR). The legacy
+ * { trigger, action, params } shape is still accepted as a one-step trick.
+ * Evaluation lives in MiniGame; this module only checks and normalizes input.
+ */
+
+import { PREFABS } from './Prefabs.js';
+
+const MAX_DEPTH = 3;
+const MAX_CHILDREN = 8;
+const MAX_STEPS = 10;
+const MAX_WAIT_MS = 60000;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(isNumber);
+
+// Leaf trigger validators: return an error string, or null if valid
+const TRIGGER_VALIDATORS = {
+  time: (t) => isNumber(t.at) && t.at >= 0 ? null : 'time trigger needs at (ms elapsed)',
+  interval: (t) => isNumber(t.every) && t.every >= 1000 ? null : 'interval trigger needs every (>= 1000 ms)',
+  score: (t) => isNumber(t.value) ? null : 'score trigger needs value',
+  deaths: (t) => Number.isInteger(t.count) && t.count >= 1 ? null : 'deaths trigger needs count (>= 1)',
+  players_alive: (t) => Number.isInteger(t.max) && t.max >= 0 ? null : 'players_alive trigger needs max (>= 0)',
+  collectibles_remaining: (t) => Number.isInteger(t.max) && t.max >= 0 ? null : 'collectibles_remaining trigger needs max (>= 0)',
+  time_remaining: (t) => isNumber(t.at) && t.at >= 0 ? null : 'time_remaining trigger needs at (ms remaining)',
+  zone_enter: (t) => isVec3(t.center) && isNumber(t.radius) && t.radius > 0 && t.radius <= 100
+    ? null : 'zone_enter trigger needs center [x,y,z] and radius (0-100)',
+};
+
+export const TRIGGER_TYPES = Object.keys(TRIGGER_VALIDATORS);
+
+function validateTrigger(trigger, depth) {
+  if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+    throw new Error('Trigger must be an object');
+  }
+
+  const op = trigger.all ? 'all' : trigger.any ? 'any' : null;
+  if (op) {
+    if (depth >= MAX_DEPTH) throw new Error(`Trigger nesting too deep (max ${MAX_DEPTH})`);
+    const children = trigger[op];
+    if (!Array.isArray(children) || children.length === 0 || children.length > MAX_CHILDREN) {
+      throw new Error(`"${op}" needs 1-${MAX_CHILDREN} triggers`);
+    }
+    return { [op]: children.map(child => validateTrigger(child, depth + 1)) };
+  }
+
+  const validate = TRIGGER_VALIDATORS[trigger.type];
+  if (!validate) {
+    throw new Error(`Unknown trigger type: ${trigger.type}. Valid: ${TRIGGER_TYPES.join(', ')}, or all/any`);
+  }
+  const error = validate(trigger);
+  if (error) throw new Error(error);
+
+  const normalized = { ...trigger };
+  if (trigger.type === 'score' || trigger.type === 'zone_enter') normalized.player = trigger.player || 'any';
+  return normalized;
+}
+
+function validateSteps(steps, knownActions) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    throw new Error(`actions must be a list of 1-${MAX_STEPS} steps`);
+  }
+  if (!steps.some(s => s && s.action)) {
+    throw new Error('actions needs at least one action step');
+  }
+
+  return steps.map((step, i) => {
+    if (step && step.wait !== undefined) {
+      if (!isNumber(step.wait) || step.wait < 0 || step.wait > MAX_WAIT_MS) {
+        throw new Error(`Step ${i}: wait must be 0-${MAX_WAIT_MS} ms`);
+      }
+      return { wait: step.wait };
+    }
+    if (!step || typeof step.action !== 'string') {
+      throw new Error(`Step ${i}: needs action or wait`);
+    }
+    if (!knownActions.includes(step.action)) {
+      throw new Error(`Step ${i}: unknown action "${step.action}" for this game. Valid: ${knownActions.join(', ')}`);
+    }
+    if (step.params !== undefined && (typeof step.params !== 'object' || step.params === null || Array.isArray(step.params))) {
+      throw new Error(`Step ${i}: params must be an object`);
+    }
+    if (step.action === 'spawn_prefab') {
+      if (!PREFABS[step.params?.name]) throw new Error(`Step ${i}: spawn_prefab needs a known params.name`);
+      if (step.params.position !== undefined && !isVec3(step.params.position)) {
+        throw new Error(`Step ${i}: spawn_prefab position must be [x, y, z]`);
+      }
+    }
+    return { action: step.action, params: step.params || {} };
+  });
+}
+
+/** True if the trigger tree contains an interval (such tricks re-arm after firing). */
+export function isRepeatingTrigger(trigger) {
+  if (trigger.all) return trigger.all.some(isRepeatingTrigger);
+  if (trigger.any) return trigger.any.some(isRepeatingTrigger);
+  return trigger.type === 'interval';
+}
+
+/**
+ * Validate and normalize a trick definition.
+ * @param {object} def - { trigger, actions } or legacy { trigger, action, params }
+ * @param {string[]} knownActions - actions supported by the active game
+ * @returns {{ trigger: object, steps: object[] }}
+ */
+export function validateTrick(def, knownActions) {
+  if (!def?.trigger) throw new Error('Missing required: trigger');
+  const steps = def.actions ?? (def.action ? [{ action: def.action, params: def.params }] : null);
+  if (!steps) throw new Error('Missing required: action or actions');
+
+  return {
+    trigger: validateTrigger(def.trigger, 0),
+    steps: validateSteps(steps, knownActions),
+  };
+}
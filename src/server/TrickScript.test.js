@@ -0,0 +1,83 @@
+/**
+ * Unit tests for trick validation and the legacy addTrick path
+ *
+ * Run: npm run test:server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTrick, isRepeatingTrigger } from './TrickScript.js';
+import { WorldState } from './WorldState.js';
+import { createGameSync } from './games/index.js';
+
+const ACTIONS = ['announce', 'flip_gravity', 'spawn_prefab'];
+const time = { type: 'time', at: 1000 };
+
+test('triggers nest up to the depth limit', () => {
+  const nested = (depth) => depth === 0 ? time : { all: [nested(depth - 1)] };
+
+  const { trigger } = validateTrick({ trigger: nested(3), action: 'announce' }, ACTIONS);
+  assert.deepEqual(trigger, { all: [{ all: [{ all: [time] }] }] });
+  assert.throws(() => validateTrick({ trigger: nested(4), action: 'announce' }, ACTIONS), /nesting too deep/);
+});
+
+test('bad triggers are rejected', () => {
+  assert.throws(() => validateTrick({ trigger: { type: 'moon_phase' }, action: 'announce' }, ACTIONS), /Unknown trigger type/);
+  assert.throws(() => validateTrick({ trigger: { type: 'interval', every: 10 }, action: 'announce' }, ACTIONS), /every/);
+  assert.throws(() => validateTrick({ trigger: { any: [] }, action: 'announce' }, ACTIONS), /"any" needs/);
+  assert.throws(() => validateTrick({ action: 'announce' }, ACTIONS), /trigger/);
+});
+
+test('unknown actions are rejected with the valid list', () => {
+  assert.throws(() => validateTrick({ trigger: time, action: 'delete_everyone' }, ACTIONS),
+    /unknown action "delete_everyone".*announce, flip_gravity, spawn_prefab/);
+  assert.throws(() => validateTrick({ trigger: time, actions: [{ action: 'spawn_prefab', params: { name: 'nope' } }] }, ACTIONS),
+    /spawn_prefab needs a known params.name/);
+  assert.throws(() => validateTrick({ trigger: time, actions: [{ action: 'announce', params: 'hi' }] }, ACTIONS),
+    /params must be an object/);
+});
+
+test('wait steps are kept in order and bounded', () => {
+  const { steps } = validateTrick({
+    trigger: time,
+    actions: [{ action: 'announce', params: { text: 'soon' } }, { wait: 2000 }, { action: 'flip_gravity' }],
+  }, ACTIONS);
+  assert.deepEqual(steps, [{ action: 'announce', params: { text: 'soon' } }, { wait: 2000 }, { action: 'flip_gravity', params: {} }]);
+
+  assert.throws(() => validateTrick({ trigger: time, actions: [{ action: 'announce' }, { wait: 60001 }] }, ACTIONS), /wait must be/);
+  assert.throws(() => validateTrick({ trigger: time, actions: [{ action: 'announce' }, { wait: -1 }] }, ACTIONS), /wait must be/);
+  assert.throws(() => validateTrick({ trigger: time, actions: [{ wait: 1000 }] }, ACTIONS), /at least one action/);
+});
+
+test('the legacy single-action shape becomes one step, and player defaults to any', () => {
+  const zone = { type: 'zone_enter', center: [0, 0, 0], radius: 5 };
+  const { trigger, steps } = validateTrick({ trigger: zone, action: 'announce', params: { text: 'hi' } }, ACTIONS);
+  assert.equal(trigger.player, 'any');
+  assert.deepEqual(steps, [{ action: 'announce', params: { text: 'hi' } }]);
+  assert.equal(isRepeatingTrigger({ any: [time, { type: 'interval', every: 1000 }] }), true);
+  assert.equal(isRepeatingTrigger(trigger), false);
+});
+
+test('MiniGame.addTrick normalizes its trigger, so a legacy zone_enter fires', () => {
+  const ws = new WorldState();
+  ws.addPlayer('p1', 'Runner');
+  const game = createGameSync('reach', ws, () => {});
+  game.players.set('p1', { score: 0, alive: true, position: [0, 1, 0] });
+  game.isActive = true;
+
+  const fired = [];
+  game.executeTrick = (step) => fired.push(step.action);
+  const id = game.addTrick({ type: 'zone_enter', center: [0, 1, 0], radius: 5 }, 'flip_gravity');
+  assert.equal(game.tricks.find(t => t.id === id).trigger.player, 'any');
+
+  game.processTricks(1000);
+  assert.deepEqual(fired, ['flip_gravity']);
+  assert.throws(() => game.addTrick(time, 'not_an_action'), /unknown action/);
+});
+
+test('every built-in game registers its default tricks', () => {
+  for (const type of ['reach', 'collect', 'survival', 'king', 'hot_potato', 'race']) {
+    const game = createGameSync(type, new WorldState(), () => {});
+    assert.doesNotThrow(() => game.setupDefaultTricks(), type);
+  }
+});
@@ -0,0 +1,355 @@
+/**
+ * WebhookDispatcher - Signed, retried webhook delivery for one arena
+ *
+ * Each registration gets a secret, returned once at registration. Every POST
+ * carries X-Webhook-Timestamp and X-Webhook-Signature: sha256=<hex HMAC of
+ * "<timestamp>.<body>">. A target must echo a challenge before it is
+ * registered. Failed deliveries retry with exponential backoff and move to a
+ * dead-letter queue after WEBHOOK_DELIVERY.maxAttempts, where they can be
+ * inspected and redelivered. Registrations and dead letters live in Postgres
+ * when available (and in the arena checkpoint either way). Targets must be
+ * public addresses; the check runs on every connection, against the address
+ * actually dialed, so a hostname re-pointed at a private address is refused.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import { loadWebhooks, saveWebhook, deleteWebhooks, loadDeadLetters, saveDeadLetter, deleteDeadLetter } from './db.js';
+import { WEBHOOK_DELIVERY, WEBHOOK_ALLOW_PRIVATE } from './constants.js';
+
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0;
+}
+
+function isPrivateAddress(ip) {
+  if (isIP(ip) === 6) {
+    const lower = ip.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const addr = v4ToInt(ip);
+  return PRIVATE_V4.some(([base, bits]) => (addr >>> (32 - bits)) === (v4ToInt(base) >>> (32 - bits)));
+}
+
+/** Throws unless url is an http(s) URL without credentials, and not a private IP literal. */
+function checkTargetUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Invalid webhook url');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('Webhook url must use http or https');
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('Webhook url must not contain credentials');
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!WEBHOOK_ALLOW_PRIVATE && isIP(host) && isPrivateAddress(host)) {
+    throw new Error('Webhook url must point to a public address');
+  }
+  return host;
+}
+
+/** checkTargetUrl, plus the hostname must resolve to public addresses only. */
+async function validateTargetUrl(url) {
+  const host = checkTargetUrl(url);
+  if (WEBHOOK_ALLOW_PRIVATE || isIP(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new Error(`Webhook host does not resolve: ${host}`);
+  }
+  if (addresses.some(a => isPrivateAddress(a.address))) {
+    throw new Error('Webhook url must point to a public address');
+  }
+}
+
+// Socket lookup for deliveries: the address checked is the one connected to,
+// so DNS answering differently after registration can't reach the private network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const resolved = Array.isArray(address) ? address : [{ address }];
+    if (!WEBHOOK_ALLOW_PRIVATE && resolved.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`Webhook host resolves to a private address: ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/** POST without following redirects. Resolves { ok, status, text }. */
+function postTo(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_RESPONSE_BYTES) chunks.push(chunk);
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        const status = res.statusCode;
+        resolve({ ok: status >= 200 && status < 300, status, text: Buffer.concat(chunks).toString() });
+      });
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => req.destroy(new Error('Timed out')), WEBHOOK_DELIVERY.timeoutMs);
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function publicView({ secret: _secret, ...webhook }) {
+  return webhook;
+}
+
+export class WebhookDispatcher {
+  constructor(arenaId) {
+    this.arenaId = arenaId;
+    this.hooks = new Map();       // id -> { id, url, events, secret, createdAt }
+    this.idCounter = 0;
+    this.log = new Map();         // webhook id -> recent deliveries, oldest first
+    this.deadLetters = new Map(); // webhook id -> deliveries that ran out of attempts
+    this.timers = new Set();      // pending retries
+  }
+
+  /** Registrations and dead letters saved in Postgres (replaces the checkpoint copy). */
+  async load() {
+    const hooks = this._usable(await loadWebhooks(this.arenaId));
+    if (hooks.length > 0) {
+      this.hooks = new Map(hooks.map(h => [h.id, h]));
+      for (const { id } of hooks) this.idCounter = Math.max(this.idCounter, parseInt(id.split('-')[1]) || 0);
+    }
+    for (const delivery of await loadDeadLetters(this.arenaId)) this._pushDeadLetter(delivery);
+  }
+
+  /**
+   * Validate the target, verify it with a signed challenge, then register it.
+   * @returns {Promise<object>} the webhook, including its secret
+   */
+  async register({ url, events }) {
+    if (typeof url !== 'string' || !url) throw new Error('Missing required: url');
+    if (events != null && (!Array.isArray(events) || !events.every(e => typeof e === 'string'))) {
+      throw new Error('events must be an array of event names');
+    }
+    if (this.hooks.size >= WEBHOOK_DELIVERY.maxPerArena) {
+      throw new Error(`Webhook limit reached (${WEBHOOK_DELIVERY.maxPerArena} per arena)`);
+    }
+    await validateTargetUrl(url);
+
+    const secret = `whsec_${randomBytes(24).toString('hex')}`;
+    await this._verify(url, secret);
+
+    const webhook = {
+      id: `webhook-${++this.idCounter}`,
+      url,
+      events: events?.length ? events : null,
+      secret,
+      createdAt: Date.now(),
+    };
+    this.hooks.set(webhook.id, webhook);
+    saveWebhook(this.arenaId, webhook);
+    return webhook;
+  }
+
+  remove(id) {
+    if (!this.hooks.delete(id)) return false;
+    this.log.delete(id);
+    this.deadLetters.delete(id);
+    deleteWebhooks(this.arenaId, id);
+    return true;
+  }
+
+  list() {
+    return [...this.hooks.values()].map(publicView);
+  }
+
+  get(id) {
+    const webhook = this.hooks.get(id);
+    return webhook ? publicView(webhook) : null;
+  }
+
+  deliveries(id) {
+    return {
+      deliveries: [...(this.log.get(id) || [])].reverse(),
+      deadLetters: [...(this.deadLetters.get(id) || [])].reverse(),
+    };
+  }
+
+  hasPending() {
+    return this.timers.size > 0;
+  }
+
+  dispatch(eventType, data) {
+    if (this.hooks.size === 0) return;
+    const body = JSON.stringify({ type: eventType, data, arenaId: this.arenaId, timestamp: Date.now() });
+
+    for (const webhook of this.hooks.values()) {
+      if (webhook.events && !webhook.events.includes(eventType)) continue;
+      const delivery = {
+        id: `dlv-${randomUUID().slice(0, 12)}`,
+        webhookId: webhook.id,
+        event: eventType,
+        body,
+        status: 'pending',
+        attempts: 0,
+        lastStatus: null,
+        lastError: null,
+        createdAt: Date.now(),
+        nextAttemptAt: null,
+      };
+      this._logDelivery(delivery);
+      this._attempt(delivery);
+    }
+  }
+
+  /** Send a dead letter again from the first attempt. */
+  redeliver(webhookId, deliveryId) {
+    const dead = this.deadLetters.get(webhookId) || [];
+    const index = dead.findIndex(d => d.id === deliveryId);
+    if (index === -1) return null;
+    const [delivery] = dead.splice(index, 1);
+    deleteDeadLetter(delivery.id);
+    Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: null });
+    this._logDelivery(delivery);
+    this._attempt(delivery);
+    return delivery;
+  }
+
+  serialize() {
+    return [...this.hooks.values()];
+  }
+
+  restore(hooks, idCounter) {
+    this.hooks = new Map(this._usable(hooks).map(h => [h.id, h]));
+    this.idCounter = idCounter;
+  }
+
+  /** Cancel pending retries (arena evicted or deleted). */
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  async _attempt(delivery) {
+    const webhook = this.hooks.get(delivery.webhookId);
+    if (!webhook) return;
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+
+    try {
+      const res = await this._post(webhook, delivery.body, { event: delivery.event, deliveryId: delivery.id });
+      delivery.lastStatus = res.status;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      delivery.status = 'delivered';
+      delivery.lastError = null;
+      delivery.deliveredAt = Date.now();
+    } catch (err) {
+      delivery.lastError = err.message;
+      if (delivery.attempts >= WEBHOOK_DELIVERY.maxAttempts) {
+        delivery.status = 'dead';
+        this._pushDeadLetter(delivery);
+        saveDeadLetter(this.arenaId, delivery);
+        console.warn(`[Webhooks:${this.arenaId}] ${delivery.id} to ${webhook.id} dead after ${delivery.attempts} attempts: ${err.message}`);
+        return;
+      }
+      const delay = Math.min(WEBHOOK_DELIVERY.baseDelayMs * 2 ** (delivery.attempts - 1), WEBHOOK_DELIVERY.maxDelayMs);
+      delivery.nextAttemptAt = Date.now() + delay;
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this._attempt(delivery);
+      }, delay);
+      this.timers.add(timer);
+    }
+  }
+
+  _post(webhook, body, { event, deliveryId }) {
+    const timestamp = String(Date.now());
+    return postTo(webhook.url, {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': deliveryId,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+    }, body);
+  }
+
+  // The target proves it wants these events by echoing the challenge back
+  async _verify(url, secret) {
+    const challenge = randomBytes(16).toString('hex');
+    const body = JSON.stringify({ type: 'webhook_challenge', challenge, arenaId: this.arenaId });
+    let res;
+    try {
+      res = await this._post({ id: 'pending', url, secret }, body, { event: 'webhook_challenge', deliveryId: 'challenge' });
+    } catch (err) {
+      throw new Error(`Webhook verification failed: ${err.message}`);
+    }
+    let echoed = res.text.trim();
+    try {
+      echoed = JSON.parse(res.text).challenge ?? echoed;
+    } catch {
+      // Plain-text echo
+    }
+    if (!res.ok || echoed !== challenge) {
+      throw new Error(`Webhook verification failed: ${res.ok ? 'challenge not echoed' : `HTTP ${res.status}`}`);
+    }
+  }
+
+  // Saved registrations (checkpoint or table) get the same URL checks as new ones;
+  // one without its signing secret could never be verified by the receiver
+  _usable(hooks) {
+    return hooks.filter((webhook) => {
+      try {
+        if (typeof webhook.secret !== 'string' || !webhook.secret) throw new Error('no signing secret');
+        checkTargetUrl(webhook.url);
+        return true;
+      } catch (err) {
+        console.warn(`[Webhooks:${this.arenaId}] Dropping saved ${webhook.id}: ${err.message}`);
+        return false;
+      }
+    });
+  }
+
+  _logDelivery(delivery) {
+    const log = this.log.get(delivery.webhookId) || [];
+    if (!log.includes(delivery)) log.push(delivery);
+    if (log.length > WEBHOOK_DELIVERY.logSize) log.shift();
+    this.log.set(delivery.webhookId, log);
+  }
+
+  _pushDeadLetter(delivery) {
+    const dead = this.deadLetters.get(delivery.webhookId) || [];
+    dead.push(delivery);
+    if (dead.length > WEBHOOK_DELIVERY.deadLetterSize) deleteDeadLetter(dead.shift().id);
+    this.deadLetters.set(delivery.webhookId, dead);
+  }
+}
@@ -5,7 +5,7 @@
  * Shared between HTTP API and Colyseus game room.
  *
  * All public API is preserved — consumers access the same properties and methods.
- * Internally, work is delegated to 8 managers in src/server/managers/.
+ * Internally, work is delegated to 9 managers in src/server/managers/.
  */
 
 import {
@@ -17,7 +17,9 @@ import {
   ChatManager,
   LeaderboardManager,
   ChallengeManager,
+  StatsManager,
 } from './managers/index.js';
+import { NavGraph } from './NavGraph.js';
 
 export class WorldState {
   // Static constants (backward-compat re-exports)
@@ -29,7 +31,7 @@ export class WorldState {
   static get SPELL_TYPES() { return SpellManager.SPELL_TYPES; }
   static get SPELL_COOLDOWN() { return SpellManager.SPELL_COOLDOWN; }
 
-  constructor() {
+  constructor(arenaId = 'chaos') {
     // Standalone managers (no cross-manager dependencies)
     this.spellMgr = new SpellManager();
     this.chatMgr = new ChatManager();
@@ -38,7 +40,12 @@ export class WorldState {
 
     // Managers with cross-manager callbacks
     this.leaderboardMgr = new LeaderboardManager(
-      (id) => this.playerMgr.players.get(id)?.name
+      arenaId,
+      (id) => this.playerMgr.players.get(id)?.name,
+      (id) => this.playerMgr.players.get(id)?.userId
+    );
+    this.statsMgr = new StatsManager(
+      (id) => this.playerMgr.players.get(id)
     );
     this.envMgr = new EnvironmentManager(
       () => this.gameMgr.gameState.phase
@@ -104,6 +111,10 @@ export class WorldState {
   // Leaderboard
   get leaderboard() { return this.leaderboardMgr.leaderboard; }
 
+  // Stats
+  get onAchievementUnlocked() { return this.statsMgr.onAchievementUnlocked; }
+  set onAchievementUnlocked(fn) { this.statsMgr.onAchievementUnlocked = fn; }
+
   // Challenge
   get challenges() { return this.challengeMgr.challenges; }
 
@@ -193,7 +204,18 @@ export class WorldState {
 
   recordGameResult(...args) { return this.leaderboardMgr.recordGameResult(...args); }
   getLeaderboard() { return this.leaderboardMgr.getLeaderboard(); }
+  recordRatings(...args) { return this.leaderboardMgr.recordRatings(...args); }
+  getRatingLeaderboard(...args) { return this.leaderboardMgr.getRatingLeaderboard(...args); }
   loadLeaderboardFromDB() { return this.leaderboardMgr.loadLeaderboardFromDB(); }
+  loadRatingsFromDB() { return this.leaderboardMgr.loadRatingsFromDB(); }
+
+  // Stats delegations
+
+  recordDeath(...args) { return this.statsMgr.recordDeath(...args); }
+  recordGamePlayed(...args) { return this.statsMgr.recordGamePlayed(...args); }
+  addStat(...args) { return this.statsMgr.addStat(...args); }
+  recordBest(...args) { return this.statsMgr.recordBest(...args); }
+  flushStats() { return this.statsMgr.flush(); }
 
   // Challenge delegations
 
@@ -214,6 +236,14 @@ export class WorldState {
     return ids;
   }
 
+  /** AI navigation graph, rebuilt on first use after the entity layout changes */
+  getNavGraph() {
+    if (this._navGraph?.version !== this.entityMgr.layoutVersion) {
+      this._navGraph = NavGraph.build(this.entityMgr.entities.values(), this.entityMgr.layoutVersion);
+    }
+    return this._navGraph;
+  }
+
   /** Collects alive player positions and updates chasing entities */
   updateChasingEntities(delta) {
     return this.entityMgr.updateChasingEntities(delta, () => {
@@ -229,6 +259,7 @@ export class WorldState {
 
   getState() {
     return {
+      serverTime: Date.now(),
       physics: { ...this.physics },
       entities: Array.from(this.entities.values()),
       players: Array.from(this.players.values()).map(p => ({
@@ -252,6 +283,62 @@ export class WorldState {
     };
   }
 
+  // Hibernation (ArenaHibernation.js): the persistent world, without players or a running game
+
+  serialize() {
+    return {
+      entities: Array.from(this.entities.values()),
+      totalEntitiesCreated: this.entityMgr.totalCreated,
+      physics: { ...this.physics },
+      environment: { ...this.environment },
+      floorType: this.floorType,
+      hazardPlane: { ...this.hazardPlane },
+      respawnPoint: [...this.respawnPoint],
+      challenges: Array.from(this.challenges.values()),
+      challengeStatistics: { ...this.challengeMgr.statistics },
+      messages: this.messages,
+      lastMessageId: this.chatMgr._messageIdCounter,
+      events: this.events,
+      lastEventId: this.chatMgr._eventIdCounter,
+      gameHistory: this.gameHistory,
+      lastGameType: this.lastGameType ?? null,
+      lastGameEndTime: this.lastGameEndTime ?? null,
+      lastTemplate: this.lastTemplate,
+      leaderboard: [...this.leaderboard],
+      ratings: [...this.leaderboardMgr.ratings].map(([pool, table]) => [pool, [...table]]),
+    };
+  }
+
+  restore(data) {
+    this.entityMgr.restoreEntities(data.entities || [], data.totalEntitiesCreated);
+    this.envMgr.physics = { ...this.envMgr.physics, ...data.physics };
+    this.envMgr.environment = { ...this.envMgr.environment, ...data.environment };
+    this.envMgr.floorType = data.floorType || 'solid';
+    Object.assign(this.envMgr.hazardPlane, data.hazardPlane);
+    if (data.respawnPoint) this.envMgr.respawnPoint = [...data.respawnPoint];
+
+    this.challengeMgr.challenges.clear();
+    for (const challenge of data.challenges || []) {
+      this.challengeMgr.challenges.set(challenge.id, challenge);
+    }
+    Object.assign(this.challengeMgr.statistics, data.challengeStatistics);
+
+    this.chatMgr.messages = data.messages || [];
+    this.chatMgr._messageIdCounter = data.lastMessageId || 0;
+    this.chatMgr.events = data.events || [];
+    this.chatMgr._eventIdCounter = data.lastEventId || 0;
+
+    this.gameMgr.gameHistory = data.gameHistory || [];
+    this.gameMgr.lastGameType = data.lastGameType ?? undefined;
+    this.gameMgr.lastGameEndTime = data.lastGameEndTime ?? undefined;
+    this.gameMgr.lastTemplate = data.lastTemplate ?? null;
+
+    this.leaderboardMgr.leaderboard = new Map(data.leaderboard || []);
+    this.leaderboardMgr.ratings = new Map((data.ratings || []).map(([pool, table]) => [pool, new Map(table)]));
+
+    console.log(`[WorldState] Restored ${this.entities.size} entities`);
+  }
+
   toJSON() {
     return JSON.stringify(this.getState(), null, 2);
   }
@@ -265,6 +352,7 @@ export class WorldState {
     for (const entity of data.entities) {
       this.entityMgr.entities.set(entity.id, entity);
     }
+    this.entityMgr.layoutVersion++;
 
     this.challengeMgr.challenges.clear();
     for (const challenge of [...data.challenges.active, ...data.challenges.completed]) {
@@ -5,16 +5,23 @@
  *   /api/arenas/:arenaId/... → specific arena
  *   /api/... → default "chaos" arena
  *
+ * Hibernated arenas are woken transparently before the request continues.
  * Also validates X-Arena-API-Key for non-default arenas.
  */
 
 export function createArenaMiddleware(arenaManager) {
-  return function arenaMiddleware(req, res, next) {
+  return async function arenaMiddleware(req, res, next) {
     const arenaId = req.params.arenaId || null;
 
     let arena;
     if (arenaId) {
-      arena = arenaManager.getArena(arenaId);
+      try {
+        arena = await arenaManager.resolveArena(arenaId);
+      } catch (e) {
+        // Express 4 doesn't catch async errors; an unhandled rejection would take the process down
+        console.error(`[ArenaMiddleware] Failed to resolve arena ${arenaId}:`, e.message);
+        return res.status(500).json({ error: `Failed to load arena: ${arenaId}` });
+      }
       if (!arena) {
         return res.status(404).json({ error: `Arena not found: ${arenaId}` });
       }
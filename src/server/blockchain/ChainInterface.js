@@ -26,6 +26,9 @@ export class ChainInterface {
   async recordResult(gameId, winnerId, scores) {
     throw new Error('Not implemented');
   }
+  restoreBribes(bribes, lastId) {
+    throw new Error('Not implemented');
+  }
 }
 
 export class MockChainInterface extends ChainInterface {
@@ -64,6 +67,12 @@ export class MockChainInterface extends ChainInterface {
     return this.bribes.filter(b => b.status === 'pending');
   }
 
+  // Pending bribes from before a restart (db.loadPendingBribes)
+  restoreBribes(bribes, lastId) {
+    this.bribes.push(...bribes);
+    this._nextId = Math.max(this._nextId, lastId + 1);
+  }
+
   async acknowledgeBribe(bribeId, honored) {
     const bribe = this.bribes.find(b => b.id === bribeId);
     if (bribe) {
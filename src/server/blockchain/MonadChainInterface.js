@@ -115,6 +115,12 @@ export class MonadChainInterface extends ChainInterface {
     return this.bribes.filter(b => b.status === 'pending');
   }
 
+  // Pending bribes from before a restart (db.loadPendingBribes)
+  restoreBribes(bribes, lastId) {
+    this.bribes.push(...bribes);
+    this._nextId = Math.max(this._nextId, lastId + 1);
+  }
+
   async acknowledgeBribe(bribeId, honored) {
     const bribe = this.bribes.find(b => b.id === bribeId);
     if (bribe) {
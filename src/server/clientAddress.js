@@ -0,0 +1,19 @@
+/**
+ * clientAddress - The real client IP of an HTTP or WebSocket upgrade request
+ *
+ * Behind nginx (and the shard gateway) every socket is the proxy's, so a
+ * proxy's X-Real-IP is trusted, but only when the socket itself is local;
+ * a client talking to the server directly can't spoof it.
+ */
+
+function isPrivateAddress(address) {
+  const ip = address.replace(/^::ffff:/, '');
+  return ip === '::1' || /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|f[cd])/.test(ip);
+}
+
+export function clientIp(req) {
+  const address = req.socket?.remoteAddress || '';
+  const forwarded = req.headers?.['x-real-ip'];
+  if (typeof forwarded === 'string' && forwarded && isPrivateAddress(address)) return forwarded;
+  return address;
+}
@@ -0,0 +1,79 @@
+/**
+ * cluster.js - Run arenas across several worker processes on one box
+ *
+ *   SHARD_WORKERS=4 node src/server/cluster.js
+ *
+ * Forks SHARD_WORKERS copies of index.js on ports PORT+1, PORT+2, ... Each
+ * worker ticks only its own arenas. PORT is served by a ShardGateway that
+ * routes HTTP and Colyseus traffic to the worker owning the arena. Placement
+ * lives in a ShardRegistry (also in Postgres when DATABASE_URL is set).
+ */
+
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { initDB, closeDB } from './db.js';
+import { ShardRegistry } from './ShardRegistry.js';
+import { ShardGateway } from './ShardGateway.js';
+import { PORT } from './constants.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const WORKER_COUNT = Math.max(1, parseInt(process.env.SHARD_WORKERS) || 2);
+const BASE_PORT = parseInt(process.env.SHARD_BASE_PORT) || Number(PORT) + 1;
+const RESTART_DELAY_MS = 1000;
+
+await initDB();
+
+const workers = Array.from({ length: WORKER_COUNT }, (_, i) => ({ id: `w${i + 1}`, port: BASE_PORT + i }));
+const registry = new ShardRegistry(workers.map(w => w.id));
+await registry.load();
+
+const gateway = new ShardGateway(registry, workers);
+const children = new Map(); // workerId -> ChildProcess
+let shuttingDown = false;
+
+function startWorker(worker) {
+  const child = fork(path.join(__dirname, 'index.js'), [], {
+    env: {
+      ...process.env,
+      PORT: String(worker.port),
+      SHARD_WORKER_ID: worker.id,
+      SHARD_HOSTS_DEFAULT: String(worker.id === registry.defaultWorkerId),
+      SHARD_ARENAS: registry.arenasOn(worker.id).join(','),
+    },
+  });
+  children.set(worker.id, child);
+
+  // Workers delete expired arenas on their own; free the placement
+  child.on('message', (msg) => {
+    if (msg?.type === 'arena_deleted') registry.remove(msg.arenaId);
+  });
+
+  child.on('exit', (code, signal) => {
+    children.delete(worker.id);
+    if (shuttingDown) return;
+    console.error(`[Shard] Worker ${worker.id} exited (${signal || code}), restarting`);
+    gateway.forgetWorkerRooms(worker.id);
+    setTimeout(() => startWorker(worker), RESTART_DELAY_MS);
+  });
+}
+
+for (const worker of workers) startWorker(worker);
+
+gateway.listen(PORT, () => {
+  console.log(`[Shard] Gateway on port ${PORT}, ${WORKER_COUNT} workers on ports ${BASE_PORT}-${BASE_PORT + WORKER_COUNT - 1}`);
+});
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[Shard] ${signal} received, stopping workers`);
+  const exits = [...children.values()].map(child => new Promise(resolve => child.once('exit', resolve)));
+  for (const child of children.values()) child.kill(signal);
+  gateway.close();
+  Promise.all(exits).then(closeDB).then(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -3,7 +3,26 @@
  * Extracted from index.js for reuse across modules.
  */
 
+import { PLAYER_PHYSICS, BOOST_PAD_MULTIPLIER, movementStats } from '../shared/physics.js';
+import { SPELL } from '../shared/constants.js';
+
 export const PORT = process.env.PORT || 3000;
+
+// Sharding: cluster.js runs a gateway and forks index.js workers with these set
+export const SHARD_WORKER_ID = process.env.SHARD_WORKER_ID || null;
+export const HOSTS_DEFAULT_ARENA = !SHARD_WORKER_ID || process.env.SHARD_HOSTS_DEFAULT === 'true';
+
+// Arena hibernation (ArenaManager): idle arenas are saved and evicted from memory
+export const HIBERNATE_IDLE_MS = 10 * 60 * 1000;
+export const HIBERNATE_CHECK_INTERVAL = 60 * 1000;
+export const ARENA_EXPIRE_MS = 7 * 24 * 60 * 60 * 1000;  // hibernated this long without access: deleted
+export const ARENA_EXPIRE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Graceful shutdown (SIGTERM): running games get up to SHUTDOWN_GAME_WAIT_MS to finish
+export const SHUTDOWN_GAME_WAIT_MS = parseInt(process.env.SHUTDOWN_GAME_WAIT_MS) || 90 * 1000;
+export const SHUTDOWN_NOTICE_MS = 5000;            // shortest countdown, even with no games running
+export const SESSION_RESUME_MS = 5 * 60 * 1000;    // how long a player can resume after a restart
+
 export const MIN_LOBBY_MS = 5000;
 export const AUTO_START_DELAY = 20000;
 export const MIN_GAME_DURATION_MS = 30000;
@@ -12,6 +31,70 @@ export const AGENT_CHAT_COOLDOWN = 3000;
 export const AFK_IDLE_MS = 120000;
 export const AFK_KICK_MS = 15000;
 export const AFK_CHECK_INTERVAL = 5000;
+export const AGENT_PLAYER_TICK_MS = 100;  // agent_player room: tick snapshot rate
+export const MOTION_SYNC_INTERVAL = 2000;  // clock corrections for client-evaluated platform motion
+
+// Anti-cheat: proximity slack (units) past AABB contact, plus velocity * latency slack
+export const ANTICHEAT_PROXIMITY_TOLERANCE = 3;
+export const ANTICHEAT_LATENCY_SLACK_S = 0.25;
+export const ANTICHEAT_SUSPICION_DECAY = 0.05; // points per second
+export const ANTICHEAT_FLAG_THRESHOLD = 5;
+
+// Interest management for player_moved: full rate nearby, reduced out to fog distance, none beyond
+export const INTEREST = {
+  nearDistance: 40,       // units; every update within this range
+  farIntervalMs: 400,     // rate for players between nearDistance and fog distance
+  fogDistance: 200,       // used when the environment has no fogFar
+  spectatorIntervalMs: 500,  // default overview rate (arena config spectatorUpdateMs)
+  refreshMs: 250,         // how often receiver positions and spectator lists are rebuilt
+};
+
+// SSE feed (EventStream): replay buffer for Last-Event-ID, keepalive comments for proxies
+export const SSE_STREAM = {
+  bufferSize: 500,        // events kept per arena for replay
+  keepaliveMs: 15000,
+  retryMs: 3000,          // reconnect delay suggested to EventSource clients
+};
+
+// Agent-player sessions (agentPlayerService): caps and per-token / per-IP rate limits
+export const AGENT_PLAYER_LIMITS = {
+  maxPerArena: 4,         // default for arena config maxAgentPlayers; agents also count toward maxPlayers
+  maxNameLength: 24,
+  move: { perToken: 20, perIp: 60, windowMs: 1000 },   // intents; the tick only samples every 100ms
+  chat: { perToken: 1, perIp: 3, windowMs: 1000 },     // same pace as human chat
+  idleTimeoutMs: 5 * 60 * 1000, // default for arena config agentIdleTimeoutMs: no intent or chat for this long ends the session
+};
+
+// Webhook delivery (WebhookDispatcher): retries back off exponentially, then dead-letter
+export const WEBHOOK_DELIVERY = {
+  timeoutMs: 5000,            // per attempt, and for the registration challenge
+  maxAttempts: 5,             // attempts before a delivery moves to the dead-letter queue
+  baseDelayMs: 2000,          // first retry; doubles each attempt
+  maxDelayMs: 5 * 60 * 1000,
+  logSize: 50,                // recent deliveries kept per webhook
+  deadLetterSize: 100,        // dead letters kept per webhook
+  maxPerArena: 10,
+};
+// Private/loopback targets are only allowed outside production unless opted in
+export const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE
+  ? process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+// Death causes tracked in player stats (client reports all but hazard_plane, which the server detects)
+export const DEATH_CAUSES = ['obstacle', 'hazard_plane', 'abyss', 'lava'];
+
+// Anti-cheat movement limits (units/sec), taken from the shared player physics so they can't drift
+export const MOVE_LIMITS = {
+  sprintSpeed: PLAYER_PHYSICS.SPRINT_SPEED,
+  speedBoostSpell: movementStats(new Set([SPELL.SPEED_BOOST]), true).targetSpeed,
+  boostPadMultiplier: BOOST_PAD_MULTIPLIER,
+  jumpForce: PLAYER_PHYSICS.JUMP_FORCE,
+  terminalVelocity: -PLAYER_PHYSICS.TERMINAL_VELOCITY,
+  margin: 2,              // flat slack (units) for collision push-out and snapping
+  maxElapsedS: 1,         // cap on elapsed time credited between updates
+  graceMs: 500,           // after a teleport/correction, in-flight moves are corrected without suspicion
+  effectLingerMs: 1000,   // spell/pad effects stay credited a bit past expiry (clock skew)
+};
 
 export const NEW_TYPE_TEMPLATES = [
   'king_plateau', 'king_islands',
@@ -40,6 +123,11 @@ const TEMPLATE_TYPE_RULES = [
   ['treasure', 'collect'],
 ];
 
+/** Add a template → game type rule ahead of the built-ins (used by registerGameType). */
+export function addTemplateTypeRule(pattern, type) {
+  TEMPLATE_TYPE_RULES.unshift([pattern, type]);
+}
+
 export function getTemplateGameType(templateName) {
   for (const [pattern, type] of TEMPLATE_TYPE_RULES) {
     if (templateName.includes(pattern)) return type;
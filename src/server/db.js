@@ -6,6 +6,7 @@
  */
 
 import pg from 'pg';
+import { mergeStats } from './PlayerStats.js';
 const { Pool } = pg;
 
 let pool = null;
@@ -32,6 +33,17 @@ CREATE TABLE IF NOT EXISTS leaderboard (
   updated_at    TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS ratings (
+  arena_id      TEXT NOT NULL,
+  user_id       TEXT NOT NULL,
+  game_type     TEXT NOT NULL,
+  name          TEXT NOT NULL,
+  rating        REAL NOT NULL,
+  games_played  INTEGER DEFAULT 0,
+  updated_at    TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (arena_id, user_id, game_type)
+);
+
 CREATE TABLE IF NOT EXISTS game_history (
   id            TEXT PRIMARY KEY,
   game_type     TEXT NOT NULL,
@@ -56,6 +68,37 @@ CREATE TABLE IF NOT EXISTS transactions (
   created_at     TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS player_stats (
+  user_id               TEXT PRIMARY KEY,
+  name                  TEXT NOT NULL,
+  deaths                JSONB DEFAULT '{}',
+  games_played          JSONB DEFAULT '{}',
+  best_race_time_ms     INTEGER,
+  longest_survival_ms   INTEGER DEFAULT 0,
+  curse_passes          INTEGER DEFAULT 0,
+  king_zone_ms          INTEGER DEFAULT 0,
+  hazard_rises_survived INTEGER DEFAULT 0,
+  updated_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Adds per-key counts: {"lava": 2} + {"lava": 1, "obstacle": 1} = {"lava": 3, "obstacle": 1}
+CREATE OR REPLACE FUNCTION jsonb_add_counts(a JSONB, b JSONB) RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_object_agg(key, total), '{}'::jsonb)
+  FROM (
+    SELECT key, SUM(value::numeric) AS total
+    FROM (SELECT * FROM jsonb_each_text(COALESCE(a, '{}'::jsonb))
+          UNION ALL SELECT * FROM jsonb_each_text(COALESCE(b, '{}'::jsonb))) counts
+    GROUP BY key
+  ) sums
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS player_achievements (
+  user_id        TEXT NOT NULL,
+  achievement_id TEXT NOT NULL,
+  unlocked_at    TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, achievement_id)
+);
+
 CREATE TABLE IF NOT EXISTS arenas (
   id               TEXT PRIMARY KEY,
   name             TEXT NOT NULL,
@@ -69,6 +112,45 @@ CREATE TABLE IF NOT EXISTS arenas (
   created_at       TIMESTAMPTZ DEFAULT NOW(),
   last_active      TIMESTAMPTZ DEFAULT NOW()
 );
+
+CREATE TABLE IF NOT EXISTS arena_states (
+  arena_id    TEXT PRIMARY KEY,
+  state       JSONB NOT NULL,
+  saved_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Saved states that failed to restore, kept for inspection and repair
+CREATE TABLE IF NOT EXISTS quarantined_arena_states (
+  arena_id       TEXT NOT NULL,
+  state          JSONB NOT NULL,
+  saved_at       TIMESTAMPTZ,
+  quarantined_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (arena_id, quarantined_at)
+);
+
+CREATE TABLE IF NOT EXISTS arena_shards (
+  arena_id    TEXT PRIMARY KEY,
+  worker_id   TEXT NOT NULL,
+  assigned_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  arena_id    TEXT NOT NULL,
+  id          TEXT NOT NULL,
+  url         TEXT NOT NULL,
+  events      JSONB,
+  secret      TEXT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (arena_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+  id          TEXT PRIMARY KEY,
+  arena_id    TEXT NOT NULL,
+  webhook_id  TEXT NOT NULL,
+  delivery    JSONB NOT NULL,
+  failed_at   TIMESTAMPTZ DEFAULT NOW()
+);
 `;
 
 export async function initDB() {
@@ -104,12 +186,30 @@ export function isDBAvailable() {
   return dbAvailable;
 }
 
+// Most writes are fire-and-forget; keep the in-flight ones so shutdown can wait for them
+const pendingWrites = new Set();
+
+function write(text, values) {
+  const query = pool.query(text, values);
+  pendingWrites.add(query);
+  const done = () => pendingWrites.delete(query);
+  query.then(done, done);
+  return query;
+}
+
+/** Resolves once every write issued so far has settled. */
+export async function flushWrites() {
+  while (pendingWrites.size > 0) {
+    await Promise.allSettled([...pendingWrites]);
+  }
+}
+
 // --- Users ---
 
 export async function upsertUser(id, name, type = 'human', meta = {}) {
   if (!dbAvailable) return;
   try {
-    await pool.query(
+    await write(
       `INSERT INTO users (id, name, type, privy_user_id, twitter_username, twitter_avatar, wallet_address, last_seen)
        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
        ON CONFLICT (id) DO UPDATE SET
@@ -140,12 +240,27 @@ export async function findUser(id) {
   }
 }
 
+/** True if a human account (guest or signed in) has played under this name. */
+export async function isHumanName(name) {
+  if (!dbAvailable) return false;
+  try {
+    const result = await pool.query(
+      "SELECT 1 FROM users WHERE LOWER(name) = LOWER($1) AND type IN ('human', 'authenticated', 'guest') LIMIT 1",
+      [name]
+    );
+    return result.rows.length > 0;
+  } catch (err) {
+    console.error('[DB] isHumanName error:', err.message);
+    return false;
+  }
+}
+
 // --- Leaderboard ---
 
 export async function updateLeaderboard(userId, name, won, score) {
   if (!dbAvailable) return;
   try {
-    await pool.query(
+    await write(
       `INSERT INTO leaderboard (user_id, name, wins, total_score, games_played, updated_at)
        VALUES ($1, $2, $3, $4, 1, NOW())
        ON CONFLICT (user_id) DO UPDATE SET
@@ -177,12 +292,46 @@ export async function loadLeaderboard() {
   }
 }
 
+// Keyed by arena, like the in-memory ratings the delta was computed from
+export async function updateRating(arenaId, userId, gameType, name, delta, initialRating) {
+  if (!dbAvailable) return;
+  try {
+    await write(
+      `INSERT INTO ratings (arena_id, user_id, game_type, name, rating, games_played, updated_at)
+       VALUES ($1, $2, $3, $4, $5::real + $6::real, 1, NOW())
+       ON CONFLICT (arena_id, user_id, game_type) DO UPDATE SET
+         name = $4,
+         rating = ratings.rating + $6::real,
+         games_played = ratings.games_played + 1,
+         updated_at = NOW()`,
+      [arenaId, userId, gameType, name, initialRating, delta]
+    );
+  } catch (err) {
+    console.error('[DB] updateRating error:', err.message);
+  }
+}
+
+export async function loadRatings(arenaId) {
+  if (!dbAvailable) return [];
+  try {
+    const result = await pool.query(
+      `SELECT user_id AS id, game_type AS "gameType", name, rating, games_played AS "gamesPlayed"
+       FROM ratings WHERE arena_id = $1`,
+      [arenaId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('[DB] loadRatings error:', err.message);
+    return [];
+  }
+}
+
 // --- Game History ---
 
 export async function saveGameHistory(game) {
   if (!dbAvailable) return;
   try {
-    await pool.query(
+    await write(
       `INSERT INTO game_history (id, game_type, started_at, ended_at, duration_ms, result, winner_id, player_count, scores)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
       [
@@ -224,6 +373,118 @@ export async function getStats() {
   }
 }
 
+// --- Player Stats & Achievements ---
+
+// In-memory fallback for when DB is unavailable
+const memPlayerStats = new Map();  // userId -> { name, stats }
+const memAchievements = new Map(); // userId -> [{ id, unlockedAt }]
+
+export async function loadPlayerStats(userId) {
+  if (!dbAvailable) {
+    const entry = memPlayerStats.get(userId);
+    return entry ? structuredClone(entry) : null;
+  }
+  try {
+    const result = await pool.query(
+      `SELECT name, deaths, games_played AS "gamesPlayed", best_race_time_ms AS "bestRaceTimeMs",
+              longest_survival_ms AS "longestSurvivalMs", curse_passes AS "cursePasses",
+              king_zone_ms AS "kingZoneMs", hazard_rises_survived AS "hazardRisesSurvived"
+       FROM player_stats WHERE user_id = $1`,
+      [userId]
+    );
+    if (!result.rows[0]) return null;
+    const { name, ...stats } = result.rows[0];
+    return { name, stats };
+  } catch (err) {
+    console.error('[DB] loadPlayerStats error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Add a game's stat delta to a player's stored stats and return the result,
+ * or null if it could not be saved. The merge happens in one statement so
+ * concurrent saves for the same account (other arenas, other workers) add up.
+ */
+export async function addPlayerStats(userId, name, delta) {
+  if (!dbAvailable) {
+    const stats = mergeStats(memPlayerStats.get(userId)?.stats, delta);
+    memPlayerStats.set(userId, { name, stats: structuredClone(stats) });
+    return stats;
+  }
+  try {
+    const result = await write(
+      `INSERT INTO player_stats (user_id, name, deaths, games_played, best_race_time_ms, longest_survival_ms,
+                                 curse_passes, king_zone_ms, hazard_rises_survived, updated_at)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, 0), $7, $8, $9, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         name = $2,
+         deaths = jsonb_add_counts(player_stats.deaths, $3),
+         games_played = jsonb_add_counts(player_stats.games_played, $4),
+         best_race_time_ms = LEAST(player_stats.best_race_time_ms, $5),
+         longest_survival_ms = GREATEST(player_stats.longest_survival_ms, $6),
+         curse_passes = player_stats.curse_passes + $7,
+         king_zone_ms = player_stats.king_zone_ms + $8,
+         hazard_rises_survived = player_stats.hazard_rises_survived + $9,
+         updated_at = NOW()
+       RETURNING deaths, games_played AS "gamesPlayed", best_race_time_ms AS "bestRaceTimeMs",
+                 longest_survival_ms AS "longestSurvivalMs", curse_passes AS "cursePasses",
+                 king_zone_ms AS "kingZoneMs", hazard_rises_survived AS "hazardRisesSurvived"`,
+      [
+        userId,
+        name,
+        JSON.stringify(delta.deaths),
+        JSON.stringify(delta.gamesPlayed),
+        delta.bestRaceTimeMs === null ? null : Math.round(delta.bestRaceTimeMs),
+        delta.longestSurvivalMs === null ? null : Math.round(delta.longestSurvivalMs),
+        Math.round(delta.cursePasses),
+        Math.round(delta.kingZoneMs),
+        Math.round(delta.hazardRisesSurvived),
+      ]
+    );
+    return result.rows[0];
+  } catch (err) {
+    console.error('[DB] addPlayerStats error:', err.message);
+    return null;
+  }
+}
+
+export async function loadAchievements(userId) {
+  if (!dbAvailable) return [...(memAchievements.get(userId) || [])];
+  try {
+    const result = await pool.query(
+      `SELECT achievement_id AS id, unlocked_at AS "unlockedAt"
+       FROM player_achievements WHERE user_id = $1
+       ORDER BY unlocked_at ASC`,
+      [userId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('[DB] loadAchievements error:', err.message);
+    return [];
+  }
+}
+
+export async function saveAchievement(userId, achievementId) {
+  if (!dbAvailable) {
+    const list = memAchievements.get(userId) || [];
+    if (!list.some(a => a.id === achievementId)) {
+      list.push({ id: achievementId, unlockedAt: new Date().toISOString() });
+      memAchievements.set(userId, list);
+    }
+    return;
+  }
+  try {
+    await write(
+      `INSERT INTO player_achievements (user_id, achievement_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [userId, achievementId]
+    );
+  } catch (err) {
+    console.error('[DB] saveAchievement error:', err.message);
+  }
+}
+
 // --- Transactions ---
 
 // In-memory fallback for when DB is unavailable
@@ -238,7 +499,7 @@ export async function saveTransaction({ id, userId, walletAddress, txHash, txTyp
     return;
   }
   try {
-    await pool.query(
+    await write(
       `INSERT INTO transactions (id, user_id, wallet_address, tx_hash, tx_type, amount, description, status)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
       [id, userId, walletAddress || null, txHash || null, txType, amount, description || null, status]
@@ -293,7 +554,7 @@ export async function updateTransactionStatus(id, status) {
     return;
   }
   try {
-    await pool.query('UPDATE transactions SET status = $1 WHERE id = $2', [status, id]);
+    await write('UPDATE transactions SET status = $1 WHERE id = $2', [status, id]);
   } catch (err) {
     console.error('[DB] updateTransactionStatus error:', err.message);
   }
@@ -312,6 +573,37 @@ export async function loadVerifiedTxHashes() {
   }
 }
 
+// Bribes the agent hasn't answered yet, plus the highest bribe number issued,
+// so a restarted chain interface picks up where the last one stopped
+export async function loadPendingBribes() {
+  if (!dbAvailable) return { bribes: [], lastId: 0 };
+  try {
+    const pending = await pool.query(
+      `SELECT id, user_id, amount, description, tx_hash, created_at
+       FROM transactions
+       WHERE status = 'pending' AND id LIKE 'bribe-%'
+       ORDER BY created_at ASC`
+    );
+    const last = await pool.query(
+      `SELECT COALESCE(MAX(SUBSTRING(id FROM 7)::int), 0) AS last_id
+       FROM transactions WHERE id ~ '^bribe-[0-9]+$'`
+    );
+    const bribes = pending.rows.map(r => ({
+      id: r.id,
+      playerId: r.user_id,
+      amount: Number(r.amount),
+      request: r.description,
+      txHash: r.tx_hash,
+      status: 'pending',
+      timestamp: new Date(r.created_at).getTime(),
+    }));
+    return { bribes, lastId: last.rows[0].last_id };
+  } catch (err) {
+    console.error('[DB] loadPendingBribes error:', err.message);
+    return { bribes: [], lastId: 0 };
+  }
+}
+
 // --- Arenas ---
 
 export async function loadArenas() {
@@ -361,12 +653,196 @@ export async function saveArena(arena) {
 export async function deleteArenaFromDB(id) {
   if (!dbAvailable) return;
   try {
-    await pool.query('DELETE FROM arenas WHERE id = $1 AND is_default = FALSE', [id]);
+    const { rowCount } = await pool.query('DELETE FROM arenas WHERE id = $1 AND is_default = FALSE', [id]);
+    if (rowCount > 0) await pool.query('DELETE FROM ratings WHERE arena_id = $1', [id]);
   } catch (err) {
     console.error('[DB] deleteArenaFromDB error:', err.message);
   }
 }
 
+// --- Arena states (ArenaHibernation.js) ---
+
+// Rethrows: an arena must not be evicted if its state wasn't saved
+export async function saveArenaState(arenaId, state) {
+  if (!dbAvailable) return;
+  try {
+    await pool.query(
+      `INSERT INTO arena_states (arena_id, state, saved_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (arena_id) DO UPDATE SET state = $2, saved_at = NOW()`,
+      [arenaId, JSON.stringify(state)]
+    );
+  } catch (err) {
+    console.error('[DB] saveArenaState error:', err.message);
+    throw err;
+  }
+}
+
+export async function loadArenaState(arenaId) {
+  if (!dbAvailable) return null;
+  try {
+    const result = await pool.query('SELECT state FROM arena_states WHERE arena_id = $1', [arenaId]);
+    return result.rows[0]?.state || null;
+  } catch (err) {
+    console.error('[DB] loadArenaState error:', err.message);
+    return null;
+  }
+}
+
+export async function loadArenaStates() {
+  if (!dbAvailable) return [];
+  try {
+    const result = await pool.query('SELECT state FROM arena_states ORDER BY saved_at ASC');
+    return result.rows.map(row => row.state);
+  } catch (err) {
+    console.error('[DB] loadArenaStates error:', err.message);
+    return [];
+  }
+}
+
+export async function deleteArenaState(arenaId) {
+  if (!dbAvailable) return;
+  try {
+    await pool.query('DELETE FROM arena_states WHERE arena_id = $1', [arenaId]);
+  } catch (err) {
+    console.error('[DB] deleteArenaState error:', err.message);
+  }
+}
+
+// Moves the row aside in one statement, so the state is never lost in between
+export async function quarantineArenaState(arenaId) {
+  if (!dbAvailable) return;
+  try {
+    await pool.query(
+      `WITH moved AS (DELETE FROM arena_states WHERE arena_id = $1 RETURNING arena_id, state, saved_at)
+       INSERT INTO quarantined_arena_states (arena_id, state, saved_at)
+       SELECT arena_id, state, saved_at FROM moved`,
+      [arenaId]
+    );
+  } catch (err) {
+    console.error('[DB] quarantineArenaState error:', err.message);
+  }
+}
+
+// --- Arena shards (cluster.js) ---
+
+export async function loadArenaShards() {
+  if (!dbAvailable) return [];
+  try {
+    const result = await pool.query(
+      'SELECT arena_id AS "arenaId", worker_id AS "workerId" FROM arena_shards'
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('[DB] loadArenaShards error:', err.message);
+    return [];
+  }
+}
+
+export async function saveArenaShard(arenaId, workerId) {
+  if (!dbAvailable) return;
+  try {
+    await pool.query(
+      `INSERT INTO arena_shards (arena_id, worker_id, assigned_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (arena_id) DO UPDATE SET worker_id = $2, assigned_at = NOW()`,
+      [arenaId, workerId]
+    );
+  } catch (err) {
+    console.error('[DB] saveArenaShard error:', err.message);
+  }
+}
+
+export async function deleteArenaShard(arenaId) {
+  if (!dbAvailable) return;
+  try {
+    await pool.query('DELETE FROM arena_shards WHERE arena_id = $1', [arenaId]);
+  } catch (err) {
+    console.error('[DB] deleteArenaShard error:', err.message);
+  }
+}
+
+// --- Webhooks (WebhookDispatcher.js) ---
+
+export async function loadWebhooks(arenaId) {
+  if (!dbAvailable) return [];
+  try {
+    const result = await pool.query(
+      `SELECT id, url, events, secret, created_at FROM webhooks WHERE arena_id = $1`,
+      [arenaId]
+    );
+    return result.rows.map(r => ({
+      id: r.id, url: r.url, events: r.events, secret: r.secret, createdAt: new Date(r.created_at).getTime(),
+    }));
+  } catch (err) {
+    console.error('[DB] loadWebhooks error:', err.message);
+    return [];
+  }
+}
+
+export async function saveWebhook(arenaId, webhook) {
+  if (!dbAvailable) return;
+  try {
+    await write(
+      `INSERT INTO webhooks (arena_id, id, url, events, secret, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (arena_id, id) DO UPDATE SET url = $3, events = $4, secret = $5`,
+      [arenaId, webhook.id, webhook.url, JSON.stringify(webhook.events), webhook.secret, new Date(webhook.createdAt)]
+    );
+  } catch (err) {
+    console.error('[DB] saveWebhook error:', err.message);
+  }
+}
+
+/** Remove one webhook (and its dead letters), or every webhook of the arena when id is omitted. */
+export async function deleteWebhooks(arenaId, id = null) {
+  if (!dbAvailable) return;
+  try {
+    const filter = id ? 'arena_id = $1 AND webhook_id = $2' : 'arena_id = $1';
+    const params = id ? [arenaId, id] : [arenaId];
+    await write(`DELETE FROM webhook_dead_letters WHERE ${filter}`, params);
+    await write(`DELETE FROM webhooks WHERE ${filter.replace('webhook_id', 'id')}`, params);
+  } catch (err) {
+    console.error('[DB] deleteWebhooks error:', err.message);
+  }
+}
+
+export async function loadDeadLetters(arenaId) {
+  if (!dbAvailable) return [];
+  try {
+    const result = await pool.query(
+      `SELECT delivery FROM webhook_dead_letters WHERE arena_id = $1 ORDER BY failed_at ASC`,
+      [arenaId]
+    );
+    return result.rows.map(r => r.delivery);
+  } catch (err) {
+    console.error('[DB] loadDeadLetters error:', err.message);
+    return [];
+  }
+}
+
+export async function saveDeadLetter(arenaId, delivery) {
+  if (!dbAvailable) return;
+  try {
+    await write(
+      `INSERT INTO webhook_dead_letters (id, arena_id, webhook_id, delivery) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (id) DO UPDATE SET delivery = $4, failed_at = NOW()`,
+      [delivery.id, arenaId, delivery.webhookId, JSON.stringify(delivery)]
+    );
+  } catch (err) {
+    console.error('[DB] saveDeadLetter error:', err.message);
+  }
+}
+
+export async function deleteDeadLetter(id) {
+  if (!dbAvailable) return;
+  try {
+    await write('DELETE FROM webhook_dead_letters WHERE id = $1', [id]);
+  } catch (err) {
+    console.error('[DB] deleteDeadLetter error:', err.message);
+  }
+}
+
 export async function closeDB() {
   if (pool) {
     await pool.end();
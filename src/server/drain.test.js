@@ -0,0 +1,114 @@
+/**
+ * Unit tests for draining before a restart: no new games, sessions resume once
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ArenaInstance } from './ArenaInstance.js';
+import { GameRoom } from './GameRoom.js';
+import { mountGameRoutes } from './routes/gameRoutes.js';
+import * as gameService from './services/gameService.js';
+
+const arenas = [];
+after(() => arenas.forEach(arena => arena.dispose()));
+
+function createArena() {
+  const arena = new ArenaInstance(`drain-${arenas.length}`, { name: 'Drain Test' });
+  arenas.push(arena);
+  return arena;
+}
+
+// A GameRoom outside a Colyseus server: no patch loop or auto-dispose timer
+function createRoom(arena) {
+  const room = new GameRoom();
+  room.setPatchRate(null);
+  room.autoDispose = false;
+  room.arena = arena;
+  arena.gameRoom = room;
+  return room;
+}
+
+function join(room, sessionId, options) {
+  const messages = [];
+  const client = { sessionId, send: (type, data) => messages.push({ type, data }), enqueueRaw() {}, leave() {} };
+  room.clients.push(client);
+  room.onJoin(client, options);
+  const message = (type) => messages.findLast(m => m.type === type)?.data;
+  return { client, message };
+}
+
+async function postGameStart(arena, body) {
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+  router.use((req, res, next) => {
+    req.arena = arena;
+    next();
+  });
+  mountGameRoutes(router, { gameService });
+  app.use('/api', router);
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/game/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('no new games start once a restart is scheduled', async () => {
+  const arena = createArena();
+  const before = await postGameStart(arena, { type: 'reach' });
+  assert.notEqual(before.status, 503);
+
+  arena.beginDrain(Date.now() + 60_000);
+  assert.deepEqual(gameService.doStartGame(arena, 'reach', {}), {
+    success: false, status: 503, error: 'Server is restarting — no new games until it is back',
+  });
+  const during = await postGameStart(arena, { type: 'reach' });
+  assert.equal(during.status, 503);
+  assert.match(during.body.error, /restarting/);
+});
+
+test('a parked session resumes its name, userId and position exactly once', () => {
+  const arena = createArena();
+  const room = createRoom(arena);
+  const ann = join(room, 'session-1', { name: 'Ann' });
+  arena.worldState.players.get('session-1').position = [7, 3, -5];
+
+  // Clients in the room and clients joining during the drain both get a token
+  arena.beginDrain(Date.now() + 60_000);
+  const { resumeToken } = ann.message('server_restarting');
+  assert.ok(resumeToken);
+  const late = join(room, 'session-2', { name: 'Bob' });
+  assert.ok(late.message('server_restarting').resumeToken);
+  assert.equal(room.parkSessions(), 2);
+
+  // The restarted server gets the parked sessions with the saved arena
+  const restarted = createArena();
+  restarted.restore(arena.serialize());
+  const freshRoom = createRoom(restarted);
+
+  const back = join(freshRoom, 'session-9', { resumeToken });
+  assert.equal(back.message('init').resumed, true);
+  const player = restarted.worldState.players.get('session-9');
+  assert.equal(player.name, 'Ann');
+  assert.equal(player.userId, 'session-1');
+  assert.deepEqual(player.position, [7, 3, -5]);
+
+  const again = join(freshRoom, 'session-10', { resumeToken });
+  assert.equal(again.message('init').resumed, false);
+  const stranger = restarted.worldState.players.get('session-10');
+  assert.notEqual(stranger.name, 'Ann');
+  assert.equal(stranger.userId, 'session-10');
+});
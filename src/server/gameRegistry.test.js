@@ -0,0 +1,92 @@
+/**
+ * Unit tests for game type registration and plugin loading
+ *
+ * Run: npm run test:server
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { MiniGame, GAME_TYPES, registerGameType, loadGamePlugins, getLoadedPlugins, createGameSync } from './games/index.js';
+import { TIME_LIMIT_RANGES } from './MiniGame.js';
+import { VALID_GAME_TYPES } from '../shared/constants.js';
+import { getTemplateGameType } from './constants.js';
+import { mountGameRoutes } from './routes/gameRoutes.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+class Stub extends MiniGame {}
+
+async function getGameTypes() {
+  const app = express();
+  const router = express.Router();
+  mountGameRoutes(router, {});
+  app.use('/api', router);
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/game/types`);
+    return await res.json();
+  } finally {
+    server.close();
+  }
+}
+
+test('a registered type shows up everywhere game types are listed', async () => {
+  registerGameType({
+    key: 'stub_tag',
+    meta: { name: 'Stub Tag', description: 'Registered by a test', minPlayers: 2 },
+    class: Stub,
+    timeRange: [50000, 70000],
+    templates: { stub_tag_arena: { entities: [] } },
+  });
+
+  assert.equal(GAME_TYPES.stub_tag.name, 'Stub Tag');
+  assert.equal(GAME_TYPES.stub_tag.defaultTimeLimit, 50000);
+  assert.ok(VALID_GAME_TYPES.includes('stub_tag'));
+  assert.deepEqual(TIME_LIMIT_RANGES.stub_tag, [50000, 70000]);
+  assert.equal(getTemplateGameType('stub_tag_arena'), 'stub_tag');
+  assert.ok(createGameSync('stub_tag', null, () => {}) instanceof Stub);
+
+  const { gameTypes } = await getGameTypes();
+  assert.equal(gameTypes.stub_tag.name, 'Stub Tag');
+  assert.ok(gameTypes.reach, 'built-ins are still listed');
+});
+
+test('invalid registrations are refused', () => {
+  assert.throws(() => registerGameType({ key: 'Bad Key', meta: {}, class: Stub }), /Invalid game type key/);
+  assert.throws(() => registerGameType({ key: 'reach', meta: {}, class: Stub }), /already registered/);
+  assert.throws(() => registerGameType({ key: 'not_a_game', meta: {}, class: class {} }), /must extend MiniGame/);
+  assert.throws(() => registerGameType({ key: 'no_meta', class: Stub }), /meta is required/);
+  assert.throws(() => registerGameType({ key: 'bad_range', meta: {}, class: Stub, timeRange: [9, 1] }), /timeRange/);
+  assert.ok(!VALID_GAME_TYPES.includes('no_meta'));
+});
+
+test('loadGamePlugins registers good plugins and skips broken ones', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'game-plugins-'));
+  tempDirs.push(dir);
+  await writeFile(path.join(dir, 'a-throws.mjs'), `throw new Error('boom');\n`);
+  await writeFile(path.join(dir, 'b-invalid.mjs'), `export default { key: 'Nope!', meta: {} };\n`);
+  await writeFile(path.join(dir, 'c-good.mjs'), `export default ({ MiniGame }) => ({
+  key: 'plugin_stub',
+  meta: { name: 'Plugin Stub' },
+  class: class PluginStub extends MiniGame {},
+});\n`);
+  await writeFile(path.join(dir, 'notes.txt'), 'not a plugin');
+
+  const registered = await loadGamePlugins(dir);
+
+  assert.deepEqual(registered, ['plugin_stub']);
+  assert.deepEqual(getLoadedPlugins().filter(p => p.key === 'plugin_stub'), [{ key: 'plugin_stub', file: 'c-good.mjs' }]);
+  assert.ok(VALID_GAME_TYPES.includes('plugin_stub'));
+  assert.equal((await getGameTypes()).plugins.some(p => p.key === 'plugin_stub'), true);
+});
+
+test('a missing plugin directory loads nothing', async () => {
+  assert.deepEqual(await loadGamePlugins(path.join(os.tmpdir(), 'no-such-plugin-dir')), []);
+});
@@ -3,6 +3,7 @@
  *
  * Collect the most items before time runs out.
  * Agent spawns collectibles, players race to gather them.
+ * Team mode: every pickup goes into the team's pool; biggest pool wins.
  */
 
 import { MiniGame } from '../MiniGame.js';
@@ -12,6 +13,8 @@ function randomInRange(min, max) {
 }
 
 export class CollectGame extends MiniGame {
+  static TRICK_ACTIONS = ['scatter', 'spawn_bonus', 'spawn_decoys', 'announce_remaining'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'collect' });
 
@@ -145,15 +148,22 @@ export class CollectGame extends MiniGame {
     this.addScore(playerId, 1);
 
     // Announce score milestone
-    const score = this.scores.get(playerId) || 0;
+    const team = this.getTeam(playerId);
+    const score = team ? team.score : this.scores.get(playerId) || 0;
     if (score % 2 === 0) {
-      const player = this.worldState.players.get(playerId);
-      this.announce(`${player?.name || 'Player'}: ${score} items!`, 'player');
+      const label = team ? `${team.name} team` : this.worldState.players.get(playerId)?.name || 'Player';
+      this.announce(`${label}: ${score} items!`, 'player');
     }
 
     // Check if all collected
     if (this.collectibleIds.length === 0) {
-      this.end('win', this.getHighestScorer());
+      if (this.isTeamMode) {
+        const teamId = this._leadingTeamId();
+        if (teamId) this.endTeam(teamId);
+        else this.end('draw');
+      } else {
+        this.end('win', this.getHighestScorer());
+      }
     }
   }
 
@@ -178,8 +188,8 @@ export class CollectGame extends MiniGame {
   }
 
   end(result, winnerId = null) {
-    // If timeout, find highest scorer
-    if (result === 'timeout') {
+    // If timeout, find highest scorer (team mode: base class picks the biggest pool)
+    if (result === 'timeout' && !this.isTeamMode) {
       winnerId = this.getHighestScorer();
       if (winnerId) {
         result = 'win';
@@ -6,11 +6,14 @@
  * Sub-timer (10-16s) — when it expires, cursed player is eliminated.
  * Multi-round: after elimination, curse resets to random survivor.
  * Last player standing wins.
+ * Team mode: the curse only passes to opponents; last team standing wins.
  */
 
 import { MiniGame } from '../MiniGame.js';
 
 export class HotPotato extends MiniGame {
+  static TRICK_ACTIONS = ['shrink_arena', 'speed_curse'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'hot_potato' });
     this.cursedPlayerId = null;
@@ -41,19 +44,33 @@ export class HotPotato extends MiniGame {
     return Array.from(this.players.entries()).filter(([, p]) => p.alive);
   }
 
-  _startNewRound() {
-    this.round++;
+  // True once only one player (or one team) is left standing
+  _isDecided() {
+    return this.isTeamMode ? this._aliveTeamIds().length <= 1 : this._getAlivePlayers().length <= 1;
+  }
+
+  _finish() {
+    if (this.isTeamMode) {
+      const [teamId] = this._aliveTeamIds();
+      if (teamId) this.endTeam(teamId);
+      else this.end('draw');
+      return;
+    }
     const alive = this._getAlivePlayers();
+    if (alive.length === 1) {
+      this.end('win', alive[0][0]);
+    } else {
+      this.end('draw');
+    }
+  }
 
-    if (alive.length <= 1) {
-      // Game over
-      if (alive.length === 1) {
-        this.end('win', alive[0][0]);
-      } else {
-        this.end('draw');
-      }
+  _startNewRound() {
+    this.round++;
+    if (this._isDecided()) {
+      this._finish();
       return;
     }
+    const alive = this._getAlivePlayers();
 
     // Pick random alive player as cursed
     const randomIdx = Math.floor(Math.random() * alive.length);
@@ -101,6 +118,7 @@ export class HotPotato extends MiniGame {
     if (canTransfer) {
       for (const [playerId, playerData] of this.players) {
         if (!playerData.alive || playerId === this.cursedPlayerId) continue;
+        if (this.isTeamMode && this.playerTeams.get(playerId) === this.playerTeams.get(this.cursedPlayerId)) continue;
         const player = this.worldState.players.get(playerId);
         if (!player?.position) continue;
 
@@ -137,6 +155,7 @@ export class HotPotato extends MiniGame {
 
     const oldPlayer = this.worldState.players.get(oldCursed);
     const newPlayer = this.worldState.players.get(newPlayerId);
+    if (oldCursed) this.worldState.addStat(oldCursed, 'cursePasses');
 
     this.broadcast('curse_changed', {
       cursedPlayerId: this.cursedPlayerId,
@@ -151,16 +170,13 @@ export class HotPotato extends MiniGame {
   }
 
   _scheduleNextRound() {
-    const alive = this._getAlivePlayers();
-    if (alive.length > 1) {
-      setTimeout(() => {
-        if (this.isActive) this._startNewRound();
-      }, 2000);
-    } else if (alive.length === 1) {
-      this.end('win', alive[0][0]);
-    } else {
-      this.end('draw');
+    if (this._isDecided()) {
+      this._finish();
+      return;
     }
+    setTimeout(() => {
+      if (this.isActive) this._startNewRound();
+    }, 2000);
   }
 
   _eliminateCursed() {
@@ -205,7 +221,7 @@ export class HotPotato extends MiniGame {
     this.announce(`${player?.name || 'Player'} ELIMINATED!`, 'system');
 
     // Schedule next round if game-over (<=1 alive) or the cursed player died
-    if (this._getAlivePlayers().length <= 1 || wasCursed) {
+    if (this._isDecided() || wasCursed) {
       this._scheduleNextRound();
     }
   }
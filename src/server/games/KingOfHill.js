@@ -3,6 +3,7 @@
  *
  * Control hill zones to earn points. 1 point/second while sole occupant.
  * Contested hills (2+ players) award nothing.
+ * Team mode: a hill held only by one team scores for that team.
  * Win: first to targetScore OR highest at timeout.
  */
 
@@ -18,6 +19,8 @@ const HILL_PADDING_XZ = 1;
 const HILL_PADDING_Y = 2;
 
 export class KingOfHill extends MiniGame {
+  static TRICK_ACTIONS = ['move_hill', 'add_hill', 'announce_scores'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'king' });
     this.targetScore = config.targetScore || 30;
@@ -105,17 +108,25 @@ export class KingOfHill extends MiniGame {
 
         if (dx < hx + HILL_PADDING_XZ && dy < hy + HILL_PADDING_Y && dz < hz + HILL_PADDING_XZ) {
           occupants.push(playerId);
+          this.worldState.addStat(playerId, 'kingZoneMs', delta * 1000);
         }
       }
 
-      // Sole occupant scores; contested or empty hills get colored accordingly
-      if (occupants.length === 1) {
-        const scorer = occupants[0];
-        const current = this.playerScores.get(scorer) || 0;
-        const newScore = current + delta;
-        this.playerScores.set(scorer, newScore);
-        this.scores.set(scorer, Math.floor(newScore));
-        this._setHillColor(hill, entity, HILL_COLOR_OWNED);
+      // Sole occupant (or sole team) scores; contested or empty hills get colored accordingly
+      const holders = this.isTeamMode ? new Set(occupants.map(pid => this.playerTeams.get(pid))) : new Set(occupants);
+      if (holders.size === 1) {
+        for (const scorer of occupants) {
+          const newScore = (this.playerScores.get(scorer) || 0) + delta;
+          this.playerScores.set(scorer, newScore);
+          this.scores.set(scorer, Math.floor(newScore));
+        }
+        if (this.isTeamMode) {
+          const team = this.getTeam(occupants[0]);
+          this.addTeamScore(team.id, delta);
+          this._setHillColor(hill, entity, team.color);
+        } else {
+          this._setHillColor(hill, entity, HILL_COLOR_OWNED);
+        }
       } else if (occupants.length > 1) {
         this._setHillColor(hill, entity, HILL_COLOR_CONTESTED);
       } else {
@@ -127,6 +138,10 @@ export class KingOfHill extends MiniGame {
     const now = Date.now();
     if (now - this.lastBroadcastTime >= 1000) {
       this.lastBroadcastTime = now;
+      if (this.isTeamMode) {
+        this.broadcastTeamScores();
+        return;
+      }
       const scoreData = {};
       for (const [pid, score] of this.playerScores) {
         const player = this.worldState.players.get(pid);
@@ -137,6 +152,12 @@ export class KingOfHill extends MiniGame {
   }
 
   checkWinCondition() {
+    if (this.isTeamMode) {
+      for (const team of this.teams.values()) {
+        if (Math.floor(team.score) >= this.targetScore) return { type: 'win', teamId: team.id };
+      }
+      return null;
+    }
     for (const [playerId, score] of this.playerScores) {
       if (Math.floor(score) >= this.targetScore) {
         return { type: 'win', winnerId: playerId };
@@ -146,8 +167,8 @@ export class KingOfHill extends MiniGame {
   }
 
   end(result, winnerId = null) {
-    // On timeout, highest scorer wins
-    if (result === 'timeout') {
+    // On timeout, highest scorer wins (team mode: base class picks the top team)
+    if (result === 'timeout' && !this.isTeamMode) {
       let bestScore = 0;
       let bestPlayer = null;
       for (const [pid, score] of this.playerScores) {
@@ -195,6 +216,11 @@ export class KingOfHill extends MiniGame {
         break;
       }
       case 'announce_scores': {
+        if (this.isTeamMode) {
+          const lines = [...this.teams.values()].map(t => `${t.name}: ${Math.floor(t.score)}`);
+          this.announce(`Scores: ${lines.join(' | ')}`, 'system');
+          break;
+        }
         const sorted = [...this.playerScores.entries()]
           .sort((a, b) => b[1] - a[1])
           .slice(0, 3);
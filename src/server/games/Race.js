@@ -3,16 +3,23 @@
  *
  * Hit all checkpoints in order. First to complete all wins.
  * On timeout: most checkpoints reached wins.
+ *
+ * Team mode is a relay: the course is split into one leg per team member
+ * (capped at the checkpoint count) and only the member running the current
+ * leg can advance the team's shared progress.
  */
 
 import { MiniGame } from '../MiniGame.js';
 
 export class Race extends MiniGame {
+  static TRICK_ACTIONS = ['move_checkpoint', 'spawn_obstacles_near_leader'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'race' });
     this.checkpoints = [];           // sorted { entityId, index }
     this.playerProgress = new Map(); // playerId -> number of checkpoints completed
     this.totalCheckpoints = 0;
+    this.teamProgress = new Map();   // teamId -> checkpoints completed (team mode)
   }
 
   _setEntityColor(entityId, color) {
@@ -64,10 +71,36 @@ export class Race extends MiniGame {
     }
 
     this._spawnRandomObstacles(2);
-    this.announce(`RACE! Hit ${this.totalCheckpoints} checkpoints in order!`, 'challenge');
+    if (this.isTeamMode) {
+      this.announce(`RELAY RACE! ${this.totalCheckpoints} checkpoints, one leg per teammate!`, 'challenge');
+      for (const team of this.teams.values()) {
+        this.teamProgress.set(team.id, 0);
+        this._announceRunner(team, 0);
+      }
+    } else {
+      this.announce(`RACE! Hit ${this.totalCheckpoints} checkpoints in order!`, 'challenge');
+    }
     return this;
   }
 
+  // Member running the leg that contains checkpoint `progress`; skips disconnected members
+  _relayRunner(team, progress) {
+    const legs = Math.max(1, Math.min(team.members.length, this.totalCheckpoints));
+    const leg = Math.min(legs - 1, Math.floor(progress * legs / this.totalCheckpoints));
+    for (let i = 0; i < team.members.length; i++) {
+      const candidate = team.members[(leg + i) % team.members.length];
+      if (this.worldState.players.has(candidate)) return candidate;
+    }
+    return team.members[leg];
+  }
+
+  _announceRunner(team, progress) {
+    const runnerId = this._relayRunner(team, progress);
+    const name = this.worldState.players.get(runnerId)?.name || 'Player';
+    this.broadcast('relay_handoff', { teamId: team.id, runnerId, runnerName: name, checkpoint: progress });
+    this.announce(`${team.name} team: ${name} runs the next leg!`, 'system');
+  }
+
   setupDefaultTricks() {
     this.addTrick({ type: 'time', at: 20000 }, 'move_checkpoint');
     this.addTrick({ type: 'time', at: 45000 }, 'spawn_obstacles_near_leader');
@@ -83,15 +116,24 @@ export class Race extends MiniGame {
     const cpIndex = this.checkpoints.findIndex(cp => cp.entityId === entityId);
     if (cpIndex === -1) return; // not one of our checkpoints
 
-    const progress = this.playerProgress.get(playerId) || 0;
+    const team = this.getTeam(playerId);
+    const progress = team ? this.teamProgress.get(team.id) || 0 : this.playerProgress.get(playerId) || 0;
     const checkpoint = this.checkpoints[cpIndex];
 
     // Must hit checkpoints in order
     if (checkpoint.index !== progress) return;
 
+    // Relay: only the current leg's runner counts
+    if (team && this._relayRunner(team, progress) !== playerId) return;
+
     // Valid checkpoint hit
     const newProgress = progress + 1;
-    this.playerProgress.set(playerId, newProgress);
+    if (team) {
+      this.teamProgress.set(team.id, newProgress);
+      for (const memberId of team.members) this.playerProgress.set(memberId, newProgress);
+    } else {
+      this.playerProgress.set(playerId, newProgress);
+    }
     this.addScore(playerId, 1);
 
     const player = this.worldState.players.get(playerId);
@@ -106,10 +148,11 @@ export class Race extends MiniGame {
       playerName: name,
       checkpoint: newProgress,
       total: this.totalCheckpoints,
-      entityId
+      entityId,
+      ...(team && { teamId: team.id })
     });
 
-    this.announce(`${name}: Checkpoint ${newProgress}/${this.totalCheckpoints}!`, 'system');
+    this.announce(`${team ? `${team.name} team` : name}: Checkpoint ${newProgress}/${this.totalCheckpoints}!`, 'system');
 
     // Highlight next checkpoint green (only if still default gray)
     if (newProgress < this.totalCheckpoints) {
@@ -121,7 +164,14 @@ export class Race extends MiniGame {
 
     // Check if all checkpoints done
     if (newProgress >= this.totalCheckpoints) {
-      this.end('win', playerId);
+      if (team) {
+        this.endTeam(team.id);
+      } else {
+        this.worldState.recordBest(playerId, 'bestRaceTimeMs', Date.now() - this.startTime);
+        this.end('win', playerId);
+      }
+    } else if (team && this._relayRunner(team, newProgress) !== playerId) {
+      this._announceRunner(team, newProgress);
     }
   }
 
@@ -131,8 +181,8 @@ export class Race extends MiniGame {
   }
 
   end(result, winnerId = null) {
-    // On timeout, player with most checkpoints wins
-    if (result === 'timeout') {
+    // On timeout, player with most checkpoints wins (team mode: base class picks the top team)
+    if (result === 'timeout' && !this.isTeamMode) {
       let bestProgress = 0;
       let bestPlayer = null;
       for (const [pid, progress] of this.playerProgress) {
@@ -3,6 +3,7 @@
  *
  * First player to touch the target entity wins.
  * Agent spawns a goal, players race to reach it.
+ * Team mode: the first player to reach it wins for their whole team.
  */
 
 import { MiniGame } from '../MiniGame.js';
@@ -12,6 +13,8 @@ const PLAYER_HALF_WIDTH = 1;
 const PLAYER_HALF_HEIGHT = 2;
 
 export class ReachGoal extends MiniGame {
+  static TRICK_ACTIONS = ['move_goal', 'spawn_obstacles', 'spawn_shortcut'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'reach' });
 
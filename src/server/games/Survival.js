@@ -1,13 +1,15 @@
 /**
  * Survival Mini-Game
  *
- * Last player standing wins.
+ * Last player standing wins (team mode: last team with anyone standing).
  * Agent creates hazards, players must avoid them.
  */
 
 import { MiniGame } from '../MiniGame.js';
 
 export class Survival extends MiniGame {
+  static TRICK_ACTIONS = ['shrink_platform', 'hazard_wave', 'safe_zone'];
+
   constructor(worldState, broadcastFn, config = {}) {
     super(worldState, broadcastFn, { ...config, type: 'survival' });
 
@@ -167,6 +169,12 @@ export class Survival extends MiniGame {
   }
 
   checkWinCondition() {
+    if (this.isTeamMode) {
+      const aliveTeams = this._aliveTeamIds();
+      if (aliveTeams.length === 1) return { type: 'win', teamId: aliveTeams[0] };
+      return aliveTeams.length === 0 ? { type: 'draw', winnerId: null } : null;
+    }
+
     // Check if only one player alive
     const alivePlayers = Array.from(this.players.entries())
       .filter(([id, p]) => p.alive);
@@ -182,6 +190,17 @@ export class Survival extends MiniGame {
     return null;
   }
 
+  end(result, winnerId = null) {
+    // Survival time: until elimination, or the whole game for whoever's still standing
+    if (this.isActive) {
+      const now = Date.now();
+      for (const [playerId, data] of this.players) {
+        this.worldState.recordBest(playerId, 'longestSurvivalMs', (data.eliminatedAt || now) - this.startTime);
+      }
+    }
+    return super.end(result, winnerId);
+  }
+
   getResultMessage(result, winnerId) {
     if (result === 'win') {
       const winner = this.worldState.players.get(winnerId);
@@ -1,7 +1,8 @@
 /**
  * Mini-Games Index
  *
- * Export all mini-game classes for easy importing.
+ * Export all mini-game classes for easy importing, and register the
+ * built-in types with the game type registry.
  */
 
 import { MiniGame, GAME_TYPES } from '../MiniGame.js';
@@ -11,25 +12,24 @@ import { Survival } from './Survival.js';
 import { KingOfHill } from './KingOfHill.js';
 import { HotPotato } from './HotPotato.js';
 import { Race } from './Race.js';
+import { registerGameType, getGameClass } from './registry.js';
 
 export { MiniGame, GAME_TYPES, ReachGoal, CollectGame, Survival, KingOfHill, HotPotato, Race };
+export { registerGameType, loadGamePlugins, getLoadedPlugins } from './registry.js';
+
+// Built-in types (metadata and time ranges already live in MiniGame.js)
+registerGameType({ key: 'reach', class: ReachGoal });
+registerGameType({ key: 'collect', class: CollectGame });
+registerGameType({ key: 'survival', class: Survival });
+registerGameType({ key: 'king', class: KingOfHill });
+registerGameType({ key: 'hot_potato', class: HotPotato });
+registerGameType({ key: 'race', class: Race });
 
 // Factory function to create games by type (sync)
 export function createGameSync(type, worldState, broadcastFn, config = {}) {
-  switch (type) {
-    case 'reach':
-      return new ReachGoal(worldState, broadcastFn, config);
-    case 'collect':
-      return new CollectGame(worldState, broadcastFn, config);
-    case 'survival':
-      return new Survival(worldState, broadcastFn, config);
-    case 'king':
-      return new KingOfHill(worldState, broadcastFn, config);
-    case 'hot_potato':
-      return new HotPotato(worldState, broadcastFn, config);
-    case 'race':
-      return new Race(worldState, broadcastFn, config);
-    default:
-      throw new Error(`Unknown game type: ${type}`);
+  const GameClass = getGameClass(type);
+  if (!GameClass) {
+    throw new Error(`Unknown game type: ${type}`);
   }
+  return new GameClass(worldState, broadcastFn, { ...config, type });
 }
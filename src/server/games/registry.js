@@ -0,0 +1,136 @@
+/**
+ * Game Type Registry
+ *
+ * Single registration point for mini-game types. Registering a type feeds
+ * GAME_TYPES metadata, VALID_GAME_TYPES, the game factory, time-limit ranges,
+ * and template → game type rules. Built-ins register in games/index.js;
+ * plugin modules are auto-discovered from GAME_PLUGINS_DIR at startup.
+ *
+ * A plugin module default-exports a definition, an array of definitions, or a
+ * function receiving { MiniGame, GAME_TYPES } and returning either:
+ *
+ *   export default ({ MiniGame }) => ({
+ *     key: 'tag',
+ *     meta: { name: 'Tag', description: 'Tag others before time runs out', minPlayers: 2 },
+ *     class: class Tag extends MiniGame { ... },
+ *     timeRange: [60000, 90000],
+ *     templates: { tag_arena: { name: 'Tag Arena', entities: [...], respawnPoint: [0, 2, 0] } },
+ *   });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { MiniGame, GAME_TYPES, TIME_LIMIT_RANGES } from '../MiniGame.js';
+import { VALID_GAME_TYPES } from '../../shared/constants.js';
+import { ALL_TEMPLATES, addTemplateTypeRule } from '../constants.js';
+import { TEMPLATES } from '../ArenaTemplates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const GAME_PLUGINS_DIR = process.env.GAME_PLUGINS_DIR
+  ? path.resolve(process.env.GAME_PLUGINS_DIR)
+  : path.join(__dirname, 'plugins');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+const gameClasses = new Map(); // key -> MiniGame subclass
+const loadedPlugins = [];      // { key, file }
+
+/**
+ * Register a game type.
+ * @param {object} def
+ * @param {string} def.key - game type id used by /api/game/start
+ * @param {object} [def.meta] - GAME_TYPES entry (required unless the key already has one)
+ * @param {Function} def.class - MiniGame subclass
+ * @param {number[]} [def.timeRange] - [minMs, maxMs] for randomized time limits
+ * @param {object} [def.templates] - template name -> arena template definition
+ */
+export function registerGameType(def) {
+  const { key, meta, class: GameClass, timeRange, templates } = def || {};
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid game type key: ${key} (lowercase letters, digits, underscores)`);
+  }
+  if (gameClasses.has(key)) {
+    throw new Error(`Game type already registered: ${key}`);
+  }
+  if (typeof GameClass !== 'function' || !(GameClass.prototype instanceof MiniGame)) {
+    throw new Error(`Game type ${key}: class must extend MiniGame`);
+  }
+  if (!meta && !GAME_TYPES[key]) {
+    throw new Error(`Game type ${key}: meta is required`);
+  }
+  if (timeRange !== undefined) {
+    const valid = Array.isArray(timeRange) && timeRange.length === 2 &&
+      timeRange.every(n => Number.isFinite(n) && n > 0) && timeRange[0] <= timeRange[1];
+    if (!valid) throw new Error(`Game type ${key}: timeRange must be [minMs, maxMs]`);
+  }
+  for (const [name, tmpl] of Object.entries(templates || {})) {
+    if (TEMPLATES[name]) throw new Error(`Game type ${key}: template already exists: ${name}`);
+    if (!Array.isArray(tmpl?.entities)) throw new Error(`Game type ${key}: template ${name} needs an entities array`);
+  }
+
+  if (meta) {
+    GAME_TYPES[key] = {
+      ...meta,
+      name: meta.name || key,
+      description: meta.description || '',
+      minPlayers: meta.minPlayers || 1,
+      hasTimer: meta.hasTimer ?? true,
+      defaultTimeLimit: meta.defaultTimeLimit || timeRange?.[0] || 60000,
+    };
+  }
+  if (!VALID_GAME_TYPES.includes(key)) VALID_GAME_TYPES.push(key);
+  if (timeRange) TIME_LIMIT_RANGES[key] = [...timeRange];
+  gameClasses.set(key, GameClass);
+
+  for (const [name, tmpl] of Object.entries(templates || {})) {
+    TEMPLATES[name] = { ...tmpl, name: tmpl.name || name, gameType: tmpl.gameType || key };
+    ALL_TEMPLATES.push(name);
+    addTemplateTypeRule(name, tmpl.gameType || key);
+  }
+}
+
+export function getGameClass(type) {
+  return gameClasses.get(type) || null;
+}
+
+export function getLoadedPlugins() {
+  return [...loadedPlugins];
+}
+
+/**
+ * Import every .js/.mjs module in the plugin directory and register its game types.
+ * A broken plugin is logged and skipped so it can't take the server down.
+ */
+export async function loadGamePlugins(dir = GAME_PLUGINS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs.readdirSync(dir)
+    .filter(f => /\.m?js$/.test(f))
+    .sort();
+
+  const registered = [];
+  for (const file of files) {
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, file)).href);
+      let defs = mod.default;
+      if (typeof defs === 'function' && !(defs.prototype instanceof MiniGame)) {
+        defs = await defs({ MiniGame, GAME_TYPES });
+      }
+      for (const def of [defs].flat()) {
+        registerGameType(def);
+        loadedPlugins.push({ key: def.key, file });
+        registered.push(def.key);
+      }
+    } catch (err) {
+      console.error(`[GamePlugins] Failed to load ${file}:`, err.message);
+    }
+  }
+
+  if (registered.length) {
+    console.log(`[GamePlugins] Registered ${registered.length} game type(s) from ${dir}: ${registered.join(', ')}`);
+  }
+  return registered;
+}
@@ -8,22 +8,29 @@ const { Server } = Colyseus;
 const { WebSocketTransport } = WSTransport;
 import { createServer } from 'http';
 import { GameRoom } from './GameRoom.js';
-import { initDB, loadVerifiedTxHashes, loadArenas, deleteArenaFromDB } from './db.js';
+import { AgentPlayerRoom } from './AgentPlayerRoom.js';
+import { initDB, loadVerifiedTxHashes, loadArenas, loadPendingBribes, flushWrites, deleteArenaFromDB } from './db.js';
 import { initAuth } from './auth.js';
 import { AgentLoop } from './AgentLoop.js';
 import { MockChainInterface } from './blockchain/ChainInterface.js';
 import { MonadChainInterface } from './blockchain/MonadChainInterface.js';
 import { loadCacheFromDisk } from './Composer.js';
 import { ArenaManager } from './ArenaManager.js';
+import { loadGamePlugins } from './games/index.js';
 import { createArenaMiddleware, requireArenaKey } from './arenaMiddleware.js';
-import { PORT, AFK_IDLE_MS, AFK_KICK_MS, AFK_CHECK_INTERVAL } from './constants.js';
+import {
+  PORT, AFK_IDLE_MS, AFK_KICK_MS, AFK_CHECK_INTERVAL, MOTION_SYNC_INTERVAL,
+  SHARD_WORKER_ID, HOSTS_DEFAULT_ARENA, HIBERNATE_CHECK_INTERVAL, ARENA_EXPIRE_CHECK_INTERVAL,
+} from './constants.js';
 
 import * as gameService from './services/gameService.js';
 import * as arenaService from './services/arenaService.js';
+import { leaveAgentPlayer } from './services/agentPlayerService.js';
 import {
   mountAuthRoutes, mountArenaRoutes,
   mountWorldRoutes, mountGameRoutes, mountBribeRoutes,
-  mountAgentRoutes, mountPublicRoutes,
+  mountAgentRoutes, mountPublicRoutes, mountTournamentRoutes,
+  mountReplayRoutes, mountPlayerRoutes,
 } from './routes/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -48,14 +55,24 @@ const chain = isRealChain
     })
   : new MockChainInterface();
 
+// Register plugin game types before arenas are created so they see the full type list
+await loadGamePlugins();
+
 const arenaManager = new ArenaManager();
 const defaultArena = arenaManager.createDefaultArena();
 arenaService.setupArenaCallbacks(defaultArena, gameService);
+arenaManager.onArenaWake = (arena) => arenaService.setupArenaCallbacks(arena, gameService);
+
+// Sharded (cluster.js): saved arenas to load are the ones the gateway placed here
+const shardArenas = SHARD_WORKER_ID ? new Set((process.env.SHARD_ARENAS || '').split(',').filter(Boolean)) : null;
+const ownsArena = (id) => !shardArenas || shardArenas.has(id);
 
 const ctx = { arenaManager, chain, isRealChain, gameService, arenaService };
 
 mountAuthRoutes(app);
 mountArenaRoutes(app, ctx);
+mountReplayRoutes(app);
+mountPlayerRoutes(app);
 
 const gameRouter = express.Router({ mergeParams: true });
 
@@ -72,6 +89,7 @@ mountAgentRoutes(gameRouter, ctx);
 mountWorldRoutes(gameRouter, ctx);
 mountGameRoutes(gameRouter, ctx);
 mountBribeRoutes(gameRouter, ctx);
+mountTournamentRoutes(gameRouter, ctx);
 mountPublicRoutes(gameRouter);
 
 const arenaMiddleware = createArenaMiddleware(arenaManager);
@@ -85,6 +103,8 @@ const gameServer = new Server({
 
 GameRoom.arenaManager = arenaManager;
 gameServer.define('game', GameRoom).filterBy(['arenaId']);
+AgentPlayerRoom.arenaManager = arenaManager;
+gameServer.define('agent_player', AgentPlayerRoom).filterBy(['arenaId']);
 
 if (process.env.NODE_ENV === 'production') {
   app.get('*', (req, res) => {
@@ -97,15 +117,21 @@ if (process.env.NODE_ENV === 'production') {
 initAuth();
 
 initDB().then(async (connected) => {
+  // Saved worlds: the default arena is restored now, the rest wake on first access
+  await arenaManager.loadHibernated(ownsArena);
+
   if (connected) {
     await defaultArena.worldState.loadLeaderboardFromDB();
 
+    // Arenas without a saved world (never hibernated) load empty, as before
     const arenaRows = await loadArenas();
-    arenaManager.loadFromDB(arenaRows);
+    arenaManager.loadFromDB(arenaRows.filter(row => ownsArena(row.id) && !arenaManager.isHibernating(row.id)));
     for (const arena of arenaManager.getAllArenas()) {
       if (arena.id !== 'chaos') {
         arenaService.setupArenaCallbacks(arena, gameService);
+        await arena.worldState.loadRatingsFromDB();
       }
+      await arena.webhooks.load();
     }
 
     if (isRealChain) {
@@ -113,20 +139,34 @@ initDB().then(async (connected) => {
       for (const h of hashes) chain._verifiedTxHashes.add(h);
       if (hashes.length) console.log(`[Chain] Loaded ${hashes.length} verified tx hashes from DB`);
     }
+
+    // Bribes the agent hadn't answered before the last restart (it runs beside the default arena)
+    if (HOSTS_DEFAULT_ARENA) {
+      const { bribes, lastId } = await loadPendingBribes();
+      chain.restoreBribes(bribes, lastId);
+      if (bribes.length) console.log(`[Chain] Restored ${bribes.length} pending bribes from DB`);
+    }
   }
 });
 
 loadCacheFromDisk();
 
-defaultArena.agentLoop = new AgentLoop(
-  defaultArena.worldState, defaultArena.broadcastToRoom.bind(defaultArena), { chain }
-);
-defaultArena.agentLoop.start();
+// Every worker keeps a default arena object, but only one is routed to
+if (HOSTS_DEFAULT_ARENA) {
+  defaultArena.agentLoop = new AgentLoop(
+    defaultArena.worldState, defaultArena.broadcastToRoom.bind(defaultArena), { chain }
+  );
+  defaultArena.agentLoop.start();
 
-defaultArena.aiPlayersEnabled = process.env.AI_PLAYERS === 'true';
-if (defaultArena.aiPlayersEnabled) arenaService.spawnAIPlayers(defaultArena);
+  defaultArena.aiPlayersEnabled = process.env.AI_PLAYERS === 'true';
+  if (defaultArena.aiPlayersEnabled) arenaService.spawnAIPlayers(defaultArena);
+}
 
 httpServer.listen(PORT, () => {
+  if (SHARD_WORKER_ID) {
+    console.log(`[Shard] Worker ${SHARD_WORKER_ID} listening on port ${PORT}`);
+    return;
+  }
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║           SELF-BUILDING GAME SERVER (Multi-Arena)         ║
@@ -141,8 +181,17 @@ httpServer.listen(PORT, () => {
   `);
 });
 
-gameServer.onShutdown(() => {
+// SIGTERM/SIGINT (deploys): let running games finish and park players before rooms close
+gameServer.onBeforeShutdown(async () => {
+  console.log('Game server draining for shutdown');
+  await arenaManager.drain();
+});
+
+gameServer.onShutdown(async () => {
   console.log('Game server shutting down');
+  await arenaManager.checkpointAll({ includeDefault: HOSTS_DEFAULT_ARENA });
+  await Promise.all(arenaManager.getAllArenas().map(a => a.worldState.flushStats()));
+  await flushWrites();
 });
 
 // Game tick loop
@@ -156,17 +205,16 @@ setInterval(() => {
     const ws = arena.worldState;
     const broadcast = arena.broadcastToRoom.bind(arena);
 
-    // 1. Kinematic entities (patrol, rotate, pendulum, crush)
-    const movedEntities = ws.updateKinematicEntities(delta);
-    for (const entity of movedEntities) {
-      broadcast('entity_modified', entity);
+    // 1. Kinematic entities (patrol, pendulum, crush) follow the shared clock;
+    //    clients evaluate the same paths and only need periodic clock corrections
+    ws.updateKinematicEntities(now);
+    if (now - arena.lastMotionSync >= MOTION_SYNC_INTERVAL) {
+      arena.lastMotionSync = now;
+      broadcast('motion_sync', { serverTime: now });
     }
 
-    // 2. Chasing entities (spiders, ghosts, etc.)
-    const chasedEntities = ws.updateChasingEntities(delta);
-    for (const entity of chasedEntities) {
-      broadcast('entity_modified', entity);
-    }
+    // 2. Chasing entities (spiders, ghosts, etc.), batched as one delta per tick
+    arena.broadcastEntityDeltas(ws.updateChasingEntities(delta));
 
     // 3. Breaking platforms
     ws.processBreakingPlatforms(broadcast);
@@ -183,6 +231,7 @@ setInterval(() => {
       for (const player of ws.players.values()) {
         if (player.state === 'alive' && player.position[1] < hazardUpdate.height) {
           player.state = 'dead';
+          ws.recordDeath(player.id, 'hazard_plane');
           broadcast('player_died', { id: player.id, cause: 'hazard_plane' });
         }
       }
@@ -197,12 +246,28 @@ setInterval(() => {
       }
     }
 
-    // 6. AI players
+    // 6. Replay sampling and interest-managed movement (both flush throttled movement samples)
+    arena.replay?.sample(now);
+    arena.gameRoom?.flushMovement(now);
+
+    // 7. AI players
     for (const ai of arena.aiPlayers) {
-      ai.update(delta);
+      ai.update(delta, arena.currentMiniGame);
+    }
+
+    // 8. Agent players follow their latest movement intent. Their bodies move every tick,
+    //    so the AFK check never sees them idle; a session with no intent or chat for
+    //    agentIdleTimeoutMs is ended instead, freeing the slot a crashed agent would hold.
+    for (const agent of arena.agentPlayers.values()) {
+      if (now - agent.lastAction >= arena.config.agentIdleTimeoutMs) {
+        console.log(`[AgentPlayer] Session of ${agent.name} in arena ${arena.id} expired after inactivity`);
+        leaveAgentPlayer(arena, agent.token);
+        continue;
+      }
+      agent.update(delta, arena.currentMiniGame);
     }
 
-    // 7. AFK detection (throttled)
+    // 9. AFK detection (throttled)
     if (now - arena._lastAfkCheck >= AFK_CHECK_INTERVAL) {
       arena._lastAfkCheck = now;
       const room = arena.gameRoom;
@@ -241,16 +306,29 @@ setInterval(() => {
   }
 }, 100);
 
-// Stale arena cleanup — every hour, delete arenas inactive for 24h+
+// Hibernation — save idle arenas and evict them; they wake on next access
+setInterval(async () => {
+  for (const id of arenaManager.findIdleArenas()) {
+    try {
+      await arenaManager.hibernateArena(id);
+    } catch (e) {
+      console.error(`[Hibernate] Failed to hibernate arena ${id}:`, e.message);
+    }
+  }
+}, HIBERNATE_CHECK_INTERVAL);
+
+// Expiry — arenas left hibernating for ARENA_EXPIRE_MS are deleted with their saved worlds
 setInterval(() => {
-  for (const id of arenaManager.findStaleArenas()) {
+  for (const id of arenaManager.findExpiredArenas()) {
     try {
       arenaManager.deleteArena(id);
       deleteArenaFromDB(id);
+      process.send?.({ type: 'arena_deleted', arenaId: id });
+      console.log(`[Cleanup] Deleted expired arena ${id}`);
     } catch (e) {
       console.error(`[Cleanup] Failed to delete arena ${id}:`, e.message);
     }
   }
-}, 60 * 60 * 1000);
+}, ARENA_EXPIRE_CHECK_INTERVAL);
 
 export { arenaManager };
@@ -2,6 +2,12 @@ import { randomUUID } from 'crypto';
 import {
   VALID_ENTITY_TYPES, DEFAULT_ENTITY_COLORS, MAX_ENTITIES
 } from '../../shared/constants.js';
+import { evaluatePathMotion, pathFacing } from '../../shared/kinematics.js';
+
+// Properties that change where bots can walk (NavGraph); anything else, e.g. color, is cosmetic
+const LAYOUT_PROPERTIES = ['kinematic', 'path', 'chase'];
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
 
 export class EntityManager {
   static MAX_ENTITIES = MAX_ENTITIES;
@@ -11,6 +17,7 @@ export class EntityManager {
     this.entities = new Map();
     this.breakingPlatforms = new Map();
     this._totalCreated = 0;
+    this.layoutVersion = 0;          // bumped whenever entities are added, moved, resized or removed
 
     // Secondary indices — avoid full entity scans in tick loop
     this._kinematicIds = new Set();  // entity IDs with kinematic + path.length >= 2
@@ -26,6 +33,7 @@ export class EntityManager {
     const props = entity.properties;
     if (props?.kinematic && props?.path && props.path.length >= 2) {
       this._kinematicIds.add(id);
+      entity.motionStart ??= Date.now();  // time base clients evaluate the path from
     }
     if (props?.chase && props?.groupId) {
       this._chasingIds.add(id);
@@ -64,6 +72,7 @@ export class EntityManager {
     const id = `${type}-${randomUUID().slice(0, 8)}`;
     const entity = {
       id,
+      index: ++this._totalCreated,   // compact id for entities_delta batches
       type,
       position: [...position],
       size: [...size],
@@ -79,7 +88,7 @@ export class EntityManager {
 
     this.entities.set(id, entity);
     this._addToIndices(id, entity);
-    this._totalCreated++;
+    this.layoutVersion++;
 
     console.log(`[EntityManager] Spawned ${type} at [${position.join(', ')}] → ${id}`);
     return entity;
@@ -91,6 +100,9 @@ export class EntityManager {
       throw new Error(`Entity not found: ${id}`);
     }
 
+    const layoutChanged = !!(changes.position || changes.size || (changes.properties &&
+      LAYOUT_PROPERTIES.some(key => key in changes.properties && !sameValue(changes.properties[key], entity.properties[key]))));
+
     this._removeFromIndices(id, entity);
 
     if (changes.position) entity.position = [...changes.position];
@@ -100,6 +112,7 @@ export class EntityManager {
     }
 
     this._addToIndices(id, entity);
+    if (layoutChanged) this.layoutVersion++;
 
     entity.modifiedAt = Date.now();
     console.log(`[EntityManager] Modified ${id}`);
@@ -114,6 +127,7 @@ export class EntityManager {
 
     this._removeFromIndices(id, entity);
     this.entities.delete(id);
+    this.layoutVersion++;
     console.log(`[EntityManager] Destroyed ${id}`);
   }
 
@@ -124,10 +138,29 @@ export class EntityManager {
     this._kinematicIds.clear();
     this._chasingIds.clear();
     this._groupIndex.clear();
+    this.layoutVersion++;
     console.log(`[EntityManager] Cleared ${ids.length} entities`);
     return ids;
   }
 
+  /** Replace all entities with saved ones (arena hibernation), keeping ids and indices. */
+  restoreEntities(entities, totalCreated = 0) {
+    this.entities.clear();
+    this.breakingPlatforms.clear();
+    this._kinematicIds.clear();
+    this._chasingIds.clear();
+    this._groupIndex.clear();
+
+    let maxIndex = totalCreated;
+    for (const entity of entities) {
+      this.entities.set(entity.id, entity);
+      this._addToIndices(entity.id, entity);
+      maxIndex = Math.max(maxIndex, entity.index || 0);
+    }
+    this._totalCreated = maxIndex;
+    this.layoutVersion++;
+  }
+
   getEntitiesByGroup(groupId) {
     const idSet = this._groupIndex.get(groupId);
     if (!idSet) return [];
@@ -154,6 +187,7 @@ export class EntityManager {
       }
     }
     this._groupIndex.delete(groupId);
+    this.layoutVersion++;
     console.log(`[EntityManager] Destroyed group ${groupId} (${ids.length} entities)`);
     return ids;
   }
@@ -190,6 +224,7 @@ export class EntityManager {
         if (entity) this._removeFromIndices(entityId, entity);
 
         this.entities.delete(entityId);
+        this.layoutVersion++;
         broadcastFn('entity_destroyed', { id: entityId });
         console.log(`[EntityManager] Breakable platform destroyed: ${entityId}`);
 
@@ -209,9 +244,12 @@ export class EntityManager {
     }
   }
 
-  updateKinematicEntities(delta) {
-    const moved = [];
-
+  /**
+   * Move path-following entities to where the shared clock puts them.
+   * Clients evaluate the same motion, so nothing needs broadcasting.
+   * @param {number} now - server ms
+   */
+  updateKinematicEntities(now = Date.now()) {
     for (const id of this._kinematicIds) {
       const entity = this.entities.get(id);
       if (!entity) {
@@ -219,43 +257,14 @@ export class EntityManager {
         continue;
       }
 
-      const path = entity.properties.path;
-      if (!path || path.length < 2) continue;
-
-      if (entity._pathProgress === undefined) {
-        entity._pathProgress = 0;
-        entity._pathDirection = 1;
-      }
-
-      const speed = (entity.properties.speed || 2) * delta;
-      entity._pathProgress += speed * entity._pathDirection;
-
-      if (entity._pathProgress >= 1) {
-        entity._pathProgress = 1;
-        entity._pathDirection = -1;
-      } else if (entity._pathProgress <= 0) {
-        entity._pathProgress = 0;
-        entity._pathDirection = 1;
-      }
-
-      const start = path[0];
-      const end = path.at(-1);
-      const t = entity._pathProgress;
-      entity.position = [
-        start[0] + (end[0] - start[0]) * t,
-        start[1] + (end[1] - start[1]) * t,
-        start[2] + (end[2] - start[2]) * t
-      ];
-
-      const pdx = end[0] - start[0];
-      const pdz = end[2] - start[2];
-      if (Math.abs(pdx) > 0.01 || Math.abs(pdz) > 0.01) {
-        entity.properties._facing = Math.atan2(pdx * entity._pathDirection, pdz * entity._pathDirection);
-      }
+      const position = [0, 0, 0];
+      const direction = evaluatePathMotion(entity, now, position);
+      if (!direction) continue;
+      entity.position = position;
 
-      moved.push(entity);
+      const facing = pathFacing(entity.properties.path, direction);
+      if (facing !== undefined) entity.properties._facing = facing;
     }
-    return moved;
   }
 
   /**
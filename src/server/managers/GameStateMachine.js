@@ -109,8 +109,9 @@ export class GameStateMachine {
     this.gameState.result = result; // 'win', 'lose', 'timeout', 'cancelled'
     this.gameState.cooldownUntil = now + 15000;
 
+    // A team win passes every member of the winning team
     if (winnerId) {
-      this.gameState.winners.push(winnerId);
+      this.gameState.winners.push(...[].concat(winnerId));
     }
 
     console.log(`[GameStateMachine] Game ended: ${result}`);
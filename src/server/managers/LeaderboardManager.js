@@ -1,12 +1,18 @@
-import { updateLeaderboard, loadLeaderboard } from '../db.js';
+import { updateLeaderboard, loadLeaderboard, updateRating, loadRatings } from '../db.js';
+import { RATING_DEFAULT, OVERALL_RATING, computeRatingChanges } from '../Rating.js';
 
 export class LeaderboardManager {
   /**
+   * @param {string} arenaId - ratings are kept per arena, here and in the DB
    * @param {function} getPlayerName - (id) => string|undefined
+   * @param {function} getUserId - (id) => string|undefined (ratings follow the account)
    */
-  constructor(getPlayerName) {
+  constructor(arenaId, getPlayerName, getUserId) {
+    this.arenaId = arenaId;
     this.leaderboard = new Map();
+    this.ratings = new Map(); // gameType | 'all' -> Map(userId -> { name, rating, gamesPlayed })
     this._getPlayerName = getPlayerName;
+    this._getUserId = getUserId;
   }
 
   recordGameResult(playerId, won, score = 0) {
@@ -27,6 +33,51 @@ export class LeaderboardManager {
     return entry;
   }
 
+  /**
+   * Update skill ratings from a finished game's placements, in the game
+   * type's pool and the overall pool.
+   * @param {string} gameType
+   * @param {Array<{ playerId: string, placement: number }>} placements
+   */
+  recordRatings(gameType, placements) {
+    if (placements.length < 2) return;
+
+    for (const pool of [gameType, OVERALL_RATING]) {
+      const table = this._ratingTable(pool);
+      const entries = placements.map(({ playerId, placement }) => {
+        const id = this._getUserId(playerId) || playerId;
+        return {
+          id,
+          name: this._getPlayerName(playerId) || playerId,
+          placement,
+          rating: table.get(id)?.rating ?? RATING_DEFAULT,
+        };
+      });
+
+      const changes = computeRatingChanges(entries);
+      for (const { id, name, rating } of entries) {
+        const delta = changes.get(id);
+        const entry = table.get(id) || { name, rating, gamesPlayed: 0 };
+        entry.name = name;
+        entry.rating = rating + delta;
+        entry.gamesPlayed++;
+        table.set(id, entry);
+
+        // Fire-and-forget DB write
+        updateRating(this.arenaId, id, pool, name, delta, RATING_DEFAULT);
+      }
+    }
+  }
+
+  _ratingTable(pool) {
+    let table = this.ratings.get(pool);
+    if (!table) {
+      table = new Map();
+      this.ratings.set(pool, table);
+    }
+    return table;
+  }
+
   getLeaderboard() {
     return Array.from(this.leaderboard.entries())
       .map(([id, data]) => ({ id, ...data }))
@@ -34,6 +85,13 @@ export class LeaderboardManager {
       .slice(0, 10);
   }
 
+  getRatingLeaderboard(pool = OVERALL_RATING) {
+    return Array.from(this.ratings.get(pool) || [])
+      .map(([id, data]) => ({ id, name: data.name, rating: Math.round(data.rating), gamesPlayed: data.gamesPlayed }))
+      .sort((a, b) => b.rating - a.rating || b.gamesPlayed - a.gamesPlayed)
+      .slice(0, 10);
+  }
+
   async loadLeaderboardFromDB() {
     try {
       const rows = await loadLeaderboard();
@@ -50,5 +108,22 @@ export class LeaderboardManager {
     } catch (err) {
       console.error('[LeaderboardManager] Failed to load leaderboard from DB:', err.message);
     }
+    await this.loadRatingsFromDB();
+  }
+
+  /** Replace this arena's ratings with its rows from the DB, which every update also goes to. */
+  async loadRatingsFromDB() {
+    const ratings = await loadRatings(this.arenaId);
+    if (ratings.length === 0) return;
+
+    this.ratings = new Map();
+    for (const row of ratings) {
+      this._ratingTable(row.gameType).set(row.id, {
+        name: row.name,
+        rating: row.rating,
+        gamesPlayed: row.gamesPlayed
+      });
+    }
+    console.log(`[LeaderboardManager] Loaded ${ratings.length} ratings for ${this.arenaId} from DB`);
   }
 }
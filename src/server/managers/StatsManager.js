@@ -0,0 +1,81 @@
+import { addPlayerStats, loadAchievements, saveAchievement } from '../db.js';
+import { findNewAchievements } from '../Achievements.js';
+import { BEST_STATS, COUNTER_STATS, emptyStats } from '../PlayerStats.js';
+
+export class StatsManager {
+  /**
+   * Buffers per-player stat changes during play and writes them out on
+   * flush() (game end, player leave), then checks for new achievements.
+   * Stats are keyed by userId so they follow the account across sessions.
+   * @param {function} getPlayer - (id) => player|undefined
+   */
+  constructor(getPlayer) {
+    this._getPlayer = getPlayer;
+    this.pending = new Map(); // userId -> { playerId, name, delta }
+    this._flushChain = Promise.resolve();
+    this.onAchievementUnlocked = null;
+  }
+
+  _entry(playerId) {
+    const player = this._getPlayer(playerId);
+    if (!player || player.type === 'ai' || player.type === 'spectator') return null;
+    let entry = this.pending.get(player.userId);
+    if (!entry) {
+      entry = { playerId, name: player.name, delta: { ...emptyStats(), longestSurvivalMs: null } };
+      this.pending.set(player.userId, entry);
+    }
+    entry.playerId = playerId;
+    entry.name = player.name;
+    return entry.delta;
+  }
+
+  recordDeath(playerId, cause) {
+    const delta = this._entry(playerId);
+    if (delta) delta.deaths[cause] = (delta.deaths[cause] || 0) + 1;
+  }
+
+  recordGamePlayed(playerId, gameType) {
+    const delta = this._entry(playerId);
+    if (delta) delta.gamesPlayed[gameType] = (delta.gamesPlayed[gameType] || 0) + 1;
+  }
+
+  addStat(playerId, stat, amount = 1) {
+    if (!COUNTER_STATS.includes(stat)) throw new Error(`Unknown counter stat: ${stat}`);
+    const delta = this._entry(playerId);
+    if (delta) delta[stat] += amount;
+  }
+
+  recordBest(playerId, stat, value) {
+    const mode = BEST_STATS[stat];
+    if (!mode) throw new Error(`Unknown best stat: ${stat}`);
+    const delta = this._entry(playerId);
+    if (!delta) return;
+    delta[stat] = delta[stat] === null ? value : Math[mode](delta[stat], value);
+  }
+
+  // Fire-and-forget; flushes run one after another so saves never interleave
+  flush() {
+    if (this.pending.size === 0) return this._flushChain;
+    const batch = [...this.pending.entries()];
+    this.pending.clear();
+    this._flushChain = this._flushChain
+      .then(() => Promise.all(batch.map(([userId, entry]) => this._save(userId, entry))))
+      .catch(err => console.error('[StatsManager] Flush failed:', err.message));
+    return this._flushChain;
+  }
+
+  // The delta is added in the store itself, so arenas and shard workers saving
+  // the same account at once can't overwrite each other
+  async _save(userId, { playerId, name, delta }) {
+    const stats = await addPlayerStats(userId, name, delta);
+    if (!stats) return; // not saved; achievements are checked on the next save
+    const unlocked = await loadAchievements(userId);
+
+    const fresh = findNewAchievements(stats, new Set(unlocked.map(a => a.id)));
+    for (const achievement of fresh) {
+      await saveAchievement(userId, achievement.id);
+      console.log(`[StatsManager] ${name} unlocked ${achievement.id}`);
+      this.onAchievementUnlocked?.({ playerId, userId, name }, achievement);
+    }
+  }
+}
@@ -6,3 +6,4 @@ export { SpellManager } from './SpellManager.js';
 export { ChatManager } from './ChatManager.js';
 export { LeaderboardManager } from './LeaderboardManager.js';
 export { ChallengeManager } from './ChallengeManager.js';
+export { StatsManager } from './StatsManager.js';
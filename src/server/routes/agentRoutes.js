@@ -1,7 +1,14 @@
 import { getPrefabInfo } from '../Prefabs.js';
 import { getComposerStats } from '../Composer.js';
-import { MIN_LOBBY_MS } from '../constants.js';
+import { MIN_LOBBY_MS, ANTICHEAT_FLAG_THRESHOLD } from '../constants.js';
 import { WorldState } from '../WorldState.js';
+import { SSE_EVENTS } from '../EventStream.js';
+import { VALID_GAME_TYPES } from '../../shared/constants.js';
+import { PERSONALITIES } from '../AIPlayer.js';
+import {
+  MAX_AI_PERSONALITIES, DEFAULT_AI_ROSTER, validatePersonality, resolvePersonality, validateRoster,
+} from '../AIPersonalities.js';
+import { saveArena } from '../db.js';
 
 export function mountAgentRoutes(router, ctx) {
   const { arenaService } = ctx;
@@ -45,6 +52,7 @@ export function mountAgentRoutes(router, ctx) {
       audienceCount: spectatorCount + audienceChat.length,
       recentEvents: ws.getEvents(sinceEvent),
       leaderboard: ws.getLeaderboard(),
+      tournament: arena.tournament?.isActive ? arena.tournament.getStatus() : null,
       cooldownUntil: ws.gameState.cooldownUntil,
       lobbyReadyAt: ws.lobbyEnteredAt + MIN_LOBBY_MS,
       spellCooldownUntil: ws.lastSpellCastTime + WorldState.SPELL_COOLDOWN,
@@ -53,7 +61,7 @@ export function mountAgentRoutes(router, ctx) {
       pendingWelcomes: arena.agentLoop?.pendingWelcomes || [],
       lastGameType: ws.lastGameType || null,
       lastGameEndTime: ws.lastGameEndTime || null,
-      suggestedGameTypes: ['reach', 'collect', 'survival', 'king', 'hot_potato', 'race'].filter(t => t !== ws.lastGameType),
+      suggestedGameTypes: VALID_GAME_TYPES.filter(t => t !== ws.lastGameType),
       gameHistory: ws.gameHistory.map(g => ({ type: g.type, template: g.template })),
       lastTemplate: ws.lastTemplate || null
     });
@@ -99,6 +107,13 @@ export function mountAgentRoutes(router, ctx) {
     });
   });
 
+  router.get('/agent/anticheat', (req, res) => {
+    res.json({
+      threshold: ANTICHEAT_FLAG_THRESHOLD,
+      flagged: req.arena.antiCheat.getFlaggedPlayers(),
+    });
+  });
+
   // AI Players
   router.get('/ai/status', (req, res) => {
     res.json({ enabled: req.arena.aiPlayersEnabled, count: req.arena.aiPlayers.length });
@@ -106,10 +121,22 @@ export function mountAgentRoutes(router, ctx) {
 
   router.post('/ai/enable', (req, res) => {
     const arena = req.arena;
-    if (arena.aiPlayersEnabled) return res.json({ success: true, status: 'already enabled' });
+    const { roster } = req.body || {};
+    if (roster !== undefined) {
+      try {
+        arena.config.aiRoster = validateRoster(roster, arena.config.aiPersonalities);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      saveArena(arena);
+      // Swap the running bots for the new roster
+      if (arena.aiPlayersEnabled) arenaService.despawnAIPlayers(arena);
+    } else if (arena.aiPlayersEnabled) {
+      return res.json({ success: true, status: 'already enabled' });
+    }
     arena.aiPlayersEnabled = true;
     arenaService.spawnAIPlayers(arena);
-    res.json({ success: true, status: 'enabled', count: arena.aiPlayers.length });
+    res.json({ success: true, status: 'enabled', count: arena.aiPlayers.length, roster: arena.config.aiRoster });
   });
 
   router.post('/ai/disable', (req, res) => {
@@ -120,19 +147,88 @@ export function mountAgentRoutes(router, ctx) {
     res.json({ success: true, status: 'disabled' });
   });
 
-  // SSE Event Feed
-  router.get('/stream/events', (req, res) => {
-    const arena = req.arena;
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      Connection: 'keep-alive'
+  // AI personalities — custom bots persist with the arena; changes apply the next time bots spawn
+  router.get('/ai/personalities', (req, res) => {
+    const { aiPersonalities, aiRoster } = req.arena.config;
+    res.json({
+      builtIn: Object.entries(PERSONALITIES).map(([id, p]) => ({ id, ...p })),
+      personalities: aiPersonalities,
+      roster: aiRoster,
     });
+  });
+
+  router.get('/ai/personalities/:id', (req, res) => {
+    const personality = resolvePersonality(req.params.id, req.arena.config.aiPersonalities);
+    if (!personality) return res.status(404).json({ error: `Personality not found: ${req.params.id}` });
+    res.json({ personality, builtIn: !!PERSONALITIES[req.params.id] });
+  });
+
+  router.post('/ai/personalities', (req, res) => {
+    const arena = req.arena;
+    const list = arena.config.aiPersonalities;
+    if (list.length >= MAX_AI_PERSONALITIES) {
+      return res.status(400).json({ error: `Arena already has ${MAX_AI_PERSONALITIES} custom personalities` });
+    }
+    if (list.some(p => p.id === req.body?.id)) {
+      return res.status(400).json({ error: `Personality already exists: ${req.body.id}` });
+    }
+
+    let personality;
+    try {
+      personality = validatePersonality(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    list.push(personality);
+    saveArena(arena);
+    res.json({ success: true, personality });
+  });
+
+  router.patch('/ai/personalities/:id', (req, res) => {
+    const arena = req.arena;
+    const list = arena.config.aiPersonalities;
+    const index = list.findIndex(p => p.id === req.params.id);
+    if (index === -1) {
+      if (PERSONALITIES[req.params.id]) return res.status(400).json({ error: 'Built-in personalities cannot be modified' });
+      return res.status(404).json({ error: `Personality not found: ${req.params.id}` });
+    }
+
+    try {
+      list[index] = validatePersonality(req.body, list[index]);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    saveArena(arena);
+    res.json({ success: true, personality: list[index] });
+  });
+
+  router.delete('/ai/personalities/:id', (req, res) => {
+    const arena = req.arena;
+    const list = arena.config.aiPersonalities;
+    const index = list.findIndex(p => p.id === req.params.id);
+    if (index === -1) {
+      if (PERSONALITIES[req.params.id]) return res.status(400).json({ error: 'Built-in personalities cannot be deleted' });
+      return res.status(404).json({ error: `Personality not found: ${req.params.id}` });
+    }
 
-    const client = { res, id: Date.now() };
-    arena.sseClients.add(client);
+    list.splice(index, 1);
+    const roster = arena.config.aiRoster.filter(id => id !== req.params.id);
+    arena.config.aiRoster = roster.length > 0 ? roster : [...DEFAULT_AI_ROSTER];
+    saveArena(arena);
+    res.json({ success: true, roster: arena.config.aiRoster });
+  });
 
-    const initData = {
+  // SSE Event Feed — ?events=a,b filters by type; Last-Event-ID (or ?lastEventId=) replays missed events
+  router.get('/stream/events', (req, res) => {
+    const arena = req.arena;
+    const events = req.query.events ? String(req.query.events).split(',').map(e => e.trim()).filter(Boolean) : null;
+    const unknown = events?.filter(e => !SSE_EVENTS.has(e)) || [];
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}. Available: ${[...SSE_EVENTS].join(', ')}` });
+    }
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId);
+
+    const init = {
       type: 'init',
       arenaId: arena.id,
       drama: arena.agentLoop?.calculateDrama() || 0,
@@ -140,45 +236,58 @@ export function mountAgentRoutes(router, ctx) {
       players: arena.worldState.players.size,
       gameState: arena.worldState.getGameState()
     };
-    res.write(`data: ${JSON.stringify(initData)}\n\n`);
+    const client = arena.events.connect(res, {
+      events: events?.length ? events : null,
+      lastEventId: Number.isNaN(lastEventId) ? null : lastEventId,
+      init,
+    });
 
     req.on('close', () => {
-      arena.sseClients.delete(client);
+      arena.events.disconnect(client);
     });
   });
 
-  // Webhooks
-  router.post('/webhooks/register', (req, res) => {
+  // Webhooks — the secret is only ever returned here, at registration
+  router.post('/webhooks/register', async (req, res) => {
     const arena = req.arena;
     const { url, events } = req.body;
-    if (!url) {
-      return res.status(400).json({ error: 'Missing required: url' });
+    try {
+      const webhook = await arena.webhooks.register({ url, events });
+      console.log(`[Webhooks:${arena.id}] Registered ${webhook.id} → ${url}${webhook.events ? ` (${webhook.events.join(', ')})` : ' (all events)'}`);
+      res.json({ success: true, webhook });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
-
-    const id = `webhook-${++arena.webhookIdCounter}`;
-    const webhook = {
-      id, url,
-      events: events || null,
-      createdAt: Date.now()
-    };
-    arena.webhooks.set(id, webhook);
-
-    console.log(`[Webhooks:${arena.id}] Registered ${id} → ${url}${events ? ` (${events.join(', ')})` : ' (all events)'}`);
-    res.json({ success: true, webhook });
   });
 
   router.delete('/webhooks/:id', (req, res) => {
-    const arena = req.arena;
     const { id } = req.params;
-    if (!arena.webhooks.has(id)) {
+    if (!req.arena.webhooks.remove(id)) {
       return res.status(404).json({ error: `Webhook not found: ${id}` });
     }
-    arena.webhooks.delete(id);
     res.json({ success: true });
   });
 
   router.get('/webhooks', (req, res) => {
-    res.json({ webhooks: Array.from(req.arena.webhooks.values()) });
+    res.json({ webhooks: req.arena.webhooks.list() });
+  });
+
+  router.get('/webhooks/:id/deliveries', (req, res) => {
+    const arena = req.arena;
+    const webhook = arena.webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: `Webhook not found: ${req.params.id}` });
+    }
+    res.json({ webhook, ...arena.webhooks.deliveries(webhook.id) });
+  });
+
+  router.post('/webhooks/:id/deliveries/:deliveryId/retry', (req, res) => {
+    const { id, deliveryId } = req.params;
+    const delivery = req.arena.webhooks.redeliver(id, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: `Dead letter not found: ${deliveryId}` });
+    }
+    res.json({ success: true, delivery });
   });
 
   // Players
@@ -36,14 +36,27 @@ export function mountArenaRoutes(app, ctx) {
   });
 
   app.get('/api/arenas/:id/info', (req, res) => {
-    const arena = arenaManager.getArena(req.params.id);
-    if (!arena) return res.status(404).json({ error: `Arena not found: ${req.params.id}` });
-    res.json(arena.getPublicInfo());
+    const info = arenaManager.getArenaInfo(req.params.id);
+    if (!info) return res.status(404).json({ error: `Arena not found: ${req.params.id}` });
+    res.json(info);
   });
 
-  app.patch('/api/arenas/:id', (req, res) => {
-    const arena = arenaManager.getArena(req.params.id);
-    if (!arena) return res.status(404).json({ error: `Arena not found: ${req.params.id}` });
+  // Express 4 doesn't catch rejected handlers; a failed wake must not take the process down
+  async function resolve(req, res) {
+    try {
+      const arena = await arenaManager.resolveArena(req.params.id);
+      if (!arena) res.status(404).json({ error: `Arena not found: ${req.params.id}` });
+      return arena;
+    } catch (e) {
+      console.error(`[Arenas] Failed to resolve arena ${req.params.id}:`, e.message);
+      res.status(500).json({ error: `Failed to load arena: ${req.params.id}` });
+      return null;
+    }
+  }
+
+  app.patch('/api/arenas/:id', async (req, res) => {
+    const arena = await resolve(req, res);
+    if (!arena) return;
     if (arena.isDefault) return res.status(403).json({ error: 'Cannot modify default arena' });
 
     const apiKey = req.headers['x-arena-api-key'];
@@ -61,9 +74,9 @@ export function mountArenaRoutes(app, ctx) {
     res.json({ success: true, arena: arena.getPublicInfo() });
   });
 
-  app.delete('/api/arenas/:id', (req, res) => {
-    const arena = arenaManager.getArena(req.params.id);
-    if (!arena) return res.status(404).json({ error: `Arena not found: ${req.params.id}` });
+  app.delete('/api/arenas/:id', async (req, res) => {
+    const arena = await resolve(req, res);
+    if (!arena) return;
 
     const apiKey = req.headers['x-arena-api-key'];
     if (!apiKey || apiKey !== arena.apiKey) {
@@ -79,9 +92,9 @@ export function mountArenaRoutes(app, ctx) {
     }
   });
 
-  app.post('/api/arenas/:id/upvote', (req, res) => {
-    const arena = arenaManager.getArena(req.params.id);
-    if (!arena) return res.status(404).json({ error: `Arena not found: ${req.params.id}` });
+  app.post('/api/arenas/:id/upvote', async (req, res) => {
+    const arena = await resolve(req, res);
+    if (!arena) return;
     arena.upvotes++;
     res.json({ success: true, upvotes: arena.upvotes });
   });
@@ -1,6 +1,10 @@
-import { GAME_TYPES } from '../games/index.js';
+import { GAME_TYPES, getLoadedPlugins } from '../games/index.js';
 import { getStats } from '../db.js';
 import { ANNOUNCEMENT_COOLDOWN, AGENT_CHAT_COOLDOWN, MIN_GAME_DURATION_MS } from '../constants.js';
+import { parseTeamCount } from '../Teams.js';
+import { OVERALL_RATING } from '../Rating.js';
+import { TEMPLATES } from '../ArenaTemplates.js';
+import { loadSnapshot } from '../Snapshots.js';
 
 export function mountGameRoutes(router, ctx) {
   const { gameService } = ctx;
@@ -47,7 +51,7 @@ export function mountGameRoutes(router, ctx) {
   });
 
   router.get('/game/types', (req, res) => {
-    res.json({ gameTypes: GAME_TYPES });
+    res.json({ gameTypes: GAME_TYPES, plugins: getLoadedPlugins() });
   });
 
   router.post('/game/start', (req, res) => {
@@ -59,6 +63,22 @@ export function mountGameRoutes(router, ctx) {
       return res.status(400).json({ error: 'Missing required: type or template' });
     }
 
+    if (gameService.rejectIfRestarting(arena, res)) return;
+
+    try {
+      parseTeamCount(req.body.teams);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const tournament = arena.tournament;
+    if (tournament && !tournament.matchesPlan(type, template)) {
+      const plan = tournament.getPlannedRound();
+      return res.status(400).json({
+        error: `Tournament round ${tournament.currentRound + 1} is planned as ${tournament.describePlan(plan)}`
+      });
+    }
+
     if (arena.currentMiniGame?.isActive) {
       return res.status(400).json({ error: 'A game is already in progress' });
     }
@@ -81,11 +101,11 @@ export function mountGameRoutes(router, ctx) {
     }
 
     if (template) {
-      import('../ArenaTemplates.js').then(({ TEMPLATES }) => {
-        const tmpl = TEMPLATES[template];
+      const builtIn = TEMPLATES[template];
+      (builtIn ? Promise.resolve(builtIn) : loadSnapshot(arena.id, template)).then(tmpl => {
         if (!tmpl) {
           return res.status(404).json({
-            error: `Template not found: ${template}. Available: ${Object.keys(TEMPLATES).join(', ')}`
+            error: `Template not found: ${template}. Available: ${Object.keys(TEMPLATES).join(', ')} (saved snapshots: GET /api/world/snapshots)`
           });
         }
 
@@ -101,7 +121,7 @@ export function mountGameRoutes(router, ctx) {
           });
         }
 
-        gameService.applyTemplate(arena, tmpl);
+        gameService.applyTemplate(arena, tmpl, !!builtIn);
         ws.setLastTemplate(template);
 
         const result = gameService.doStartGame(arena, gameType, req.body);
@@ -175,15 +195,19 @@ export function mountGameRoutes(router, ctx) {
 
   router.post('/game/trick', (req, res) => {
     const arena = req.arena;
-    const { trigger, action, params } = req.body;
-    if (!trigger || !action) {
-      return res.status(400).json({ error: 'Missing required: trigger, action' });
+    const { trigger, action, actions } = req.body;
+    if (!trigger || (!action && !actions)) {
+      return res.status(400).json({ error: 'Missing required: trigger, action or actions' });
     }
     if (!arena.currentMiniGame?.isActive) {
       return res.status(400).json({ error: 'No active game' });
     }
-    const id = arena.currentMiniGame.addTrick(trigger, action, params);
-    res.json({ success: true, trickId: id });
+    try {
+      const id = arena.currentMiniGame.addScriptedTrick(req.body);
+      res.json({ success: true, trickId: id });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
   });
 
   router.get('/game/minigame', (req, res) => {
@@ -247,8 +271,20 @@ export function mountGameRoutes(router, ctx) {
   });
 
   // Leaderboard & Stats
+  // ?by=wins (default) or ?by=rating&type=<gameType|all>
   router.get('/leaderboard', (req, res) => {
-    res.json({ leaderboard: req.arena.worldState.getLeaderboard() });
+    const { by = 'wins', type = OVERALL_RATING } = req.query;
+    const ws = req.arena.worldState;
+    if (by === 'wins') {
+      return res.json({ by, leaderboard: ws.getLeaderboard() });
+    }
+    if (by !== 'rating') {
+      return res.status(400).json({ error: 'by must be "wins" or "rating"' });
+    }
+    if (type !== OVERALL_RATING && !GAME_TYPES[type]) {
+      return res.status(400).json({ error: `Unknown game type "${type}". Valid: ${OVERALL_RATING}, ${Object.keys(GAME_TYPES).join(', ')}` });
+    }
+    res.json({ by, type, leaderboard: ws.getRatingLeaderboard(type) });
   });
 
   router.get('/stats', async (req, res) => {
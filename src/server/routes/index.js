@@ -5,3 +5,6 @@ export { mountGameRoutes } from './gameRoutes.js';
 export { mountBribeRoutes } from './bribeRoutes.js';
 export { mountAgentRoutes } from './agentRoutes.js';
 export { mountPublicRoutes } from './publicRoutes.js';
+export { mountTournamentRoutes } from './tournamentRoutes.js';
+export { mountReplayRoutes } from './replayRoutes.js';
+export { mountPlayerRoutes } from './playerRoutes.js';
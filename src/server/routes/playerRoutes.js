@@ -0,0 +1,24 @@
+import { loadPlayerStats, loadAchievements } from '../db.js';
+import { emptyStats } from '../PlayerStats.js';
+import { describeAchievements } from '../Achievements.js';
+
+export function mountPlayerRoutes(app) {
+  // Stats follow the account (userId), so they're global rather than per-arena
+  app.get('/api/players/:id/stats', async (req, res) => {
+    const { id } = req.params;
+    if (id.length > 128) return res.status(400).json({ error: 'Invalid player id' });
+
+    const [record, unlocked] = await Promise.all([loadPlayerStats(id), loadAchievements(id)]);
+    if (!record && unlocked.length === 0) {
+      return res.status(404).json({ error: `No stats for player: ${id}` });
+    }
+
+    const stats = { ...emptyStats(), ...record?.stats };
+    res.json({
+      id,
+      name: record?.name || null,
+      stats,
+      achievements: describeAchievements(stats, unlocked),
+    });
+  });
+}
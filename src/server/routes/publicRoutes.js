@@ -1,3 +1,9 @@
+import {
+  joinAgentPlayer, moveAgentPlayer, sendAgentPlayerChat, leaveAgentPlayer, getAgentPlayerState,
+  authenticateAgentPlayer,
+} from '../services/agentPlayerService.js';
+import { clientIp } from '../clientAddress.js';
+
 export function mountPublicRoutes(router) {
   router.get('/public/state', (req, res) => {
     const ws = req.arena.worldState;
@@ -53,111 +59,53 @@ export function mountPublicRoutes(router) {
       bribesSubmitted: counts.bribe,
       bribesHonored: counts.bribe_honored,
       spellsCast: counts.spell_cast,
-      agentInvocations: arena.agentLoop?.invokeCount || 0
+      agentInvocations: arena.agentLoop?.invokeCount || 0,
+      bandwidth: arena.bandwidth.getStats()
     });
   });
 
-  // Agent-Player API
-  function requireAgentPlayer(arena, playerId, res) {
-    if (!arena.agentPlayers.has(playerId)) {
-      res.status(404).json({ error: 'Agent player not found. Join first.' });
-      return null;
+  // Agent-Player API (real-time clients use the agent_player room, see AgentPlayerRoom.js)
+  function reply(res, result) {
+    const { success, status, code, error, ...data } = result;
+    if (!success) {
+      if (data.retryAfterMs) res.set('Retry-After', String(Math.ceil(data.retryAfterMs / 1000)));
+      return res.status(status).json({ error, code, ...data });
     }
-    return arena.agentPlayers.get(playerId);
+    res.json({ success, ...data });
   }
 
-  router.post('/agent-player/join', (req, res) => {
-    const arena = req.arena;
-    const { name } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Missing required: name' });
-    }
-
-    const id = `agent-player-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
-    const player = arena.worldState.addPlayer(id, name, 'agent');
-    arena.agentPlayers.set(id, { joinedAt: Date.now(), lastAction: Date.now() });
-
-    arena.broadcastToRoom('player_joined', { id, name, type: 'agent' });
-    arena.worldState.addEvent('player_joined', { id, name, type: 'agent' });
+  // Session token from join: `Authorization: Bearer <token>`, or `sessionToken` in the body/query
+  function sessionToken(req) {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.body?.sessionToken ?? req.query.sessionToken;
+  }
 
-    res.json({ success: true, playerId: id, player });
+  router.post('/agent-player/join', async (req, res) => {
+    reply(res, await joinAgentPlayer(req.arena, req.body.name));
   });
 
   router.post('/agent-player/move', (req, res) => {
-    const arena = req.arena;
-    const { playerId, position } = req.body;
-    if (!playerId || !position) {
-      return res.status(400).json({ error: 'Missing required: playerId, position' });
-    }
-
-    const agentEntry = requireAgentPlayer(arena, playerId, res);
-    if (!agentEntry) return;
-
-    const player = arena.worldState.updatePlayer(playerId, { position });
-    if (!player) {
-      return res.status(404).json({ error: 'Player not found in world state' });
-    }
-
-    agentEntry.lastAction = Date.now();
-    arena.broadcastToRoom('player_moved', { id: playerId, position });
-    res.json({ success: true, position: player.position });
+    const { playerId: _playerId, sessionToken: _token, ...move } = req.body;
+    reply(res, moveAgentPlayer(req.arena, sessionToken(req), move, clientIp(req)));
   });
 
   router.get('/agent-player/:id/state', (req, res) => {
-    const arena = req.arena;
-    const ws = arena.worldState;
-    const { id } = req.params;
-    const player = ws.players.get(id);
-    if (!player) {
-      return res.status(404).json({ error: 'Player not found' });
+    const token = sessionToken(req);
+    const auth = authenticateAgentPlayer(req.arena, token);
+    if (auth.success && auth.agent.id !== req.params.id) {
+      return res.status(403).json({ error: 'Session token belongs to another player', code: 'FORBIDDEN' });
     }
-
-    const otherPlayers = ws.getPlayers()
-      .filter(p => p.id !== id)
-      .map(p => ({ name: p.name, type: p.type, state: p.state, position: p.position }));
-
-    res.json({
-      me: player,
-      otherPlayers,
-      gameState: ws.getGameState(),
-      entities: Array.from(ws.entities.values()).map(e => ({
-        id: e.id, type: e.type, position: e.position, size: e.size
-      })),
-      activeEffects: ws.getActiveEffects(),
-      recentChat: ws.getMessages(0, 10),
-      leaderboard: ws.getLeaderboard()
-    });
+    const { success, status, code, error, ...state } = getAgentPlayerState(req.arena, token);
+    if (!success) return res.status(status).json({ error, code });
+    res.json(state);
   });
 
   router.post('/agent-player/chat', (req, res) => {
-    const arena = req.arena;
-    const { playerId, text } = req.body;
-    if (!playerId || !text) {
-      return res.status(400).json({ error: 'Missing required: playerId, text' });
-    }
-
-    if (!requireAgentPlayer(arena, playerId, res)) return;
-
-    const player = arena.worldState.players.get(playerId);
-    const name = player?.name || playerId;
-    const message = arena.worldState.addMessage(name, 'player', String(text).trim());
-    arena.broadcastToRoom('chat_message', message);
-    res.json({ success: true, message });
+    reply(res, sendAgentPlayerChat(req.arena, sessionToken(req), req.body.text, clientIp(req)));
   });
 
   router.post('/agent-player/leave', (req, res) => {
-    const arena = req.arena;
-    const { playerId } = req.body;
-    if (!playerId) {
-      return res.status(400).json({ error: 'Missing required: playerId' });
-    }
-
-    if (!requireAgentPlayer(arena, playerId, res)) return;
-
-    arena.worldState.removePlayer(playerId);
-    arena.agentPlayers.delete(playerId);
-    arena.broadcastToRoom('player_left', { id: playerId });
-    arena.worldState.addEvent('player_left', { id: playerId, type: 'agent' });
-    res.json({ success: true });
+    reply(res, leaveAgentPlayer(req.arena, sessionToken(req)));
   });
 }
@@ -0,0 +1,20 @@
+import { listReplays, readReplayFile } from '../ReplayRecorder.js';
+
+export function mountReplayRoutes(app) {
+  app.get('/api/replays', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({ replays: await listReplays(limit) });
+  });
+
+  // Served gzipped as stored; browsers and fetch() decompress transparently
+  app.get('/api/replays/:id', async (req, res) => {
+    const body = await readReplayFile(req.params.id);
+    if (!body) return res.status(404).json({ error: `Replay not found: ${req.params.id}` });
+    res.set({
+      'Content-Type': 'application/json',
+      'Content-Encoding': 'gzip',
+      'Cache-Control': 'public, max-age=86400',
+    });
+    res.send(body);
+  });
+}
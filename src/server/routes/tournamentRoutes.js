@@ -0,0 +1,62 @@
+import { Tournament } from '../Tournament.js';
+
+export function mountTournamentRoutes(router, ctx) {
+  const { gameService } = ctx;
+
+  router.get('/tournament', (req, res) => {
+    res.json({ tournament: req.arena.tournament?.getStatus() || null });
+  });
+
+  router.get('/tournament/standings', (req, res) => {
+    const tournament = req.arena.tournament;
+    if (!tournament) return res.status(404).json({ error: 'No tournament in this arena' });
+    res.json({
+      name: tournament.name,
+      status: tournament.status,
+      round: tournament.getStatus().round,
+      totalRounds: tournament.rounds.length,
+      standings: tournament.getStandings(),
+      champion: tournament.champion,
+    });
+  });
+
+  router.post('/tournament/start', (req, res) => {
+    const arena = req.arena;
+    if (arena.tournament?.isActive) {
+      return res.status(400).json({ error: `Tournament already running: ${arena.tournament.name}` });
+    }
+
+    let tournament;
+    try {
+      tournament = new Tournament(
+        req.body,
+        arena.broadcastToRoom.bind(arena),
+        (playerId) => arena.worldState.players.get(playerId)?.name
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    arena.tournament = tournament;
+    arena.broadcastToRoom('tournament_started', { tournament: tournament.getStatus() });
+    const msg = arena.worldState.addMessage('System', 'system',
+      `Tournament started: ${tournament.name} (${tournament.rounds.length} rounds)`);
+    arena.broadcastToRoom('chat_message', msg);
+    arena.worldState.addEvent('tournament_start', { id: tournament.id, rounds: tournament.rounds.length });
+
+    // Re-arm auto-start so a planned first round is picked up from the lobby
+    if (arena.worldState.gameState.phase === 'lobby') gameService.scheduleAutoStart(arena);
+
+    res.json({ success: true, tournament: tournament.getStatus() });
+  });
+
+  router.post('/tournament/cancel', (req, res) => {
+    const tournament = req.arena.tournament;
+    if (!tournament?.isActive) {
+      return res.status(400).json({ error: 'No tournament running' });
+    }
+    tournament.cancel();
+    req.arena.worldState.addEvent('tournament_cancel', { id: tournament.id });
+    res.json({ success: true, tournament: tournament.getStatus() });
+  });
+}
@@ -1,4 +1,6 @@
 import { compose } from '../Composer.js';
+import { TEMPLATES } from '../ArenaTemplates.js';
+import { captureSnapshot, saveSnapshot, loadSnapshot, listSnapshots, SNAPSHOT_NAME_RE } from '../Snapshots.js';
 
 export function mountWorldRoutes(router, ctx) {
   const { gameService } = ctx;
@@ -167,19 +169,20 @@ export function mountWorldRoutes(router, ctx) {
       return res.status(400).json({ error: 'Missing required: name' });
     }
 
-    import('../ArenaTemplates.js').then(({ TEMPLATES }) => {
-      const template = TEMPLATES[name];
+    const builtIn = TEMPLATES[name];
+    (builtIn ? Promise.resolve(builtIn) : loadSnapshot(arena.id, name)).then(template => {
       if (!template) {
         return res.status(404).json({
-          error: `Template not found: ${name}. Available: ${Object.keys(TEMPLATES).join(', ')}`
+          error: `Template not found: ${name}. Available: ${Object.keys(TEMPLATES).join(', ')} (saved snapshots: GET /api/world/snapshots)`
         });
       }
 
-      const spawned = gameService.applyTemplate(arena, template);
+      // Snapshots load exactly as saved; built-in templates are randomized
+      const spawned = gameService.applyTemplate(arena, template, !!builtIn);
       arena.worldState.lastTemplateLoadTime = Date.now();
 
       res.json({
-        success: true, template: name, name: template.name,
+        success: true, template: name, name: template.name, snapshot: !builtIn,
         gameType: template.gameType, floorType: template.floorType || 'solid',
         entitiesSpawned: spawned.length, goalPosition: template.goalPosition || null
       });
@@ -188,6 +191,34 @@ export function mountWorldRoutes(router, ctx) {
     });
   });
 
+  router.post('/world/snapshot', async (req, res) => {
+    const arena = req.arena;
+    const { name } = req.body;
+    if (!name || !SNAPSHOT_NAME_RE.test(name)) {
+      return res.status(400).json({ error: 'Missing or invalid name (1-40 chars: a-z, 0-9, _ or -)' });
+    }
+    if (TEMPLATES[name]) {
+      return res.status(400).json({ error: `Name is taken by a built-in template: ${name}` });
+    }
+
+    // Callers with the arena's API key own its snapshots; the default arena has
+    // no key, so anyone could have saved there and names are never replaced
+    const snapshot = captureSnapshot(arena.worldState, name, arena.id);
+    try {
+      await saveSnapshot(snapshot, { overwrite: !arena.isDefault });
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return res.status(409).json({ error: `Snapshot already exists: ${name}. Pick another name.` });
+      }
+      return res.status(500).json({ error: `Failed to save snapshot: ${err.message}` });
+    }
+    res.json({ success: true, snapshot });
+  });
+
+  router.get('/world/snapshots', async (req, res) => {
+    res.json({ snapshots: await listSnapshots(req.arena.id) });
+  });
+
   router.post('/physics/set', (req, res) => {
     const arena = req.arena;
     const { gravity, friction, bounce } = req.body;
@@ -0,0 +1,197 @@
+/**
+ * Agent-player actions shared by the HTTP API (publicRoutes) and the
+ * agent_player WebSocket room (AgentPlayerRoom). Each returns
+ * { success: true, ... } or { success: false, status, code, error }.
+ *
+ * Joining issues a session token; every later action is authorized by it,
+ * never by the playerId (which other players can see). Move and chat are
+ * rate limited per token and per client IP.
+ */
+
+import { randomUUID } from 'crypto';
+import { isValidPosition, clampPosition } from '../validation.js';
+import { isHumanName } from '../db.js';
+import { AgentPlayer } from '../AgentPlayer.js';
+import { RateLimiter } from '../RateLimiter.js';
+import { AGENT_PLAYER_LIMITS } from '../constants.js';
+
+function reject(status, code, error, extra = {}) {
+  return { success: false, status, code, error, ...extra };
+}
+
+const INVALID_SESSION = reject(401, 'INVALID_SESSION', 'Missing or invalid session token. Join first.');
+
+function createLimiters({ perToken, perIp, windowMs }) {
+  return {
+    token: new RateLimiter({ limit: perToken, windowMs }),
+    ip: new RateLimiter({ limit: perIp, windowMs }),
+  };
+}
+
+// Shared by every arena on this process, so one IP can't spread its load across arenas
+const limiters = {
+  move: createLimiters(AGENT_PLAYER_LIMITS.move),
+  chat: createLimiters(AGENT_PLAYER_LIMITS.chat),
+};
+
+function rateLimit(action, token, ip) {
+  const wait = limiters[action].token.take(token) || (ip ? limiters[action].ip.take(ip) : 0);
+  if (!wait) return null;
+  return reject(429, 'RATE_LIMITED', `Too many ${action} requests. Retry in ${wait}ms`, { retryAfterMs: wait });
+}
+
+/** The agent player a session token belongs to. */
+export function authenticateAgentPlayer(arena, token) {
+  if (typeof token !== 'string' || !token) return INVALID_SESSION;
+  for (const agent of arena.agentPlayers.values()) {
+    if (agent.token === token) return { success: true, agent };
+  }
+  return INVALID_SESSION;
+}
+
+export async function joinAgentPlayer(arena, rawName) {
+  const name = typeof rawName === 'string' ? rawName.trim() : '';
+  const { maxNameLength } = AGENT_PLAYER_LIMITS;
+  if (!name || name.length > maxNameLength || /[\u0000-\u001f]/.test(name)) {
+    return reject(400, 'INVALID_NAME', `name must be 1-${maxNameLength} characters`);
+  }
+  if (await isHumanName(name)) {
+    return reject(409, 'NAME_TAKEN', `Name is reserved by a human player: ${name}`);
+  }
+
+  // Checked after the lookup, so concurrent joins can't both take the last slot
+  const lower = name.toLowerCase();
+  if (lower === 'system' || lower === arena.gameMasterName.toLowerCase()) {
+    return reject(409, 'NAME_TAKEN', `Name is reserved: ${name}`);
+  }
+  if (arena.worldState.getPlayers().some(p => p.name.toLowerCase() === lower)) {
+    return reject(409, 'NAME_TAKEN', `Name already in use: ${name}`);
+  }
+  const maxAgents = arena.config.maxAgentPlayers;
+  if (arena.agentPlayers.size >= maxAgents) {
+    return reject(403, 'AGENT_LIMIT_REACHED', `Arena allows at most ${maxAgents} agent players`);
+  }
+  if (arena.playingCount() >= arena.config.maxPlayers) {
+    return reject(403, 'ARENA_FULL', `Arena is full (${arena.config.maxPlayers} players)`);
+  }
+
+  const id = `agent-player-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const token = `as_${randomUUID().replace(/-/g, '')}`;
+  const agent = new AgentPlayer(arena.worldState, arena.broadcastToRoom.bind(arena), { id, name, token });
+  arena.agentPlayers.set(id, agent);
+  const player = arena.worldState.players.get(id);
+
+  arena.broadcastToRoom('player_joined', { id, name, type: 'agent' });
+  arena.worldState.addEvent('player_joined', { id, name, type: 'agent' });
+  return { success: true, playerId: id, sessionToken: token, player };
+}
+
+/**
+ * Check a movement intent and convert it to AgentPlayer.setIntent's shape.
+ * `position` is the older name for `waypoint`.
+ * @returns {{ intent: object } | { error: string }}
+ */
+function parseIntent({ direction, waypoint, position, jump, sprint }) {
+  const intent = {};
+  waypoint = waypoint === undefined ? position : waypoint;
+
+  if (direction !== undefined && waypoint !== undefined) {
+    return { error: 'Send either direction or waypoint, not both' };
+  }
+  if (direction !== undefined) {
+    if (direction !== null && !(Array.isArray(direction) && direction.length === 2 && direction.every(Number.isFinite))) {
+      return { error: 'direction must be [x, z] or null' };
+    }
+    if (direction) {
+      const length = Math.hypot(direction[0], direction[1]);
+      intent.direction = length > 1 ? [direction[0] / length, direction[1] / length] : [...direction];
+    } else {
+      intent.direction = null;
+    }
+  }
+  if (waypoint !== undefined) {
+    if (waypoint !== null && !isValidPosition(waypoint)) return { error: 'waypoint must be [x, y, z] or null' };
+    intent.waypoint = waypoint && clampPosition(waypoint);
+  }
+  if (jump !== undefined) {
+    if (typeof jump !== 'boolean') return { error: 'jump must be a boolean' };
+    intent.jump = jump;
+  }
+  if (sprint !== undefined) {
+    if (typeof sprint !== 'boolean') return { error: 'sprint must be a boolean' };
+    intent.sprint = sprint;
+  }
+  if (Object.keys(intent).length === 0) {
+    return { error: 'Missing intent: direction, waypoint, jump or sprint' };
+  }
+  return { intent };
+}
+
+/** Set what the agent player is trying to do; the arena tick moves it. */
+export function moveAgentPlayer(arena, token, move, ip = null) {
+  const { agent, ...auth } = authenticateAgentPlayer(arena, token);
+  if (!agent) return auth;
+  const limited = rateLimit('move', token, ip);
+  if (limited) return limited;
+
+  const { intent, error } = parseIntent(move || {});
+  if (error) return reject(400, 'INVALID_INTENT', error);
+
+  agent.setIntent(intent);
+  return { success: true, intent: agent.intent, position: agent.position, state: agent.state };
+}
+
+export function sendAgentPlayerChat(arena, token, rawText, ip = null) {
+  const { agent, ...auth } = authenticateAgentPlayer(arena, token);
+  if (!agent) return auth;
+  const text = typeof rawText === 'string' ? rawText.trim() : '';
+  if (text.length === 0 || text.length > 200) {
+    return reject(400, 'INVALID_MESSAGE', 'text must be 1-200 characters');
+  }
+  const limited = rateLimit('chat', token, ip);
+  if (limited) return limited;
+
+  const message = arena.worldState.addMessage(agent.name, 'player', text);
+  arena.broadcastToRoom('chat_message', message);
+  agent.lastAction = Date.now();
+  return { success: true, message };
+}
+
+export function leaveAgentPlayer(arena, token) {
+  const { agent, ...auth } = authenticateAgentPlayer(arena, token);
+  if (!agent) return auth;
+
+  arena.agentRoom?.disconnectPlayer(agent.id);
+  agent.remove();
+  arena.agentPlayers.delete(agent.id);
+  arena.worldState.addEvent('player_left', { id: agent.id, type: 'agent' });
+  return { success: true };
+}
+
+/** Everything an agent needs to plan: itself, other players, entities, game, chat. */
+export function getAgentPlayerState(arena, token) {
+  const { agent, ...auth } = authenticateAgentPlayer(arena, token);
+  if (!agent) return auth;
+  const ws = arena.worldState;
+  const playerId = agent.id;
+  const player = ws.players.get(playerId);
+  if (!player) return reject(404, 'NOT_JOINED', 'Player not found');
+
+  const otherPlayers = ws.getPlayers()
+    .filter(p => p.id !== playerId)
+    .map(p => ({ name: p.name, type: p.type, state: p.state, position: p.position }));
+
+  return {
+    success: true,
+    me: player,
+    intent: agent.intent,
+    otherPlayers,
+    gameState: ws.getGameState(),
+    entities: Array.from(ws.entities.values()).map(e => ({
+      id: e.id, type: e.type, position: e.position, size: e.size
+    })),
+    activeEffects: ws.getActiveEffects(),
+    recentChat: ws.getMessages(0, 10),
+    leaderboard: ws.getLeaderboard()
+  };
+}
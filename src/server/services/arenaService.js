@@ -1,4 +1,5 @@
 import { AIPlayer } from '../AIPlayer.js';
+import { resolvePersonality } from '../AIPersonalities.js';
 import { WorldState } from '../WorldState.js';
 
 export async function executeAutoBribe(arena, bribeType, bribeId, chain) {
@@ -72,13 +73,18 @@ export async function executeAutoBribe(arena, bribeType, bribeId, chain) {
   return true;
 }
 
-export function spawnAIPlayers(arena) {
+/**
+ * Spawn one AI player per roster entry (personality ids, built-in or custom).
+ * Ids whose personality has since been deleted are skipped.
+ */
+export function spawnAIPlayers(arena, roster = arena.config.aiRoster) {
   if (arena.aiPlayers.length > 0) return;
   const broadcast = arena.broadcastToRoom.bind(arena);
-  const explorer = new AIPlayer(arena.worldState, broadcast, 'explorer');
-  const chaotic = new AIPlayer(arena.worldState, broadcast, 'chaotic');
-  arena.aiPlayers.push(explorer, chaotic);
-  console.log(`[AI:${arena.id}] Spawned 2 AI players`);
+  for (const id of roster) {
+    const personality = resolvePersonality(id, arena.config.aiPersonalities);
+    if (personality) arena.aiPlayers.push(new AIPlayer(arena.worldState, broadcast, personality));
+  }
+  console.log(`[AI:${arena.id}] Spawned ${arena.aiPlayers.length} AI players`);
 }
 
 export function despawnAIPlayers(arena) {
@@ -101,6 +107,19 @@ export function setupArenaCallbacks(arena, gameService) {
     }
   };
 
+  ws.onAchievementUnlocked = function onAchievementUnlocked(player, achievement) {
+    const { id, name, description } = achievement;
+    arena.broadcastToRoom('achievement_unlocked', {
+      playerId: player.playerId,
+      userId: player.userId,
+      playerName: player.name,
+      achievement: { id, name, description },
+    });
+    const msg = ws.addMessage('System', 'system', `${player.name} unlocked ${name}!`);
+    arena.broadcastToRoom('chat_message', msg);
+    ws.addEvent('achievement_unlocked', { playerId: player.playerId, name: player.name, achievement: id });
+  };
+
   ws.onPhaseChange = function onPhaseChange(gameState) {
     const broadcast = arena.broadcastToRoom.bind(arena);
     broadcast('game_state_changed', gameState);
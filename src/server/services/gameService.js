@@ -1,5 +1,7 @@
 import { createGameSync, GAME_TYPES } from '../games/index.js';
 import { randomizeTemplate } from '../ArenaTemplates.js';
+import { parseTeamCount } from '../Teams.js';
+import { ReplayRecorder } from '../ReplayRecorder.js';
 import {
   MIN_LOBBY_MS, AUTO_START_DELAY, ALL_TEMPLATES,
   NEW_TYPE_TEMPLATES, getTemplateGameType,
@@ -18,6 +20,12 @@ export function rejectIfActiveGame(arena, res) {
   return false;
 }
 
+export function rejectIfRestarting(arena, res) {
+  if (!arena.restartAt) return false;
+  res.status(503).json({ error: 'Server is restarting — no new games until it is back' });
+  return true;
+}
+
 export function rejectIfLobbyTimer(arena, res) {
   const ws = arena.worldState;
   if (ws.gameState.phase !== 'lobby') return false;
@@ -60,6 +68,10 @@ export function applyTemplate(arena, tmpl, doRandomize = true) {
     ws.setHazardPlane(finalTmpl.hazardPlane);
     broadcast('hazard_plane_changed', { ...ws.hazardPlane });
   }
+  if (finalTmpl.physics) {
+    const physics = ws.setPhysics(finalTmpl.physics);
+    broadcast('physics_changed', physics);
+  }
 
   return spawned.map(e => e.id);
 }
@@ -68,6 +80,10 @@ export function doStartGame(arena, gameType, options) {
   const ws = arena.worldState;
   const broadcast = arena.broadcastToRoom.bind(arena);
 
+  if (arena.restartAt) {
+    return { success: false, status: 503, error: 'Server is restarting — no new games until it is back' };
+  }
+
   const gameTypeDef = GAME_TYPES[gameType];
   const minRequired = gameTypeDef?.minPlayers || 1;
   const humanPlayers = getActiveHumanPlayers(ws);
@@ -77,19 +93,42 @@ export function doStartGame(arena, gameType, options) {
     return { success: false, status: 400, error: `${gameName} requires ${minRequired}+ players (${humanPlayers.length} connected)` };
   }
 
+  // Planned tournament rounds may fix the team count
+  const plannedTeams = arena.tournament?.getPlannedRound()?.teams;
+  if (plannedTeams && options?.teams === undefined) options = { ...options, teams: plannedTeams };
+
+  let teamCount;
+  try {
+    teamCount = parseTeamCount(options?.teams);
+  } catch (error) {
+    return { success: false, status: 400, error: error.message };
+  }
+  const participants = ws.getPlayers().filter(p => p.state !== 'spectating').length;
+  if (teamCount > participants) {
+    return { success: false, status: 400, error: `${teamCount} teams need ${teamCount}+ players (${participants} in arena)` };
+  }
+
   clearTimeout(arena.autoStartTimer);
   ws.autoStartTargetTime = null;
 
   try {
     const game = createGameSync(gameType, ws, broadcast, options);
 
+    const replay = new ReplayRecorder(game, ws, arena.id);
+    game.onTrickFired = (trick) => replay.capture('trick_fired', { id: trick.id, trigger: trick.trigger, actions: trick.steps });
+
     game.onEnd = () => {
+      if (arena.replay === replay) arena.replay = null;
+      replay.save(ws.gameState.result);
+      arena.tournament?.onGameEnded(game);
       if (arena.agentLoop) arena.agentLoop.onGameEnded();
       arena.currentMiniGame = null;
     };
 
     arena.currentMiniGame = game;
+    arena.replay = replay;
     game.start();
+    arena.tournament?.onRoundStarted(game);
     broadcast('game_state_changed', ws.getGameState());
 
     const startMsg = ws.addMessage('System', 'system', `Game started: ${gameType}`);
@@ -102,8 +141,28 @@ export function doStartGame(arena, gameType, options) {
   }
 }
 
+async function startPlannedRound(arena, plan) {
+  const ws = arena.worldState;
+  console.log(`[AutoStart:${arena.id}] Starting tournament round: ${arena.tournament.describePlan(plan)}`);
+  try {
+    let gameType = plan.type;
+    if (plan.template) {
+      const { TEMPLATES } = await import('../ArenaTemplates.js');
+      const tmpl = TEMPLATES[plan.template];
+      applyTemplate(arena, tmpl);
+      ws.setLastTemplate(plan.template);
+      gameType = gameType || tmpl.gameType || 'reach';
+    }
+    const result = doStartGame(arena, gameType, {});
+    if (!result.success) console.error(`[AutoStart:${arena.id}] Tournament round failed: ${result.error}`);
+  } catch (e) {
+    console.error(`[AutoStart:${arena.id}] Tournament round failed:`, e.message);
+  }
+}
+
 export function scheduleAutoStart(arena) {
   clearTimeout(arena.autoStartTimer);
+  if (arena.restartAt) return;
   const ws = arena.worldState;
   const delay = arena.config.autoStartDelay || AUTO_START_DELAY;
 
@@ -119,6 +178,13 @@ export function scheduleAutoStart(arena) {
     const activePlayers = getActiveHumanPlayers(ws);
     if (activePlayers.length === 0) return;
 
+    // Planned tournament rounds skip the random template pick
+    const planned = arena.tournament?.getPlannedRound();
+    if (planned?.type || planned?.template) {
+      await startPlannedRound(arena, planned);
+      return;
+    }
+
     const playerCount = activePlayers.length;
     const recentTemplates = ws.gameHistory.slice(-3).map(g => g.template);
     const playedTypes = new Set(ws.gameHistory.map(g => g.type));
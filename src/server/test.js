@@ -5,6 +5,10 @@
  * (Make sure server is running first: npm run world)
  */
 
+import http from 'http';
+import { createHmac } from 'crypto';
+import { Client } from 'colyseus.js';
+
 const BASE_URL = 'http://localhost:3000';
 
 async function test(name, fn) {
@@ -18,10 +22,10 @@ async function test(name, fn) {
   }
 }
 
-async function request(endpoint, method = 'GET', body = null) {
+async function request(endpoint, method = 'GET', body = null, headers = {}) {
   const options = {
     method,
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json', ...headers }
   };
   if (body) options.body = JSON.stringify(body);
 
@@ -29,7 +33,9 @@ async function request(endpoint, method = 'GET', body = null) {
   const data = await response.json();
 
   if (!response.ok) {
-    throw new Error(data.error || `HTTP ${response.status}`);
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.code = data.code;
+    throw error;
   }
   return data;
 }
@@ -133,6 +139,268 @@ async function runTests() {
     });
   }
 
+  // Test 12: Anti-cheat report
+  await test('Anti-cheat report', async () => {
+    const data = await request('/api/agent/anticheat');
+    if (!Array.isArray(data.flagged)) throw new Error('Missing flagged array');
+  });
+
+  // Test 13: Invalid team count (should fail gracefully)
+  await test('Invalid team count returns error', async () => {
+    try {
+      await request('/api/game/start', 'POST', { type: 'collect', teams: 9 });
+      throw new Error('Should have failed');
+    } catch (e) {
+      if (!e.message.includes('teams must be')) throw e;
+    }
+  });
+
+  // Test 14: Tournament status
+  await test('Get tournament status', async () => {
+    const data = await request('/api/tournament');
+    if (!('tournament' in data)) throw new Error('Missing tournament field');
+  });
+
+  // Test 15: Replay list
+  await test('List replays', async () => {
+    const data = await request('/api/replays');
+    if (!Array.isArray(data.replays)) throw new Error('Missing replays array');
+  });
+
+  // Test 16: Stats for an unknown player (should 404)
+  await test('Unknown player stats returns error', async () => {
+    try {
+      await request('/api/players/nobody-test/stats');
+      throw new Error('Should have failed');
+    } catch (e) {
+      if (!e.message.includes('No stats')) throw e;
+    }
+  });
+
+  // Test 17: Rating leaderboard per game type
+  await test('Get rating leaderboard', async () => {
+    const data = await request('/api/leaderboard?by=rating&type=race');
+    if (data.by !== 'rating' || !Array.isArray(data.leaderboard)) throw new Error('Missing rating leaderboard');
+  });
+
+  // Test 18: Save and list world snapshots
+  await test('Save world snapshot', async () => {
+    const name = `smoke-test-${Date.now()}`;
+    const data = await request('/api/world/snapshot', 'POST', { name });
+    if (!data.success || !Array.isArray(data.snapshot.entities)) throw new Error('Snapshot not saved');
+    const list = await request('/api/world/snapshots');
+    if (!list.snapshots.some(s => s.id === name)) throw new Error('Snapshot not listed');
+    const replaced = await request('/api/world/snapshot', 'POST', { name }).then(() => true, err => !err.message.includes('already exists'));
+    if (replaced) throw new Error('Default-arena snapshot was replaced');
+  });
+
+  // Test 19: Custom AI personality CRUD
+  await test('Define AI personality', async () => {
+    const data = await request('/api/ai/personalities', 'POST', {
+      id: 'smoke-bot', name: 'Smoke Bot', base: 'tryhard', speed: 1.5, tactics: { flee: 0.2 }
+    });
+    if (!data.success || data.personality.tactics.flee !== 0.2) throw new Error('Personality not created');
+    const list = await request('/api/ai/personalities');
+    if (!list.personalities.some(p => p.id === 'smoke-bot')) throw new Error('Personality not listed');
+    const removed = await request('/api/ai/personalities/smoke-bot', 'DELETE');
+    if (!removed.success) throw new Error('Personality not deleted');
+  });
+
+  // Test 20: Broadcast bandwidth in public stats
+  await test('Public stats report bandwidth', async () => {
+    const data = await request('/api/public/stats');
+    const bw = data.bandwidth;
+    if (!bw || typeof bw.bytesPerSec !== 'number' || !Array.isArray(bw.topEvents)) {
+      throw new Error('Missing bandwidth stats');
+    }
+  });
+
+  // Test 21: Webhook challenge handshake and signed delivery
+  await test('Signed webhook delivery', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const event = JSON.parse(body);
+        if (event.type === 'webhook_challenge') return res.end(JSON.stringify({ challenge: event.challenge }));
+        received.push({ headers: req.headers, body });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    try {
+      const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+      const { webhook } = await request('/api/webhooks/register', 'POST', { url, events: ['announcement'] });
+      if (!webhook.secret) throw new Error('No secret returned');
+      await request('/api/announce', 'POST', { text: 'Webhook test', type: 'system' });
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const hit = received[0];
+      if (!hit) throw new Error('Webhook not delivered');
+      const expected = 'sha256=' + createHmac('sha256', webhook.secret)
+        .update(`${hit.headers['x-webhook-timestamp']}.${hit.body}`).digest('hex');
+      if (hit.headers['x-webhook-signature'] !== expected) throw new Error('Bad signature');
+
+      const log = await request(`/api/webhooks/${webhook.id}/deliveries`);
+      if (log.deliveries[0]?.status !== 'delivered') throw new Error('Delivery not logged');
+      await request(`/api/webhooks/${webhook.id}`, 'DELETE');
+    } finally {
+      receiver.close();
+    }
+  });
+
+  // Test 22: SSE event ids, type filter and Last-Event-ID replay
+  await test('Resumable SSE stream', async () => {
+    const readStream = async (headers = {}) => {
+      const controller = new AbortController();
+      const res = await fetch(`${BASE_URL}/api/stream/events?events=chat_message`, { headers, signal: controller.signal });
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let text = '';
+      const timer = setTimeout(() => controller.abort(), 300);
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          text += decoder.decode(value, { stream: true });
+        }
+      } catch {
+        // Aborted after the window
+      } finally {
+        clearTimeout(timer);
+      }
+      return text.split('\n\n').filter(f => f.startsWith('id: ')).map(f => {
+        const [idLine, dataLine] = f.split('\n');
+        return { id: Number(idLine.slice(4)), event: JSON.parse(dataLine.slice(6)) };
+      });
+    };
+
+    await request('/api/chat/bridge', 'POST', { sender: 'tester', platform: 'twitch', text: 'SSE one' });
+    await request('/api/chat/bridge', 'POST', { sender: 'tester', platform: 'twitch', text: 'SSE two' });
+    const replayed = await readStream({ 'Last-Event-ID': '0' });
+    const one = replayed.find(f => f.event.text === 'SSE one');
+    const two = replayed.find(f => f.event.text === 'SSE two');
+    if (!one || !two) throw new Error('Events not replayed');
+    if (replayed.some(f => f.event.type !== 'chat_message')) throw new Error('Filter not applied');
+    if (two.id <= one.id) throw new Error('Ids not increasing');
+
+    const resumed = await readStream({ 'Last-Event-ID': String(one.id) });
+    if (resumed.some(f => f.id <= one.id)) throw new Error('Replayed events before Last-Event-ID');
+    if (!resumed.some(f => f.id === two.id)) throw new Error('Missed event not replayed');
+  });
+
+  // Test 23: Agent player over the agent_player room
+  await test('Agent player WebSocket', async () => {
+    const client = new Client(BASE_URL.replace(/^http/, 'ws'));
+    try {
+      await client.joinOrCreate('agent_player', { sessionToken: 'as_nobody' });
+      throw new Error('Unknown player was let in');
+    } catch (e) {
+      if (!e.message.includes('Join first')) throw e;
+    }
+
+    const { sessionToken } = await request('/api/agent-player/join', 'POST', { name: 'SocketBot' });
+    const room = await client.joinOrCreate('agent_player', { sessionToken });
+    try {
+      const nextMessage = (type, match = () => true) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 2000);
+        const off = room.onMessage(type, (data) => {
+          if (!match(data)) return;
+          clearTimeout(timer);
+          off();
+          resolve(data);
+        });
+      });
+      room.onMessage('*', () => {});
+
+      room.send('move', { waypoint: [4, 2, 4] });
+      await nextMessage('tick', (tick) => tick.me && Math.hypot(tick.me.position[0] - 4, tick.me.position[2] - 4) < 1.5);
+
+      const chat = nextMessage('chat_message', (message) => message.text === 'beep');
+      room.send('chat', { text: 'beep' });
+      await chat;
+    } finally {
+      await request('/api/agent-player/leave', 'POST', { sessionToken });
+    }
+  });
+
+  // Test 24: Agent players move by intent under server physics
+  await test('Agent player movement intents', async () => {
+    const { playerId, sessionToken, player } = await request('/api/agent-player/join', 'POST', { name: 'IntentBot' });
+    try {
+      try {
+        await request('/api/agent-player/move', 'POST', { sessionToken, direction: [1, 0], waypoint: [5, 2, 0] });
+        throw new Error('Should have failed');
+      } catch (e) {
+        if (!e.message.includes('not both')) throw e;
+      }
+
+      const moved = await request('/api/agent-player/move', 'POST', { sessionToken, direction: [1, 0] });
+      if (moved.intent.direction?.[0] !== 1) throw new Error('Intent not applied');
+      if (moved.position[0] !== player.position[0]) throw new Error('Move teleported the player');
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const { me } = await request(`/api/agent-player/${playerId}/state?sessionToken=${sessionToken}`);
+      if (me.position[0] - player.position[0] < 1) throw new Error('Player did not walk');
+    } finally {
+      await request('/api/agent-player/leave', 'POST', { sessionToken });
+    }
+  });
+
+  // Test 25: Agent-player sessions: token auth, reserved names, rate limits
+  await test('Agent player sessions', async () => {
+    const expectCode = async (code, fn) => {
+      try {
+        await fn();
+      } catch (e) {
+        if (e.code !== code) throw e;
+        return;
+      }
+      throw new Error(`Expected ${code}`);
+    };
+
+    const { playerId, sessionToken } = await request('/api/agent-player/join', 'POST', { name: 'TokenBot' });
+    try {
+      if (!sessionToken) throw new Error('No session token issued');
+      await expectCode('INVALID_SESSION', () => request('/api/agent-player/move', 'POST', { playerId, direction: [1, 0] }));
+      await expectCode('NAME_TAKEN', () => request('/api/agent-player/join', 'POST', { name: 'tokenbot' }));
+
+      await request('/api/agent-player/chat', 'POST', { sessionToken, text: 'first' });
+      await expectCode('RATE_LIMITED', () => request('/api/agent-player/chat', 'POST', { sessionToken, text: 'second' }));
+    } finally {
+      await request('/api/agent-player/leave', 'POST', { sessionToken });
+    }
+  });
+
+  // Test 26: Agent-player sessions expire when the agent goes quiet
+  await test('Idle agent player sessions expire', async () => {
+    const { arenaId, apiKey } = await request('/api/arenas', 'POST', {
+      name: 'Idle Agent Test', agentIdleTimeoutMs: 1000
+    });
+    try {
+      const base = `/api/arenas/${arenaId}/agent-player`;
+      const { playerId, sessionToken } = await request(`${base}/join`, 'POST', { name: 'SleepyBot' });
+      await new Promise(r => setTimeout(r, 600));
+      await request(`${base}/move`, 'POST', { sessionToken, direction: [1, 0] });
+      await new Promise(r => setTimeout(r, 600));
+      await request(`${base}/${playerId}/state`, 'GET', null, { Authorization: `Bearer ${sessionToken}` });
+
+      await new Promise(r => setTimeout(r, 1000));
+      try {
+        await request(`${base}/${playerId}/state`, 'GET', null, { Authorization: `Bearer ${sessionToken}` });
+      } catch (e) {
+        if (e.code !== 'INVALID_SESSION') throw e;
+        const { players } = await request(`/api/arenas/${arenaId}/world/state`);
+        if (players.some(p => p.id === playerId)) throw new Error('Expired agent still in the world');
+        return;
+      }
+      throw new Error('Session still valid after the idle timeout');
+    } finally {
+      await request(`/api/arenas/${arenaId}`, 'DELETE', null, { 'X-Arena-API-Key': apiKey });
+    }
+  });
+
   // Final state
   console.log('\n' + '─'.repeat(50));
   console.log('\n📊 Final World State:\n');
@@ -29,6 +29,9 @@ export const DEFAULT_ENTITY_COLORS = {
 
 export const MAX_ENTITIES = 500;
 
+// entities_delta positions are integers in 1/DELTA_POSITION_SCALE units
+export const DELTA_POSITION_SCALE = 100;
+
 // ── Game Types ────────────────────────────────────────────────────────────────
 
 export const GAME_TYPES = {
@@ -0,0 +1,51 @@
+/**
+ * Kinematics - Deterministic motion for path-following entities
+ *
+ * A kinematic entity ping-pongs between the first and last points of
+ * properties.path, covering properties.speed path-lengths per second from
+ * entity.motionStart (server ms). Server and client evaluate the same
+ * function of time, so only the path and time base go over the wire.
+ */
+
+/** Whether the entity follows a path on the shared clock. */
+export function hasPathMotion(entity) {
+  const props = entity?.properties;
+  return !!(props?.kinematic && props.path?.length >= 2 && typeof entity.motionStart === 'number');
+}
+
+/**
+ * Progress along the path (0 at the start, 1 at the end) and travel direction
+ * (1 outbound, -1 on the way back) `elapsed` seconds into the motion.
+ * @returns {[number, number]}
+ */
+export function pathProgress(speed, elapsed) {
+  const s = (Math.abs(speed) * Math.max(0, elapsed)) % 2;
+  return s < 1 ? [s, 1] : [2 - s, -1];
+}
+
+/**
+ * Write the entity's position at server time `now` into `out`.
+ * @param {object} entity
+ * @param {number} now - server ms
+ * @param {number[]} [out]
+ * @returns {number} travel direction (1 or -1), or 0 if the entity has no path motion
+ */
+export function evaluatePathMotion(entity, now, out = [0, 0, 0]) {
+  if (!hasPathMotion(entity)) return 0;
+  const path = entity.properties.path;
+  const start = path[0];
+  const end = path.at(-1);
+  const [t, direction] = pathProgress(entity.properties.speed || 2, (now - entity.motionStart) / 1000);
+  out[0] = start[0] + (end[0] - start[0]) * t;
+  out[1] = start[1] + (end[1] - start[1]) * t;
+  out[2] = start[2] + (end[2] - start[2]) * t;
+  return direction;
+}
+
+/** Heading (radians about Y) while travelling the path in `direction`, or undefined for vertical paths. */
+export function pathFacing(path, direction) {
+  const dx = path.at(-1)[0] - path[0][0];
+  const dz = path.at(-1)[2] - path[0][2];
+  if (Math.abs(dx) <= 0.01 && Math.abs(dz) <= 0.01) return undefined;
+  return Math.atan2(dx * direction, dz * direction);
+}
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for deterministic path motion
+ *
+ * Run: npm run test:physics
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasPathMotion, pathProgress, evaluatePathMotion, pathFacing } from './kinematics.js';
+import { EntityManager } from '../server/managers/EntityManager.js';
+
+const START = 1_000_000;
+
+function mover(properties = {}) {
+  return {
+    position: [-4, 0, -4],
+    properties: { kinematic: true, path: [[-4, 0, -4], [4, 0, -4]], speed: 0.5, ...properties },
+    motionStart: START,
+  };
+}
+
+test('paths ping-pong between their ends', () => {
+  assert.deepEqual(pathProgress(0.5, 0), [0, 1]);
+  assert.deepEqual(pathProgress(0.5, 1), [0.5, 1]);
+  assert.deepEqual(pathProgress(0.5, 3), [0.5, -1]);
+  assert.deepEqual(pathProgress(0.5, 4), [0, 1]);
+  assert.deepEqual(pathProgress(0.5, -1), [0, 1]);
+});
+
+test('position is a function of server time', () => {
+  const entity = mover();
+  const out = [0, 0, 0];
+  assert.equal(evaluatePathMotion(entity, START + 1000, out), 1);
+  assert.deepEqual(out, [0, 0, -4]);
+  assert.equal(evaluatePathMotion(entity, START + 2500, out), -1);
+  assert.deepEqual(out, [2, 0, -4]);
+
+  assert.equal(pathFacing(entity.properties.path, 1), Math.PI / 2);
+  assert.equal(pathFacing([[0, 8, 0], [0, 11, 0]], 1), undefined);
+});
+
+test('only kinematic entities with a path and time base move', () => {
+  assert.equal(hasPathMotion(mover()), true);
+  assert.equal(hasPathMotion(mover({ kinematic: false })), false);
+  assert.equal(hasPathMotion(mover({ path: [[0, 0, 0]] })), false);
+  assert.equal(hasPathMotion({ ...mover(), motionStart: undefined }), false);
+  assert.equal(evaluatePathMotion(mover({ kinematic: false }), START), 0);
+});
+
+test('server positions match what clients evaluate at the same time', () => {
+  const em = new EntityManager();
+  const entity = em.spawnEntity('platform', [-4, 0, -4], [3, 1, 3], {
+    kinematic: true, path: [[-4, 0, -4], [4, 0, -4]], speed: 0.8,
+  });
+  assert.equal(typeof entity.motionStart, 'number');
+
+  // A client only ever saw the spawn message
+  const seen = structuredClone(entity);
+  const out = [0, 0, 0];
+  for (let ms = 0; ms <= 5000; ms += 137) {
+    const now = entity.motionStart + ms;
+    em.updateKinematicEntities(now);
+    evaluatePathMotion(seen, now, out);
+    assert.deepEqual(out, entity.position);
+  }
+});
@@ -0,0 +1,382 @@
+/**
+ * Player physics — the AABB movement/collision step shared by client and server.
+ *
+ * Pure functions over a body whose position and velocity are {x, y, z}
+ * objects: the browser passes its mesh position and velocity Vector3s, the
+ * server simulates AI and agent players with plain objects. Nothing here
+ * touches three.js, the DOM or the network; side effects (sounds, particles,
+ * pickups, deaths) come back as events for the caller to act on.
+ */
+
+import { ENTITY_TYPES, FLOOR_TYPES, SPELL, DEFAULT_SERVER_PHYSICS } from './constants.js';
+
+// ── Tuning ────────────────────────────────────────────────────────────────────
+
+export const PLAYER_PHYSICS = {
+  GRAVITY:            -76.5,
+  FALL_MULTIPLIER:    2.2,
+  LOW_JUMP_MULTIPLIER: 4.0,
+  TERMINAL_VELOCITY:  -60,
+  JUMP_FORCE:         26.5,
+  COYOTE_TIME:        0.10,
+  JUMP_BUFFER_TIME:   0.10,
+  WALK_SPEED:         16,
+  SPRINT_SPEED:       26,
+  GROUND_ACCEL:       80,
+  GROUND_DECEL:       60,
+  AIR_ACCEL:          30,
+  AIR_DECEL:          10,
+};
+
+export const PLAYER_HALF_EXTENTS = [0.5, 1, 0.5];
+
+export const GROUND_Y = 1;           // Standing height on solid/safe floor
+export const ABYSS_DEATH_Y = -20;    // Fall-death threshold for 'none' floor
+export const LAVA_DEATH_Y = 0;       // Death threshold for lava floor
+export const VOID_DEATH_Y = -50;     // Absolute void death for any floor type
+
+export const ICE_ACCEL_MULTIPLIER = 0.15;
+export const ICE_DECEL_MULTIPLIER = 0.08;
+
+export const DEFAULT_BOUNCE_FORCE = 18;
+export const DEFAULT_BOOST_MS = 3000;
+export const BOOST_PAD_MULTIPLIER = 2;
+
+/** Longest step the simulation takes; longer frames are clamped (client) or split (server). */
+export const MAX_STEP = 0.05;
+
+const SAFE_PHASES = new Set(['lobby', 'building', 'countdown', 'ended']);
+const NO_SPELLS = new Set();
+
+// ── Bodies ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{x: number, y: number, z: number}} [position]
+ * @param {{x: number, y: number, z: number}} [velocity]
+ */
+export function createBody(position = { x: 0, y: 2, z: 0 }, velocity = { x: 0, y: 0, z: 0 }) {
+  return {
+    position,
+    velocity,
+    isGrounded: false,
+    isJumping: false,
+    coyoteTimer: 0,
+    jumpBufferTimer: 0,
+    jumpHeld: false,
+    standingOn: null,      // entity under the player after the last collision pass
+    speedBoostUntil: 0,    // boost pad expiry (ms)
+  };
+}
+
+/** Zero motion and jump state, e.g. after a respawn or server correction. */
+export function resetBody(body) {
+  body.velocity.x = 0;
+  body.velocity.y = 0;
+  body.velocity.z = 0;
+  body.isJumping = false;
+  body.coyoteTimer = 0;
+  body.jumpBufferTimer = 0;
+}
+
+function moveToward(current, target, maxDelta) {
+  if (Math.abs(target - current) <= maxDelta) return target;
+  return current + Math.sign(target - current) * maxDelta;
+}
+
+/**
+ * Move speed, jump force and gravity multiplier under the active spells.
+ * A boost pad doubles the run speed, but GIANT and TINY set their own speed on top of it.
+ */
+export function movementStats(spells, sprint, boosted = false) {
+  let targetSpeed = sprint ? PLAYER_PHYSICS.SPRINT_SPEED : PLAYER_PHYSICS.WALK_SPEED;
+  let jumpForce = PLAYER_PHYSICS.JUMP_FORCE;
+  let gravityMult = 1;
+
+  if (spells.has(SPELL.SPEED_BOOST)) targetSpeed = 30;
+  if (spells.has(SPELL.SLOW_MOTION)) targetSpeed = 10;
+  if (boosted) targetSpeed *= BOOST_PAD_MULTIPLIER;
+  if (spells.has(SPELL.LOW_GRAVITY)) gravityMult = 0.3;
+  if (spells.has(SPELL.HIGH_GRAVITY)) gravityMult = 2.5;
+  if (spells.has(SPELL.BOUNCY)) jumpForce *= 1.5;
+  if (spells.has(SPELL.GIANT)) { targetSpeed = 14; jumpForce *= 1.2; }
+  if (spells.has(SPELL.TINY)) { targetSpeed = 25; jumpForce *= 0.6; }
+
+  return { targetSpeed, jumpForce, gravityMult };
+}
+
+// Checked in order; the first match names the cause
+const FALL_DEATHS = [
+  ['abyss', (y, env) => env.floorType === FLOOR_TYPES.NONE && y < ABYSS_DEATH_Y],
+  ['lava', (y, env) => env.floorType === FLOOR_TYPES.LAVA && y < LAVA_DEATH_Y],
+  ['hazard_plane', (y, env) => env.hazardPlane?.active && env.phase === 'playing' && y < env.hazardPlane.height],
+  ['abyss', (y) => y < VOID_DEATH_Y],
+];
+
+/**
+ * Cause of death for a player at height `y`, or null.
+ * @param {number} y
+ * @param {{ phase: string, floorType: string, hazardPlane?: { active: boolean, height: number } }} env
+ */
+export function fallDeathCause(y, env) {
+  return FALL_DEATHS.find(([, kills]) => kills(y, env))?.[0] ?? null;
+}
+
+/** Whether height `y` is deadly for the given cause, regardless of which cause would win. */
+export function isFallDeath(cause, y, env) {
+  return FALL_DEATHS.some(([name, kills]) => name === cause && kills(y, env));
+}
+
+// ── Movement ──────────────────────────────────────────────────────────────────
+
+/**
+ * Input, gravity, jumping, integration, floor and fall deaths.
+ *
+ * @param {object} body - from createBody()
+ * @param {{ moveX: number, moveZ: number, jump: boolean, sprint?: boolean }} input
+ *   world-space move direction (length <= 1) and whether jump is held
+ * @param {object} env
+ * @param {string} env.phase - game phase
+ * @param {string} env.floorType
+ * @param {{ active: boolean, height: number }} [env.hazardPlane]
+ * @param {number} [env.gravity] - world physics gravity (DEFAULT_SERVER_PHYSICS scale)
+ * @param {Set<string>} [env.spells] - active spell types
+ * @param {number} env.now - ms timestamp
+ * @param {boolean} [env.invulnerable] - respawn protection
+ * @param {number} delta - seconds
+ * @returns {Array<{ type: string, cause?: string }>} 'jump' and 'die' events
+ */
+export function updateBody(body, input, env, delta) {
+  const events = [];
+  const p = body.position;
+  const v = body.velocity;
+  const spells = env.spells || NO_SPELLS;
+
+  const { targetSpeed, jumpForce, gravityMult } = movementStats(spells, input.sprint, env.now < body.speedBoostUntil);
+
+  const inputSign = spells.has(SPELL.INVERT_CONTROLS) ? -1 : 1;
+  let moveX = input.moveX * inputSign;
+  let moveZ = input.moveZ * inputSign;
+  const moveLength = Math.sqrt(moveX * moveX + moveZ * moveZ);
+  if (moveLength > 1) {
+    moveX /= moveLength;
+    moveZ /= moveLength;
+  }
+  const hasInput = moveX * moveX + moveZ * moveZ > 0.01;
+
+  const onIce = body.standingOn?.properties?.isIce;
+
+  let accel;
+  if (!body.isGrounded) {
+    accel = hasInput ? PLAYER_PHYSICS.AIR_ACCEL : PLAYER_PHYSICS.AIR_DECEL;
+  } else if (onIce) {
+    accel = hasInput
+      ? PLAYER_PHYSICS.GROUND_ACCEL * ICE_ACCEL_MULTIPLIER
+      : PLAYER_PHYSICS.GROUND_DECEL * ICE_DECEL_MULTIPLIER;
+  } else {
+    accel = hasInput ? PLAYER_PHYSICS.GROUND_ACCEL : PLAYER_PHYSICS.GROUND_DECEL;
+  }
+
+  v.x = moveToward(v.x, moveX * targetSpeed, accel * delta);
+  v.z = moveToward(v.z, moveZ * targetSpeed, accel * delta);
+
+  const gravityScale = (env.gravity ?? DEFAULT_SERVER_PHYSICS.gravity) / DEFAULT_SERVER_PHYSICS.gravity;
+  const gravity = PLAYER_PHYSICS.GRAVITY * gravityScale * gravityMult;
+
+  if (v.y < 0) {
+    v.y += gravity * PLAYER_PHYSICS.FALL_MULTIPLIER * delta;
+  } else if (v.y > 0 && !input.jump) {
+    v.y += gravity * PLAYER_PHYSICS.LOW_JUMP_MULTIPLIER * delta;
+  } else {
+    v.y += gravity * delta;
+  }
+  v.y = Math.max(v.y, PLAYER_PHYSICS.TERMINAL_VELOCITY);
+
+  if (body.isGrounded) {
+    body.coyoteTimer = PLAYER_PHYSICS.COYOTE_TIME;
+  } else {
+    body.coyoteTimer -= delta;
+  }
+
+  if (input.jump && !body.jumpHeld) {
+    body.jumpBufferTimer = PLAYER_PHYSICS.JUMP_BUFFER_TIME;
+  }
+  body.jumpBufferTimer -= delta;
+  body.jumpHeld = input.jump;
+
+  const canJump = body.isGrounded || body.coyoteTimer > 0;
+  if (canJump && body.jumpBufferTimer > 0 && !body.isJumping) {
+    v.y = jumpForce;
+    body.isJumping = true;
+    body.isGrounded = false;
+    body.coyoteTimer = 0;
+    body.jumpBufferTimer = 0;
+    events.push({ type: 'jump' });
+  }
+
+  p.x += v.x * delta;
+  p.y += v.y * delta;
+  p.z += v.z * delta;
+
+  body.isGrounded = false;
+
+  const hasFloor = env.floorType === FLOOR_TYPES.SOLID || SAFE_PHASES.has(env.phase);
+  if (hasFloor && p.y < GROUND_Y) {
+    p.y = GROUND_Y;
+    v.y = 0;
+    body.isGrounded = true;
+    body.isJumping = false;
+  }
+
+  if (!env.invulnerable) {
+    const cause = fallDeathCause(p.y, env);
+    if (cause) events.push({ type: 'die', cause });
+  }
+
+  return events;
+}
+
+// ── Collisions ────────────────────────────────────────────────────────────────
+
+/**
+ * Per-type rules for overlapping entities. Return 'skip' to bypass platform
+ * AABB resolution. Rules change the body and push events; they never render.
+ */
+export const COLLISION_RULES = {
+  [ENTITY_TYPES.COLLECTIBLE]: (entity, body, env, events) => {
+    events.push({ type: 'collect', entity });
+    return 'skip';
+  },
+
+  [ENTITY_TYPES.OBSTACLE]: (entity, body, env, events) => {
+    if (env.phase === 'playing' && !env.invulnerable) {
+      events.push({ type: 'die', cause: 'obstacle', entity });
+    }
+    return 'skip';
+  },
+
+  [ENTITY_TYPES.TRIGGER]: (entity, body, env, events, delta) => {
+    const props = entity.properties;
+    if (props?.isBounce) {
+      body.velocity.y = props.bounceForce || DEFAULT_BOUNCE_FORCE;
+      body.isGrounded = false;
+      body.isJumping = true;
+      events.push({ type: 'bounce', entity });
+      return 'skip';
+    }
+    if (props?.isSpeedBoost) {
+      body.speedBoostUntil = env.now + (props.boostDuration || DEFAULT_BOOST_MS);
+      events.push({ type: 'speed_boost', entity });
+      return 'skip';
+    }
+    if (props?.isWind) {
+      const force = props.windForce || [0, 0, 0];
+      body.velocity.x += force[0] * delta;
+      body.velocity.y += force[1] * delta;
+      body.velocity.z += force[2] * delta;
+      return 'skip';
+    }
+    events.push({ type: 'trigger', entity });
+    return 'skip';
+  },
+};
+
+/** Applied every step while standing on an entity. Keyed by property name. */
+export const SURFACE_EFFECTS = {
+  isConveyor: (entity, body, delta) => {
+    const dir = entity.properties.conveyorDir || [1, 0, 0];
+    const speed = entity.properties.conveyorSpeed || 6;
+    body.velocity.x += dir[0] * speed * delta;
+    body.velocity.z += dir[2] * speed * delta;
+  },
+};
+
+/** Player AABB touches the entity placed at `position` (inclusive, like Box3.intersectsBox). */
+export function overlapsEntity(p, entity, position) {
+  return Math.abs(p.x - position[0]) <= PLAYER_HALF_EXTENTS[0] + entity.size[0] * 0.5 &&
+    Math.abs(p.y - position[1]) <= PLAYER_HALF_EXTENTS[1] + entity.size[1] * 0.5 &&
+    Math.abs(p.z - position[2]) <= PLAYER_HALF_EXTENTS[2] + entity.size[2] * 0.5;
+}
+
+/**
+ * Resolve overlaps with nearby entities: type rules, landing on or being
+ * pushed out of platforms, riding kinematic platforms, surface effects.
+ *
+ * @param {object} body
+ * @param {Iterable<{ entity: object, position: number[], carry?: number[]|null }>} contacts
+ *   candidate entities with their current world position; `carry` is how far
+ *   a moving platform travelled since the last step
+ * @param {object} env - as for updateBody()
+ * @param {number} delta
+ * @returns {Array<{ type: string, entity?: object, cause?: string }>}
+ *   'collect', 'die', 'bounce', 'speed_boost', 'trigger', 'platform_step' events
+ */
+export function collideBody(body, contacts, env, delta) {
+  const events = [];
+  const p = body.position;
+  const v = body.velocity;
+
+  let standingOn = null;
+  let platformY = 0;
+  let carry = null;
+
+  for (const { entity, position, carry: contactCarry } of contacts) {
+    if (!overlapsEntity(p, entity, position)) continue;
+
+    const rule = COLLISION_RULES[entity.type];
+    if (rule && rule(entity, body, env, events, delta) === 'skip') continue;
+
+    if (entity.type !== ENTITY_TYPES.PLATFORM && entity.type !== ENTITY_TYPES.RAMP) continue;
+
+    const halfX = entity.size[0] * 0.5;
+    const halfY = entity.size[1] * 0.5;
+    const halfZ = entity.size[2] * 0.5;
+    const overlapX = (PLAYER_HALF_EXTENTS[0] + halfX) - Math.abs(p.x - position[0]);
+    const overlapY = (PLAYER_HALF_EXTENTS[1] + halfY) - Math.abs(p.y - position[1]);
+    const overlapZ = (PLAYER_HALF_EXTENTS[2] + halfZ) - Math.abs(p.z - position[2]);
+    if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) continue;
+
+    const playerBottom = p.y - PLAYER_HALF_EXTENTS[1];
+    const platformTop = position[1] + halfY;
+
+    if (playerBottom >= platformTop - 0.5 && v.y <= 0) {
+      standingOn = entity;
+      platformY = platformTop + PLAYER_HALF_EXTENTS[1];
+      if (entity.properties?.breakable) events.push({ type: 'platform_step', entity });
+      if (entity.properties?.kinematic && contactCarry) carry = contactCarry;
+    } else if (overlapX < overlapZ) {
+      p.x += overlapX * (p.x > position[0] ? 1 : -1);
+      v.x = 0;
+    } else {
+      p.z += overlapZ * (p.z > position[2] ? 1 : -1);
+      v.z = 0;
+    }
+  }
+
+  body.standingOn = standingOn;
+  if (!standingOn) return events;
+
+  p.y = platformY;
+  v.y = 0;
+  body.isGrounded = true;
+  body.isJumping = false;
+
+  if (carry) {
+    p.x += carry[0];
+    p.z += carry[2];
+  }
+
+  if (standingOn.properties) {
+    for (const propertyName in SURFACE_EFFECTS) {
+      if (standingOn.properties[propertyName]) {
+        SURFACE_EFFECTS[propertyName](standingOn, body, delta);
+      }
+    }
+  }
+
+  return events;
+}
+
+/** One full step in client frame order: movement, then collisions. */
+export function stepBody(body, input, contacts, env, delta) {
+  return [...updateBody(body, input, env, delta), ...collideBody(body, contacts, env, delta)];
+}
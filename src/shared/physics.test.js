@@ -0,0 +1,227 @@
+/**
+ * Unit tests for the shared player physics step
+ *
+ * Replays fixed inputs through the client's per-frame loop and the server's
+ * per-tick simulation and expects the same trajectory from both.
+ *
+ * Run: npm run test:physics
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PLAYER_PHYSICS, GROUND_Y, createBody, stepBody, fallDeathCause, isFallDeath, movementStats
+} from './physics.js';
+import { SPELL } from './constants.js';
+import { WorldState } from '../server/WorldState.js';
+import { createServerBody, simulateBody, physicsEnv, verifyDeathCause } from '../server/PlayerPhysics.js';
+
+const FRAME = 1 / 60;
+const TICK = 0.1;
+const NOW = 1_000_000;
+
+const env = (overrides = {}) => ({ phase: 'playing', floorType: 'solid', now: NOW, ...overrides });
+const idle = { moveX: 0, moveZ: 0, jump: false };
+
+function entity(type, position, size, properties = {}) {
+  return { id: `${type}-${position.join(',')}`, type, position, size, properties };
+}
+
+const contactsFor = (entities) => entities.map(e => ({ entity: e, position: e.position, carry: null }));
+
+/** Step frame by frame, returning the position after every frame. */
+function replay(body, inputs, entities, stepEnv, delta = FRAME) {
+  const contacts = contactsFor(entities);
+  const trace = [];
+  const events = [];
+  for (const input of inputs) {
+    events.push(...stepBody(body, input, contacts, stepEnv, delta));
+    trace.push([body.position.x, body.position.y, body.position.z]);
+  }
+  return { trace, events };
+}
+
+// Run right, jump, keep running, stop, then a short tap jump
+const SCRIPT = [
+  ...Array(30).fill({ moveX: 1, moveZ: 0, jump: false, sprint: true }),
+  ...Array(24).fill({ moveX: 1, moveZ: 0.5, jump: true, sprint: true }),
+  ...Array(30).fill({ moveX: 0.3, moveZ: -1, jump: false }),
+  ...Array(12).fill(idle),
+  ...Array(6).fill({ moveX: 0, moveZ: 0, jump: true }),
+  ...Array(36).fill(idle),
+];
+
+function buildWorld() {
+  const ws = new WorldState();
+  ws.gameState.phase = 'playing';
+  ws.spawnEntity('platform', [12, 2, 3], [10, 1, 10]);
+  ws.spawnEntity('platform', [-6, 0.5, -6], [6, 1, 6], { isIce: true });
+  return ws;
+}
+
+test('replaying the same input gives the same trajectory', () => {
+  const entities = [entity('platform', [12, 2, 3], [10, 1, 10])];
+  const a = replay(createBody(), SCRIPT, entities, env());
+  const b = replay(createBody(), SCRIPT, entities, env());
+  assert.deepEqual(a.trace, b.trace);
+  assert.deepEqual(a.events.map(e => e.type), b.events.map(e => e.type));
+});
+
+test('server ticks match client frames on the same world', () => {
+  const ws = buildWorld();
+  const entities = [...ws.entities.values()];
+
+  const client = createBody({ x: 0, y: 2, z: 0 });
+  const clientTicks = [];
+  const contacts = contactsFor(entities);
+  for (let i = 0; i < SCRIPT.length; i++) {
+    stepBody(client, SCRIPT[i], contacts, physicsEnv(ws), FRAME);
+    if ((i + 1) % 6 === 0) clientTicks.push([client.position.x, client.position.y, client.position.z]);
+  }
+
+  // The server holds each tick's input for its six frames
+  const server = createServerBody([0, 2, 0]);
+  const serverTicks = [];
+  for (let i = 0; i < SCRIPT.length; i += 6) {
+    for (let f = 0; f < 6; f++) {
+      assert.deepEqual(SCRIPT[i + f], SCRIPT[i], 'script changes input on tick boundaries');
+    }
+    simulateBody(server, SCRIPT[i], ws, TICK);
+    serverTicks.push([server.position.x, server.position.y, server.position.z]);
+  }
+
+  assert.deepEqual(serverTicks, clientTicks);
+  assert.ok(serverTicks.some(([, y]) => y > GROUND_Y + 2), 'the script leaves the ground');
+});
+
+test('a held jump peaks at the ballistic apex', () => {
+  const body = createBody({ x: 0, y: GROUND_Y, z: 0 });
+  body.isGrounded = true;
+  let apex = 0;
+  for (let i = 0; i < 120; i++) {
+    stepBody(body, { moveX: 0, moveZ: 0, jump: true }, [], env(), FRAME / 4);
+    apex = Math.max(apex, body.position.y - GROUND_Y);
+  }
+  const expected = PLAYER_PHYSICS.JUMP_FORCE ** 2 / (2 * -PLAYER_PHYSICS.GRAVITY);
+  assert.ok(Math.abs(apex - expected) < 0.1, `apex ${apex} vs ${expected}`);
+});
+
+test('landing on a platform sets standingOn', () => {
+  const platform = entity('platform', [0, 4, 0], [6, 1, 6]);
+  const body = createBody({ x: 0, y: 8, z: 0 });
+  replay(body, Array(60).fill(idle), [platform], env());
+  assert.equal(body.standingOn, platform);
+  assert.equal(body.position.y, 4.5 + 1);
+  assert.ok(body.isGrounded);
+});
+
+test('walking into a platform side pushes the player out', () => {
+  const wall = entity('platform', [3, 3, 0], [2, 6, 6]);
+  const body = createBody({ x: 0, y: GROUND_Y, z: 0 });
+  replay(body, Array(60).fill({ moveX: 1, moveZ: 0, jump: false }), [wall], env());
+  assert.ok(body.position.x <= 1.5 + 1e-9, `x ${body.position.x}`);
+  assert.equal(body.velocity.x, 0);
+});
+
+test('bounce pads launch the player', () => {
+  const pad = entity('trigger', [0, 1, 0], [3, 1, 3], { isBounce: true, bounceForce: 30 });
+  const body = createBody({ x: 0, y: GROUND_Y, z: 0 });
+  const { events } = replay(body, [idle], [pad], env());
+  assert.ok(events.some(e => e.type === 'bounce'));
+  assert.equal(body.velocity.y, 30);
+  assert.equal(body.isGrounded, false);
+});
+
+test('wind zones push and speed pads boost', () => {
+  const wind = entity('trigger', [0, 10, 0], [20, 20, 20], { isWind: true, windForce: [0, 0, 60] });
+  const windy = createBody({ x: 0, y: 15, z: 0 });
+  replay(windy, Array(20).fill(idle), [wind], env());
+  assert.ok(windy.position.z > 1, `z ${windy.position.z}`);
+
+  const pad = entity('trigger', [0, 1, 0], [3, 1, 3], { isSpeedBoost: true, boostDuration: 500 });
+  const boosted = createBody({ x: 0, y: GROUND_Y, z: 0 });
+  const { events } = replay(boosted, [idle], [pad], env());
+  assert.ok(events.some(e => e.type === 'speed_boost'));
+  assert.equal(boosted.speedBoostUntil, NOW + 500);
+});
+
+test('speed pads double the run speed before GIANT and TINY set theirs', () => {
+  const speed = (spells, boosted) => movementStats(new Set(spells), true, boosted).targetSpeed;
+  assert.equal(speed([], true), PLAYER_PHYSICS.SPRINT_SPEED * 2);
+  assert.equal(speed([SPELL.SPEED_BOOST], true), 60);
+  assert.equal(speed([SPELL.SLOW_MOTION], true), 20);
+  assert.equal(speed([SPELL.GIANT], true), 14);
+  assert.equal(speed([SPELL.TINY], true), 25);
+  assert.equal(speed([SPELL.GIANT], false), 14);
+});
+
+test('ice keeps the player sliding', () => {
+  const run = { moveX: 1, moveZ: 0, jump: false };
+  const slide = (properties) => {
+    const ground = entity('platform', [0, 0.5, 0], [200, 1, 10], properties);
+    const body = createBody({ x: 0, y: 2, z: 0 });
+    replay(body, [...Array(60).fill(run), ...Array(20).fill(idle)], [ground], env());
+    return body.velocity.x;
+  };
+  assert.equal(slide({}), 0);
+  assert.ok(slide({ isIce: true }) > 1);
+});
+
+test('conveyors speed up players walking with the belt', () => {
+  const walk = (properties) => {
+    const ground = entity('platform', [0, 0.5, 0], [200, 1, 4], properties);
+    const body = createBody({ x: 0, y: 2, z: 0 });
+    replay(body, Array(60).fill({ moveX: 1, moveZ: 0, jump: false }), [ground], env());
+    return body.position.x;
+  };
+  const belt = { isConveyor: true, conveyorDir: [1, 0, 0], conveyorSpeed: 10 };
+  assert.ok(walk(belt) > walk({}) + 0.1);
+});
+
+test('obstacles kill only while playing and not invulnerable', () => {
+  const spikes = entity('obstacle', [0, 1, 0], [2, 2, 2]);
+  const dies = (stepEnv) => replay(createBody({ x: 0, y: GROUND_Y, z: 0 }), [idle], [spikes], stepEnv)
+    .events.some(e => e.type === 'die' && e.cause === 'obstacle');
+  assert.equal(dies(env()), true);
+  assert.equal(dies(env({ phase: 'lobby' })), false);
+  assert.equal(dies(env({ invulnerable: true })), false);
+});
+
+test('floors and the hazard plane decide fall deaths', () => {
+  assert.equal(fallDeathCause(-25, env({ floorType: 'none' })), 'abyss');
+  assert.equal(fallDeathCause(-25, env({ floorType: 'solid' })), null);
+  assert.equal(fallDeathCause(-0.5, env({ floorType: 'lava' })), 'lava');
+  assert.equal(fallDeathCause(-60, env({ floorType: 'solid' })), 'abyss');
+
+  const hazardPlane = { active: true, height: 5 };
+  assert.equal(fallDeathCause(3, env({ hazardPlane })), 'hazard_plane');
+  assert.equal(fallDeathCause(3, env({ hazardPlane, phase: 'ended' })), null);
+
+  // Lava wins below 0, but the hazard plane still backs up its own cause
+  const lavaAndPlane = env({ floorType: 'lava', hazardPlane });
+  assert.equal(fallDeathCause(-1, lavaAndPlane), 'lava');
+  assert.equal(isFallDeath('hazard_plane', -1, lavaAndPlane), true);
+  assert.equal(isFallDeath('abyss', -1, lavaAndPlane), false);
+
+  // A solid floor catches the player instead
+  const body = createBody({ x: 0, y: 1.5, z: 0 });
+  const { events } = replay(body, Array(30).fill(idle), [], env());
+  assert.equal(events.length, 0);
+  assert.equal(body.position.y, GROUND_Y);
+});
+
+test('server verifies only the death causes the world backs up', () => {
+  const ws = new WorldState();
+  ws.gameState.phase = 'playing';
+  ws.spawnEntity('obstacle', [10, 1, 10], [2, 2, 2]);
+
+  assert.equal(verifyDeathCause(ws, [10, 1, 11], 'obstacle'), true);
+  assert.equal(verifyDeathCause(ws, [-20, 1, -20], 'obstacle'), false);
+  assert.equal(verifyDeathCause(ws, [0, 1, 0], 'lava'), false);
+  assert.equal(verifyDeathCause(ws, [0, -60, 0], 'abyss'), true);
+  assert.equal(verifyDeathCause(ws, 'nowhere', 'abyss'), false);
+
+  ws.setFloorType('lava');
+  assert.equal(verifyDeathCause(ws, [0, 1, 0], 'lava'), true);  // within tolerance of a throttled update
+  assert.equal(verifyDeathCause(ws, [0, 5, 0], 'lava'), false);
+});